@@ -0,0 +1,280 @@
+// brawl-stars-catalog.js
+// Brawler and game mode catalog, stored in the brawlers and gameModes collections
+// and seeded from brawl-stars-catalog.json
+
+const pino = require('pino');
+const dbService = require('./database-service-improved');
+const bundledCatalog = require('./brawl-stars-catalog.json');
+require('dotenv').config();
+
+const BRAWLER_RARITIES = ['Starting', 'Rare', 'Super Rare', 'Epic', 'Mythic', 'Legendary', 'Ultra Legendary'];
+const BRAWLER_CLASSES = ['Damage Dealer', 'Tank', 'Assassin', 'Marksman', 'Artillery', 'Controller', 'Support'];
+
+// Setup logger
+const logger = pino({
+  level: process.env.LOG_LEVEL || 'info',
+  transport: process.env.NODE_ENV === 'development' ? {
+    target: 'pino-pretty',
+    options: {
+      colorize: true
+    }
+  } : undefined
+});
+
+// In-memory copy of the catalog. Starts as the bundled file so the catalog is
+// usable before (or without) a database; loadCatalog replaces it with the stored one.
+let catalog = {
+  brawlers: bundledCatalog.brawlers,
+  gameModes: bundledCatalog.gameModes
+};
+
+// Bumped whenever the in-memory catalog changes, so dependants can rebuild caches
+let catalogVersion = 1;
+
+/**
+ * Get all brawlers
+ * @returns {Object[]} Brawler entries
+ */
+function getBrawlers() {
+  return catalog.brawlers;
+}
+
+/**
+ * Get all game modes
+ * @returns {Object[]} Game mode entries
+ */
+function getGameModes() {
+  return catalog.gameModes;
+}
+
+/**
+ * Get the names of all brawlers
+ * @returns {string[]} Brawler names
+ */
+function getBrawlerNames() {
+  return catalog.brawlers.map(brawler => brawler.name);
+}
+
+/**
+ * Get the names of all game modes
+ * @returns {string[]} Game mode names
+ */
+function getGameModeNames() {
+  return catalog.gameModes.map(mode => mode.name);
+}
+
+/**
+ * Get the version of the in-memory catalog
+ * @returns {number} Catalog version
+ */
+function getCatalogVersion() {
+  return catalogVersion;
+}
+
+/**
+ * Create a catalog validation error
+ * @param {string} message Error message
+ * @returns {Error} Error with a 400 status code
+ */
+function createValidationError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * Check that a value is an array of non-empty strings
+ * @param {*} value Value to check
+ * @returns {boolean} Whether the value is a string list
+ */
+function isStringList(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim() !== '');
+}
+
+/**
+ * Derive an image key from a name ("Mr. P" -> "mr-p")
+ * @param {string} name Brawler or game mode name
+ * @returns {string} Image key
+ */
+function toImageKey(name) {
+  return name.toLowerCase().replace(/&/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Validate and normalize a brawler entry
+ * @param {Object} data Brawler data
+ * @returns {Object} Brawler entry
+ */
+function validateBrawler(data) {
+  const { name, rarity, releaseDate, aliases = [], misspellings = [], ambiguous = false } = data || {};
+  const brawlerClass = data?.class;
+  
+  if (typeof name !== 'string' || name.trim() === '') {
+    throw createValidationError('name is required');
+  }
+  if (!BRAWLER_RARITIES.includes(rarity)) {
+    throw createValidationError(`rarity must be one of ${BRAWLER_RARITIES.join(', ')}`);
+  }
+  if (!BRAWLER_CLASSES.includes(brawlerClass)) {
+    throw createValidationError(`class must be one of ${BRAWLER_CLASSES.join(', ')}`);
+  }
+  if (releaseDate && !/^\d{4}-\d{2}(-\d{2})?$/.test(releaseDate)) {
+    throw createValidationError('releaseDate must be YYYY-MM or YYYY-MM-DD');
+  }
+  if (!isStringList(aliases) || !isStringList(misspellings)) {
+    throw createValidationError('aliases and misspellings must be lists of strings');
+  }
+  
+  return {
+    name: name.trim(),
+    rarity,
+    class: brawlerClass,
+    releaseDate: releaseDate || null,
+    aliases,
+    misspellings,
+    ambiguous: Boolean(ambiguous),
+    imageKey: data.imageKey || toImageKey(name)
+  };
+}
+
+/**
+ * Validate and normalize a game mode entry
+ * @param {Object} data Game mode data
+ * @returns {Object} Game mode entry
+ */
+function validateGameMode(data) {
+  const { name, type, mapPool = [], aliases = [], misspellings = [] } = data || {};
+  
+  if (typeof name !== 'string' || name.trim() === '') {
+    throw createValidationError('name is required');
+  }
+  if (typeof type !== 'string' || type.trim() === '') {
+    throw createValidationError('type is required (e.g. 3v3, Battle Royale)');
+  }
+  if (!isStringList(mapPool)) {
+    throw createValidationError('mapPool must be a list of map names');
+  }
+  if (!isStringList(aliases) || !isStringList(misspellings)) {
+    throw createValidationError('aliases and misspellings must be lists of strings');
+  }
+  
+  return {
+    name: name.trim(),
+    type: type.trim(),
+    mapPool,
+    aliases,
+    misspellings,
+    imageKey: data.imageKey || toImageKey(name)
+  };
+}
+
+/**
+ * Load the catalog from the database. Empty collections are seeded from the
+ * bundled file first. If the database is unavailable the bundled catalog stays in use.
+ * @returns {Promise<Object>} Number of brawlers and game modes loaded
+ */
+async function loadCatalog() {
+  try {
+    let [brawlers, gameModes] = await Promise.all([
+      dbService.getCatalogEntries('brawlers'),
+      dbService.getCatalogEntries('gameModes')
+    ]);
+    
+    if (brawlers.length === 0) {
+      await dbService.seedCatalogEntries('brawlers', bundledCatalog.brawlers);
+      brawlers = await dbService.getCatalogEntries('brawlers');
+    }
+    
+    if (gameModes.length === 0) {
+      await dbService.seedCatalogEntries('gameModes', bundledCatalog.gameModes);
+      gameModes = await dbService.getCatalogEntries('gameModes');
+    }
+    
+    catalog = { brawlers, gameModes };
+    catalogVersion++;
+    
+    logger.info({ brawlers: brawlers.length, gameModes: gameModes.length }, 'Catalog loaded');
+    return { brawlers: brawlers.length, gameModes: gameModes.length };
+  } catch (error) {
+    logger.error({ err: error }, 'Failed to load catalog, using the bundled catalog');
+    return { brawlers: catalog.brawlers.length, gameModes: catalog.gameModes.length };
+  }
+}
+
+/**
+ * Re-seed the catalog from the bundled file: restores bundled entries that were
+ * deleted and, with `overwrite`, undoes edits to them. Entries added by admins are kept.
+ * @param {boolean} overwrite Replace bundled entries that were edited
+ * @returns {Promise<Object>} Number of brawlers and game modes written
+ */
+async function seedCatalog(overwrite = false) {
+  const brawlers = await dbService.seedCatalogEntries('brawlers', bundledCatalog.brawlers, overwrite);
+  const gameModes = await dbService.seedCatalogEntries('gameModes', bundledCatalog.gameModes, overwrite);
+  
+  await loadCatalog();
+  return { brawlers, gameModes };
+}
+
+/**
+ * Add or update a brawler
+ * @param {Object} data Brawler data (name, rarity, class, releaseDate, aliases, misspellings, ambiguous, imageKey)
+ * @returns {Promise<Object>} Stored brawler
+ */
+async function saveBrawler(data) {
+  const brawler = await dbService.saveCatalogEntry('brawlers', validateBrawler(data));
+  await loadCatalog();
+  return brawler;
+}
+
+/**
+ * Remove a brawler
+ * @param {string} name Brawler name
+ * @returns {Promise<boolean>} Whether the brawler existed
+ */
+async function removeBrawler(name) {
+  const removed = await dbService.deleteCatalogEntry('brawlers', name);
+  if (removed) {
+    await loadCatalog();
+  }
+  return removed;
+}
+
+/**
+ * Add or update a game mode
+ * @param {Object} data Game mode data (name, type, mapPool, aliases, misspellings, imageKey)
+ * @returns {Promise<Object>} Stored game mode
+ */
+async function saveGameMode(data) {
+  const gameMode = await dbService.saveCatalogEntry('gameModes', validateGameMode(data));
+  await loadCatalog();
+  return gameMode;
+}
+
+/**
+ * Remove a game mode
+ * @param {string} name Game mode name
+ * @returns {Promise<boolean>} Whether the game mode existed
+ */
+async function removeGameMode(name) {
+  const removed = await dbService.deleteCatalogEntry('gameModes', name);
+  if (removed) {
+    await loadCatalog();
+  }
+  return removed;
+}
+
+module.exports = {
+  BRAWLER_RARITIES,
+  BRAWLER_CLASSES,
+  getBrawlers,
+  getGameModes,
+  getBrawlerNames,
+  getGameModeNames,
+  getCatalogVersion,
+  loadCatalog,
+  seedCatalog,
+  saveBrawler,
+  removeBrawler,
+  saveGameMode,
+  removeGameMode
+};
@@ -0,0 +1,33 @@
+// brawl-stars-catalog.test.js
+// Offline tests for the bundled brawler and game mode catalog
+
+const catalog = require('./brawl-stars-catalog');
+
+describe('bundled catalog', () => {
+  test('has unique names and complete brawler entries', () => {
+    const names = catalog.getBrawlerNames();
+    
+    expect(new Set(names).size).toBe(names.length);
+    for (const brawler of catalog.getBrawlers()) {
+      expect(catalog.BRAWLER_RARITIES).toContain(brawler.rarity);
+      expect(catalog.BRAWLER_CLASSES).toContain(brawler.class);
+      expect(brawler.imageKey).toMatch(/^[a-z0-9-]+$/);
+    }
+  });
+  
+  test('gives every game mode a type and map pool', () => {
+    for (const mode of catalog.getGameModes()) {
+      expect(mode.type).toEqual(expect.any(String));
+      expect(Array.isArray(mode.mapPool)).toBe(true);
+    }
+  });
+});
+
+describe('catalog edits', () => {
+  test('reject invalid entries before touching the database', async () => {
+    await expect(catalog.saveBrawler({ name: 'Nobody', rarity: 'Common', class: 'Tank' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(catalog.saveGameMode({ name: 'Soccer' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
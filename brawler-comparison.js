@@ -0,0 +1,216 @@
+// brawler-comparison.js
+// Gathers videos for each brawler in a comparison and lays them out side by side by game mode
+
+const pino = require('pino');
+const dbService = require('./database-service-improved');
+require('dotenv').config();
+
+// Brawlers compared at once
+const MIN_COMPARED_BRAWLERS = 2;
+const MAX_COMPARED_BRAWLERS = 3;
+
+// Videos fetched for each brawler, and shown for each brawler in each mode
+const VIDEOS_PER_BRAWLER = 12;
+const VIDEOS_PER_CELL = 3;
+
+// Game modes shown (requested modes first, then the best covered)
+const MAX_MODES = 4;
+
+// Setup logger
+const logger = pino({
+  level: process.env.LOG_LEVEL || 'info',
+  transport: process.env.NODE_ENV === 'development' ? {
+    target: 'pino-pretty',
+    options: {
+      colorize: true
+    }
+  } : undefined
+});
+
+/**
+ * Check whether search parameters ask for a comparison
+ * @param {Object} searchParams Search parameters (intent, brawlers)
+ * @returns {boolean} Whether to compare brawlers
+ */
+function isComparisonRequest(searchParams) {
+  return searchParams.intent === 'comparison' && searchParams.brawlers.length >= MIN_COMPARED_BRAWLERS;
+}
+
+/**
+ * Lay out each brawler's videos by game mode. Videos without a game mode are
+ * grouped under a null mode, shown last.
+ * @param {string[]} brawlers Brawlers compared
+ * @param {string[]} gameModes Requested game modes (may be empty)
+ * @param {Object} videosByBrawler Videos found for each brawler, best first
+ * @returns {Object} Comparison as { brawlers, gameModes, modes: [{ gameMode, sides: [{ brawler, videos }] }], videoCount }
+ */
+function buildComparison(brawlers, gameModes, videosByBrawler) {
+  const coverage = new Map();
+  
+  for (const brawler of brawlers) {
+    for (const video of videosByBrawler[brawler] || []) {
+      const modes = video.gameModes && video.gameModes.length > 0 ? video.gameModes : [null];
+      for (const gameMode of modes) {
+        coverage.set(gameMode, (coverage.get(gameMode) || 0) + 1);
+      }
+    }
+  }
+  
+  // Requested modes always get a row; others are ranked by how many videos cover them
+  const ranked = [...coverage.keys()]
+    .filter(gameMode => gameMode !== null && !gameModes.includes(gameMode))
+    .sort((a, b) => coverage.get(b) - coverage.get(a));
+  const shown = [...gameModes, ...ranked].slice(0, MAX_MODES);
+  if (coverage.has(null) && shown.length < MAX_MODES) {
+    shown.push(null);
+  }
+  
+  const modes = shown.map(gameMode => ({
+    gameMode,
+    sides: brawlers.map(brawler => ({
+      brawler,
+      videos: (videosByBrawler[brawler] || [])
+        .filter(video => (gameMode === null
+          ? !video.gameModes || video.gameModes.length === 0
+          : (video.gameModes || []).includes(gameMode)))
+        .slice(0, VIDEOS_PER_CELL)
+    }))
+  }));
+  
+  const videoIds = new Set(brawlers.flatMap(brawler => (videosByBrawler[brawler] || []).map(video => video.youtubeId)));
+  
+  return { brawlers, gameModes, modes, videoCount: videoIds.size };
+}
+
+/**
+ * Get every video shown in a comparison, once each
+ * @param {Object} comparison Comparison from buildComparison
+ * @returns {Object[]} Videos in the order they appear
+ */
+function getComparisonVideos(comparison) {
+  const videos = new Map();
+  
+  for (const mode of comparison.modes) {
+    for (const side of mode.sides) {
+      for (const video of side.videos) {
+        if (!videos.has(video.youtubeId)) {
+          videos.set(video.youtubeId, video);
+        }
+      }
+    }
+  }
+  
+  return [...videos.values()];
+}
+
+/**
+ * Check a model's summary of a comparison: claims must be about a compared
+ * brawler and a shown mode, and cite videos from that brawler's side. Unknown
+ * videos are dropped, and claims left with none are dropped too.
+ * @param {Object|null} raw Parsed model output ({ summary, claims })
+ * @param {Object} comparison Comparison from buildComparison
+ * @returns {Object|null} { summary, claims }, or null if there is no summary
+ */
+function validateComparisonSummary(raw, comparison) {
+  if (!raw || typeof raw.summary !== 'string' || raw.summary.trim() === '') {
+    return null;
+  }
+  
+  const claims = (Array.isArray(raw.claims) ? raw.claims : [])
+    .map(claim => {
+      if (!claim || typeof claim !== 'object') {
+        return null;
+      }
+      
+      const mode = comparison.modes.find(candidate => candidate.gameMode === (claim.gameMode || null));
+      const side = mode && mode.sides.find(candidate => candidate.brawler === claim.brawler);
+      if (!side || typeof claim.text !== 'string' || claim.text.trim() === '') {
+        return null;
+      }
+      
+      const known = new Set(side.videos.map(video => video.youtubeId));
+      const videos = (Array.isArray(claim.videos) ? claim.videos : []).filter(id => known.has(id));
+      
+      return videos.length > 0
+        ? { brawler: side.brawler, gameMode: mode.gameMode, text: claim.text.trim(), videos: [...new Set(videos)] }
+        : null;
+    })
+    .filter(Boolean);
+  
+  return { summary: raw.summary.trim(), claims };
+}
+
+/**
+ * Summarize a comparison from the videos alone: how well each brawler is
+ * covered in each mode, citing the most watched video
+ * @param {Object} comparison Comparison from buildComparison
+ * @returns {Object} { summary, claims }
+ */
+function buildFallbackSummary(comparison) {
+  const claims = [];
+  
+  for (const mode of comparison.modes) {
+    for (const side of mode.sides) {
+      if (side.videos.length === 0) continue;
+      
+      const top = [...side.videos].sort((a, b) => (b.viewCount || 0) - (a.viewCount || 0))[0];
+      const where = mode.gameMode ? `in ${mode.gameMode}` : 'in general';
+      claims.push({
+        brawler: side.brawler,
+        gameMode: mode.gameMode,
+        text: `Creators cover ${side.brawler} ${where}; start with "${top.title}" by ${top.creator?.name || 'an unknown creator'}.`,
+        videos: [top.youtubeId]
+      });
+    }
+  }
+  
+  const names = comparison.brawlers.join(' and ');
+  const where = comparison.gameModes.length > 0 ? ` in ${comparison.gameModes.join(' and ')}` : '';
+  const summary = comparison.videoCount > 0
+    ? `Here's how ${names} compare${where}, based on ${comparison.videoCount} video${comparison.videoCount === 1 ? '' : 's'}.`
+    : `I couldn't find videos comparing ${names}${where}.`;
+  
+  return { summary, claims };
+}
+
+/**
+ * Gather videos for each brawler and lay them out by game mode. A brawler with
+ * no videos in the requested modes falls back to videos in any mode.
+ * @param {string[]} brawlers Brawlers to compare
+ * @param {string[]} gameModes Game modes to focus on (may be empty)
+ * @returns {Promise<Object>} Comparison (see buildComparison)
+ */
+async function gatherComparison(brawlers, gameModes = []) {
+  const videosByBrawler = {};
+  
+  for (const brawler of brawlers.slice(0, MAX_COMPARED_BRAWLERS)) {
+    const search = modes => dbService.searchVideos({
+      brawlers: [brawler],
+      gameModes: modes,
+      sortBy: 'popular',
+      limit: VIDEOS_PER_BRAWLER
+    });
+    
+    let { videos } = await search(gameModes);
+    if (videos.length === 0 && gameModes.length > 0) {
+      ({ videos } = await search([]));
+    }
+    videosByBrawler[brawler] = videos;
+  }
+  
+  const comparison = buildComparison(brawlers.slice(0, MAX_COMPARED_BRAWLERS), gameModes, videosByBrawler);
+  logger.debug({ brawlers, gameModes, videoCount: comparison.videoCount }, 'Gathered comparison videos');
+  
+  return comparison;
+}
+
+module.exports = {
+  MIN_COMPARED_BRAWLERS,
+  MAX_COMPARED_BRAWLERS,
+  isComparisonRequest,
+  buildComparison,
+  getComparisonVideos,
+  validateComparisonSummary,
+  buildFallbackSummary,
+  gatherComparison
+};
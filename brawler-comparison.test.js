@@ -0,0 +1,87 @@
+// brawler-comparison.test.js
+// Tests for laying out compared brawlers by game mode and checking summary claims
+
+const {
+  isComparisonRequest,
+  buildComparison,
+  getComparisonVideos,
+  validateComparisonSummary,
+  buildFallbackSummary
+} = require('./brawler-comparison');
+
+const video = (youtubeId, gameModes, viewCount = 1000) => ({
+  youtubeId,
+  title: `Video ${youtubeId}`,
+  creator: { name: 'Coach' },
+  gameModes,
+  viewCount
+});
+
+const videosByBrawler = {
+  Shelly: [video('s1', ['Showdown'], 5000), video('s2', ['Showdown', 'Gem Grab']), video('s3', [])],
+  Bull: [video('b1', ['Showdown'], 9000), video('b2', ['Heist'])]
+};
+
+describe('isComparisonRequest', () => {
+  test('needs the comparison intent and at least two brawlers', () => {
+    expect(isComparisonRequest({ intent: 'comparison', brawlers: ['Shelly', 'Bull'] })).toBe(true);
+    expect(isComparisonRequest({ intent: 'comparison', brawlers: ['Shelly'] })).toBe(false);
+    expect(isComparisonRequest({ intent: 'specific', brawlers: ['Shelly', 'Bull'] })).toBe(false);
+  });
+});
+
+describe('buildComparison', () => {
+  test('puts requested modes first, then the best covered, then videos without a mode', () => {
+    const comparison = buildComparison(['Shelly', 'Bull'], ['Heist'], videosByBrawler);
+    
+    expect(comparison.modes.map(mode => mode.gameMode)).toEqual(['Heist', 'Showdown', 'Gem Grab', null]);
+    expect(comparison.modes[1].sides).toEqual([
+      { brawler: 'Shelly', videos: [videosByBrawler.Shelly[0], videosByBrawler.Shelly[1]] },
+      { brawler: 'Bull', videos: [videosByBrawler.Bull[0]] }
+    ]);
+    expect(comparison.modes[0].sides[0].videos).toEqual([]);
+    expect(comparison.videoCount).toBe(5);
+    expect(getComparisonVideos(comparison).map(item => item.youtubeId)).toEqual(['b2', 's1', 's2', 'b1', 's3']);
+  });
+});
+
+describe('validateComparisonSummary', () => {
+  const comparison = buildComparison(['Shelly', 'Bull'], ['Showdown'], videosByBrawler);
+  
+  test('keeps claims backed by the brawler\'s own videos in that mode', () => {
+    const summary = validateComparisonSummary({
+      summary: ' Both work. ',
+      claims: [
+        { brawler: 'Shelly', gameMode: 'Showdown', text: 'Shelly is safe.', videos: ['s1', 'b1', 'zzz'] },
+        { brawler: 'Bull', gameMode: 'Showdown', text: 'Bull needs bushes.', videos: ['s1'] },
+        { brawler: 'Colt', gameMode: 'Showdown', text: 'Colt is not compared.', videos: ['s1'] },
+        { brawler: 'Shelly', gameMode: null, text: 'Shelly in general.', videos: ['s3'] }
+      ]
+    }, comparison);
+    
+    expect(summary).toEqual({
+      summary: 'Both work.',
+      claims: [
+        { brawler: 'Shelly', gameMode: 'Showdown', text: 'Shelly is safe.', videos: ['s1'] },
+        { brawler: 'Shelly', gameMode: null, text: 'Shelly in general.', videos: ['s3'] }
+      ]
+    });
+  });
+  
+  test('returns null without a summary', () => {
+    expect(validateComparisonSummary({ claims: [] }, comparison)).toBeNull();
+    expect(validateComparisonSummary(null, comparison)).toBeNull();
+  });
+});
+
+describe('buildFallbackSummary', () => {
+  test('cites the most watched video for each brawler in each mode', () => {
+    const comparison = buildComparison(['Shelly', 'Bull'], ['Showdown'], videosByBrawler);
+    const { summary, claims } = buildFallbackSummary(comparison);
+    
+    expect(summary).toBe("Here's how Shelly and Bull compare in Showdown, based on 5 videos.");
+    expect(claims[0]).toMatchObject({ brawler: 'Shelly', gameMode: 'Showdown', videos: ['s1'] });
+    expect(claims[1]).toMatchObject({ brawler: 'Bull', gameMode: 'Showdown', videos: ['b1'] });
+    expect(validateComparisonSummary({ summary, claims }, comparison).claims).toEqual(claims);
+  });
+});
@@ -0,0 +1,144 @@
+// chapter-parser.js
+// Parses YouTube-style chapter lists ("0:00 Intro") out of descriptions and comments
+
+const { classifyVideo } = require('./content-classifier');
+
+// A list needs at least this many entries to count as chapters
+const MIN_CHAPTERS = 2;
+
+// Longest chapter title kept
+const MAX_TITLE_LENGTH = 100;
+
+// A timestamp (h:mm:ss or m:ss, optionally bracketed) at the start or end of a line
+const LEADING_TIMESTAMP = /^\s*(?:[-*•▶►]\s*)?[([]?((?:\d{1,2}:)?\d{1,2}:\d{2})[)\]]?\s*(?:[-–—|:.)]\s*)?(.*)$/;
+const TRAILING_TIMESTAMP = /^(.*?)\s*(?:[-–—|:]\s*)?[([]?((?:\d{1,2}:)?\d{1,2}:\d{2})[)\]]?\s*$/;
+
+/**
+ * Convert a timestamp ("1:02:33", "4:05") to seconds
+ * @param {string} timestamp Timestamp
+ * @returns {number|null} Seconds, or null if a field is out of range
+ */
+function timestampToSeconds(timestamp) {
+  const parts = timestamp.split(':').map(part => parseInt(part));
+  const [seconds, minutes, hours = 0] = parts.reverse();
+  
+  if (seconds > 59 || (parts.length === 3 && minutes > 59)) {
+    return null;
+  }
+  
+  return hours * 3600 + minutes * 60 + seconds;
+}
+
+/**
+ * Parse one line of text into a chapter
+ * @param {string} line Line of text
+ * @returns {Object|null} Chapter as { time, title }, or null if the line isn't one
+ */
+function parseChapterLine(line) {
+  let timestamp;
+  let title;
+  
+  const leading = LEADING_TIMESTAMP.exec(line);
+  if (leading) {
+    [, timestamp, title] = leading;
+  } else {
+    const trailing = TRAILING_TIMESTAMP.exec(line);
+    if (!trailing || !trailing[1].trim()) {
+      return null;
+    }
+    [, title, timestamp] = trailing;
+  }
+  
+  const time = timestampToSeconds(timestamp);
+  if (time === null) {
+    return null;
+  }
+  
+  return {
+    time,
+    title: title.trim().replace(/\s+/g, ' ').slice(0, MAX_TITLE_LENGTH)
+  };
+}
+
+/**
+ * Parse a chapter list from a block of text. The longest run of chapter lines
+ * in ascending order wins, so stray timestamps elsewhere in a description
+ * ("at 3:20 I get the triple kill") don't break the list.
+ * @param {string} text Description or comment text
+ * @param {Object} options Parse options
+ * @param {number} options.duration Video duration in seconds; later chapters are dropped
+ * @param {Object[]} options.segments Transcript segments, used to tag chapters by what is said in them
+ * @returns {Object[]} Chapters as { time, title, brawlers, gameModes }
+ */
+function parseChapters(text, options = {}) {
+  const { duration, segments = [] } = options;
+  const runs = [];
+  let current = [];
+  
+  for (const line of String(text || '').split(/\r?\n/)) {
+    const chapter = parseChapterLine(line);
+    
+    if (!chapter) {
+      // Blank lines may separate chapters; anything else ends the list
+      if (line.trim() && current.length > 0) {
+        runs.push(current);
+        current = [];
+      }
+      continue;
+    }
+    
+    if (current.length > 0 && chapter.time <= current[current.length - 1].time) {
+      runs.push(current);
+      current = [];
+    }
+    
+    current.push(chapter);
+  }
+  runs.push(current);
+  
+  const chapters = runs
+    .reduce((longest, run) => run.length > longest.length ? run : longest, [])
+    .filter(chapter => !duration || chapter.time < duration);
+  
+  if (chapters.length < MIN_CHAPTERS) {
+    return [];
+  }
+  
+  return chapters.map((chapter, index) => {
+    const end = index + 1 < chapters.length ? chapters[index + 1].time : Infinity;
+    const spoken = segments
+      .filter(segment => segment.start >= chapter.time && segment.start < end)
+      .map(segment => segment.text)
+      .join(' ');
+    
+    // What is said during a chapter counts as its description
+    const { brawlers, gameModes } = classifyVideo({ title: chapter.title, description: spoken });
+    return { ...chapter, brawlers, gameModes };
+  });
+}
+
+/**
+ * Find a chapter list in a video's description, falling back to other text
+ * (such as the creator's pinned comment)
+ * @param {Object} video Video document (description, duration, transcriptSegments)
+ * @param {string[]} extraTexts Other text to search, in order of preference
+ * @returns {Object[]} Chapters
+ */
+function extractChapters(video, extraTexts = []) {
+  for (const text of [video.description, ...extraTexts]) {
+    const chapters = parseChapters(text, {
+      duration: video.duration,
+      segments: video.transcriptSegments
+    });
+    if (chapters.length > 0) {
+      return chapters;
+    }
+  }
+  
+  return [];
+}
+
+module.exports = {
+  parseChapters,
+  extractChapters
+};
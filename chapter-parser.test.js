@@ -0,0 +1,82 @@
+// chapter-parser.test.js
+// Offline tests for the chapter parser
+
+const { parseChapters, extractChapters } = require('./chapter-parser');
+
+describe('parseChapters', () => {
+  test('parses common chapter line formats', () => {
+    const chapters = parseChapters([
+      '0:00 Intro',
+      '(1:15) First match',
+      '[4:05] - Second match',
+      '12:40 | Trophy count',
+      '1:02:33 – Final push'
+    ].join('\n'));
+    
+    expect(chapters.map(chapter => chapter.time)).toEqual([0, 75, 245, 760, 3753]);
+    expect(chapters.map(chapter => chapter.title)).toEqual([
+      'Intro', 'First match', 'Second match', 'Trophy count', 'Final push'
+    ]);
+  });
+  
+  test('parses timestamps at the end of a line', () => {
+    const chapters = parseChapters('Intro - 0:00\nGameplay (2:30)');
+    
+    expect(chapters).toMatchObject([{ time: 0, title: 'Intro' }, { time: 150, title: 'Gameplay' }]);
+  });
+  
+  test('picks the chapter list out of a longer description', () => {
+    const description = [
+      'My best Mortis games of the season!',
+      '',
+      'Chapters:',
+      '0:00 Intro',
+      '2:10 Gem Grab',
+      '',
+      '5:45 Showdown',
+      '',
+      'At 3:20 I almost lose it all',
+      'Follow me on Twitter'
+    ].join('\n');
+    
+    expect(parseChapters(description).map(chapter => chapter.title)).toEqual(['Intro', 'Gem Grab', 'Showdown']);
+  });
+  
+  test('tags chapters with the brawler or mode they mention', () => {
+    const chapters = parseChapters('0:00 El Primo in Brawl Ball\n3:00 Heist with Colt');
+    
+    expect(chapters[0]).toMatchObject({ brawlers: ['El Primo'], gameModes: ['Brawl Ball'] });
+    expect(chapters[1]).toMatchObject({ brawlers: ['Colt'], gameModes: ['Heist'] });
+  });
+  
+  test('ignores single timestamps, invalid times and chapters past the end', () => {
+    expect(parseChapters('Best play at 3:20')).toEqual([]);
+    expect(parseChapters('0:00 Intro\n1:75 Broken')).toEqual([]);
+    expect(parseChapters('0:00 Intro\n1:00 Match\n9:00 Outro', { duration: 300 })).toHaveLength(2);
+  });
+});
+
+describe('extractChapters', () => {
+  test('tags chapters with what is said during them', () => {
+    const video = {
+      description: '0:00 Intro\n1:00 Match one\n3:00 Match two',
+      transcriptSegments: [
+        { start: 5, end: 8, text: 'welcome back' },
+        { start: 65, end: 70, text: 'I am playing Mortis here' },
+        { start: 190, end: 195, text: 'now some Heist' }
+      ]
+    };
+    const chapters = extractChapters(video);
+    
+    expect(chapters[0]).toMatchObject({ brawlers: [], gameModes: [] });
+    expect(chapters[1]).toMatchObject({ brawlers: ['Mortis'], gameModes: [] });
+    expect(chapters[2]).toMatchObject({ brawlers: [], gameModes: ['Heist'] });
+  });
+  
+  test('falls back to other text when the description has no chapters', () => {
+    const video = { description: 'Thanks for watching', duration: 600 };
+    const chapters = extractChapters(video, ['Chapters\n0:00 Start\n4:00 Ranked']);
+    
+    expect(chapters.map(chapter => chapter.title)).toEqual(['Start', 'Ranked']);
+  });
+});
@@ -0,0 +1,196 @@
+// clarifier.js
+// Detects underspecified searches and builds clarifying questions with quick replies
+
+const { normalizeText } = require('./content-classifier');
+
+// Messages that need a brawler to make sense ("best build", "which gadget")
+const BRAWLER_TOPIC_PATTERN = /\b(builds?|gadgets?|star ?powers?|gears?|hypercharges?|loadouts?|counters?|matchups?|my (brawler|main))\b/;
+
+// Messages that refer to a game mode without naming one ("help with my mode")
+const GAME_MODE_TOPIC_PATTERN = /\b(my|this|that|the) (game )?(mode|event)\b/;
+
+// Most quick replies offered for one question
+const MAX_OPTIONS = 4;
+
+// Filters a no-results clarification can offer to drop, with their empty values
+const DROPPABLE_FILTERS = [
+  { field: 'brawlers', empty: [], label: 'Any brawler' },
+  { field: 'gameModes', empty: [], label: 'Any game mode' },
+  { field: 'contentType', empty: [], label: 'Any kind of video' },
+  { field: 'skillLevel', empty: '', label: 'Any skill level' }
+];
+
+/**
+ * Find the entity a message asks about without naming it
+ * @param {string} message User's message
+ * @param {Object} searchParams Extracted search parameters
+ * @param {string[]} asked Fields already asked about for this search (never asked twice)
+ * @returns {string|null} Missing field (brawlers or gameModes), or null
+ */
+function findMissingEntity(message, searchParams, asked = []) {
+  const text = normalizeText(message);
+  
+  if (!asked.includes('brawlers') && searchParams.brawlers.length === 0 && BRAWLER_TOPIC_PATTERN.test(text)) {
+    return 'brawlers';
+  }
+  if (!asked.includes('gameModes') && searchParams.gameModes.length === 0 && GAME_MODE_TOPIC_PATTERN.test(text)) {
+    return 'gameModes';
+  }
+  
+  return null;
+}
+
+/**
+ * Number quick replies; a quick reply carries the change it makes to the pending search
+ * @param {Object[]} options Options as { label, patch }
+ * @returns {Object[]} Options as { id, label, patch }
+ */
+function numberOptions(options) {
+  return options.slice(0, MAX_OPTIONS).map((option, index) => ({ id: String(index + 1), ...option }));
+}
+
+/**
+ * Build a clarification asking which brawler or game mode the user means
+ * @param {string} field Missing field (brawlers or gameModes)
+ * @param {string[]} names Names to offer, most likely first
+ * @param {Object} searchParams Pending search parameters
+ * @param {string[]} asked Fields already asked about for this search
+ * @returns {Object} Clarification
+ */
+function buildEntityClarification(field, names, searchParams, asked = []) {
+  const question = field === 'brawlers'
+    ? 'Which brawler is this for?'
+    : 'Which game mode are you playing?';
+  
+  return {
+    reason: field === 'brawlers' ? 'missing_brawler' : 'missing_game_mode',
+    field,
+    question,
+    options: numberOptions([...new Set(names)].map(name => ({ label: name, patch: { [field]: [name] } }))),
+    searchParams,
+    asked: [...asked, field]
+  };
+}
+
+/**
+ * Build a clarification for a search that found nothing. If the brawler and
+ * game mode each have videos but not together, they conflict and the user
+ * picks one; otherwise the user picks a filter to drop.
+ * @param {Object} searchParams Pending search parameters
+ * @param {Object} counts Video counts for the brawlers alone and the game modes alone
+ * @param {number} counts.brawlers Videos matching only the brawlers
+ * @param {number} counts.gameModes Videos matching only the game modes
+ * @param {string[]} asked Fields already asked about for this search
+ * @returns {Object|null} Clarification, or null if there is no filter to drop
+ */
+function buildNoResultsClarification(searchParams, counts = {}, asked = []) {
+  const { brawlers, gameModes } = searchParams;
+  
+  if (brawlers.length > 0 && gameModes.length > 0 && counts.brawlers > 0 && counts.gameModes > 0) {
+    return {
+      reason: 'conflict',
+      field: null,
+      question: `I couldn't find any ${brawlers.join(' or ')} videos for ${gameModes.join(' or ')}. Which would help more?`,
+      options: numberOptions([
+        { label: `${brawlers.join(' or ')} in any mode`, patch: { gameModes: [] } },
+        { label: `Other brawlers in ${gameModes.join(' or ')}`, patch: { brawlers: [] } }
+      ]),
+      searchParams,
+      asked: [...asked, 'results']
+    };
+  }
+  
+  const active = DROPPABLE_FILTERS.filter(({ field }) => (
+    Array.isArray(searchParams[field]) ? searchParams[field].length > 0 : Boolean(searchParams[field])
+  ));
+  if (active.length === 0) {
+    return null;
+  }
+  
+  // With several filters, the last button drops them all
+  const options = active
+    .slice(0, MAX_OPTIONS - 1)
+    .map(({ field, empty, label }) => ({ label, patch: { [field]: empty } }));
+  if (active.length > 1) {
+    options.push({
+      label: 'Drop all filters',
+      patch: Object.fromEntries(active.map(({ field, empty }) => [field, empty]))
+    });
+  }
+  
+  return {
+    reason: 'no_results',
+    field: null,
+    question: "I couldn't find videos matching all of that. Which filter should I drop?",
+    options: numberOptions(options),
+    searchParams,
+    asked: [...asked, 'results']
+  };
+}
+
+/**
+ * Merge the answer to a clarifying question into the pending search. A quick
+ * reply applies its own change. A typed answer only counts as an answer when it
+ * names what was asked (a brawler for "which brawler?"); it then contributes the
+ * brawlers, game modes, content types and skill level found in it.
+ * @param {Object} pending Clarification from the previous turn
+ * @param {Object} answerParams Search parameters extracted from the answer (not needed for quick replies)
+ * @param {string} quickReply ID of the chosen quick reply, if any
+ * @returns {Object|null} Merged search parameters, or null if the answer doesn't
+ * answer the question (the clarification is then dropped and the message treated
+ * as a new request)
+ */
+function applyClarificationAnswer(pending, answerParams = null, quickReply = null) {
+  const option = quickReply ? pending.options.find(candidate => candidate.id === String(quickReply)) : null;
+  let patch = option ? option.patch : {};
+  
+  if (!option && answerParams && pending.field && answerParams[pending.field]?.length > 0) {
+    patch = Object.fromEntries(DROPPABLE_FILTERS
+      .map(({ field }) => [field, answerParams[field]])
+      .filter(([, value]) => (Array.isArray(value) ? value.length > 0 : Boolean(value))));
+  }
+  
+  if (Object.keys(patch).length === 0) {
+    return null;
+  }
+  
+  // Names the user added become part of the text query as well
+  const { query } = pending.searchParams;
+  const added = [...(patch.brawlers || []), ...(patch.gameModes || [])]
+    .filter(name => !normalizeText(query).includes(normalizeText(name)));
+  
+  return {
+    ...pending.searchParams,
+    ...patch,
+    query: [query, ...added].join(' ').trim(),
+    fieldSources: {
+      ...pending.searchParams.fieldSources,
+      ...Object.fromEntries(Object.keys(patch).map(field => [field, 'clarification']))
+    }
+  };
+}
+
+/**
+ * List the fields not to ask about again once a clarification is answered: those
+ * asked before, plus filters the chosen quick reply dropped ("Other brawlers",
+ * "Drop all filters"), since the user declined to narrow them down
+ * @param {Object} pending Clarification from the previous turn
+ * @param {string} quickReply ID of the chosen quick reply, if any
+ * @returns {string[]} Fields asked about or declined for this search
+ */
+function getAskedFields(pending, quickReply = null) {
+  const option = quickReply ? pending.options.find(candidate => candidate.id === String(quickReply)) : null;
+  const declined = Object.entries(option ? option.patch : {})
+    .filter(([, value]) => (Array.isArray(value) ? value.length === 0 : !value))
+    .map(([field]) => field);
+  
+  return [...new Set([...pending.asked, ...declined])];
+}
+
+module.exports = {
+  findMissingEntity,
+  buildEntityClarification,
+  buildNoResultsClarification,
+  applyClarificationAnswer,
+  getAskedFields
+};
@@ -0,0 +1,105 @@
+// clarifier.test.js
+// Tests for spotting underspecified searches and merging the answers to clarifying questions
+
+const {
+  findMissingEntity,
+  buildEntityClarification,
+  buildNoResultsClarification,
+  applyClarificationAnswer,
+  getAskedFields
+} = require('./clarifier');
+
+const params = (overrides = {}) => ({
+  query: 'best build',
+  brawlers: [],
+  gameModes: [],
+  contentType: [],
+  skillLevel: '',
+  sortBy: 'relevance',
+  intent: 'general',
+  fieldSources: {},
+  ...overrides
+});
+
+describe('findMissingEntity', () => {
+  test('asks for a brawler when a build is asked for without one', () => {
+    expect(findMissingEntity('best build?', params())).toBe('brawlers');
+    expect(findMissingEntity('best build for spike', params({ brawlers: ['Spike'] }))).toBeNull();
+  });
+  
+  test('asks for a game mode when the message only says "my mode"', () => {
+    expect(findMissingEntity('help with my mode', params())).toBe('gameModes');
+    expect(findMissingEntity('help with my mode', params({ gameModes: ['Heist'] }))).toBeNull();
+  });
+  
+  test('never asks about the same field twice', () => {
+    expect(findMissingEntity('best build', params(), ['brawlers'])).toBeNull();
+  });
+});
+
+describe('buildNoResultsClarification', () => {
+  test('offers to drop each filter, then all of them', () => {
+    const clarification = buildNoResultsClarification(params({ contentType: ['tutorial'], skillLevel: 'pro' }));
+    
+    expect(clarification.reason).toBe('no_results');
+    expect(clarification.options.map(option => option.label)).toEqual(['Any kind of video', 'Any skill level', 'Drop all filters']);
+    expect(clarification.options[2].patch).toEqual({ contentType: [], skillLevel: '' });
+    expect(clarification.asked).toEqual(['results']);
+  });
+  
+  test('returns null when there is no filter to drop', () => {
+    expect(buildNoResultsClarification(params())).toBeNull();
+  });
+});
+
+describe('applyClarificationAnswer', () => {
+  const pending = buildEntityClarification('brawlers', ['Spike', 'Mortis', 'Spike'], params());
+  
+  test('applies a quick reply and adds the name to the query', () => {
+    expect(pending.options.map(option => option.label)).toEqual(['Spike', 'Mortis']);
+    
+    const merged = applyClarificationAnswer(pending, null, '2');
+    
+    expect(merged).toMatchObject({ query: 'best build Mortis', brawlers: ['Mortis'] });
+    expect(merged.fieldSources.brawlers).toBe('clarification');
+  });
+  
+  test('takes entities from a typed answer', () => {
+    const merged = applyClarificationAnswer(pending, params({ query: 'colt heist', brawlers: ['Colt'], gameModes: ['Heist'] }));
+    
+    expect(merged).toMatchObject({ query: 'best build Colt Heist', brawlers: ['Colt'], gameModes: ['Heist'] });
+  });
+  
+  test('returns null for an answer that names nothing', () => {
+    expect(applyClarificationAnswer(pending, params({ query: 'never mind' }))).toBeNull();
+  });
+  
+  test('returns null for a typed answer that doesn\'t name what was asked', () => {
+    const noResults = buildNoResultsClarification(params({ brawlers: ['Spike'], gameModes: ['Heist'] }));
+    
+    expect(applyClarificationAnswer(pending, params({ query: 'funny heist videos', gameModes: ['Heist'], contentType: ['entertainment'] }))).toBeNull();
+    expect(applyClarificationAnswer(noResults, params({ query: 'colt', brawlers: ['Colt'] }))).toBeNull();
+  });
+});
+
+describe('getAskedFields', () => {
+  test('records the filters a quick reply dropped so they aren\'t asked about again', () => {
+    const searchParams = params({ query: 'best build spike heist', brawlers: ['Spike'], gameModes: ['Heist'] });
+    const conflict = buildNoResultsClarification(searchParams, { brawlers: 3, gameModes: 5 });
+    const otherBrawlers = conflict.options.find(option => option.label === 'Other brawlers in Heist');
+    
+    const asked = getAskedFields(conflict, otherBrawlers.id);
+    const merged = applyClarificationAnswer(conflict, null, otherBrawlers.id);
+    
+    expect(asked).toEqual(['results', 'brawlers']);
+    expect(findMissingEntity('best build spike heist', merged, asked)).toBeNull();
+  });
+  
+  test('records every filter dropped by "Drop all filters"', () => {
+    const noResults = buildNoResultsClarification(params({ brawlers: ['Spike'], skillLevel: 'pro' }));
+    const dropAll = noResults.options.find(option => option.label === 'Drop all filters');
+    
+    expect(getAskedFields(noResults, dropAll.id)).toEqual(['results', 'brawlers', 'skillLevel']);
+    expect(getAskedFields(noResults)).toEqual(['results']);
+  });
+});
@@ -6,7 +6,7 @@ import {
   Search, Send, Mic, Smile, Filter, X, ChevronLeft, 
   ThumbsUp, ThumbsDown, Moon, Sun, Settings, Share, 
   ExternalLink, Grid, List, RefreshCw, Clock, Eye, 
-  Calendar, User, AlertTriangle, InfoIcon, CheckCircle
+  Calendar, User, AlertTriangle, InfoIcon, CheckCircle, Brain
 } from 'lucide-react';
 import Tippy from '@tippyjs/react';
 import 'tippy.js/dist/tippy.css';
@@ -58,6 +58,77 @@ api.interceptors.response.use(
   }
 );
 
+/**
+ * Send a message to the streaming conversation endpoint and report each
+ * Server-Sent Event (intent, results, token, clarification, actions, done,
+ * error) as it arrives
+ * @param {string} message User's message
+ * @param {Function} onEvent Called with (event, data) for each event
+ * @param {string} quickReply ID of the quick reply the message came from, if any
+ * @returns {Promise<void>} Resolves when the stream ends
+ */
+async function streamConversation(message, onEvent, quickReply = null) {
+  const response = await fetch(`${API_BASE_URL}/conversation/stream`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'text/event-stream'
+    },
+    body: JSON.stringify(quickReply ? { message, quickReply } : { message })
+  });
+  
+  if (!response.ok || !response.body) {
+    throw new Error(`Conversation stream failed with status ${response.status}`);
+  }
+  
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    
+    buffer += decoder.decode(value, { stream: true });
+    
+    // Events are separated by a blank line
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      
+      let event = 'message';
+      const data = [];
+      block.split('\n').forEach(line => {
+        if (line.startsWith('event:')) {
+          event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+          data.push(line.slice(5).trim());
+        }
+      });
+      
+      if (data.length > 0) {
+        onEvent(event, JSON.parse(data.join('\n')));
+      }
+    }
+  }
+}
+
+/**
+ * Describe search parameters while the reply is being written
+ * @param {Object} searchParams Search parameters from the intent event
+ * @returns {string} Status text
+ */
+function describeSearch(searchParams) {
+  const topics = [
+    ...(searchParams.brawlers || []),
+    ...(searchParams.gameModes || []),
+    ...(searchParams.contentType || [])
+  ];
+  
+  return topics.length > 0 ? `Searching for ${topics.join(', ')}...` : 'Searching...';
+}
+
 function App() {
   // State for messages and user interface
   const [messages, setMessages] = useState([]);
@@ -87,6 +158,7 @@ function App() {
     maxDuration: 0
   });
   const [showFilters, setShowFilters] = useState(false);
+  const [showMemory, setShowMemory] = useState(false);
   const [filterSearch, setFilterSearch] = useState('');
   const [viewMode, setViewMode] = useState(() => {
     return localStorage.getItem('viewMode') || 'grid';
@@ -99,6 +171,7 @@ function App() {
     preferredContentTypes: []
   });
   const [videoDetails, setVideoDetails] = useState(null);
+  const [playerStart, setPlayerStart] = useState(0);
   const [recommendations, setRecommendations] = useState([]);
   const [trendingBrawlers, setTrendingBrawlers] = useState([]);
   const [popularQueries, setPopularQueries] = useState([]);
@@ -294,54 +367,101 @@ const fetchFilters = async () => {
   }
 };
   
- // Handle sending a message
-const handleSendMessage = async (e) => {
+ // Handle sending a message (typed, or a quick reply to a clarifying question)
+const handleSendMessage = async (e, quickReply = null) => {
   e?.preventDefault();
   
-  if (!input.trim()) return;
+  const text = quickReply ? quickReply.label : input;
+  if (!text.trim()) return;
   
   // Add user message to chat
   const userMessage = {
     role: 'user',
-    content: input,
+    content: text,
     timestamp: new Date().toISOString()
   };
   
   setMessages(prev => [...prev, userMessage]);
-  setInput('');
+  if (!quickReply) setInput('');
   setLoading(true);
   
-  try {
-    // Send message to API
-    const response = await api.post('/conversation', {
-      message: userMessage.content
-    });
-    
-    // Add assistant message to chat
-    const assistantMessage = {
-      role: 'assistant',
-      content: response.data.message,
-      timestamp: new Date().toISOString(),
-      suggestedActions: response.data.suggestedActions || []
-    };
-    
-    setMessages(prev => [...prev, assistantMessage]);
-    
-    // Update search results
-    setSearchResults(response.data.results || []);
-    
-    // Update pagination
-    if (response.data.pagination) {
-      setPagination({
-        current: response.data.pagination.page,
-        total: response.data.pagination.pages,
-        limit: response.data.pagination.limit
-      });
+  // The assistant message is added on the first event and filled in as the
+  // stream arrives; streamId finds it again among the messages
+  const streamId = Date.now();
+  let started = false;
+  let finished = false;
+  const updateAssistantMessage = (update) => {
+    if (!started) {
+      started = true;
+      setProcessingMetrics(null);
+      setMessages(prev => [...prev, {
+        role: 'assistant',
+        content: '',
+        timestamp: new Date().toISOString(),
+        suggestedActions: [],
+        streamId,
+        streaming: true,
+        ...update(null)
+      }]);
+      return;
     }
     
-    // Update processing metrics
-    if (response.data.metrics) {
-      setProcessingMetrics(response.data.metrics);
+    setMessages(prev => prev.map(message => (
+      message.streamId === streamId ? { ...message, ...update(message) } : message
+    )));
+  };
+  
+  try {
+    // Send message to API and render each stage as it completes
+    await streamConversation(userMessage.content, (event, data) => {
+      if (event === 'intent') {
+        updateAssistantMessage(() => ({ status: describeSearch(data.searchParams) }));
+      } else if (event === 'results') {
+        // Update search results and pagination
+        setSearchResults(data.results || []);
+        if (data.pagination) {
+          setPagination({
+            current: data.pagination.page,
+            total: data.pagination.pages,
+            limit: data.pagination.limit
+          });
+        }
+        updateAssistantMessage(() => ({ status: `Found ${data.pagination?.total ?? data.results.length} videos` }));
+      } else if (event === 'token') {
+        updateAssistantMessage(message => ({ content: (message?.content || '') + data.text }));
+      } else if (event === 'citations') {
+        updateAssistantMessage(() => ({ citations: data.citations || [] }));
+      } else if (event === 'clarification') {
+        updateAssistantMessage(() => ({ quickReplies: data.clarification.options || [] }));
+      } else if (event === 'comparison') {
+        updateAssistantMessage(() => ({ comparison: data.comparison }));
+      } else if (event === 'actions') {
+        updateAssistantMessage(() => ({ suggestedActions: data.suggestedActions || [] }));
+      } else if (event === 'done') {
+        finished = true;
+        
+        // The final message replaces the streamed text
+        updateAssistantMessage(() => ({
+          content: data.message,
+          citations: data.citations || [],
+          suggestedActions: data.suggestedActions || [],
+          quickReplies: data.clarification?.options || [],
+          comparison: data.comparison || null,
+          streaming: false,
+          status: null
+        }));
+        
+        // Update processing metrics
+        if (data.metrics) {
+          setProcessingMetrics(data.metrics);
+        }
+      } else if (event === 'error') {
+        throw new Error(data.error);
+      }
+    }, quickReply?.id);
+    
+    if (!finished) {
+      throw new Error('Conversation stream ended before the response was complete');
     }
     
     // Update user preferences
@@ -349,14 +469,14 @@ const handleSendMessage = async (e) => {
   } catch (error) {
     console.error('Error sending message:', error);
     // Replace mock fallback with error message
-    const assistantMessage = {
+    const errorMessage = {
       role: 'assistant',
       content: "I'm sorry, I encountered a problem processing your message. Please try again.",
       timestamp: new Date().toISOString(),
       error: true
     };
     
-    setMessages(prev => [...prev, assistantMessage]);
+    setMessages(prev => [...prev.filter(message => message.streamId !== streamId), errorMessage]);
     showToast('Error processing message', 'error');
   } finally {
     setLoading(false);
@@ -396,7 +516,9 @@ const handleSendMessage = async (e) => {
           role: 'assistant',
           content: response.data.message,
           timestamp: new Date().toISOString(),
-          suggestedActions: response.data.suggestedActions || []
+          suggestedActions: response.data.suggestedActions || [],
+          quickReplies: response.data.clarification?.options || [],
+          comparison: response.data.comparison || null
         };
         
         setMessages(prev => [...prev, assistantMessage]);
@@ -587,10 +709,11 @@ const handleSendMessage = async (e) => {
   };
   
   // Fetch video details
-  const fetchVideoDetails = async (youtubeId) => {
+  const fetchVideoDetails = async (youtubeId, start = 0) => {
     try {
       setLoading(true);
       const response = await api.get(`/videos/${youtubeId}`);
+      setPlayerStart(start);
       setVideoDetails(response.data.video);
       
       // Scroll to top when viewing video details
@@ -687,6 +810,52 @@ const handleSendMessage = async (e) => {
     setShowFilters(!showFilters);
   };
   
+  // Forget what the assistant remembered about the user
+  const clearMemory = async () => {
+    try {
+      await api.delete('/memory');
+      setUserPreferences(prev => ({ ...prev, memory: null }));
+      showToast('Memory cleared', 'success');
+    } catch (error) {
+      console.error('Error clearing memory:', error);
+      showToast('Failed to clear memory', 'error');
+    }
+  };
+  
+  // Render what the assistant remembers: profile facts and the summary of earlier turns
+  const renderMemoryPanel = () => {
+    const memory = userPreferences.memory;
+    const profile = memory?.profile || {};
+    const facts = [
+      profile.mains?.length > 0 && ['Mains', profile.mains.join(', ')],
+      profile.trophies !== null && profile.trophies !== undefined && ['Trophies', formatNumber(profile.trophies)],
+      profile.favoriteModes?.length > 0 && ['Favorite modes', profile.favoriteModes.join(', ')],
+      ...(profile.notes || []).map(note => ['Note', note])
+    ].filter(Boolean);
+    
+    return (
+      <div className="memory-panel">
+        <h3>What I remember</h3>
+        
+        {facts.length === 0 && !memory?.summary ? (
+          <p className="text-muted">Nothing yet. Tell me about your mains, trophies or favorite modes.</p>
+        ) : (
+          <>
+            <ul className="memory-facts">
+              {facts.map(([label, value], factIndex) => (
+                <li key={factIndex}><strong>{label}:</strong> {value}</li>
+              ))}
+            </ul>
+            {memory?.summary && <p className="memory-summary">{memory.summary}</p>}
+            <button onClick={clearMemory} className="clear-filters-btn">
+              Forget all of this
+            </button>
+          </>
+        )}
+      </div>
+    );
+  };
+  
   // Handle filter changes
   const handleFilterChange = (filterType, value) => {
     setActiveFilters(prev => {
@@ -810,6 +979,101 @@ const handleSendMessage = async (e) => {
     }
   };
   
+  // Open a cited video at the cited moment
+  const openCitation = (citation) => {
+    const start = citation.start || 0;
+    
+    if (videoDetails && videoDetails.youtubeId === citation.youtubeId && videoPlayerRef.current) {
+      // Already open: seek the embedded player
+      const baseUrl = videoPlayerRef.current.src.split('?')[0];
+      videoPlayerRef.current.src = `${baseUrl}?autoplay=1&start=${start}`;
+    } else {
+      fetchVideoDetails(citation.youtubeId, start);
+    }
+  };
+  
+  // Render message text with [n] citation markers as links to the cited moments
+  const renderMessageContent = (message) => {
+    if (!message.citations || message.citations.length === 0) {
+      return message.content;
+    }
+    
+    return message.content.split(/(\[\d+\])/).map((part, partIndex) => {
+      const marker = part.match(/^\[(\d+)\]$/);
+      const citation = marker && message.citations.find(item => item.id === parseInt(marker[1]));
+      
+      if (!citation) {
+        return part;
+      }
+      
+      return (
+        <Tippy key={partIndex} content={`${citation.title}${citation.start !== null ? ` at ${formatDuration(citation.start)}` : ''}`}>
+          <button className="citation-link" onClick={() => openCitation(citation)}>
+            {part}
+          </button>
+        </Tippy>
+      );
+    });
+  };
+  
+  // Render a brawler comparison: one row per game mode, one column per brawler,
+  // each cell with its claims (linking their supporting videos) and top videos
+  const renderComparison = (comparison) => {
+    const titles = new Map(comparison.modes.flatMap(mode => (
+      mode.sides.flatMap(side => side.videos.map(video => [video.youtubeId, video.title]))
+    )));
+    
+    return (
+      <div className="comparison" style={{ '--comparison-columns': comparison.brawlers.length }}>
+        <div className="comparison-row comparison-header">
+          <div className="comparison-mode" />
+          {comparison.brawlers.map(brawler => (
+            <div key={brawler} className="comparison-brawler">{brawler}</div>
+          ))}
+        </div>
+        
+        {comparison.modes.map(mode => (
+          <div key={mode.gameMode || 'any'} className="comparison-row">
+            <div className="comparison-mode">{mode.gameMode || 'Any mode'}</div>
+            {mode.sides.map(side => (
+              <div key={side.brawler} className="comparison-cell">
+                {(comparison.claims || [])
+                  .filter(claim => claim.brawler === side.brawler && claim.gameMode === mode.gameMode)
+                  .map((claim, claimIndex) => (
+                    <p key={claimIndex} className="comparison-claim">
+                      {claim.text}
+                      {claim.videos.map(youtubeId => (
+                        <Tippy key={youtubeId} content={titles.get(youtubeId) || youtubeId}>
+                          <button className="citation-link" onClick={() => fetchVideoDetails(youtubeId)}>
+                            <Eye size={12} />
+                          </button>
+                        </Tippy>
+                      ))}
+                    </p>
+                  ))}
+                
+                {side.videos.length > 0 ? (
+                  <ul className="comparison-videos">
+                    {side.videos.map(video => (
+                      <li key={video.youtubeId}>
+                        <button className="comparison-video" onClick={() => fetchVideoDetails(video.youtubeId)}>
+                          {video.title}
+                        </button>
+                        <small className="text-muted"> {formatNumber(video.viewCount || 0)} views</small>
+                      </li>
+                    ))}
+                  </ul>
+                ) : (
+                  <small className="text-muted">No videos yet</small>
+                )}
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+    );
+  };
+  
   // Render a message
   const renderMessage = (message, index) => {
     return (
@@ -834,7 +1098,13 @@ const handleSendMessage = async (e) => {
         </div>
         
         <div className="message-content">
-          {message.content}
+          {renderMessageContent(message)}
+          
+          {message.comparison && renderComparison(message.comparison)}
+          
+          {message.streaming && message.status && !message.content && (
+            <small className="text-muted message-status">{message.status}</small>
+          )}
           
           {processingMetrics && index === messages.length - 1 && message.role === 'assistant' && (
             <div className="processing-metrics">
@@ -845,6 +1115,21 @@ const handleSendMessage = async (e) => {
           )}
         </div>
         
+        {message.quickReplies && message.quickReplies.length > 0 && index === messages.length - 1 && (
+          <div className="quick-replies">
+            {message.quickReplies.map(option => (
+              <button
+                key={option.id}
+                className="quick-reply-btn"
+                onClick={() => handleSendMessage(null, option)}
+                disabled={loading}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        )}
+        
         {message.suggestedActions && message.suggestedActions.length > 0 && (
           <div className="suggested-actions">
             {message.suggestedActions.map((action, actionIndex) => (
@@ -1052,6 +1337,12 @@ const handleSendMessage = async (e) => {
             </button>
           </Tippy>
           
+          <Tippy content="What I Remember">
+            <button onClick={() => setShowMemory(!showMemory)} className={`memory-btn ${showMemory ? 'active' : ''}`}>
+              <Brain size={16} />
+            </button>
+          </Tippy>
+          
           <Tippy content="Clear Chat">
             <button onClick={clearConversation} className="clear-btn">
               <RefreshCw size={16} />
@@ -1066,6 +1357,8 @@ const handleSendMessage = async (e) => {
         </div>
       </header>
       
+      {showMemory && renderMemoryPanel()}
+      
       <main className="app-main">
         {/* Filter sidebar */}
         <div className={`filter-sidebar ${showFilters ? 'active' : ''}`}>
@@ -1216,7 +1509,7 @@ const handleSendMessage = async (e) => {
               <div className="video-player-container">
                 <iframe
                   ref={videoPlayerRef}
-                  src={`https://www.youtube.com/embed/${videoDetails.youtubeId}?autoplay=1`}
+                  src={`https://www.youtube.com/embed/${videoDetails.youtubeId}?autoplay=1${playerStart ? `&start=${playerStart}` : ''}`}
                   title={videoDetails.title}
                   frameBorder="0"
                   allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture"
@@ -1355,7 +1648,7 @@ const handleSendMessage = async (e) => {
                 <div className="messages">
                   {messages.map(renderMessage)}
                   
-                  {loading && (
+                  {loading && !messages.some(message => message.streaming) && (
                     <div className="message assistant">
                       <div className="message-content loading">
                         <span className="dot"></span>
@@ -0,0 +1,216 @@
+// content-classifier.js
+// Tags videos with brawlers, game modes and content types
+
+const catalog = require('./brawl-stars-catalog');
+
+// Bump when the catalog or scoring changes so stored tags can be recomputed
+const CLASSIFIER_VERSION = 1;
+
+// Tags below this confidence are kept in the details but not in the searchable fields
+const MIN_CONFIDENCE = 0.3;
+
+// How much a match in each part of the video counts towards the confidence
+const FIELD_WEIGHTS = {
+  title: 0.6,
+  tags: 0.5,
+  description: 0.3,
+  transcript: 0.25
+};
+
+// Matches on misspellings and on names that are also common words count for less
+const MISSPELLING_FACTOR = 0.8;
+const AMBIGUOUS_FACTOR = 0.4;
+
+/**
+ * Content type keywords (the types match what the conversation service searches for).
+ * Brawlers and game modes come from the catalog, in the same format: `aliases` are
+ * accepted alternative names, `misspellings` are common typos, and `ambiguous` marks
+ * names that are also ordinary words, which need more than one mention before they
+ * are trusted.
+ */
+const CONTENT_TYPE_CATALOG = [
+  { name: 'tutorial', aliases: ['how to', 'guide', 'learn', 'explained', 'tutorials', 'guides'] },
+  { name: 'tips', aliases: ['tip', 'tricks', 'trick', 'advice'] },
+  { name: 'gameplay', aliases: ['playing', 'matches', 'ranked', 'trophy push', 'push'] },
+  { name: 'pro', aliases: ['professional', 'competitive', 'esports', 'championship', 'world finals'] },
+  { name: 'entertainment', aliases: ['funny', 'fun', 'entertaining', 'meme', 'memes', 'troll', 'fails'] },
+  { name: 'highlights', aliases: ['highlight', 'moments', 'best', 'montage', 'clips'] }
+];
+
+const CONTENT_TYPES = CONTENT_TYPE_CATALOG.map(entry => entry.name);
+
+/**
+ * Normalize text for matching: lowercase, strip accents and replace punctuation
+ * with single spaces ("Mr. P" -> "mr p", "8-Bit" -> "8 bit")
+ * @param {string} text Text to normalize
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Compile a catalog into a list of phrases, longest first, so that "el primo"
+ * is consumed before "primo" and "buzz lightyear" before "buzz"
+ * @param {Object[]} catalog Catalog entries
+ * @returns {Object[]} Phrases as { phrase, name, factor }
+ */
+function compileCatalog(catalog) {
+  const phrases = [];
+  
+  for (const entry of catalog) {
+    const ambiguity = entry.ambiguous ? AMBIGUOUS_FACTOR : 1;
+    
+    for (const alias of [entry.name, ...(entry.aliases || [])]) {
+      phrases.push({ phrase: normalizeText(alias), name: entry.name, factor: ambiguity });
+    }
+    
+    for (const misspelling of entry.misspellings || []) {
+      phrases.push({ phrase: normalizeText(misspelling), name: entry.name, factor: ambiguity * MISSPELLING_FACTOR });
+    }
+  }
+  
+  return phrases.sort((a, b) => b.phrase.length - a.phrase.length);
+}
+
+// Compiled catalogs, rebuilt when the brawler and game mode catalog changes
+let compiledCatalogs = null;
+let compiledVersion = null;
+
+/**
+ * Get the compiled catalogs, recompiling them if the catalog has changed
+ * @returns {Object} Compiled phrases per tag field
+ */
+function getCompiledCatalogs() {
+  if (compiledVersion !== catalog.getCatalogVersion()) {
+    compiledCatalogs = {
+      brawlers: compileCatalog(catalog.getBrawlers()),
+      gameModes: compileCatalog(catalog.getGameModes()),
+      contentType: compileCatalog(CONTENT_TYPE_CATALOG)
+    };
+    compiledVersion = catalog.getCatalogVersion();
+  }
+  
+  return compiledCatalogs;
+}
+
+/**
+ * Find catalog entries mentioned in a piece of text. Phrases only match whole
+ * words, and each matched span is blanked out so shorter phrases inside it
+ * (the "primo" in "el primo") don't match again.
+ * @param {string} text Normalized text
+ * @param {Object[]} phrases Compiled catalog
+ * @returns {Map<string, number>} Best match factor per canonical name
+ */
+function findMatches(text, phrases) {
+  const matches = new Map();
+  let remaining = ` ${text} `;
+  
+  for (const { phrase, name, factor } of phrases) {
+    // Phrases are normalized, so they contain nothing that needs escaping
+    const pattern = new RegExp(`(?<= )${phrase}(?= )`, 'g');
+    
+    if (!pattern.test(remaining)) continue;
+    
+    matches.set(name, Math.max(matches.get(name) || 0, factor));
+    remaining = remaining.replace(pattern, '_'.repeat(phrase.length));
+  }
+  
+  return matches;
+}
+
+/**
+ * Score every catalog entry mentioned in a video. Each field a name appears in
+ * adds to its confidence: 1 - product of (1 - field weight * match factor).
+ * @param {Object} fields Normalized text segments per field
+ * @param {Object[]} phrases Compiled catalog
+ * @returns {Object[]} Matches as { name, confidence }, most confident first
+ */
+function scoreCatalog(fields, phrases) {
+  const misses = new Map();
+  
+  for (const [field, segments] of Object.entries(fields)) {
+    const fieldMatches = new Map();
+    
+    for (const segment of segments) {
+      for (const [name, factor] of findMatches(segment, phrases)) {
+        fieldMatches.set(name, Math.max(fieldMatches.get(name) || 0, factor));
+      }
+    }
+    
+    for (const [name, factor] of fieldMatches) {
+      misses.set(name, (misses.has(name) ? misses.get(name) : 1) * (1 - FIELD_WEIGHTS[field] * factor));
+    }
+  }
+  
+  return [...misses.entries()]
+    .map(([name, miss]) => ({ name, confidence: Math.round((1 - miss) * 100) / 100 }))
+    .sort((a, b) => b.confidence - a.confidence || a.name.localeCompare(b.name));
+}
+
+/**
+ * Classify a video from its title, description, tags and transcript
+ * @param {Object} video Video document (title, description, tags, transcript)
+ * @returns {Object} Searchable tags (brawlers, gameModes, contentType)
+ * plus a `classification` object with the confidence of every match
+ */
+function classifyVideo(video) {
+  const fields = {
+    title: [normalizeText(video.title)],
+    tags: (video.tags || []).map(normalizeText),
+    description: [normalizeText(video.description)],
+    transcript: video.transcript ? [normalizeText(video.transcript)] : []
+  };
+  
+  const scores = {};
+  for (const [key, phrases] of Object.entries(getCompiledCatalogs())) {
+    scores[key] = scoreCatalog(fields, phrases);
+  }
+  
+  const confident = matches => matches
+    .filter(match => match.confidence >= MIN_CONFIDENCE)
+    .map(match => match.name);
+  
+  return {
+    brawlers: confident(scores.brawlers),
+    gameModes: confident(scores.gameModes),
+    contentType: confident(scores.contentType),
+    classification: {
+      version: CLASSIFIER_VERSION,
+      brawlers: scores.brawlers,
+      gameModes: scores.gameModes,
+      contentType: scores.contentType,
+      classifiedAt: new Date().toISOString()
+    }
+  };
+}
+
+/**
+ * Find the brawlers and game modes a short text, such as a search query, names.
+ * Matches whole words only, so "every" doesn't name Eve or "crash" Ash.
+ * @param {string} text Text to search
+ * @returns {Object} Canonical names as { brawlers, gameModes }
+ */
+function findCatalogMentions(text) {
+  const normalized = normalizeText(text);
+  const compiled = getCompiledCatalogs();
+  
+  return {
+    brawlers: [...findMatches(normalized, compiled.brawlers).keys()],
+    gameModes: [...findMatches(normalized, compiled.gameModes).keys()]
+  };
+}
+
+module.exports = {
+  CLASSIFIER_VERSION,
+  CONTENT_TYPES,
+  classifyVideo,
+  findCatalogMentions,
+  normalizeText
+};
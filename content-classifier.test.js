@@ -0,0 +1,98 @@
+// content-classifier.test.js
+// Offline tests for the video classifier
+
+const { classifyVideo, findCatalogMentions, normalizeText } = require('./content-classifier');
+
+describe('normalizeText', () => {
+  test('lowercases, strips accents and punctuation', () => {
+    expect(normalizeText('Mr. P & 8-Bit — Colétte!')).toBe('mr p and 8 bit colette');
+  });
+});
+
+describe('classifyVideo', () => {
+  test('matches "El Primo" once, as El Primo', () => {
+    const result = classifyVideo({ title: 'El Primo is BROKEN in Brawl Ball' });
+    
+    expect(result.brawlers).toEqual(['El Primo']);
+    expect(result.classification.brawlers).toHaveLength(1);
+  });
+  
+  test('treats "Primo" on its own as El Primo', () => {
+    expect(classifyVideo({ title: 'Primo super combo guide' }).brawlers).toEqual(['El Primo']);
+  });
+  
+  test('matches "Brawl Ball" but not a bare "ball"', () => {
+    expect(classifyVideo({ title: 'Best Brawl Ball team comps' }).gameModes).toEqual(['Brawl Ball']);
+    expect(classifyVideo({ title: 'Brawlball tips' }).gameModes).toEqual(['Brawl Ball']);
+    expect(classifyVideo({ title: 'How to pass the ball like a pro' }).gameModes).toEqual([]);
+  });
+  
+  test('does not confuse Basket Brawl or basketball with Brawl Ball', () => {
+    expect(classifyVideo({ title: 'Basket Brawl is back' }).gameModes).toEqual(['Basket Brawl']);
+    expect(classifyVideo({ title: 'Basketball trick shots in Brawl Stars' }).gameModes).toEqual([]);
+  });
+  
+  test('only matches whole words', () => {
+    const result = classifyVideo({ title: 'Colette vs Bonnie', description: 'Bonnie gameplay' });
+    
+    expect(result.brawlers).toEqual(['Colette', 'Bonnie']);
+    expect(result.brawlers).not.toContain('Colt');
+    expect(result.brawlers).not.toContain('Bo');
+  });
+  
+  test('prefers the longest name ("Buzz Lightyear" is not Buzz)', () => {
+    expect(classifyVideo({ title: 'Buzz Lightyear gameplay' }).brawlers).toEqual(['Buzz Lightyear']);
+  });
+  
+  test('accepts aliases and common misspellings', () => {
+    const result = classifyVideo({ title: 'Mortiz and Dyna Mike in Hotzone' });
+    
+    expect(result.brawlers).toEqual(expect.arrayContaining(['Mortis', 'Dynamike']));
+    expect(result.gameModes).toEqual(['Hot Zone']);
+  });
+  
+  test('needs more than one mention for names that are ordinary words', () => {
+    expect(classifyVideo({ title: 'MAX trophies in one day' }).brawlers).toEqual([]);
+    expect(classifyVideo({ title: 'Max guide', tags: ['max', 'brawl stars'] }).brawlers).toEqual(['Max']);
+  });
+  
+  test('combines title, tags, description and transcript into a confidence', () => {
+    const titleOnly = classifyVideo({ title: 'Mortis guide' });
+    const everywhere = classifyVideo({
+      title: 'Mortis guide',
+      tags: ['mortis'],
+      description: 'Everything about Mortis',
+      transcript: 'today we are playing mortis'
+    });
+    
+    expect(titleOnly.classification.brawlers[0].confidence).toBe(0.6);
+    expect(everywhere.classification.brawlers[0].confidence).toBe(0.9);
+  });
+  
+  test('keeps low-confidence matches out of the searchable fields', () => {
+    const result = classifyVideo({ title: 'Brawl Stars update', description: 'Thanks to Gene for the clip' });
+    
+    expect(result.brawlers).toEqual([]);
+    expect(result.classification.brawlers).toEqual([{ name: 'Gene', confidence: 0.12 }]);
+  });
+  
+  test('tags content type', () => {
+    const result = classifyVideo({ title: 'Piper tutorial for beginners', description: 'Tips and tricks' });
+    
+    expect(result.contentType).toEqual(expect.arrayContaining(['tutorial', 'tips']));
+  });
+  
+  test('returns empty tags for unrelated videos', () => {
+    const result = classifyVideo({ title: 'My cooking vlog', tags: [] });
+    
+    expect(result).toMatchObject({ brawlers: [], gameModes: [], contentType: [] });
+    expect(result.classification.version).toBe(1);
+  });
+});
+
+describe('findCatalogMentions', () => {
+  test('finds brawlers and game modes named as whole words', () => {
+    expect(findCatalogMentions('El Primo vs Bo in Gem Grab')).toEqual({ brawlers: ['El Primo', 'Bo'], gameModes: ['Gem Grab'] });
+    expect(findCatalogMentions('every crash in general, maximum damage')).toEqual({ brawlers: [], gameModes: [] });
+  });
+});
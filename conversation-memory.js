@@ -0,0 +1,198 @@
+// conversation-memory.js
+// Rolling summary of older conversation turns and a profile of durable facts about the user
+
+const { classifyVideo, normalizeText } = require('./content-classifier');
+const { snapNames } = require('./search-params-schema');
+require('dotenv').config();
+
+// Messages kept word for word; older ones are folded into the summary
+const RECENT_MESSAGE_LIMIT = parseInt(process.env.MEMORY_RECENT_MESSAGES || '12');
+
+// Size limits, so the memory stays small enough for every prompt
+const MAX_SUMMARY_LENGTH = 1200;
+const MAX_MAINS = 5;
+const MAX_FAVORITE_MODES = 4;
+const MAX_NOTES = 8;
+const MAX_NOTE_LENGTH = 140;
+const MAX_TROPHIES = 200000;
+
+// Sentences with these words say which modes the user likes
+const PREFERENCE_PATTERN = /\b(favou?rites?|love|like|enjoy|mostly play|usually play|always play)\b/;
+
+// Sentences with these words say which brawlers the user mains
+const MAIN_PATTERN = /\b(mains?|maining)\b/;
+
+// "600 trophies", "1.2k trophies", "25,000 cups"
+const TROPHY_PATTERN = /(\d+(?:[.,]\d+)?)\s*(k)?\s*(?:trophies|trophy|cups)\b/i;
+
+/**
+ * Create an empty memory
+ * @returns {Object} Memory as { summary, profile, updatedAt }
+ */
+function createMemory() {
+  return {
+    summary: '',
+    profile: {
+      mains: [],
+      trophies: null,
+      favoriteModes: [],
+      notes: []
+    },
+    updatedAt: null
+  };
+}
+
+/**
+ * Parse a trophy count as written in a message
+ * @param {string} text Message text
+ * @returns {number|null} Trophies, or null if none are mentioned
+ */
+function parseTrophies(text) {
+  const match = String(text || '').match(TROPHY_PATTERN);
+  if (!match) {
+    return null;
+  }
+  
+  // "25,000" is a thousands separator; "1.2k" and "1,2k" are decimals
+  const number = match[2]
+    ? parseFloat(match[1].replace(',', '.')) * 1000
+    : parseFloat(match[1].replace(/[.,](\d{3})$/, '$1'));
+  
+  return Number.isFinite(number) && number <= MAX_TROPHIES ? Math.round(number) : null;
+}
+
+/**
+ * Find durable facts a user states about themselves: the brawlers they main,
+ * their trophy count and the modes they like
+ * @param {string} text User's message(s)
+ * @returns {Object} Facts as { mains, trophies, favoriteModes }
+ */
+function extractProfileFacts(text) {
+  const facts = { mains: [], trophies: parseTrophies(text), favoriteModes: [] };
+  
+  for (const sentence of String(text || '').split(/[.!?;\n]+/)) {
+    const normalized = normalizeText(sentence);
+    if (!normalized) continue;
+    
+    if (MAIN_PATTERN.test(normalized)) {
+      facts.mains.push(...classifyVideo({ title: sentence }).brawlers);
+    }
+    if (PREFERENCE_PATTERN.test(normalized)) {
+      facts.favoriteModes.push(...classifyVideo({ title: sentence }).gameModes);
+    }
+  }
+  
+  return facts;
+}
+
+/**
+ * Merge newly found facts into a profile; newer facts come first
+ * @param {Object} profile Current profile
+ * @param {Object} facts Facts from extractProfileFacts (any field may be missing)
+ * @returns {Object} Updated profile
+ */
+function mergeProfile(profile, facts) {
+  const merge = (newer = [], older = [], limit) => [...new Set([...newer, ...older])].slice(0, limit);
+  
+  return {
+    mains: merge(facts.mains, profile.mains, MAX_MAINS),
+    trophies: facts.trophies ?? profile.trophies,
+    favoriteModes: merge(facts.favoriteModes, profile.favoriteModes, MAX_FAVORITE_MODES),
+    notes: merge(facts.notes, profile.notes, MAX_NOTES)
+  };
+}
+
+/**
+ * Check a model's memory update: names are snapped to the catalog, the
+ * trophy count must be a plausible number and notes short strings
+ * @param {Object|null} raw Parsed model output ({ summary, profile })
+ * @returns {Object|null} { summary, profile }, or null if there is no summary
+ */
+function validateMemoryOutput(raw) {
+  if (!raw || typeof raw.summary !== 'string') {
+    return null;
+  }
+  
+  const profile = raw.profile && typeof raw.profile === 'object' ? raw.profile : {};
+  const list = value => (Array.isArray(value) ? value.filter(item => typeof item === 'string') : []);
+  const trophies = Number(profile.trophies);
+  
+  return {
+    summary: raw.summary.trim().slice(-MAX_SUMMARY_LENGTH),
+    profile: {
+      mains: snapNames('brawlers', list(profile.mains)).slice(0, MAX_MAINS),
+      trophies: profile.trophies !== null && Number.isInteger(trophies) && trophies >= 0 && trophies <= MAX_TROPHIES
+        ? trophies
+        : null,
+      favoriteModes: snapNames('gameModes', list(profile.favoriteModes)).slice(0, MAX_FAVORITE_MODES),
+      notes: list(profile.notes)
+        .map(note => note.trim().slice(0, MAX_NOTE_LENGTH))
+        .filter(Boolean)
+        .slice(0, MAX_NOTES)
+    }
+  };
+}
+
+/**
+ * Fold messages into the summary without a model: the user's requests are
+ * listed, and the oldest part of the summary is dropped when it gets too long
+ * @param {Object} memory Current memory
+ * @param {Object[]} messages Messages leaving the recent window
+ * @returns {Object} { summary, profile }
+ */
+function buildFallbackMemory(memory, messages) {
+  const requests = messages
+    .filter(message => message.role === 'user')
+    .map(message => `"${String(message.content).slice(0, 80)}"`);
+  const summary = requests.length > 0
+    ? `${memory.summary} Earlier the user asked: ${requests.join('; ')}.`.trim()
+    : memory.summary;
+  const userText = messages.filter(message => message.role === 'user').map(message => message.content).join('\n');
+  
+  return {
+    summary: summary.slice(-MAX_SUMMARY_LENGTH),
+    profile: mergeProfile(memory.profile, extractProfileFacts(userText))
+  };
+}
+
+/**
+ * Describe a memory for prompts
+ * @param {Object} memory Memory
+ * @returns {string} One line per remembered fact, or an empty string
+ */
+function formatMemory(memory) {
+  if (!memory) {
+    return '';
+  }
+  
+  const { profile = {} } = memory;
+  const lines = [];
+  
+  if (profile.mains && profile.mains.length > 0) {
+    lines.push(`- Mains: ${profile.mains.join(', ')}`);
+  }
+  if (profile.trophies !== null && profile.trophies !== undefined) {
+    lines.push(`- Trophies: about ${profile.trophies}`);
+  }
+  if (profile.favoriteModes && profile.favoriteModes.length > 0) {
+    lines.push(`- Favorite modes: ${profile.favoriteModes.join(', ')}`);
+  }
+  for (const note of profile.notes || []) {
+    lines.push(`- ${note}`);
+  }
+  if (memory.summary) {
+    lines.push(`- Earlier in the conversation: ${memory.summary}`);
+  }
+  
+  return lines.join('\n');
+}
+
+module.exports = {
+  RECENT_MESSAGE_LIMIT,
+  createMemory,
+  extractProfileFacts,
+  mergeProfile,
+  validateMemoryOutput,
+  buildFallbackMemory,
+  formatMemory
+};
@@ -0,0 +1,79 @@
+// conversation-memory.test.js
+// Tests for remembering facts about the user and summarizing older turns
+
+const {
+  createMemory,
+  extractProfileFacts,
+  mergeProfile,
+  validateMemoryOutput,
+  buildFallbackMemory,
+  formatMemory
+} = require('./conversation-memory');
+
+describe('extractProfileFacts', () => {
+  test('finds mains, trophies and favorite modes', () => {
+    expect(extractProfileFacts("I main Piper and I'm at 600 trophies. I mostly play Heist!")).toEqual({
+      mains: ['Piper'],
+      trophies: 600,
+      favoriteModes: ['Heist']
+    });
+  });
+  
+  test('reads thousands separators and "k" counts', () => {
+    expect(extractProfileFacts('pushing to 25,000 trophies').trophies).toBe(25000);
+    expect(extractProfileFacts('1.2k cups on Colt').trophies).toBe(1200);
+  });
+  
+  test('ignores brawlers and modes that are only asked about', () => {
+    expect(extractProfileFacts('show me Spike videos in Bounty')).toEqual({ mains: [], trophies: null, favoriteModes: [] });
+  });
+});
+
+describe('mergeProfile', () => {
+  test('puts newer facts first without duplicates and keeps the old trophy count if none is new', () => {
+    const profile = mergeProfile(
+      { mains: ['Colt'], trophies: 500, favoriteModes: ['Heist'], notes: [] },
+      { mains: ['Piper', 'Colt'], trophies: null, favoriteModes: [] }
+    );
+    
+    expect(profile).toEqual({ mains: ['Piper', 'Colt'], trophies: 500, favoriteModes: ['Heist'], notes: [] });
+  });
+});
+
+describe('validateMemoryOutput', () => {
+  test('snaps names to the catalog and drops implausible values', () => {
+    expect(validateMemoryOutput({
+      summary: ' Talked about Piper. ',
+      profile: { mains: ['piper', 'Nobody'], trophies: 9999999, favoriteModes: ['gem grab'], notes: ['Wants to reach Masters', 42] }
+    })).toEqual({
+      summary: 'Talked about Piper.',
+      profile: { mains: ['Piper'], trophies: null, favoriteModes: ['Gem Grab'], notes: ['Wants to reach Masters'] }
+    });
+  });
+  
+  test('returns null without a summary', () => {
+    expect(validateMemoryOutput({ profile: {} })).toBeNull();
+  });
+});
+
+describe('buildFallbackMemory', () => {
+  test('lists earlier requests and keeps facts from them', () => {
+    const result = buildFallbackMemory(createMemory(), [
+      { role: 'user', content: 'I main Piper' },
+      { role: 'assistant', content: 'Nice!' }
+    ]);
+    
+    expect(result.summary).toBe('Earlier the user asked: "I main Piper".');
+    expect(result.profile.mains).toEqual(['Piper']);
+  });
+});
+
+describe('formatMemory', () => {
+  test('describes each remembered fact', () => {
+    const memory = { summary: 'Asked about Heist.', profile: { mains: ['Piper'], trophies: 600, favoriteModes: [], notes: [] } };
+    
+    expect(formatMemory(memory)).toBe('- Mains: Piper\n- Trophies: about 600\n- Earlier in the conversation: Asked about Heist.');
+    expect(formatMemory(createMemory())).toBe('');
+    expect(formatMemory(null)).toBe('');
+  });
+});
@@ -0,0 +1,185 @@
+// corpus-store.js
+// In-memory video store with the queries video search runs on, so the offline
+// search evaluation needs no database. Filters behave like buildVideoFilter in
+// the database service; the text score approximates the Mongo text index (same
+// field weights, English stop words dropped, plurals folded).
+
+// Text index field weights (see createIndexes in the database service)
+const TEXT_WEIGHTS = { title: 10, description: 5, transcript: 1 };
+
+// Words the text index ignores
+const STOP_WORDS = new Set([
+  'a', 'about', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from',
+  'how', 'i', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'that', 'the', 'this', 'to',
+  'what', 'when', 'which', 'who', 'with', 'you', 'your'
+]);
+
+// Large fields left out of search results, as in the database service
+const OMITTED_FIELDS = ['transcript', 'transcriptSegments'];
+
+/**
+ * Split text into index terms
+ * @param {string} text Text
+ * @returns {string[]} Lowercase terms without stop words, plurals folded ("guides" -> "guide")
+ */
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(term => term && !STOP_WORDS.has(term))
+    .map(term => (term.length > 3 && term.endsWith('s') && !term.endsWith('ss') ? term.slice(0, -1) : term));
+}
+
+/**
+ * Check a video against search filters, like buildVideoFilter in the database service
+ * @param {Object} video Video
+ * @param {Object} params Search filters
+ * @returns {boolean} Whether the video matches
+ */
+function matchesFilters(video, params) {
+  const {
+    brawlers = [],
+    gameModes = [],
+    contentType = [],
+    skillLevel = '',
+    minViews = 0,
+    maxDuration = 0,
+    dateFrom = '',
+    dateTo = '',
+    channelId = ''
+  } = params;
+  const anyOf = (wanted, values) => !Array.isArray(wanted) || wanted.length === 0 ||
+    (values || []).some(value => wanted.includes(value));
+  
+  return anyOf(brawlers, video.brawlers) &&
+    anyOf(gameModes, video.gameModes) &&
+    anyOf(contentType, video.contentType) &&
+    (!skillLevel || video.skillLevel === skillLevel) &&
+    (!channelId || video.creator?.id === channelId) &&
+    (!(minViews > 0) || video.viewCount >= parseInt(minViews)) &&
+    (!(maxDuration > 0) || video.duration <= parseInt(maxDuration)) &&
+    (!dateFrom || video.publishedAt >= dateFrom) &&
+    (!dateTo || video.publishedAt <= dateTo);
+}
+
+/**
+ * Score a video against query terms, weighting fields like the text index
+ * @param {Object} video Video
+ * @param {string[]} terms Query terms
+ * @returns {number} Text score (0 when no term matches)
+ */
+function scoreText(video, terms) {
+  return Object.entries(TEXT_WEIGHTS).reduce((score, [field, weight]) => {
+    const fieldTerms = tokenize(video[field]);
+    if (fieldTerms.length === 0) return score;
+    
+    const matches = fieldTerms.filter(term => terms.includes(term)).length;
+    return score + weight * matches / fieldTerms.length;
+  }, 0);
+}
+
+/**
+ * Drop the fields search results leave out
+ * @param {Object} video Video
+ * @returns {Object} Video as returned by searches
+ */
+function toResult(video) {
+  const result = { ...video };
+  OMITTED_FIELDS.forEach(field => delete result[field]);
+  if (result.embedding) {
+    result.embedding = { ...result.embedding };
+    delete result.embedding.vector;
+  }
+  return result;
+}
+
+/**
+ * Create a store over a fixed set of videos. Its functions take the same
+ * arguments and return the same shapes as their database service namesakes.
+ * @param {Object[]} videos Videos, as stored by saveVideo
+ * @returns {Object} Store with searchVideos, findTextCandidates,
+ * findVectorCandidates, getVideosByYoutubeIds and saveVideoEmbedding
+ */
+function createCorpusStore(videos) {
+  const byId = new Map(videos.map(video => [video.youtubeId, { ...video }]));
+  
+  /**
+   * Find videos matching the filters and query text, with their text scores
+   * @param {string} query Search text (optional)
+   * @param {Object} params Search filters
+   * @returns {Object[]} Videos with a score, in corpus order
+   */
+  const findMatches = (query, params) => {
+    const terms = tokenize(query);
+    
+    return [...byId.values()]
+      .filter(video => matchesFilters(video, params))
+      .map(video => ({ video, score: terms.length > 0 ? scoreText(video, terms) : 0 }))
+      .filter(match => terms.length === 0 || match.score > 0);
+  };
+  
+  return {
+    async searchVideos(params) {
+      const { query = '', sortBy = 'relevance', limit = 20, page = 1 } = params;
+      const hasQuery = Boolean(query && query.trim());
+      const sorts = {
+        relevance: hasQuery ? (a, b) => b.score - a.score : (a, b) => b.video.popularity - a.video.popularity,
+        recent: (a, b) => b.video.publishedAt.localeCompare(a.video.publishedAt),
+        popular: (a, b) => b.video.viewCount - a.video.viewCount,
+        trending: (a, b) => b.video.recency - a.video.recency || b.video.popularity - a.video.popularity
+      };
+      const matches = findMatches(query, params).sort(sorts[sortBy] || sorts.relevance);
+      const skip = (parseInt(page) - 1) * parseInt(limit);
+      
+      return {
+        videos: matches.slice(skip, skip + parseInt(limit)).map(({ video, score }) => (
+          hasQuery && sortBy === 'relevance' ? { ...toResult(video), score } : toResult(video)
+        )),
+        pagination: {
+          total: matches.length,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          pages: Math.ceil(matches.length / parseInt(limit))
+        }
+      };
+    },
+    
+    async findTextCandidates(query, params = {}, limit = 200) {
+      return findMatches(query, params)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+        .map(({ video, score }) => ({ youtubeId: video.youtubeId, popularity: video.popularity, recency: video.recency, score }));
+    },
+    
+    async findVectorCandidates(model, params = {}, limit = 5000) {
+      return findMatches('', params)
+        .filter(({ video }) => video.embedding?.model === model)
+        .sort((a, b) => b.video.popularity - a.video.popularity)
+        .slice(0, limit)
+        .map(({ video }) => ({
+          youtubeId: video.youtubeId,
+          popularity: video.popularity,
+          recency: video.recency,
+          embedding: { vector: video.embedding.vector }
+        }));
+    },
+    
+    async getVideosByYoutubeIds(youtubeIds) {
+      return youtubeIds.filter(id => byId.has(id)).map(id => toResult(byId.get(id)));
+    },
+    
+    async saveVideoEmbedding(youtubeId, embedding) {
+      const video = byId.get(youtubeId);
+      if (!video) return false;
+      
+      video.embedding = embedding;
+      return true;
+    }
+  };
+}
+
+module.exports = {
+  tokenize,
+  matchesFilters,
+  createCorpusStore
+};
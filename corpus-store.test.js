@@ -0,0 +1,95 @@
+// corpus-store.test.js
+// Tests for the in-memory video store used by the offline search evaluation
+
+const { tokenize, createCorpusStore } = require('./corpus-store');
+
+const VIDEOS = [
+  {
+    youtubeId: 'a',
+    title: 'Mortis Brawl Ball guide',
+    description: 'Dash timing for Mortis',
+    transcript: 'long transcript',
+    brawlers: ['Mortis'],
+    gameModes: ['Brawl Ball'],
+    contentType: ['guide'],
+    skillLevel: 'intermediate',
+    viewCount: 5000,
+    duration: 600,
+    publishedAt: '2024-05-01T00:00:00Z',
+    popularity: 0.4,
+    recency: 0.9,
+    creator: { id: 'UC1' }
+  },
+  {
+    youtubeId: 'b',
+    title: 'Top 5 brawlers for Gem Grab',
+    description: 'Tier list with Mortis as an honourable mention',
+    brawlers: ['Mortis', 'Pam'],
+    gameModes: ['Gem Grab'],
+    contentType: ['tier list'],
+    skillLevel: 'beginner',
+    viewCount: 90000,
+    duration: 1200,
+    publishedAt: '2024-03-01T00:00:00Z',
+    popularity: 0.8,
+    recency: 0.5,
+    creator: { id: 'UC2' }
+  },
+  {
+    youtubeId: 'c',
+    title: 'Funny moments',
+    description: 'Fails and wins',
+    brawlers: ['Shelly'],
+    gameModes: [],
+    contentType: ['funny'],
+    skillLevel: 'beginner',
+    viewCount: 1000,
+    duration: 300,
+    publishedAt: '2024-06-01T00:00:00Z',
+    popularity: 0.1,
+    recency: 1,
+    creator: { id: 'UC1' }
+  }
+];
+
+describe('tokenize', () => {
+  test('lowercases, drops stop words and folds plurals', () => {
+    expect(tokenize('How to play the Brawlers in Gem Grab')).toEqual(['play', 'brawler', 'gem', 'grab']);
+  });
+});
+
+describe('createCorpusStore', () => {
+  test('ranks text matches with title matches above description matches', async () => {
+    const store = createCorpusStore(VIDEOS);
+    
+    const { videos, pagination } = await store.searchVideos({ query: 'mortis' });
+    
+    expect(videos.map(video => video.youtubeId)).toEqual(['a', 'b']);
+    expect(videos[0].transcript).toBeUndefined();
+    expect(pagination).toEqual({ total: 2, page: 1, limit: 20, pages: 1 });
+  });
+  
+  test('applies filters like the database and sorts by popularity without a query', async () => {
+    const store = createCorpusStore(VIDEOS);
+    
+    const beginner = await store.searchVideos({ skillLevel: 'beginner' });
+    const filtered = await store.searchVideos({ brawlers: ['Mortis'], minViews: 10000 });
+    const channel = await store.searchVideos({ channelId: 'UC1', sortBy: 'recent' });
+    
+    expect(beginner.videos.map(video => video.youtubeId)).toEqual(['b', 'c']);
+    expect(filtered.videos.map(video => video.youtubeId)).toEqual(['b']);
+    expect(channel.videos.map(video => video.youtubeId)).toEqual(['c', 'a']);
+  });
+  
+  test('serves vector candidates for the saved embedding model only', async () => {
+    const store = createCorpusStore(VIDEOS);
+    await store.saveVideoEmbedding('a', { model: 'hash', vector: [1, 0] });
+    await store.saveVideoEmbedding('b', { model: 'other', vector: [0, 1] });
+    
+    const candidates = await store.findVectorCandidates('hash', {});
+    const [video] = await store.getVideosByYoutubeIds(['a', 'missing']);
+    
+    expect(candidates).toEqual([{ youtubeId: 'a', popularity: 0.4, recency: 0.9, embedding: { vector: [1, 0] } }]);
+    expect(video.embedding).toEqual({ model: 'hash' });
+  });
+});
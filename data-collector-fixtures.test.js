@@ -0,0 +1,124 @@
+// data-collector-fixtures.test.js
+// End-to-end collection through the real YouTube client, replaying the API
+// responses recorded in fixtures/youtube-replay (no network or quota)
+
+const path = require('path');
+
+// ETags the YouTube client has stored, by key
+const mockStoredEtags = new Map();
+
+jest.mock('./database-service-improved', () => ({
+  getYoutubeEtags: jest.fn(async keys => new Map(keys
+    .filter(key => mockStoredEtags.has(key))
+    .map(key => [key, mockStoredEtags.get(key)]))),
+  saveYoutubeEtags: jest.fn(async etags => {
+    Object.entries(etags).forEach(([key, etag]) => mockStoredEtags.set(key, etag));
+    return Object.keys(etags).length;
+  })
+}));
+
+process.env.YOUTUBE_FIXTURE_MODE = 'replay';
+process.env.YOUTUBE_FIXTURE_DIR = path.join(__dirname, 'fixtures', 'youtube-replay');
+
+const collector = require('./data-collector-improved');
+const youtubeService = require('./youtube-service-improved');
+
+const CHANNEL_ID = 'UCq7Xr3pGjVbQ2mKf9sLwT1A';
+
+/**
+ * Create an in-memory database for a run
+ * @returns {Object} Database service fake, with the stored videos, channels
+ * and timestamps by ID
+ */
+function createDb() {
+  const videos = new Map();
+  const channels = new Map();
+  const timestamps = new Map();
+  
+  return {
+    videos,
+    channels,
+    timestamps,
+    getCollectionCheckpoints: jest.fn().mockResolvedValue({}),
+    saveCollectionCheckpoint: jest.fn(),
+    getExistingVideoIds: jest.fn().mockResolvedValue(new Set()),
+    getCreatorSkillProfiles: jest.fn().mockResolvedValue(new Map()),
+    saveVideo: jest.fn(async video => videos.set(video.youtubeId, video)),
+    saveChannel: jest.fn(async channel => channels.set(channel.channelId, channel)),
+    updateVideoTimestamps: jest.fn(async (youtubeId, chapters) => timestamps.set(youtubeId, chapters))
+  };
+}
+
+/**
+ * Collect the recorded "colt guide" search through the real YouTube client
+ * @param {Object} db Database service fake
+ * @returns {Promise<Object>} Collection result
+ */
+function collectRecordedSearch(db) {
+  return collector.collectBrawlStarsContent({ queries: ['colt guide'], channelIds: [] }, {
+    youtube: youtubeService,
+    db,
+    transcripts: { fetchTranscript: jest.fn().mockResolvedValue(null) },
+    embeddings: { isEmbeddingEnabled: () => false }
+  });
+}
+
+beforeEach(() => {
+  mockStoredEtags.clear();
+  youtubeService.clearApiCache();
+});
+
+test('collects videos and their channel from recorded search, videos and channels responses', async () => {
+  const db = createDb();
+  
+  const result = await collectRecordedSearch(db);
+  
+  expect(result).toMatchObject({ status: 'success', added: 2, skipped: 1, channelsProcessed: 1, errors: [] });
+  expect([...db.videos.keys()]).toEqual(['Xk2v9QmR4tA', 'bR7nLw3YcQe']);
+  expect(db.videos.get('Xk2v9QmR4tA')).toMatchObject({
+    title: 'Colt Guide: Hit Every Shot in Gem Grab',
+    creator: { id: CHANNEL_ID, name: 'Brawl Academy' },
+    duration: 582,
+    viewCount: 48213,
+    brawlers: ['Colt'],
+    gameModes: ['Gem Grab']
+  });
+  expect(db.channels.get(CHANNEL_ID)).toMatchObject({ name: 'Brawl Academy', subscriberCount: 212000 });
+  expect(db.timestamps.get('bR7nLw3YcQe').map(chapter => [chapter.time, chapter.title])).toEqual([
+    [0, 'Intro'], [130, 'Breaking walls'], [405, 'Scoring with Colt'], [620, 'Team comps']
+  ]);
+  expect(youtubeService.getUnitsUsed()).toBe(0);
+});
+
+test('leaves the channel alone when the recorded conditional request answers 304', async () => {
+  await collectRecordedSearch(createDb());
+  
+  const db = createDb();
+  const result = await collectRecordedSearch(db);
+  
+  expect(result).toMatchObject({ added: 2, channelsProcessed: 0, channelsUnchanged: 1 });
+  expect(db.saveChannel).not.toHaveBeenCalled();
+});
+
+test('stores a channel on the next run when saving it failed', async () => {
+  const failing = createDb();
+  failing.saveChannel.mockRejectedValueOnce(new Error('write conflict'));
+  
+  const first = await collectRecordedSearch(failing);
+  
+  expect(first.errors).toEqual([expect.objectContaining({ source: 'channels', channelId: CHANNEL_ID })]);
+  expect(failing.channels.size).toBe(0);
+  
+  const db = createDb();
+  const second = await collectRecordedSearch(db);
+  
+  expect(second).toMatchObject({ channelsProcessed: 1, channelsUnchanged: 0 });
+  expect(db.channels.get(CHANNEL_ID)).toMatchObject({ name: 'Brawl Academy' });
+});
+
+test('stores no ETags for videos that were skipped', async () => {
+  await collectRecordedSearch(createDb());
+  
+  expect(mockStoredEtags.has('videos#Xk2v9QmR4tA')).toBe(true);
+  expect(mockStoredEtags.has('videos#pT4hZs8KdNu')).toBe(false);
+});
@@ -1,35 +1,1162 @@
-// Simple mock implementation of data collector
+// data-collector-improved.js
+// Collects Brawl Stars videos and channels from YouTube and stores them in MongoDB
 
-function collectBrawlStarsContent(options) {
-  return Promise.resolve({
-    status: "success",
-    collected: 0,
+const os = require('os');
+const pino = require('pino');
+const { v4: uuidv4 } = require('uuid');
+const dbService = require('./database-service-improved');
+const youtubeService = require('./youtube-service-improved');
+const contentClassifier = require('./content-classifier');
+const skillLevelScorer = require('./skill-level-scorer');
+const chapterParser = require('./chapter-parser');
+const transcriptService = require('./transcript-service');
+const catalog = require('./brawl-stars-catalog');
+const embeddingService = require('./embedding-service');
+const feedService = require('./feed-service');
+require('dotenv').config();
+
+// Collection configuration
+const MAX_VIDEOS_PER_RUN = parseInt(process.env.MAX_VIDEOS_PER_RUN || '50');
+const COLLECTION_MODES = ['incremental', 'full'];
+const MAX_SEARCH_PAGES = 5; // search.list costs 100 units per page
+const MAX_UPLOADS_PER_CHANNEL = 200;
+const REFRESH_BATCH_SIZE = 50;
+
+// Incremental runs discover channel uploads from their public feeds (no quota)
+// and only list uploads through the API when the feed can't cover the gap
+const CHANNEL_FEEDS_ENABLED = process.env.CHANNEL_FEEDS_ENABLED !== 'false';
+const EMBEDDING_BACKFILL_BATCH_SIZE = 100;
+
+// Scheduler configuration
+const SCHEDULER_POLL_INTERVAL_MS = parseInt(process.env.SCHEDULER_POLL_INTERVAL_MS || '60000');
+const COLLECTION_LOCK_TTL_MS = parseInt(process.env.COLLECTION_LOCK_TTL_MS || '600000');
+const DEFAULT_SCHEDULE_ID = 'default';
+const CANCEL_POLL_INTERVAL_MS = 5000;
+const MAX_JOB_ERRORS = 100; // errors kept on a job record
+
+// Identifies this process as the holder of the collection lock
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${uuidv4().slice(0, 8)}`;
+
+// Queries used when a run doesn't specify its own
+const DEFAULT_SEARCH_QUERIES = [
+  'brawl stars',
+  'brawl stars guide',
+  'brawl stars tips',
+  'brawl stars gameplay'
+];
+
+// Setup logger
+const logger = pino({
+  level: process.env.LOG_LEVEL || 'info',
+  transport: process.env.NODE_ENV === 'development' ? {
+    target: 'pino-pretty',
+    options: {
+      colorize: true
+    }
+  } : undefined
+});
+
+// Scheduler state for this instance
+let schedulerTimer = null;
+let schedulerTickInProgress = false;
+
+// Cancellation flags of jobs running on this instance, keyed by job ID
+const activeJobs = new Map();
+
+/**
+ * Calculate a 0-1 popularity score from a view count (log scale, 10M views = 1)
+ * @param {number} viewCount Number of views
+ * @returns {number} Popularity score
+ */
+function calculatePopularity(viewCount) {
+  return Math.min(1, Math.log10((parseInt(viewCount) || 0) + 1) / 7);
+}
+
+/**
+ * Calculate a 0-1 recency score from a publish date (halves roughly every 4 months)
+ * @param {string} publishedAt ISO publish date
+ * @returns {number} Recency score
+ */
+function calculateRecency(publishedAt) {
+  const ageDays = Math.max(0, (Date.now() - new Date(publishedAt).getTime()) / (1000 * 60 * 60 * 24));
+  return Math.exp(-ageDays / 180);
+}
+
+/**
+ * Build a video document from a YouTube video resource, tagged by the content
+ * classifier and the skill level scorer
+ * @param {Object} item Video resource from videos.list
+ * @param {Object} creator Creator skill profile from dbService.getCreatorSkillProfiles
+ * @param {Object} transcript Transcript from transcriptService.fetchTranscript
+ * @returns {Object} Video document for dbService.saveVideo
+ */
+function buildVideoDocument(item, creator = null, transcript = null) {
+  const { snippet = {}, statistics = {}, contentDetails = {} } = item;
+  
+  const video = {
+    youtubeId: item.id,
+    title: snippet.title || '',
+    description: snippet.description || '',
+    tags: snippet.tags || [],
+    creator: {
+      id: snippet.channelId,
+      name: snippet.channelTitle || '',
+      url: `https://www.youtube.com/channel/${snippet.channelId}`
+    },
+    publishedAt: snippet.publishedAt,
+    thumbnail: snippet.thumbnails?.high?.url || snippet.thumbnails?.default?.url || null,
+    language: snippet.defaultAudioLanguage || snippet.defaultLanguage || null,
+    duration: youtubeService.parseDuration(contentDetails.duration),
+    viewCount: parseInt(statistics.viewCount) || 0,
+    likeCount: parseInt(statistics.likeCount) || 0,
+    commentCount: parseInt(statistics.commentCount) || 0,
+    popularity: calculatePopularity(statistics.viewCount),
+    recency: calculateRecency(snippet.publishedAt),
+    ...(transcript || {})
+  };
+  
+  const classified = {
+    ...video,
+    ...contentClassifier.classifyVideo(video)
+  };
+  
+  return {
+    ...classified,
+    ...skillLevelScorer.scoreVideo(classified, creator)
+  };
+}
+
+/**
+ * Build a channel document from a YouTube channel resource
+ * @param {Object} item Channel resource from channels.list
+ * @returns {Object} Channel document for dbService.saveChannel
+ */
+function buildChannelDocument(item) {
+  const { snippet = {}, statistics = {} } = item;
+  
+  return {
+    channelId: item.id,
+    name: snippet.title || '',
+    url: snippet.customUrl
+      ? `https://www.youtube.com/${snippet.customUrl}`
+      : `https://www.youtube.com/channel/${item.id}`,
+    description: snippet.description || '',
+    thumbnail: snippet.thumbnails?.high?.url || snippet.thumbnails?.default?.url || null,
+    subscriberCount: parseInt(statistics.subscriberCount) || 0,
+    videoCount: parseInt(statistics.videoCount) || 0,
+    viewCount: parseInt(statistics.viewCount) || 0
+  };
+}
+
+/**
+ * Check whether a video resource is about Brawl Stars (used for channel uploads,
+ * which aren't pre-filtered by a search query)
+ * @param {Object} item Video resource from videos.list
+ * @returns {boolean} Whether the video mentions Brawl Stars
+ */
+function isBrawlStarsContent(item) {
+  const { snippet = {} } = item;
+  const text = [snippet.title, snippet.description, ...(snippet.tags || [])]
+    .join(' ')
+    .toLowerCase();
+  
+  return text.includes('brawl');
+}
+
+/**
+ * Create an empty per-source report
+ * @param {string} type Source type ('query', 'channel' or 'refresh')
+ * @param {string} key Query text or channel ID
+ * @returns {Object} Source report
+ */
+function createSourceReport(type, key) {
+  return {
+    type,
+    key,
+    discovered: 0,
+    added: 0,
+    updated: 0,
+    unchanged: 0,
+    skipped: 0,
+    errors: 0,
+    truncated: false,
+    newestPublishedAt: null,
+    liveHeldAt: null, // Earliest live or upcoming upload skipped, which the checkpoint must stay before
+    via: null // How a channel's uploads were listed ('feed' or 'api')
+  };
+}
+
+/**
+ * Get the high-water mark to store for a fully processed source: its newest
+ * upload, or just before the earliest live stream or premiere it skipped, so
+ * the next incremental run sees that one again once it's over
+ * @param {Object} source Source report
+ * @returns {string} ISO timestamp
+ */
+function getCheckpoint(source) {
+  if (!source.liveHeldAt) {
+    return source.newestPublishedAt;
+  }
+  
+  const beforeLive = new Date(Date.parse(source.liveHeldAt) - 1000).toISOString().replace(/\.\d{3}Z$/, 'Z');
+  return beforeLive < source.newestPublishedAt ? beforeLive : source.newestPublishedAt;
+}
+
+/**
+ * Register discovered videos as candidates for this run
+ * @param {Object[]} entries Discovered videos as { videoId, publishedAt }
+ * @param {Object} source Source report
+ * @param {Object} run Run state
+ * @returns {Promise<void>}
+ */
+async function registerCandidates(entries, source, run) {
+  if (entries.length === 0) {
+    return;
+  }
+  
+  source.discovered += entries.length;
+  
+  entries.forEach(({ publishedAt }) => {
+    if (publishedAt && (!source.newestPublishedAt || publishedAt > source.newestPublishedAt)) {
+      source.newestPublishedAt = publishedAt;
+    }
+  });
+  
+  const existing = await run.db.getExistingVideoIds(entries.map(entry => entry.videoId));
+  
+  for (const { videoId } of entries) {
+    // Already claimed by another source in this run
+    if (run.candidates.has(videoId) || run.seenExisting.has(videoId)) {
+      continue;
+    }
+    
+    if (existing.has(videoId)) {
+      // Incremental runs leave stored videos alone; full runs refresh them afterwards
+      run.seenExisting.add(videoId);
+      if (run.mode === 'incremental') {
+        source.skipped++;
+      }
+    } else if (run.candidates.size < run.maxVideos) {
+      run.candidates.set(videoId, source);
+    } else {
+      // Over MAX_VIDEOS_PER_RUN: leave it for the next run
+      source.truncated = true;
+    }
+  }
+}
+
+/**
+ * Discover videos for a search query
+ * @param {string} query Search query
+ * @param {Object} run Run state
+ * @returns {Promise<void>}
+ */
+async function discoverFromQuery(query, run) {
+  const source = createSourceReport('query', query);
+  run.sources[`query:${query}`] = source;
+  
+  const publishedAfter = run.mode === 'incremental' ? run.checkpoints[`query:${query}`] : undefined;
+  let pageToken = null;
+  let pages = 0;
+  
+  try {
+    do {
+      const page = await run.youtube.searchVideos(query, {
+        maxResults: 50,
+        pageToken,
+        publishedAfter,
+        order: publishedAfter ? 'date' : 'relevance'
+      });
+      
+      await registerCandidates(
+        page.items.map(item => ({ videoId: item.id.videoId, publishedAt: item.snippet?.publishedAt })),
+        source,
+        run
+      );
+      
+      pageToken = page.nextPageToken;
+      pages++;
+    } while (pageToken && pages < MAX_SEARCH_PAGES && run.candidates.size < run.maxVideos && !run.isCancelled());
+    
+    if (pageToken) {
+      source.truncated = true;
+    }
+  } catch (error) {
+    logger.error({ err: error, query }, 'Error searching YouTube');
+    source.errors++;
+    run.errors.push({ source: `query:${query}`, message: error.message });
+  }
+}
+
+/**
+ * List a channel's uploads since its high-water mark from its uploads feed.
+ * The feed only holds the latest uploads, so it can only be trusted when it
+ * reaches back to the mark (or holds every upload the channel has).
+ * @param {string} channelId YouTube channel ID
+ * @param {string} publishedAfter High-water mark
+ * @param {Object} run Run state
+ * @returns {Promise<Object[]|null>} Uploads as { videoId, publishedAt }, or null
+ * if the uploads have to be listed through the API
+ */
+async function listUploadsFromFeed(channelId, publishedAfter, run) {
+  let result;
+  try {
+    result = await run.feeds.fetchUploadsFeed(channelId, run.feedStates.get(channelId), { feedUrl: run.feedUrl });
+  } catch (error) {
+    logger.warn({ err: error, channelId }, 'Uploads feed unavailable, listing uploads through the API');
+    return null;
+  }
+  
+  // Unchanged since a fully processed fetch: nothing new
+  if (!result.modified) {
+    return [];
+  }
+  
+  const { entries } = result.feed;
+  const covered = entries.length < feedService.FEED_ENTRY_LIMIT ||
+    entries.some(entry => entry.publishedAt <= publishedAfter);
+  
+  if (!covered) {
+    logger.info({ channelId, publishedAfter }, 'Uploads feed doesn\'t reach back to the last run, listing uploads through the API');
+    return null;
+  }
+  
+  run.feedUpdates.set(channelId, { etag: result.etag, lastModified: result.lastModified });
+  
+  return entries
+    .filter(entry => entry.publishedAt > publishedAfter)
+    .map(({ videoId, publishedAt }) => ({ videoId, publishedAt }));
+}
+
+/**
+ * Discover videos from a tracked channel's uploads
+ * @param {string} channelId YouTube channel ID
+ * @param {Object} run Run state
+ * @returns {Promise<void>}
+ */
+async function discoverFromChannel(channelId, run) {
+  const source = createSourceReport('channel', channelId);
+  run.sources[`channel:${channelId}`] = source;
+  
+  const publishedAfter = run.mode === 'incremental' ? run.checkpoints[`channel:${channelId}`] : undefined;
+  
+  try {
+    // Without a mark (first or full runs) the whole uploads list is needed
+    let uploads = CHANNEL_FEEDS_ENABLED && publishedAfter
+      ? await listUploadsFromFeed(channelId, publishedAfter, run)
+      : null;
+    source.via = uploads ? 'feed' : 'api';
+    
+    if (!uploads) {
+      uploads = await run.youtube.getChannelUploads(channelId, {
+        publishedAfter,
+        maxResults: MAX_UPLOADS_PER_CHANNEL
+      });
+    }
+    
+    await registerCandidates(uploads, source, run);
+  } catch (error) {
+    logger.error({ err: error, channelId }, 'Error listing channel uploads');
+    source.errors++;
+    run.errors.push({ source: `channel:${channelId}`, message: error.message });
+  }
+}
+
+/**
+ * Fetch details for the run's new candidates and store them with their channels
+ * @param {Object} run Run state
+ * @returns {Promise<void>}
+ */
+async function saveCandidates(run) {
+  const videoIds = [...run.candidates.keys()];
+  
+  if (videoIds.length === 0) {
+    return;
+  }
+  
+  // Fetch full video details (duration and statistics aren't part of search results)
+  let videoItems = [];
+  try {
+    videoItems = await run.youtube.getVideoDetails(videoIds);
+  } catch (error) {
+    logger.error({ err: error }, 'Error fetching video details');
+    run.errors.push({ source: 'videos', message: error.message });
+    videoIds.forEach(id => run.candidates.get(id).errors++);
+    return;
+  }
+  
+  const returnedIds = new Set(videoItems.map(item => item.id));
+  videoIds
+    .filter(id => !returnedIds.has(id))
+    .forEach(id => run.candidates.get(id).skipped++);
+  
+  // Creators' typical skill level and admin overrides
+  let creators = new Map();
+  try {
+    const creatorIds = [...new Set(videoItems.map(item => item.snippet?.channelId).filter(Boolean))];
+    creators = await run.db.getCreatorSkillProfiles(creatorIds);
+  } catch (error) {
+    logger.error({ err: error }, 'Error getting creator skill profiles');
+    run.errors.push({ source: 'channels', message: error.message });
+  }
+  
+  const videos = [];
+  for (const item of videoItems) {
+    if (run.isCancelled()) break;
+    
+    const source = run.candidates.get(item.id);
+    
+    // Skip live streams and premieres that haven't finished yet; the source's
+    // checkpoint is held before them (see getCheckpoint)
+    if ((item.snippet?.liveBroadcastContent || 'none') !== 'none') {
+      const publishedAt = item.snippet?.publishedAt;
+      if (publishedAt && (!source.liveHeldAt || publishedAt < source.liveHeldAt)) {
+        source.liveHeldAt = publishedAt;
+      }
+      source.skipped++;
+      continue;
+    }
+    
+    // Skip off-topic uploads from tracked channels
+    if (source.type === 'channel' && !isBrawlStarsContent(item)) {
+      source.skipped++;
+      continue;
+    }
+    
+    // Transcripts feed the classifier and chapter tagging, so fetch them first
+    const transcript = await run.transcripts.fetchTranscript(item.id);
+    
+    videos.push({ video: buildVideoDocument(item, creators.get(item.snippet?.channelId), transcript), source });
+  }
+  
+  // Save the channels behind the videos. Channels unchanged since they were
+  // last fetched aren't rewritten, so ETags are only stored for saved channels.
+  const channelIds = [...new Set(videos.map(({ video }) => video.creator.id).filter(Boolean))];
+  if (channelIds.length > 0) {
+    try {
+      const { changed, unchanged, etags } = await run.youtube.refreshChannelDetails(channelIds);
+      run.channelsUnchanged += unchanged.length;
+      
+      const savedChannelIds = [];
+      for (const item of changed) {
+        try {
+          await run.db.saveChannel(buildChannelDocument(item));
+          run.channelsProcessed++;
+          savedChannelIds.push(item.id);
+        } catch (error) {
+          run.errors.push({ source: 'channels', channelId: item.id, message: error.message });
+        }
+      }
+      
+      await run.youtube.saveEtags(etags, savedChannelIds);
+    } catch (error) {
+      logger.error({ err: error }, 'Error fetching channel details');
+      run.errors.push({ source: 'channels', message: error.message });
+    }
+  }
+  
+  // Save the videos
+  const saved = [];
+  for (const { video, source } of videos) {
+    if (run.isCancelled()) break;
+    
+    try {
+      await run.db.saveVideo(video);
+      source.added++;
+      saved.push(video);
+      await storeChapters(video, run);
+    } catch (error) {
+      source.errors++;
+      run.errors.push({ source: 'videos', youtubeId: video.youtubeId, message: error.message });
+    }
+  }
+  
+  await run.youtube.saveEtags(run.youtube.getResourceEtags('videos', videoItems), saved.map(video => video.youtubeId));
+  await storeEmbeddings(saved, run);
+}
+
+/**
+ * Embed newly stored videos for semantic search. Failures are recorded but
+ * don't fail the run; backfillEmbeddings picks the videos up later.
+ * @param {Object[]} videos Video documents
+ * @param {Object} run Run state
+ * @returns {Promise<void>}
+ */
+async function storeEmbeddings(videos, run) {
+  if (videos.length === 0 || !run.embeddings.isEmbeddingEnabled()) {
+    return;
+  }
+  
+  try {
+    const embeddings = await run.embeddings.embedVideos(videos);
+    
+    for (let i = 0; i < videos.length; i++) {
+      await run.db.saveVideoEmbedding(videos[i].youtubeId, embeddings[i]);
+    }
+  } catch (error) {
+    logger.error({ err: error, count: videos.length }, 'Error embedding videos');
+    run.errors.push({ source: 'embeddings', message: error.message });
+  }
+}
+
+/**
+ * Extract a video's chapter list and store it as its timestamps. The description
+ * is tried first, then the creator's own (usually pinned) comments.
+ * @param {Object} video Video document
+ * @param {Object} run Run state
+ * @returns {Promise<void>}
+ */
+async function storeChapters(video, run) {
+  try {
+    let chapters = chapterParser.extractChapters(video);
+    
+    if (chapters.length === 0 && video.creator.id) {
+      const comments = await run.youtube.getCreatorComments(video.youtubeId, video.creator.id);
+      chapters = chapterParser.extractChapters({ ...video, description: '' }, comments);
+    }
+    
+    if (chapters.length > 0) {
+      await run.db.updateVideoTimestamps(video.youtubeId, chapters);
+    }
+  } catch (error) {
+    // Videos with comments turned off are common and not an error
+    if (error.response?.data?.error?.errors?.[0]?.reason === 'commentsDisabled') {
+      return;
+    }
+    
+    logger.error({ err: error, videoId: video.youtubeId }, 'Error extracting chapters');
+    run.errors.push({ source: 'chapters', youtubeId: video.youtubeId, message: error.message });
+  }
+}
+
+/**
+ * Store an uploaded transcript (.vtt or .srt) on a video, then re-tag the video
+ * and its chapters with what is said in it
+ * @param {string} youtubeId YouTube video ID
+ * @param {string} content Caption file content
+ * @param {Object} options Options
+ * @param {string} options.language Transcript language
+ * @returns {Promise<Object>} Segment count and the video's new tags
+ */
+async function applyTranscript(youtubeId, content, options = {}) {
+  const transcript = {
+    ...transcriptService.buildTranscript(content),
+    transcriptSource: 'upload',
+    transcriptLanguage: options.language || null
+  };
+  
+  if (transcript.transcriptSegments.length === 0) {
+    const error = new Error('No captions found; expected a WebVTT or SRT file');
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  const stored = await dbService.getVideoByYoutubeId(youtubeId);
+  if (!stored) {
+    const error = new Error('Video not found');
+    error.statusCode = 404;
+    throw error;
+  }
+  
+  await dbService.saveVideoTranscript(youtubeId, transcript);
+  
+  const video = { ...stored, ...transcript };
+  const tags = contentClassifier.classifyVideo(video);
+  await dbService.updateVideoTags(youtubeId, tags);
+  
+  const chapters = chapterParser.extractChapters(video);
+  if (chapters.length > 0) {
+    await dbService.updateVideoTimestamps(youtubeId, chapters);
+  }
+  
+  // The transcript is part of the embedded text
+  if (embeddingService.isEmbeddingEnabled()) {
+    const [embedding] = await embeddingService.embedVideos([{ ...video, ...tags }]);
+    await dbService.saveVideoEmbedding(youtubeId, embedding);
+  }
+  
+  return {
+    youtubeId,
+    segments: transcript.transcriptSegments.length,
+    chapters: chapters.length,
+    brawlers: tags.brawlers,
+    gameModes: tags.gameModes,
+    contentType: tags.contentType
+  };
+}
+
+/**
+ * Embed stored videos that have no vector from the configured embedder yet,
+ * e.g. after turning semantic search on or switching models
+ * @param {Object} options Options
+ * @param {number} options.limit Maximum number of videos to embed
+ * @returns {Promise<Object>} Model and number of videos embedded
+ */
+async function backfillEmbeddings(options = {}) {
+  if (!embeddingService.isEmbeddingEnabled()) {
+    const error = new Error('Semantic search is not configured (set EMBEDDING_PROVIDER)');
+    error.statusCode = 400;
+    throw error;
+  }
+  
+  const { model } = embeddingService.getEmbedder();
+  const limit = parseInt(options.limit) || 1000;
+  let embedded = 0;
+  
+  while (embedded < limit) {
+    const videos = await dbService.getVideosWithoutEmbedding(model, Math.min(EMBEDDING_BACKFILL_BATCH_SIZE, limit - embedded));
+    if (videos.length === 0) break;
+    
+    const embeddings = await embeddingService.embedVideos(videos);
+    for (let i = 0; i < videos.length; i++) {
+      await dbService.saveVideoEmbedding(videos[i].youtubeId, embeddings[i]);
+    }
+    embedded += videos.length;
+  }
+  
+  logger.info({ model, embedded }, 'Backfilled video embeddings');
+  
+  return { model, embedded };
+}
+
+/**
+ * Refresh the statistics of every stored video (full mode only)
+ * @param {Object} run Run state
+ * @returns {Promise<void>}
+ */
+async function refreshStoredVideos(run) {
+  const source = createSourceReport('refresh', 'stored videos');
+  run.sources.refresh = source;
+  
+  let videoIds;
+  try {
+    videoIds = (await run.db.getAllVideoIds()).filter(id => !run.candidates.has(id));
+  } catch (error) {
+    source.errors++;
+    run.errors.push({ source: 'refresh', message: error.message });
+    return;
+  }
+  
+  source.discovered = videoIds.length;
+  
+  for (let i = 0; i < videoIds.length; i += REFRESH_BATCH_SIZE) {
+    if (run.isCancelled()) break;
+    
+    const batch = videoIds.slice(i, i + REFRESH_BATCH_SIZE);
+    
+    try {
+      const { changed, unchanged, missing, etags } = await run.youtube.refreshVideoDetails(batch);
+      
+      for (const item of changed) {
+        const { viewCount, likeCount, commentCount, popularity, recency } = buildVideoDocument(item);
+        await run.db.updateVideoStats(item.id, { viewCount, likeCount, commentCount, popularity, recency });
+        source.updated++;
+      }
+      
+      // Only reached once every changed video is updated (see saveEtags)
+      await run.youtube.saveEtags(etags, changed.map(item => item.id));
+      
+      // Unchanged videos aren't rewritten, so lastUpdated only moves on real changes
+      source.unchanged += unchanged.length;
+      
+      // Deleted or private videos no longer come back from videos.list
+      source.skipped += missing.length;
+    } catch (error) {
+      logger.error({ err: error }, 'Error refreshing video statistics');
+      source.errors++;
+      run.errors.push({ source: 'refresh', message: error.message });
+    }
+  }
+}
+
+/**
+ * Collect Brawl Stars content from YouTube and store it in the database
+ *
+ * Incremental runs only look at uploads newer than each query's and channel's
+ * high-water mark. Full runs ignore the marks and also refresh the statistics
+ * of every stored video.
+ *
+ * @param {Object} options Collection options
+ * @param {string} options.mode 'incremental' (default) or 'full'
+ * @param {string[]} options.queries Search queries (defaults to DEFAULT_SEARCH_QUERIES)
+ * @param {string[]} options.channelIds Channels to poll (defaults to all tracked channels)
+ * @param {number} options.maxVideos Maximum new videos to collect (defaults to MAX_VIDEOS_PER_RUN)
+ * @param {Object} deps Service overrides, used to run the collector against recorded fixtures
+ * @param {Object} deps.youtube YouTube service (defaults to youtube-service-improved)
+ * @param {Object} deps.db Database service (defaults to database-service-improved)
+ * @param {Object} deps.transcripts Transcript service (defaults to transcript-service)
+ * @param {Object} deps.embeddings Embedding service (defaults to embedding-service)
+ * @param {Object} deps.feeds Uploads feed service (defaults to feed-service)
+ * @param {string} deps.feedUrl Uploads feed endpoint (defaults to the feed service's YOUTUBE_FEED_URL)
+ * @param {Object} control Run control
+ * @param {Function} control.isCancelled Returns true once the run should stop early
+ * @returns {Promise<Object>} Collection result with added, updated, unchanged and skipped counts
+ */
+async function collectBrawlStarsContent(options = {}, deps = {}, control = {}) {
+  const youtube = deps.youtube || youtubeService;
+  const db = deps.db || dbService;
+  const transcripts = deps.transcripts || transcriptService;
+  const embeddings = deps.embeddings || embeddingService;
+  const feeds = deps.feeds || feedService;
+  
+  const mode = COLLECTION_MODES.includes(options.mode) ? options.mode : 'incremental';
+  const queries = Array.isArray(options.queries) && options.queries.length > 0
+    ? options.queries
+    : DEFAULT_SEARCH_QUERIES;
+  const channelIds = Array.isArray(options.channelIds)
+    ? options.channelIds
+    : await db.getTrackedChannelIds();
+  
+  const run = {
+    mode,
+    youtube,
+    db,
+    transcripts,
+    embeddings,
+    feeds,
+    feedUrl: deps.feedUrl,
+    maxVideos: parseInt(options.maxVideos) || MAX_VIDEOS_PER_RUN,
+    checkpoints: {},
+    feedStates: new Map(),
+    feedUpdates: new Map(), // Feed validators to store once their channel is processed
+    candidates: new Map(),
+    seenExisting: new Set(),
+    sources: {},
+    channelsProcessed: 0,
+    channelsUnchanged: 0,
+    errors: [],
+    isCancelled: () => Boolean(control.isCancelled && control.isCancelled())
+  };
+  
+  const startedAt = new Date().toISOString();
+  logger.info({ mode, queries, channelCount: channelIds.length, maxVideos: run.maxVideos }, 'Starting content collection');
+  
+  if (mode === 'incremental') {
+    run.checkpoints = await db.getCollectionCheckpoints([
+      ...queries.map(query => `query:${query}`),
+      ...channelIds.map(channelId => `channel:${channelId}`)
+    ]);
+    
+    if (CHANNEL_FEEDS_ENABLED && channelIds.length > 0) {
+      try {
+        run.feedStates = await db.getFeedStates(channelIds);
+      } catch (error) {
+        logger.warn({ err: error }, 'Feed states unavailable, fetching feeds unconditionally');
+      }
+    }
+  }
+  
+  // Find new videos
+  for (const query of queries) {
+    if (run.isCancelled()) break;
+    await discoverFromQuery(query, run);
+  }
+  
+  for (const channelId of channelIds) {
+    if (run.isCancelled()) break;
+    await discoverFromChannel(channelId, run);
+  }
+  
+  if (!run.isCancelled()) {
+    await saveCandidates(run);
+  }
+  
+  // Advance the high-water marks of sources that were fully processed
+  // (a cancelled run may not have stored everything it discovered)
+  for (const [key, source] of Object.entries(run.sources)) {
+    if (source.newestPublishedAt && source.errors === 0 && !source.truncated && !run.isCancelled()) {
+      try {
+        await db.saveCollectionCheckpoint(key, getCheckpoint(source));
+      } catch (error) {
+        run.errors.push({ source: key, message: error.message });
+      }
+    }
+  }
+  
+  // Only then may the next run treat an unchanged feed as nothing new (not while
+  // a live upload is held back: the feed may not change when it finishes)
+  for (const [channelId, validators] of run.feedUpdates) {
+    const source = run.sources[`channel:${channelId}`];
+    if (source.errors > 0 || source.truncated || source.liveHeldAt || run.isCancelled()) continue;
+    
+    try {
+      await db.saveFeedState(channelId, validators);
+    } catch (error) {
+      run.errors.push({ source: `feed:${channelId}`, message: error.message });
+    }
+  }
+  
+  if (mode === 'full' && !run.isCancelled()) {
+    await refreshStoredVideos(run);
+  }
+  
+  const sources = Object.values(run.sources);
+  const added = sources.reduce((sum, source) => sum + source.added, 0);
+  const updated = sources.reduce((sum, source) => sum + source.updated, 0);
+  const unchanged = sources.reduce((sum, source) => sum + source.unchanged, 0);
+  const skipped = sources.reduce((sum, source) => sum + source.skipped, 0);
+  
+  let status = run.errors.length > 0 ? 'completed_with_errors' : 'success';
+  if (run.isCancelled()) {
+    status = 'cancelled';
+  }
+  
+  const result = {
+    status,
+    mode,
+    added,
+    updated,
+    unchanged,
+    skipped,
+    collected: added + updated,
+    channelsProcessed: run.channelsProcessed,
+    channelsUnchanged: run.channelsUnchanged,
+    sources,
+    errors: run.errors,
+    startedAt,
+    finishedAt: new Date().toISOString(),
     options
+  };
+  
+  logger.info({ mode, added, updated, unchanged, skipped, errorCount: run.errors.length }, 'Content collection finished');
+  return result;
+}
+
+/**
+ * Parse collector options from command line arguments
+ * (e.g. --mode=full --max-videos=200)
+ * @param {string[]} argv Command line arguments
+ * @returns {Object} Collection options
+ */
+function parseCommandLineOptions(argv) {
+  const options = {};
+  
+  argv.forEach(arg => {
+    const [name, value] = arg.replace(/^--/, '').split('=');
+    
+    if (name === 'mode') {
+      if (!COLLECTION_MODES.includes(value)) {
+        throw new Error(`Unknown collection mode "${value}" (expected ${COLLECTION_MODES.join(' or ')})`);
+      }
+      options.mode = value;
+    } else if (name === 'max-videos') {
+      options.maxVideos = parseInt(value);
+    }
   });
+  
+  return options;
+}
+
+/**
+ * Create an error for a collection that can't start because another run holds the lock
+ * @returns {Error} Error with a 409 status code
+ */
+function createRunInProgressError() {
+  const error = new Error('A collection run is already in progress');
+  error.statusCode = 409;
+  return error;
+}
+
+/**
+ * Run a collection job in the background. The caller must hold the collection lock;
+ * it is kept alive during the job and released when the job finishes.
+ *
+ * The job record stores the trigger, options, start and end time, per-source
+ * counts, errors and the YouTube quota the job consumed.
+ *
+ * @param {Object} options Collection options
+ * @param {Object} meta Job metadata
+ * @param {string} meta.trigger 'manual' or 'scheduled'
+ * @param {string} meta.scheduleId Schedule that triggered the job, if any
+ * @returns {Promise<Object>} Job ID and a promise for the collection result
+ */
+async function launchCollectionRun(options, { trigger, scheduleId = null }) {
+  const job = {
+    id: uuidv4(),
+    scheduleId,
+    trigger,
+    status: 'running',
+    options,
+    owner: INSTANCE_ID,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    cancelRequested: false
+  };
+  
+  try {
+    // Holding the lock means nothing else is running, so leftover jobs were interrupted
+    await dbService.markInterruptedCollectionRuns();
+    await dbService.createCollectionRun(job);
+  } catch (error) {
+    await dbService.releaseCollectionLock(INSTANCE_ID).catch(() => {});
+    throw error;
+  }
+  
+  const control = { cancelled: false };
+  activeJobs.set(job.id, control);
+  
+  // Keep the lock alive while the job is in progress
+  const heartbeat = setInterval(() => {
+    dbService.renewCollectionLock(INSTANCE_ID, COLLECTION_LOCK_TTL_MS)
+      .catch(err => logger.error(err, 'Failed to renew collection lock'));
+  }, COLLECTION_LOCK_TTL_MS / 3);
+  heartbeat.unref();
+  
+  // Pick up cancellations requested through other instances
+  const cancelPoll = setInterval(() => {
+    dbService.getCollectionRun(job.id)
+      .then(record => {
+        if (record && record.cancelRequested) {
+          control.cancelled = true;
+        }
+      })
+      .catch(err => logger.error(err, 'Failed to check collection job for cancellation'));
+  }, CANCEL_POLL_INTERVAL_MS);
+  cancelPoll.unref();
+  
+  logger.info({ jobId: job.id, trigger, scheduleId }, 'Collection job started');
+  
+  const unitsBefore = youtubeService.getUnitsUsed();
+  
+  const completion = collectBrawlStarsContent(options, {}, { isCancelled: () => control.cancelled })
+    .then(async (result) => {
+      await dbService.updateCollectionRun(job.id, {
+        status: result.status,
+        finishedAt: result.finishedAt,
+        result: {
+          added: result.added,
+          updated: result.updated,
+          unchanged: result.unchanged,
+          skipped: result.skipped,
+          collected: result.collected,
+          channelsProcessed: result.channelsProcessed,
+          channelsUnchanged: result.channelsUnchanged,
+          errorCount: result.errors.length
+        },
+        sources: result.sources,
+        errors: result.errors.slice(0, MAX_JOB_ERRORS),
+        quotaUsed: youtubeService.getUnitsUsed() - unitsBefore
+      });
+      return { ...result, jobId: job.id };
+    })
+    .catch(async (error) => {
+      await dbService.updateCollectionRun(job.id, {
+        status: 'failed',
+        finishedAt: new Date().toISOString(),
+        errors: [{ source: 'job', message: error.message }],
+        quotaUsed: youtubeService.getUnitsUsed() - unitsBefore
+      }).catch(err => logger.error(err, 'Failed to record collection job failure'));
+      error.jobId = job.id;
+      throw error;
+    })
+    .finally(async () => {
+      clearInterval(heartbeat);
+      clearInterval(cancelPoll);
+      activeJobs.delete(job.id);
+      await dbService.releaseCollectionLock(INSTANCE_ID)
+        .catch(err => logger.error(err, 'Failed to release collection lock'));
+    });
+  
+  return { jobId: job.id, completion };
 }
 
-function scheduleCollection(intervalHours, options = {}) {
+/**
+ * Request cancellation of a running collection job. The job stops at its next
+ * checkpoint and keeps whatever it stored so far.
+ * @param {string} jobId Job ID
+ * @returns {Promise<Object|null>} Updated job record, or null if the job isn't running
+ */
+async function cancelCollectionJob(jobId) {
+  const job = await dbService.requestCollectionRunCancel(jobId);
+  
+  // Stop right away when the job runs on this instance
+  if (job && activeJobs.has(jobId)) {
+    activeJobs.get(jobId).cancelled = true;
+  }
+  
+  return job;
+}
+
+/**
+ * Start a collection job unless one is already in progress on any instance
+ * @param {Object} options Collection options
+ * @param {Object} meta Job metadata (trigger, scheduleId)
+ * @returns {Promise<Object>} Job ID and a promise for the collection result
+ * @throws {Error} With statusCode 409 when another run holds the lock
+ */
+async function startCollectionRun(options = {}, meta = { trigger: 'manual' }) {
+  const acquired = await dbService.acquireCollectionLock(INSTANCE_ID, COLLECTION_LOCK_TTL_MS);
+  
+  if (!acquired) {
+    throw createRunInProgressError();
+  }
+  
+  return launchCollectionRun(options, meta);
+}
+
+/**
+ * Start the run of the first due schedule, if any. Called on every scheduler tick.
+ * @returns {Promise<void>}
+ */
+async function runDueSchedules() {
+  if (schedulerTickInProgress) {
+    return;
+  }
+  
+  schedulerTickInProgress = true;
+  
+  try {
+    const dueSchedules = await dbService.getDueCollectionSchedules();
+    
+    for (const schedule of dueSchedules) {
+      // Another run is in progress; the schedule stays due until the lock is free
+      if (!await dbService.acquireCollectionLock(INSTANCE_ID, COLLECTION_LOCK_TTL_MS)) {
+        return;
+      }
+      
+      // Another instance may have run this schedule between our read and the lock
+      const nextRun = new Date(Date.now() + schedule.intervalHours * 60 * 60 * 1000).toISOString();
+      const claimed = await dbService.claimCollectionSchedule(schedule.scheduleId, nextRun);
+      
+      if (!claimed) {
+        await dbService.releaseCollectionLock(INSTANCE_ID);
+        continue;
+      }
+      
+      const { completion } = await launchCollectionRun(claimed.options || {}, {
+        trigger: 'scheduled',
+        scheduleId: claimed.scheduleId
+      });
+      completion.catch(err => logger.error(err, 'Scheduled collection failed'));
+      
+      // One run at a time; remaining due schedules are picked up on later ticks
+      return;
+    }
+  } catch (error) {
+    logger.error(error, 'Error running due collection schedules');
+  } finally {
+    schedulerTickInProgress = false;
+  }
+}
+
+/**
+ * Start polling for due schedules (safe to call more than once)
+ */
+function startScheduler() {
+  if (schedulerTimer) {
+    return;
+  }
+  
+  schedulerTimer = setInterval(runDueSchedules, SCHEDULER_POLL_INTERVAL_MS);
+  schedulerTimer.unref();
+  setImmediate(runDueSchedules);
+  
+  logger.info({ pollIntervalMs: SCHEDULER_POLL_INTERVAL_MS }, 'Collection scheduler started');
+}
+
+/**
+ * Stop polling for due schedules
+ */
+function stopScheduler() {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+}
+
+/**
+ * Create or update a persistent collection schedule and make sure the scheduler is running
+ * @param {number} intervalHours Hours between runs
+ * @param {Object} options Collection options for scheduled runs (kept as-is when omitted)
+ * @param {string} scheduleId Schedule ID
+ * @returns {Promise<Object>} Saved schedule info
+ */
+async function scheduleCollection(intervalHours, options, scheduleId = DEFAULT_SCHEDULE_ID) {
+  const intervalMs = intervalHours * 60 * 60 * 1000;
+  const existing = await dbService.getCollectionSchedule(scheduleId);
+  
+  // Keep the stored next run across restarts unless the interval changed
+  let nextRun = existing && existing.enabled && existing.intervalHours === intervalHours
+    ? existing.nextRun
+    : null;
+  
+  if (!nextRun) {
+    const lastRunAt = existing?.lastRunAt ? new Date(existing.lastRunAt).getTime() : Date.now();
+    nextRun = new Date(Math.max(lastRunAt + intervalMs, Date.now())).toISOString();
+  }
+  
+  const schedule = await dbService.saveCollectionSchedule({
+    scheduleId,
+    intervalHours,
+    intervalMs,
+    options: options || existing?.options || {},
+    enabled: true,
+    nextRun
+  });
+  
+  startScheduler();
+  
   return {
+    scheduleId,
     intervalHours,
-    intervalMs: intervalHours * 60 * 60 * 1000,
-    options
+    intervalMs,
+    options: schedule.options,
+    nextRun: schedule.nextRun
   };
 }
 
-function getCollectionStatus() {
+/**
+ * Get the status of content collection across all instances
+ * @returns {Promise<Object>} Last run, next run, whether a run is active and totals
+ */
+async function getCollectionStatus() {
+  const [lastRun, activeRun, lock, nextRun, stats] = await Promise.all([
+    dbService.getLatestCollectionRun({ status: { $ne: 'running' } }),
+    dbService.getLatestCollectionRun({ status: 'running' }),
+    dbService.getCollectionLock(),
+    dbService.getNextScheduledRun(),
+    dbService.getCollectionRunStats()
+  ]);
+  
   return {
-    lastRun: null,
-    nextRun: null,
-    isRunning: false,
-    stats: {
-      videosCollected: 0,
-      channelsProcessed: 0
-    }
+    lastRun,
+    nextRun,
+    isRunning: Boolean(lock),
+    currentRun: lock ? activeRun : null,
+    stats
   };
 }
 
+// Run a collection from the command line (npm run collect:full / collect:incremental)
+if (require.main === module) {
+  (async () => {
+    try {
+      const options = parseCommandLineOptions(process.argv.slice(2));
+      await dbService.connectToDatabase();
+      await catalog.loadCatalog();
+      const { completion } = await startCollectionRun(options, { trigger: 'manual' });
+      const result = await completion;
+      logger.info({ result }, 'Collection complete');
+      await dbService.closeDatabaseConnection();
+      process.exit(0);
+    } catch (error) {
+      logger.error(error, 'Collection failed');
+      await dbService.closeDatabaseConnection().catch(() => {});
+      process.exit(1);
+    }
+  })();
+}
+
 module.exports = {
   collectBrawlStarsContent,
+  startCollectionRun,
+  cancelCollectionJob,
+  applyTranscript,
+  backfillEmbeddings,
   scheduleCollection,
-  getCollectionStatus
+  startScheduler,
+  stopScheduler,
+  getCollectionStatus,
+  buildVideoDocument,
+  buildChannelDocument
 };
@@ -0,0 +1,462 @@
+// data-collector-improved.test.js
+// Tests for the collection pipeline, with the services injected as mocks and
+// uploads feeds served by a local feed server
+
+jest.mock('./database-service-improved', () => ({
+  acquireCollectionLock: jest.fn(),
+  releaseCollectionLock: jest.fn(),
+  renewCollectionLock: jest.fn(),
+  markInterruptedCollectionRuns: jest.fn(),
+  createCollectionRun: jest.fn(),
+  updateCollectionRun: jest.fn(),
+  getCollectionRun: jest.fn(),
+  getDueCollectionSchedules: jest.fn(),
+  claimCollectionSchedule: jest.fn(),
+  getCollectionSchedule: jest.fn(),
+  saveCollectionSchedule: jest.fn(),
+  getCollectionCheckpoints: jest.fn()
+}));
+
+jest.mock('./youtube-service-improved', () => ({
+  ...jest.requireActual('./youtube-service-improved'),
+  searchVideos: jest.fn(),
+  getUnitsUsed: jest.fn(() => 0)
+}));
+
+const dbService = require('./database-service-improved');
+const youtubeService = require('./youtube-service-improved');
+const collector = require('./data-collector-improved');
+const { startFeedServer } = require('./local-feed-server');
+
+const CHANNEL_ID = 'UCcollectortest000000000';
+const CHECKPOINT = '2024-05-01T18:00:00Z';
+
+let server;
+
+/**
+ * Build uploads, newest first, one a day counting back from a date
+ * @param {number} count Number of uploads
+ * @param {string} newest Day of the newest upload (YYYY-MM-DD)
+ * @returns {Object[]} Uploads as { videoId, publishedAt }
+ */
+function uploads(count, newest) {
+  const start = Date.parse(`${newest}T12:00:00Z`);
+  return Array.from({ length: count }, (_, index) => ({
+    videoId: `video${index}`,
+    publishedAt: new Date(start - index * 86400000).toISOString().replace('.000Z', 'Z')
+  }));
+}
+
+/**
+ * Build a video resource as returned by videos.list
+ * @param {string} id Video ID
+ * @param {Object} snippet Snippet fields to override
+ * @returns {Object} Video resource
+ */
+function videoItem(id, snippet = {}) {
+  return {
+    id,
+    snippet: {
+      title: `Colt Brawl Stars guide ${id}`,
+      description: 'How to play Colt in Gem Grab',
+      channelId: 'UCcreator',
+      channelTitle: 'Coach',
+      publishedAt: '2024-05-02T10:00:00Z',
+      liveBroadcastContent: 'none',
+      ...snippet
+    },
+    statistics: { viewCount: '1200', likeCount: '80', commentCount: '5' },
+    contentDetails: { duration: 'PT10M' }
+  };
+}
+
+/**
+ * Build a search result page as returned by the YouTube service
+ * @param {string[]} ids Video IDs
+ * @returns {Object} Page as { items, nextPageToken }
+ */
+function searchPage(ids) {
+  return {
+    items: ids.map(id => ({ id: { videoId: id }, snippet: { publishedAt: '2024-05-02T10:00:00Z' } })),
+    nextPageToken: null
+  };
+}
+
+/**
+ * Create mocked services for a run
+ * @param {Object} feedStates Stored feed validators by channel ID
+ * @returns {Object} Services as { youtube, db, transcripts, embeddings }, reading
+ * feeds from the local feed server
+ */
+function createDeps(feedStates = {}) {
+  return {
+    feedUrl: server.feedUrl,
+    youtube: {
+      searchVideos: jest.fn().mockResolvedValue({ items: [], nextPageToken: null }),
+      getChannelUploads: jest.fn().mockResolvedValue([]),
+      getVideoDetails: jest.fn().mockResolvedValue([]),
+      refreshChannelDetails: jest.fn().mockResolvedValue({ changed: [], unchanged: [], missing: [], etags: [] }),
+      getCreatorComments: jest.fn().mockResolvedValue([]),
+      getResourceEtags: youtubeService.getResourceEtags,
+      saveEtags: jest.fn()
+    },
+    db: {
+      getCollectionCheckpoints: jest.fn().mockResolvedValue({ [`channel:${CHANNEL_ID}`]: CHECKPOINT }),
+      saveCollectionCheckpoint: jest.fn(),
+      getFeedStates: jest.fn().mockResolvedValue(new Map(Object.entries(feedStates))),
+      saveFeedState: jest.fn(),
+      getExistingVideoIds: jest.fn().mockResolvedValue(new Set()),
+      getCreatorSkillProfiles: jest.fn().mockResolvedValue(new Map()),
+      saveVideo: jest.fn(),
+      saveChannel: jest.fn(),
+      updateVideoTimestamps: jest.fn()
+    },
+    transcripts: { fetchTranscript: jest.fn().mockResolvedValue(null) },
+    embeddings: { isEmbeddingEnabled: () => false }
+  };
+}
+
+/**
+ * Run an incremental collection of the test channel (searching finds nothing)
+ * @param {Object} deps Mocked services
+ * @returns {Promise<Object>} Collection result
+ */
+function collectChannel(deps) {
+  return collector.collectBrawlStarsContent({ mode: 'incremental', channelIds: [CHANNEL_ID] }, deps);
+}
+
+/**
+ * Get the channel's source report from a collection result
+ * @param {Object} result Collection result
+ * @returns {Object} Source report
+ */
+function channelSource(result) {
+  return result.sources.find(source => source.type === 'channel');
+}
+
+beforeAll(async () => {
+  server = await startFeedServer();
+});
+
+afterAll(async () => {
+  await server.close();
+});
+
+beforeEach(() => {
+  server.requests.length = 0;
+});
+
+/**
+ * Wait for background work (a scheduler tick, a job) to reach a point
+ * @param {Function} check Returns true once the point is reached
+ * @returns {Promise<void>}
+ */
+async function waitFor(check) {
+  for (let i = 0; i < 100 && !check(); i++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+/**
+ * Run an incremental collection of search queries only
+ * @param {Object} deps Mocked services
+ * @param {Object} options Collection options to add
+ * @returns {Promise<Object>} Collection result
+ */
+function collectQueries(deps, options = {}) {
+  return collector.collectBrawlStarsContent({ queries: ['colt guide'], channelIds: [], ...options }, deps);
+}
+
+describe('collection pipeline', () => {
+  test('searches, fetches details and saves the videos with their channels', async () => {
+    const deps = createDeps();
+    deps.youtube.searchVideos.mockResolvedValue(searchPage(['v1', 'v2']));
+    deps.youtube.getVideoDetails.mockResolvedValue([videoItem('v1'), videoItem('v2')]);
+    deps.youtube.refreshChannelDetails.mockResolvedValue({
+      changed: [{
+        id: 'UCcreator',
+        snippet: { title: 'Coach', customUrl: '@coach' },
+        statistics: { subscriberCount: '5000', videoCount: '40', viewCount: '900000' }
+      }],
+      unchanged: [],
+      missing: [],
+      etags: []
+    });
+    
+    const result = await collectQueries(deps);
+    
+    expect(deps.youtube.searchVideos).toHaveBeenCalledWith('colt guide', expect.objectContaining({ order: 'relevance' }));
+    expect(deps.youtube.getVideoDetails).toHaveBeenCalledWith(['v1', 'v2']);
+    expect(deps.youtube.refreshChannelDetails).toHaveBeenCalledWith(['UCcreator']);
+    expect(deps.db.saveVideo).toHaveBeenCalledTimes(2);
+    expect(deps.db.saveVideo).toHaveBeenCalledWith(expect.objectContaining({
+      youtubeId: 'v1',
+      title: 'Colt Brawl Stars guide v1',
+      creator: { id: 'UCcreator', name: 'Coach', url: 'https://www.youtube.com/channel/UCcreator' },
+      duration: 600,
+      viewCount: 1200,
+      brawlers: ['Colt'],
+      gameModes: ['Gem Grab']
+    }));
+    expect(deps.db.saveChannel).toHaveBeenCalledWith(expect.objectContaining({
+      channelId: 'UCcreator',
+      name: 'Coach',
+      url: 'https://www.youtube.com/@coach',
+      subscriberCount: 5000
+    }));
+    expect(result).toMatchObject({ status: 'success', added: 2, updated: 0, skipped: 0, collected: 2, channelsProcessed: 1 });
+  });
+  
+  test('leaves channels unchanged since their last fetch alone', async () => {
+    const deps = createDeps();
+    deps.youtube.searchVideos.mockResolvedValue(searchPage(['v1']));
+    deps.youtube.getVideoDetails.mockResolvedValue([videoItem('v1')]);
+    deps.youtube.refreshChannelDetails.mockResolvedValue({ changed: [], unchanged: ['UCcreator'], missing: [], etags: [] });
+    
+    const result = await collectQueries(deps);
+    
+    expect(deps.db.saveChannel).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ added: 1, channelsProcessed: 0, channelsUnchanged: 1 });
+  });
+  
+  test('saves at most MAX_VIDEOS_PER_RUN new videos and leaves the rest for the next run', async () => {
+    const ids = Array.from({ length: 60 }, (_, index) => `v${index}`);
+    const deps = createDeps();
+    deps.youtube.searchVideos.mockResolvedValue(searchPage(ids));
+    deps.youtube.getVideoDetails.mockImplementation(async videoIds => videoIds.map(id => videoItem(id)));
+    
+    const result = await collectQueries(deps);
+    
+    expect(deps.youtube.getVideoDetails).toHaveBeenCalledWith(ids.slice(0, 50));
+    expect(deps.db.saveVideo).toHaveBeenCalledTimes(50);
+    expect(result.added).toBe(50);
+    expect(result.sources[0]).toMatchObject({ discovered: 60, added: 50, truncated: true });
+    // The query's mark stays put so the next run finds the other ten again
+    expect(deps.db.saveCollectionCheckpoint).not.toHaveBeenCalled();
+  });
+  
+  test('counts stored videos, live streams and videos without details as skipped', async () => {
+    const deps = createDeps();
+    deps.youtube.searchVideos.mockResolvedValue(searchPage(['stored', 'live', 'gone', 'new']));
+    deps.db.getExistingVideoIds.mockResolvedValue(new Set(['stored']));
+    deps.youtube.getVideoDetails.mockResolvedValue([videoItem('live', { liveBroadcastContent: 'live' }), videoItem('new')]);
+    
+    const result = await collectQueries(deps);
+    
+    expect(deps.youtube.getVideoDetails).toHaveBeenCalledWith(['live', 'gone', 'new']);
+    expect(deps.db.saveVideo).toHaveBeenCalledTimes(1);
+    expect(deps.db.saveVideo).toHaveBeenCalledWith(expect.objectContaining({ youtubeId: 'new' }));
+    expect(result).toMatchObject({ added: 1, skipped: 3 });
+  });
+});
+
+describe('collection modes', () => {
+  test('incremental runs search from the query\'s mark and advance it to the newest upload', async () => {
+    const deps = createDeps();
+    deps.db.getCollectionCheckpoints.mockResolvedValue({ 'query:colt guide': '2024-05-01T00:00:00Z' });
+    deps.youtube.searchVideos.mockResolvedValue(searchPage(['v1']));
+    deps.youtube.getVideoDetails.mockResolvedValue([videoItem('v1')]);
+    
+    await collectQueries(deps);
+    
+    expect(deps.db.getCollectionCheckpoints).toHaveBeenCalledWith(['query:colt guide']);
+    expect(deps.youtube.searchVideos).toHaveBeenCalledWith('colt guide', expect.objectContaining({
+      publishedAfter: '2024-05-01T00:00:00Z',
+      order: 'date'
+    }));
+    expect(deps.db.saveCollectionCheckpoint).toHaveBeenCalledWith('query:colt guide', '2024-05-02T10:00:00Z');
+  });
+  
+  test('full runs ignore the marks and refresh the statistics of stored videos', async () => {
+    const deps = createDeps();
+    deps.youtube.searchVideos.mockResolvedValue(searchPage(['stored']));
+    deps.db.getExistingVideoIds.mockResolvedValue(new Set(['stored']));
+    deps.db.getAllVideoIds = jest.fn().mockResolvedValue(['stored', 'quiet']);
+    deps.db.updateVideoStats = jest.fn();
+    deps.youtube.refreshVideoDetails = jest.fn().mockResolvedValue({
+      changed: [videoItem('stored')],
+      unchanged: ['quiet'],
+      missing: [],
+      etags: []
+    });
+    
+    const result = await collectQueries(deps, { mode: 'full' });
+    
+    expect(deps.db.getCollectionCheckpoints).not.toHaveBeenCalled();
+    expect(deps.youtube.searchVideos).toHaveBeenCalledWith('colt guide', expect.objectContaining({
+      publishedAfter: undefined,
+      order: 'relevance'
+    }));
+    expect(deps.youtube.getVideoDetails).not.toHaveBeenCalled();
+    expect(deps.youtube.refreshVideoDetails).toHaveBeenCalledWith(['stored', 'quiet']);
+    expect(deps.db.updateVideoStats).toHaveBeenCalledTimes(1);
+    expect(deps.db.updateVideoStats).toHaveBeenCalledWith('stored', expect.objectContaining({ viewCount: 1200 }));
+    expect(result).toMatchObject({ mode: 'full', added: 0, updated: 1, unchanged: 1, skipped: 0 });
+  });
+  test('holds the mark before a premiere that hasn\'t finished, so a later run sees it again', async () => {
+    const deps = createDeps();
+    deps.db.getCollectionCheckpoints.mockResolvedValue({ 'query:colt guide': '2024-05-01T00:00:00Z' });
+    deps.youtube.searchVideos.mockResolvedValue({
+      items: [
+        { id: { videoId: 'v1' }, snippet: { publishedAt: '2024-05-04T10:00:00Z' } },
+        { id: { videoId: 'premiere' }, snippet: { publishedAt: '2024-05-03T18:00:00Z' } }
+      ],
+      nextPageToken: null
+    });
+    deps.youtube.getVideoDetails.mockResolvedValue([
+      videoItem('v1', { publishedAt: '2024-05-04T10:00:00Z' }),
+      videoItem('premiere', { publishedAt: '2024-05-03T18:00:00Z', liveBroadcastContent: 'upcoming' })
+    ]);
+    
+    const result = await collectQueries(deps);
+    
+    expect(result).toMatchObject({ added: 1, skipped: 1 });
+    expect(deps.db.saveCollectionCheckpoint).toHaveBeenCalledWith('query:colt guide', '2024-05-03T17:59:59Z');
+  });
+});
+
+describe('channel discovery from uploads feeds', () => {
+  test('sends only uploads newer than the checkpoint to the details call, without listing uploads', async () => {
+    server.setFeed(CHANNEL_ID, uploads(5, '2024-05-03'));
+    const deps = createDeps();
+    
+    const result = await collectChannel(deps);
+    
+    expect(deps.youtube.getChannelUploads).not.toHaveBeenCalled();
+    expect(deps.youtube.getVideoDetails).toHaveBeenCalledWith(['video0', 'video1']);
+    expect(channelSource(result)).toMatchObject({ via: 'feed', discovered: 2 });
+    expect(deps.db.saveFeedState).toHaveBeenCalledWith(CHANNEL_ID, expect.objectContaining({ etag: expect.any(String) }));
+  });
+  
+  test('spends nothing when the feed is unchanged since the last run', async () => {
+    server.setFeed(CHANNEL_ID, uploads(5, '2024-05-03'));
+    const first = createDeps();
+    await collectChannel(first);
+    const validators = first.db.saveFeedState.mock.calls[0][1];
+    
+    const deps = createDeps({ [CHANNEL_ID]: validators });
+    const result = await collectChannel(deps);
+    
+    expect(server.requests.map(request => request.status)).toEqual([200, 304]);
+    expect(deps.youtube.getChannelUploads).not.toHaveBeenCalled();
+    expect(deps.youtube.getVideoDetails).not.toHaveBeenCalled();
+    expect(channelSource(result)).toMatchObject({ via: 'feed', discovered: 0 });
+  });
+  
+  test('lists uploads through the API when every feed entry is newer than the checkpoint', async () => {
+    server.setFeed(CHANNEL_ID, uploads(15, '2024-05-20'));
+    const deps = createDeps();
+    
+    const result = await collectChannel(deps);
+    
+    expect(deps.youtube.getChannelUploads).toHaveBeenCalledWith(CHANNEL_ID, expect.objectContaining({ publishedAfter: CHECKPOINT }));
+    expect(channelSource(result).via).toBe('api');
+    expect(deps.db.saveFeedState).not.toHaveBeenCalled();
+  });
+  
+  test('lists uploads through the API when the feed is unavailable', async () => {
+    server.removeFeed(CHANNEL_ID);
+    const deps = createDeps();
+    
+    const result = await collectChannel(deps);
+    
+    expect(deps.youtube.getChannelUploads).toHaveBeenCalled();
+    expect(channelSource(result).via).toBe('api');
+    expect(result.errors).toEqual([]);
+  });
+  
+  test('keeps the old feed state when saving the new uploads fails', async () => {
+    server.setFeed(CHANNEL_ID, uploads(5, '2024-05-03'));
+    const deps = createDeps();
+    deps.youtube.getVideoDetails.mockRejectedValue(new Error('quota exhausted'));
+    
+    await collectChannel(deps);
+    
+    expect(deps.db.saveFeedState).not.toHaveBeenCalled();
+    expect(deps.db.saveCollectionCheckpoint).not.toHaveBeenCalled();
+  });
+  test('keeps the old feed state and holds the mark while an upload is live', async () => {
+    server.setFeed(CHANNEL_ID, uploads(5, '2024-05-03'));
+    const deps = createDeps();
+    deps.youtube.getVideoDetails.mockResolvedValue([
+      videoItem('video0', { publishedAt: '2024-05-03T12:00:00Z', liveBroadcastContent: 'live' }),
+      videoItem('video1', { publishedAt: '2024-05-02T12:00:00Z' })
+    ]);
+    
+    await collectChannel(deps);
+    
+    expect(deps.db.saveVideo).toHaveBeenCalledTimes(1);
+    expect(deps.db.saveCollectionCheckpoint).toHaveBeenCalledWith(`channel:${CHANNEL_ID}`, '2024-05-03T11:59:59Z');
+    expect(deps.db.saveFeedState).not.toHaveBeenCalled();
+  });
+});
+
+describe('collection lock and scheduler', () => {
+  const options = { queries: ['colt guide'], channelIds: [] };
+  
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dbService.getCollectionCheckpoints.mockResolvedValue({});
+    dbService.releaseCollectionLock.mockResolvedValue(true);
+    youtubeService.searchVideos.mockResolvedValue(searchPage([]));
+  });
+  
+  afterEach(() => {
+    collector.stopScheduler();
+  });
+  
+  test('refuses to start a run while another instance holds the lock', async () => {
+    dbService.acquireCollectionLock.mockResolvedValue(false);
+    
+    await expect(collector.startCollectionRun(options)).rejects.toMatchObject({ statusCode: 409 });
+    expect(dbService.createCollectionRun).not.toHaveBeenCalled();
+  });
+  
+  test('records the job and releases the lock once the run finishes', async () => {
+    dbService.acquireCollectionLock.mockResolvedValue(true);
+    
+    const { jobId, completion } = await collector.startCollectionRun(options);
+    const result = await completion;
+    
+    expect(dbService.createCollectionRun).toHaveBeenCalledWith(expect.objectContaining({ id: jobId, trigger: 'manual', status: 'running' }));
+    expect(dbService.updateCollectionRun).toHaveBeenCalledWith(jobId, expect.objectContaining({ status: 'success', quotaUsed: 0 }));
+    expect(dbService.releaseCollectionLock).toHaveBeenCalledTimes(1);
+    expect(result).toMatchObject({ jobId, status: 'success' });
+  });
+  
+  test('starts a due schedule as a scheduled run once it holds the lock', async () => {
+    dbService.getDueCollectionSchedules.mockResolvedValue([{ scheduleId: 'nightly', intervalHours: 24, options }]);
+    dbService.acquireCollectionLock.mockResolvedValue(true);
+    dbService.claimCollectionSchedule.mockImplementation(async scheduleId => ({ scheduleId, intervalHours: 24, options }));
+    
+    collector.startScheduler();
+    await waitFor(() => dbService.releaseCollectionLock.mock.calls.length > 0);
+    
+    expect(dbService.claimCollectionSchedule).toHaveBeenCalledWith('nightly', expect.any(String));
+    expect(dbService.createCollectionRun).toHaveBeenCalledWith(expect.objectContaining({ trigger: 'scheduled', scheduleId: 'nightly' }));
+    expect(youtubeService.searchVideos).toHaveBeenCalledWith('colt guide', expect.any(Object));
+  });
+  
+  test('leaves due schedules for a later tick while another run holds the lock', async () => {
+    dbService.getDueCollectionSchedules.mockResolvedValue([{ scheduleId: 'nightly', intervalHours: 24, options }]);
+    dbService.acquireCollectionLock.mockResolvedValue(false);
+    
+    collector.startScheduler();
+    await waitFor(() => dbService.acquireCollectionLock.mock.calls.length > 0);
+    await waitFor(() => false);
+    
+    expect(dbService.claimCollectionSchedule).not.toHaveBeenCalled();
+    expect(dbService.createCollectionRun).not.toHaveBeenCalled();
+  });
+  
+  test('keeps the stored options when only the interval is updated', async () => {
+    dbService.getDueCollectionSchedules.mockResolvedValue([]);
+    dbService.getCollectionSchedule.mockResolvedValue({ scheduleId: 'default', intervalHours: 24, options, enabled: true });
+    dbService.saveCollectionSchedule.mockImplementation(async schedule => schedule);
+    
+    const schedule = await collector.scheduleCollection(12, undefined);
+    
+    expect(dbService.saveCollectionSchedule).toHaveBeenCalledWith(expect.objectContaining({ intervalHours: 12, options }));
+    expect(schedule.options).toEqual(options);
+  });
+});
@@ -1,7 +1,7 @@
 // database-service.js
 // Enhanced service for managing Brawl Stars content in MongoDB
 
-const { MongoClient, ObjectId } = require('mongodb');
+const { MongoClient } = require('mongodb');
 const pino = require('pino');
 require('dotenv').config();
 
@@ -20,9 +20,22 @@ const COLLECTIONS = {
   SEARCH_HISTORY: 'searchHistory',
   USER_FEEDBACK: 'userFeedback',
   USER_PREFERENCES: 'userPreferences',
-  METRICS: 'metrics'
+  METRICS: 'metrics',
+  COLLECTION_STATE: 'collectionState',
+  COLLECTION_SCHEDULES: 'collectionSchedules',
+  COLLECTION_RUNS: 'collectionRuns',
+  YOUTUBE_QUOTA: 'youtubeQuota',
+  YOUTUBE_ETAGS: 'youtubeEtags',
+  PROMPT_VERSIONS: 'promptVersions'
 };
 
+// Key of the collectionState document used as the cross-instance collection lock
+const COLLECTION_LOCK_KEY = 'lock:collection';
+
+// Large fields left out of search results (transcripts are only needed for
+// matching, embedding vectors only for ranking)
+const SEARCH_RESULT_PROJECTION = { transcript: 0, transcriptSegments: 0, 'embedding.vector': 0 };
+
 // Collection schemas for validation
 const SCHEMAS = {
   videos: {
@@ -52,6 +65,29 @@ const SCHEMAS = {
       popularity: { bsonType: 'double' },
       recency: { bsonType: 'double' },
       transcript: { bsonType: ['string', 'null'] },
+      transcriptSegments: {
+        bsonType: 'array',
+        items: {
+          bsonType: 'object',
+          required: ['start', 'end', 'text'],
+          properties: {
+            start: { bsonType: ['double', 'int'] },
+            end: { bsonType: ['double', 'int'] },
+            text: { bsonType: 'string' }
+          }
+        }
+      },
+      transcriptSource: { bsonType: ['string', 'null'] },
+      embedding: {
+        bsonType: 'object',
+        required: ['model', 'vector'],
+        properties: {
+          model: { bsonType: 'string' },
+          dimensions: { bsonType: 'int' },
+          vector: { bsonType: 'array', items: { bsonType: 'double' } },
+          embeddedAt: { bsonType: 'string' }
+        }
+      },
       timestamps: {
         bsonType: 'array',
         items: {
@@ -59,7 +95,9 @@ const SCHEMAS = {
           required: ['time', 'title'],
           properties: {
             time: { bsonType: 'int' },
-            title: { bsonType: 'string' }
+            title: { bsonType: 'string' },
+            brawlers: { bsonType: 'array', items: { bsonType: 'string' } },
+            gameModes: { bsonType: 'array', items: { bsonType: 'string' } }
           }
         }
       },
@@ -73,6 +111,7 @@ const SCHEMAS = {
       channelId: { bsonType: 'string' },
       name: { bsonType: 'string' },
       url: { bsonType: 'string' },
+      tracked: { bsonType: 'bool' },
       lastUpdated: { bsonType: 'string' }
     }
   }
@@ -163,7 +202,7 @@ async function initializeCollections() {
     const collectionNames = collections.map(c => c.name);
     
     // Create each collection with validation if it doesn't exist
-    for (const [name, collectionName] of Object.entries(COLLECTIONS)) {
+    for (const collectionName of Object.values(COLLECTIONS)) {
       if (!collectionNames.includes(collectionName)) {
         logger.info(`Creating collection: ${collectionName}`);
         
@@ -215,6 +254,7 @@ async function createIndexes() {
     await db.collection(COLLECTIONS.VIDEOS).createIndex({ publishedAt: -1 });
     await db.collection(COLLECTIONS.VIDEOS).createIndex({ skillLevel: 1 });
     await db.collection(COLLECTIONS.VIDEOS).createIndex({ lastUpdated: -1 });
+    await db.collection(COLLECTIONS.VIDEOS).createIndex({ 'embedding.model': 1, popularity: -1 });
     
     // Compound indexes for common query patterns
     await db.collection(COLLECTIONS.VIDEOS).createIndex({ brawlers: 1, popularity: -1 });
@@ -235,6 +275,10 @@ async function createIndexes() {
     await db.collection(COLLECTIONS.CHANNELS).createIndex({ channelId: 1 }, { unique: true });
     await db.collection(COLLECTIONS.CHANNELS).createIndex({ name: "text" });
     
+    // Catalog collections indexes
+    await db.collection(COLLECTIONS.BRAWLERS).createIndex({ name: 1 }, { unique: true });
+    await db.collection(COLLECTIONS.GAME_MODES).createIndex({ name: 1 }, { unique: true });
+    
     // Search history index
     await db.collection(COLLECTIONS.SEARCH_HISTORY).createIndex({ timestamp: -1 });
     await db.collection(COLLECTIONS.SEARCH_HISTORY).createIndex({ query: 1 });
@@ -256,6 +300,25 @@ async function createIndexes() {
     await db.collection(COLLECTIONS.METRICS).createIndex({ timestamp: -1 });
     await db.collection(COLLECTIONS.METRICS).createIndex({ metricType: 1 });
     
+    // Collection state (per-source high-water marks) index
+    await db.collection(COLLECTIONS.COLLECTION_STATE).createIndex({ key: 1 }, { unique: true });
+    
+    // Collection scheduling indexes
+    await db.collection(COLLECTIONS.COLLECTION_SCHEDULES).createIndex({ scheduleId: 1 }, { unique: true });
+    await db.collection(COLLECTIONS.COLLECTION_SCHEDULES).createIndex({ enabled: 1, nextRun: 1 });
+    await db.collection(COLLECTIONS.COLLECTION_RUNS).createIndex({ id: 1 }, { unique: true });
+    await db.collection(COLLECTIONS.COLLECTION_RUNS).createIndex({ startedAt: -1 });
+    await db.collection(COLLECTIONS.COLLECTION_RUNS).createIndex({ status: 1 });
+    
+    // YouTube quota ledger index (one document per Pacific-time day)
+    await db.collection(COLLECTIONS.YOUTUBE_QUOTA).createIndex({ day: 1 }, { unique: true });
+    
+    // YouTube ETag index (one document per resource or batch response)
+    await db.collection(COLLECTIONS.YOUTUBE_ETAGS).createIndex({ key: 1 }, { unique: true });
+    
+    // Active prompt version index (one document per template)
+    await db.collection(COLLECTIONS.PROMPT_VERSIONS).createIndex({ name: 1 }, { unique: true });
+    
     logger.info('Indexes created successfully');
   } catch (error) {
     logger.error({ err: error }, 'Error creating indexes');
@@ -285,6 +348,20 @@ async function ensureConnection() {
   }
 }
 
+/**
+ * Format a chapter timestamp to match the schema
+ * @param {Object} timestamp Timestamp (time in seconds, title, optional brawlers and gameModes)
+ * @returns {Object} Formatted timestamp
+ */
+function formatTimestamp(timestamp) {
+  return {
+    time: parseInt(timestamp.time) || 0,
+    title: String(timestamp.title || ''),
+    brawlers: Array.isArray(timestamp.brawlers) ? timestamp.brawlers : [],
+    gameModes: Array.isArray(timestamp.gameModes) ? timestamp.gameModes : []
+  };
+}
+
 /**
  * Save a processed video to the database
  * @param {Object} videoData Processed video data
@@ -306,10 +383,7 @@ async function saveVideo(videoData) {
       contentType: Array.isArray(videoData.contentType) ? videoData.contentType : [],
       popularity: parseFloat(videoData.popularity) || 0,
       recency: parseFloat(videoData.recency) || 0,
-      timestamps: Array.isArray(videoData.timestamps) ? videoData.timestamps.map(t => ({
-        time: parseInt(t.time) || 0,
-        title: String(t.title) || ''
-      })) : []
+      timestamps: Array.isArray(videoData.timestamps) ? videoData.timestamps.map(formatTimestamp) : []
     };
     
     // Check if video already exists
@@ -318,19 +392,25 @@ async function saveVideo(videoData) {
     });
     
     if (existingVideo) {
+      // Keep existing timestamps if available and new ones aren't provided
+      if (existingVideo.timestamps && existingVideo.timestamps.length > 0 &&
+          formattedVideo.timestamps.length === 0) {
+        delete formattedVideo.timestamps;
+      }
+      
+      // An admin's skill level override outlives re-collection
+      if (existingVideo.skillLevelOverride) {
+        formattedVideo.skillLevel = existingVideo.skillLevelOverride;
+        formattedVideo.skillLevelSource = 'video_override';
+      }
+      
       // Update existing video
       const result = await db.collection(COLLECTIONS.VIDEOS).findOneAndUpdate(
         { youtubeId: videoData.youtubeId },
-        { 
+        {
           $set: {
             ...formattedVideo,
             lastUpdated: new Date().toISOString()
-          },
-          // Keep existing timestamps if available and new ones aren't provided
-          $setOnInsert: {
-            timestamps: existingVideo.timestamps && 
-                       (!formattedVideo.timestamps || formattedVideo.timestamps.length === 0) ? 
-                       existingVideo.timestamps : formattedVideo.timestamps
           }
         },
         { returnDocument: 'after' }
@@ -354,6 +434,136 @@ async function saveVideo(videoData) {
   }
 }
 
+/**
+ * Get the YouTube IDs from a list that are already stored
+ * @param {string[]} youtubeIds YouTube video IDs to check
+ * @returns {Promise<Set<string>>} IDs that already exist in the database
+ */
+async function getExistingVideoIds(youtubeIds) {
+  try {
+    await ensureConnection();
+    
+    const existing = await db.collection(COLLECTIONS.VIDEOS)
+      .find({ youtubeId: { $in: youtubeIds } }, { projection: { _id: 0, youtubeId: 1 } })
+      .toArray();
+    
+    return new Set(existing.map(video => video.youtubeId));
+  } catch (error) {
+    logger.error({ err: error }, 'Error checking existing videos');
+    throw error;
+  }
+}
+
+/**
+ * Get the YouTube IDs of all stored videos
+ * @returns {Promise<string[]>} YouTube video IDs
+ */
+async function getAllVideoIds() {
+  try {
+    await ensureConnection();
+    
+    const videos = await db.collection(COLLECTIONS.VIDEOS)
+      .find({}, { projection: { _id: 0, youtubeId: 1 } })
+      .toArray();
+    
+    return videos.map(video => video.youtubeId);
+  } catch (error) {
+    logger.error({ err: error }, 'Error getting video IDs');
+    throw error;
+  }
+}
+
+/**
+ * Update the statistics of a stored video
+ * @param {string} youtubeId YouTube video ID
+ * @param {Object} stats Statistics (viewCount, likeCount, commentCount, popularity, recency)
+ * @returns {Promise<boolean>} Whether a video was updated
+ */
+async function updateVideoStats(youtubeId, stats) {
+  try {
+    await ensureConnection();
+    
+    const result = await db.collection(COLLECTIONS.VIDEOS).updateOne(
+      { youtubeId },
+      {
+        $set: {
+          viewCount: parseInt(stats.viewCount) || 0,
+          likeCount: parseInt(stats.likeCount) || 0,
+          commentCount: parseInt(stats.commentCount) || 0,
+          popularity: parseFloat(stats.popularity) || 0,
+          recency: parseFloat(stats.recency) || 0,
+          lastUpdated: new Date().toISOString()
+        }
+      }
+    );
+    
+    return result.matchedCount > 0;
+  } catch (error) {
+    logger.error({ err: error, videoId: youtubeId }, 'Error updating video stats');
+    throw error;
+  }
+}
+
+/**
+ * Set or clear an admin override of a video's skill level. Clearing it falls back
+ * to the channel's override, then to the inferred level.
+ * @param {string} youtubeId YouTube video ID
+ * @param {string|null} skillLevel Skill level, or null to clear the override
+ * @returns {Promise<Object|null>} Updated video, or null if it doesn't exist
+ */
+async function setVideoSkillLevelOverride(youtubeId, skillLevel) {
+  try {
+    await ensureConnection();
+    
+    let update;
+    if (skillLevel) {
+      update = {
+        $set: {
+          skillLevelOverride: skillLevel,
+          skillLevel,
+          skillLevelSource: 'video_override',
+          lastUpdated: new Date().toISOString()
+        }
+      };
+    } else {
+      const video = await db.collection(COLLECTIONS.VIDEOS).findOne(
+        { youtubeId },
+        { projection: { 'creator.id': 1 } }
+      );
+      
+      if (!video) {
+        return null;
+      }
+      
+      const channel = await db.collection(COLLECTIONS.CHANNELS).findOne(
+        { channelId: video.creator?.id },
+        { projection: { skillLevelOverride: 1 } }
+      );
+      const channelOverride = channel?.skillLevelOverride || null;
+      
+      update = [{
+        $set: {
+          skillLevelOverride: null,
+          skillLevel: channelOverride || { $ifNull: ['$skillLevelInferred.level', ''] },
+          skillLevelSource: channelOverride ? 'channel_override' : 'inferred',
+          lastUpdated: new Date().toISOString()
+        }
+      }];
+    }
+    
+    const result = await db.collection(COLLECTIONS.VIDEOS).findOneAndUpdate(
+      { youtubeId },
+      update,
+      { returnDocument: 'after' }
+    );
+    
+    return result.value;
+  } catch (error) {
+    logger.error({ err: error, videoId: youtubeId }, 'Error setting video skill level');
+    throw error;
+  }
+}
+
 /**
  * Get a video by its YouTube ID
  * @param {string} youtubeId YouTube video ID
@@ -362,13 +572,73 @@ async function saveVideo(videoData) {
 async function getVideoByYoutubeId(youtubeId) {
   try {
     await ensureConnection();
-    return await db.collection(COLLECTIONS.VIDEOS).findOne({ youtubeId });
+    return await db.collection(COLLECTIONS.VIDEOS).findOne({ youtubeId }, { projection: { 'embedding.vector': 0 } });
   } catch (error) {
     logger.error({ err: error, videoId: youtubeId }, 'Error getting video');
     throw error;
   }
 }
 
+/**
+ * Store a video's transcript
+ * @param {string} youtubeId YouTube video ID
+ * @param {Object} transcript Transcript (transcript, transcriptSegments, transcriptSource, transcriptLanguage)
+ * @returns {Promise<boolean>} Whether the video exists
+ */
+async function saveVideoTranscript(youtubeId, transcript) {
+  try {
+    await ensureConnection();
+    
+    const result = await db.collection(COLLECTIONS.VIDEOS).updateOne(
+      { youtubeId },
+      {
+        $set: {
+          transcript: transcript.transcript || null,
+          transcriptSegments: transcript.transcriptSegments || [],
+          transcriptSource: transcript.transcriptSource || null,
+          transcriptLanguage: transcript.transcriptLanguage || null,
+          lastUpdated: new Date().toISOString()
+        }
+      }
+    );
+    
+    return result.matchedCount > 0;
+  } catch (error) {
+    logger.error({ err: error, videoId: youtubeId }, 'Error saving transcript');
+    throw error;
+  }
+}
+
+/**
+ * Update the classifier tags of a video
+ * @param {string} youtubeId YouTube video ID
+ * @param {Object} tags Tags (brawlers, gameModes, contentType, classification)
+ * @returns {Promise<boolean>} Whether the video exists
+ */
+async function updateVideoTags(youtubeId, tags) {
+  try {
+    await ensureConnection();
+    
+    const result = await db.collection(COLLECTIONS.VIDEOS).updateOne(
+      { youtubeId },
+      {
+        $set: {
+          brawlers: tags.brawlers || [],
+          gameModes: tags.gameModes || [],
+          contentType: tags.contentType || [],
+          classification: tags.classification,
+          lastUpdated: new Date().toISOString()
+        }
+      }
+    );
+    
+    return result.matchedCount > 0;
+  } catch (error) {
+    logger.error({ err: error, videoId: youtubeId }, 'Error updating video tags');
+    throw error;
+  }
+}
+
 /**
  * Update video timestamps
  * @param {string} youtubeId YouTube video ID
@@ -380,10 +650,7 @@ async function updateVideoTimestamps(youtubeId, timestamps) {
     await ensureConnection();
     
     // Format timestamps to match schema
-    const formattedTimestamps = timestamps.map(t => ({
-      time: parseInt(t.time) || 0,
-      title: String(t.title) || ''
-    }));
+    const formattedTimestamps = timestamps.map(formatTimestamp);
     
     const result = await db.collection(COLLECTIONS.VIDEOS).updateOne(
       { youtubeId },
@@ -398,54 +665,870 @@ async function updateVideoTimestamps(youtubeId, timestamps) {
     logger.debug(`Updated timestamps for video ${youtubeId}`);
     return result.modifiedCount > 0;
   } catch (error) {
-    logger.error({ err: error, videoId: youtubeId }, 'Error updating timestamps');
+    logger.error({ err: error, videoId: youtubeId }, 'Error updating timestamps');
+    throw error;
+  }
+}
+
+/**
+ * Save a channel to the database
+ * @param {Object} channelData Channel data
+ * @returns {Promise<string>} ID of the inserted/updated document
+ */
+async function saveChannel(channelData) {
+  try {
+    await ensureConnection();
+    
+    // Check if channel already exists
+    const existingChannel = await db.collection(COLLECTIONS.CHANNELS).findOne({ 
+      channelId: channelData.channelId 
+    });
+    
+    if (existingChannel) {
+      // Update existing channel
+      const result = await db.collection(COLLECTIONS.CHANNELS).findOneAndUpdate(
+        { channelId: channelData.channelId },
+        { 
+          $set: {
+            ...channelData,
+            lastUpdated: new Date().toISOString()
+          }
+        },
+        { returnDocument: 'after' }
+      );
+      
+      logger.debug(`Updated channel ${channelData.channelId}`);
+      return result.value._id.toString();
+    } else {
+      // Insert new channel
+      const result = await db.collection(COLLECTIONS.CHANNELS).insertOne({
+        ...channelData,
+        lastUpdated: new Date().toISOString()
+      });
+      
+      logger.debug(`Inserted new channel ${channelData.channelId}`);
+      return result.insertedId.toString();
+    }
+  } catch (error) {
+    logger.error({ err: error, channelId: channelData.channelId }, 'Error saving channel');
+    throw error;
+  }
+}
+
+/**
+ * Get the IDs of channels whose uploads should be polled. Tracking is opt-in
+ * (see setChannelTracked): channels saved because a search found one of their
+ * videos aren't polled.
+ * @returns {Promise<string[]>} YouTube channel IDs
+ */
+async function getTrackedChannelIds() {
+  try {
+    await ensureConnection();
+    
+    const channels = await db.collection(COLLECTIONS.CHANNELS)
+      .find({ tracked: true }, { projection: { _id: 0, channelId: 1 } })
+      .toArray();
+    
+    return channels.map(channel => channel.channelId);
+  } catch (error) {
+    logger.error({ err: error }, 'Error getting tracked channels');
+    throw error;
+  }
+}
+
+/**
+ * Start or stop polling a channel's uploads in collection runs
+ * @param {string} channelId YouTube channel ID
+ * @param {boolean} tracked Whether to poll the channel
+ * @returns {Promise<Object|null>} Updated channel, or null if the channel doesn't exist
+ */
+async function setChannelTracked(channelId, tracked) {
+  try {
+    await ensureConnection();
+    
+    const result = await db.collection(COLLECTIONS.CHANNELS).findOneAndUpdate(
+      { channelId },
+      { $set: { tracked, lastUpdated: new Date().toISOString() } },
+      { returnDocument: 'after' }
+    );
+    
+    return result.value;
+  } catch (error) {
+    logger.error({ err: error, channelId }, 'Error setting channel tracking');
+    throw error;
+  }
+}
+
+/**
+ * Get the skill level profile of a list of creators: their admin override, if
+ * any, and how many of their videos sit at each level
+ * @param {string[]} channelIds YouTube channel IDs
+ * @returns {Promise<Map<string, Object>>} Profile per channel ID
+ */
+async function getCreatorSkillProfiles(channelIds) {
+  try {
+    await ensureConnection();
+    
+    const [channels, counts] = await Promise.all([
+      db.collection(COLLECTIONS.CHANNELS)
+        .find(
+          { channelId: { $in: channelIds } },
+          { projection: { _id: 0, channelId: 1, skillLevelOverride: 1 } }
+        )
+        .toArray(),
+      db.collection(COLLECTIONS.VIDEOS).aggregate([
+        {
+          $match: {
+            'creator.id': { $in: channelIds },
+            skillLevel: { $in: ['beginner', 'intermediate', 'advanced'] },
+            // Levels forced by a channel override say nothing about the creator
+            skillLevelSource: { $ne: 'channel_override' }
+          }
+        },
+        { $group: { _id: { channelId: '$creator.id', skillLevel: '$skillLevel' }, count: { $sum: 1 } } }
+      ]).toArray()
+    ]);
+    
+    const profiles = new Map(channelIds.map(channelId => [
+      channelId,
+      { skillLevelOverride: null, skillLevels: {} }
+    ]));
+    
+    channels.forEach(channel => {
+      profiles.get(channel.channelId).skillLevelOverride = channel.skillLevelOverride || null;
+    });
+    
+    counts.forEach(({ _id, count }) => {
+      profiles.get(_id.channelId).skillLevels[_id.skillLevel] = count;
+    });
+    
+    return profiles;
+  } catch (error) {
+    logger.error({ err: error }, 'Error getting creator skill profiles');
+    throw error;
+  }
+}
+
+/**
+ * Set or clear an admin override of a channel's skill level. The channel's videos
+ * follow it unless they have an override of their own.
+ * @param {string} channelId YouTube channel ID
+ * @param {string|null} skillLevel Skill level, or null to clear the override
+ * @returns {Promise<Object|null>} Updated channel and number of videos changed,
+ * or null if the channel doesn't exist
+ */
+async function setChannelSkillLevelOverride(channelId, skillLevel) {
+  try {
+    await ensureConnection();
+    
+    const result = await db.collection(COLLECTIONS.CHANNELS).findOneAndUpdate(
+      { channelId },
+      { $set: { skillLevelOverride: skillLevel || null, lastUpdated: new Date().toISOString() } },
+      { returnDocument: 'after' }
+    );
+    
+    if (!result.value) {
+      return null;
+    }
+    
+    const videos = await db.collection(COLLECTIONS.VIDEOS).updateMany(
+      { 'creator.id': channelId, skillLevelOverride: { $in: [null, ''] } },
+      [{
+        $set: {
+          skillLevel: skillLevel || { $ifNull: ['$skillLevelInferred.level', ''] },
+          skillLevelSource: skillLevel ? 'channel_override' : 'inferred'
+        }
+      }]
+    );
+    
+    return {
+      channel: result.value,
+      videosUpdated: videos.modifiedCount
+    };
+  } catch (error) {
+    logger.error({ err: error, channelId }, 'Error setting channel skill level');
+    throw error;
+  }
+}
+
+/**
+ * Get collection high-water marks for a list of sources
+ * @param {string[]} keys Source keys (e.g. 'query:brawl stars', 'channel:UC123')
+ * @returns {Promise<Object>} Map of source key to last seen publishedAt
+ */
+async function getCollectionCheckpoints(keys) {
+  try {
+    await ensureConnection();
+    
+    const states = await db.collection(COLLECTIONS.COLLECTION_STATE)
+      .find({ key: { $in: keys } })
+      .toArray();
+    
+    return states.reduce((checkpoints, state) => {
+      checkpoints[state.key] = state.lastPublishedAt;
+      return checkpoints;
+    }, {});
+  } catch (error) {
+    logger.error({ err: error }, 'Error getting collection checkpoints');
+    throw error;
+  }
+}
+
+/**
+ * Advance the high-water mark of a collection source
+ * @param {string} key Source key
+ * @param {string} lastPublishedAt Most recent publishedAt seen for the source
+ * @returns {Promise<void>}
+ */
+async function saveCollectionCheckpoint(key, lastPublishedAt) {
+  try {
+    await ensureConnection();
+    
+    // $max keeps the mark from moving backwards (ISO dates compare as strings)
+    await db.collection(COLLECTIONS.COLLECTION_STATE).updateOne(
+      { key },
+      {
+        $max: { lastPublishedAt },
+        $set: { lastUpdated: new Date().toISOString() }
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    logger.error({ err: error, key }, 'Error saving collection checkpoint');
+    throw error;
+  }
+}
+
+/**
+ * Get the validators of the last fully processed fetch of channels' uploads feeds
+ * @param {string[]} channelIds YouTube channel IDs
+ * @returns {Promise<Map>} Validators as { etag, lastModified } by channel ID
+ */
+async function getFeedStates(channelIds) {
+  try {
+    await ensureConnection();
+    
+    const states = await db.collection(COLLECTIONS.COLLECTION_STATE)
+      .find({ key: { $in: channelIds.map(channelId => `feed:${channelId}`) } })
+      .toArray();
+    
+    return new Map(states.map(state => [
+      state.key.slice('feed:'.length),
+      { etag: state.etag || null, lastModified: state.lastModified || null }
+    ]));
+  } catch (error) {
+    logger.error({ err: error }, 'Error getting feed states');
+    throw error;
+  }
+}
+
+/**
+ * Store the validators of a channel's uploads feed, for the next conditional fetch
+ * @param {string} channelId YouTube channel ID
+ * @param {Object} validators Validators as { etag, lastModified }
+ * @returns {Promise<void>}
+ */
+async function saveFeedState(channelId, validators) {
+  try {
+    await ensureConnection();
+    
+    await db.collection(COLLECTIONS.COLLECTION_STATE).updateOne(
+      { key: `feed:${channelId}` },
+      {
+        $set: {
+          etag: validators.etag || null,
+          lastModified: validators.lastModified || null,
+          lastUpdated: new Date().toISOString()
+        }
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    logger.error({ err: error, channelId }, 'Error saving feed state');
+    throw error;
+  }
+}
+
+/**
+ * Add YouTube API quota units to a day's ledger (negative units give them back)
+ * @param {string} day Pacific-time day (YYYY-MM-DD)
+ * @param {string} method API method (e.g. 'search.list')
+ * @param {number} units Quota units
+ * @returns {Promise<Object>} The day's ledger as { day, unitsUsed, byMethod }, with
+ * byMethod nested by resource and verb ({ search: { list: 100 } })
+ */
+async function addQuotaUsage(day, method, units) {
+  try {
+    await ensureConnection();
+    
+    const result = await db.collection(COLLECTIONS.YOUTUBE_QUOTA).findOneAndUpdate(
+      { day },
+      {
+        $inc: { unitsUsed: units, [`byMethod.${method}`]: units },
+        $set: { updatedAt: new Date().toISOString() }
+      },
+      { upsert: true, returnDocument: 'after', projection: { _id: 0 } }
+    );
+    
+    return result.value;
+  } catch (error) {
+    logger.error({ err: error, day, method }, 'Error recording YouTube quota usage');
+    throw error;
+  }
+}
+
+/**
+ * Get a day's YouTube API quota ledger
+ * @param {string} day Pacific-time day (YYYY-MM-DD)
+ * @returns {Promise<Object|null>} Ledger (see addQuotaUsage), or null if nothing was spent
+ */
+async function getQuotaUsage(day) {
+  try {
+    await ensureConnection();
+    
+    return await db.collection(COLLECTIONS.YOUTUBE_QUOTA).findOne(
+      { day },
+      { projection: { _id: 0 } }
+    );
+  } catch (error) {
+    logger.error({ err: error, day }, 'Error getting YouTube quota usage');
+    throw error;
+  }
+}
+
+/**
+ * Get stored ETags of YouTube API resources and responses
+ * @param {string[]} keys ETag keys (e.g. 'videos#dQw4w9WgXcQ')
+ * @returns {Promise<Map>} ETags by key, for the keys that have one
+ */
+async function getYoutubeEtags(keys) {
+  try {
+    await ensureConnection();
+    
+    const records = await db.collection(COLLECTIONS.YOUTUBE_ETAGS)
+      .find({ key: { $in: keys } }, { projection: { _id: 0, key: 1, etag: 1 } })
+      .toArray();
+    
+    return new Map(records.map(record => [record.key, record.etag]));
+  } catch (error) {
+    logger.error({ err: error }, 'Error getting YouTube ETags');
+    throw error;
+  }
+}
+
+/**
+ * Store ETags of YouTube API resources and responses
+ * @param {Object} etags ETags by key
+ * @returns {Promise<number>} Number of ETags stored
+ */
+async function saveYoutubeEtags(etags) {
+  try {
+    await ensureConnection();
+    
+    const now = new Date().toISOString();
+    const operations = Object.entries(etags).map(([key, etag]) => ({
+      updateOne: {
+        filter: { key },
+        update: { $set: { etag, updatedAt: now } },
+        upsert: true
+      }
+    }));
+    
+    if (operations.length === 0) {
+      return 0;
+    }
+    
+    await db.collection(COLLECTIONS.YOUTUBE_ETAGS).bulkWrite(operations, { ordered: false });
+    return operations.length;
+  } catch (error) {
+    logger.error({ err: error }, 'Error saving YouTube ETags');
+    throw error;
+  }
+}
+
+/**
+ * Acquire the collection lock so only one run happens at a time across instances
+ * @param {string} owner Unique ID of the instance taking the lock
+ * @param {number} ttlMs How long the lock is held before it expires
+ * @returns {Promise<boolean>} Whether the lock was acquired
+ */
+async function acquireCollectionLock(owner, ttlMs) {
+  try {
+    await ensureConnection();
+    
+    const now = new Date();
+    
+    await db.collection(COLLECTIONS.COLLECTION_STATE).updateOne(
+      {
+        key: COLLECTION_LOCK_KEY,
+        lockedUntil: { $lt: now.toISOString() }
+      },
+      {
+        $set: {
+          owner,
+          acquiredAt: now.toISOString(),
+          lockedUntil: new Date(now.getTime() + ttlMs).toISOString()
+        }
+      },
+      { upsert: true }
+    );
+    
+    return true;
+  } catch (error) {
+    // The lock document exists and is held by someone else, so the upsert collides
+    if (error.code === 11000) {
+      return false;
+    }
+    
+    logger.error({ err: error, owner }, 'Error acquiring collection lock');
+    throw error;
+  }
+}
+
+/**
+ * Extend a held collection lock
+ * @param {string} owner Instance holding the lock
+ * @param {number} ttlMs New lock lifetime from now
+ * @returns {Promise<boolean>} Whether the lock is still held by the owner
+ */
+async function renewCollectionLock(owner, ttlMs) {
+  try {
+    await ensureConnection();
+    
+    const result = await db.collection(COLLECTIONS.COLLECTION_STATE).updateOne(
+      { key: COLLECTION_LOCK_KEY, owner },
+      { $set: { lockedUntil: new Date(Date.now() + ttlMs).toISOString() } }
+    );
+    
+    return result.matchedCount > 0;
+  } catch (error) {
+    logger.error({ err: error, owner }, 'Error renewing collection lock');
+    throw error;
+  }
+}
+
+/**
+ * Release the collection lock
+ * @param {string} owner Instance holding the lock
+ * @returns {Promise<void>}
+ */
+async function releaseCollectionLock(owner) {
+  try {
+    await ensureConnection();
+    
+    await db.collection(COLLECTIONS.COLLECTION_STATE).updateOne(
+      { key: COLLECTION_LOCK_KEY, owner },
+      { $set: { lockedUntil: new Date(0).toISOString() } }
+    );
+  } catch (error) {
+    logger.error({ err: error, owner }, 'Error releasing collection lock');
+    throw error;
+  }
+}
+
+/**
+ * Get the current collection lock, if it is held
+ * @returns {Promise<Object|null>} Lock document or null when no run holds it
+ */
+async function getCollectionLock() {
+  try {
+    await ensureConnection();
+    
+    return await db.collection(COLLECTIONS.COLLECTION_STATE).findOne({
+      key: COLLECTION_LOCK_KEY,
+      lockedUntil: { $gt: new Date().toISOString() }
+    });
+  } catch (error) {
+    logger.error({ err: error }, 'Error getting collection lock');
+    throw error;
+  }
+}
+
+/**
+ * Get a collection schedule
+ * @param {string} scheduleId Schedule ID
+ * @returns {Promise<Object|null>} Schedule document
+ */
+async function getCollectionSchedule(scheduleId) {
+  try {
+    await ensureConnection();
+    return await db.collection(COLLECTIONS.COLLECTION_SCHEDULES).findOne({ scheduleId });
+  } catch (error) {
+    logger.error({ err: error, scheduleId }, 'Error getting collection schedule');
+    throw error;
+  }
+}
+
+/**
+ * Create or update a collection schedule
+ * @param {Object} schedule Schedule (scheduleId, intervalHours, options, enabled, nextRun)
+ * @returns {Promise<Object>} Saved schedule document
+ */
+async function saveCollectionSchedule(schedule) {
+  try {
+    await ensureConnection();
+    
+    const result = await db.collection(COLLECTIONS.COLLECTION_SCHEDULES).findOneAndUpdate(
+      { scheduleId: schedule.scheduleId },
+      {
+        $set: {
+          ...schedule,
+          lastUpdated: new Date().toISOString()
+        },
+        $setOnInsert: {
+          createdAt: new Date().toISOString()
+        }
+      },
+      {
+        upsert: true,
+        returnDocument: 'after'
+      }
+    );
+    
+    logger.debug({ scheduleId: schedule.scheduleId }, 'Saved collection schedule');
+    return result.value;
+  } catch (error) {
+    logger.error({ err: error, scheduleId: schedule.scheduleId }, 'Error saving collection schedule');
+    throw error;
+  }
+}
+
+/**
+ * Get enabled schedules whose next run is due
+ * @returns {Promise<Object[]>} Due schedule documents, most overdue first
+ */
+async function getDueCollectionSchedules() {
+  try {
+    await ensureConnection();
+    
+    return await db.collection(COLLECTIONS.COLLECTION_SCHEDULES)
+      .find({ enabled: true, nextRun: { $lte: new Date().toISOString() } })
+      .sort({ nextRun: 1 })
+      .toArray();
+  } catch (error) {
+    logger.error({ err: error }, 'Error getting due collection schedules');
+    throw error;
+  }
+}
+
+/**
+ * Claim a due schedule by moving its next run forward. Only one caller can
+ * claim a given due run.
+ * @param {string} scheduleId Schedule ID
+ * @param {string} nextRun ISO date of the following run
+ * @returns {Promise<Object|null>} The claimed schedule, or null if it is no longer due
+ */
+async function claimCollectionSchedule(scheduleId, nextRun) {
+  try {
+    await ensureConnection();
+    
+    const now = new Date().toISOString();
+    const result = await db.collection(COLLECTIONS.COLLECTION_SCHEDULES).findOneAndUpdate(
+      { scheduleId, enabled: true, nextRun: { $lte: now } },
+      { $set: { nextRun, lastRunAt: now } },
+      { returnDocument: 'after' }
+    );
+    
+    return result.value;
+  } catch (error) {
+    logger.error({ err: error, scheduleId }, 'Error claiming collection schedule');
+    throw error;
+  }
+}
+
+/**
+ * Get the earliest upcoming run across enabled schedules
+ * @returns {Promise<string|null>} ISO date of the next run
+ */
+async function getNextScheduledRun() {
+  try {
+    await ensureConnection();
+    
+    const schedule = await db.collection(COLLECTIONS.COLLECTION_SCHEDULES)
+      .find({ enabled: true })
+      .sort({ nextRun: 1 })
+      .limit(1)
+      .next();
+    
+    return schedule ? schedule.nextRun : null;
+  } catch (error) {
+    logger.error({ err: error }, 'Error getting next scheduled run');
+    throw error;
+  }
+}
+
+/**
+ * Record the start of a collection run
+ * @param {Object} run Run document
+ * @returns {Promise<void>}
+ */
+async function createCollectionRun(run) {
+  try {
+    await ensureConnection();
+    await db.collection(COLLECTIONS.COLLECTION_RUNS).insertOne({ ...run });
+  } catch (error) {
+    logger.error({ err: error, runId: run.id }, 'Error creating collection run');
+    throw error;
+  }
+}
+
+/**
+ * Update a collection run
+ * @param {string} runId Run ID
+ * @param {Object} update Fields to set
+ * @returns {Promise<void>}
+ */
+async function updateCollectionRun(runId, update) {
+  try {
+    await ensureConnection();
+    await db.collection(COLLECTIONS.COLLECTION_RUNS).updateOne(
+      { id: runId },
+      { $set: update }
+    );
+  } catch (error) {
+    logger.error({ err: error, runId }, 'Error updating collection run');
+    throw error;
+  }
+}
+
+/**
+ * Get a collection run (job) by ID
+ * @param {string} runId Run ID
+ * @returns {Promise<Object|null>} Run document
+ */
+async function getCollectionRun(runId) {
+  try {
+    await ensureConnection();
+    return await db.collection(COLLECTIONS.COLLECTION_RUNS).findOne(
+      { id: runId },
+      { projection: { _id: 0 } }
+    );
+  } catch (error) {
+    logger.error({ err: error, runId }, 'Error getting collection run');
+    throw error;
+  }
+}
+
+/**
+ * List collection runs (jobs) with pagination, most recent first
+ * @param {Object} filters Filters (status, trigger)
+ * @param {number} limit Maximum number of results
+ * @param {number} page Page number
+ * @returns {Promise<Object>} Runs and pagination info
+ */
+async function listCollectionRuns(filters = {}, limit = 20, page = 1) {
+  try {
+    await ensureConnection();
+    
+    const query = {};
+    if (filters.status) {
+      query.status = filters.status;
+    }
+    if (filters.trigger) {
+      query.trigger = filters.trigger;
+    }
+    
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    
+    const total = await db.collection(COLLECTIONS.COLLECTION_RUNS).countDocuments(query);
+    const runs = await db.collection(COLLECTIONS.COLLECTION_RUNS)
+      .find(query, { projection: { _id: 0, errors: 0, sources: 0 } })
+      .sort({ startedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .toArray();
+    
+    return {
+      runs,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    };
+  } catch (error) {
+    logger.error({ err: error }, 'Error listing collection runs');
+    throw error;
+  }
+}
+
+/**
+ * Flag a running collection run for cancellation
+ * @param {string} runId Run ID
+ * @returns {Promise<Object|null>} Updated run, or null if the run isn't running
+ */
+async function requestCollectionRunCancel(runId) {
+  try {
+    await ensureConnection();
+    
+    const result = await db.collection(COLLECTIONS.COLLECTION_RUNS).findOneAndUpdate(
+      { id: runId, status: 'running' },
+      {
+        $set: {
+          cancelRequested: true,
+          cancelRequestedAt: new Date().toISOString()
+        }
+      },
+      {
+        returnDocument: 'after',
+        projection: { _id: 0 }
+      }
+    );
+    
+    return result.value;
+  } catch (error) {
+    logger.error({ err: error, runId }, 'Error cancelling collection run');
+    throw error;
+  }
+}
+
+/**
+ * Mark runs left in the running state (e.g. by a crashed instance) as interrupted.
+ * Only call this while holding the collection lock.
+ * @returns {Promise<number>} Number of runs marked
+ */
+async function markInterruptedCollectionRuns() {
+  try {
+    await ensureConnection();
+    
+    const result = await db.collection(COLLECTIONS.COLLECTION_RUNS).updateMany(
+      { status: 'running' },
+      { $set: { status: 'interrupted', finishedAt: new Date().toISOString() } }
+    );
+    
+    return result.modifiedCount;
+  } catch (error) {
+    logger.error({ err: error }, 'Error marking interrupted collection runs');
+    throw error;
+  }
+}
+
+/**
+ * Get the most recent collection run
+ * @param {Object} filter Additional filter (e.g. { status: { $ne: 'running' } })
+ * @returns {Promise<Object|null>} Run document
+ */
+async function getLatestCollectionRun(filter = {}) {
+  try {
+    await ensureConnection();
+    
+    return await db.collection(COLLECTIONS.COLLECTION_RUNS)
+      .find(filter, { projection: { _id: 0 } })
+      .sort({ startedAt: -1 })
+      .limit(1)
+      .next();
+  } catch (error) {
+    logger.error({ err: error }, 'Error getting latest collection run');
+    throw error;
+  }
+}
+
+/**
+ * Get totals across all collection runs
+ * @returns {Promise<Object>} Run counts and collected totals
+ */
+async function getCollectionRunStats() {
+  try {
+    await ensureConnection();
+    
+    const stats = await db.collection(COLLECTIONS.COLLECTION_RUNS)
+      .aggregate([
+        {
+          $group: {
+            _id: null,
+            totalRuns: { $sum: 1 },
+            failedRuns: { $sum: { $cond: [{ $eq: ["$status", "failed"] }, 1, 0] } },
+            videosCollected: { $sum: { $ifNull: ["$result.added", 0] } },
+            videosUpdated: { $sum: { $ifNull: ["$result.updated", 0] } },
+            channelsProcessed: { $sum: { $ifNull: ["$result.channelsProcessed", 0] } }
+          }
+        },
+        { $project: { _id: 0 } }
+      ])
+      .toArray();
+    
+    return stats[0] || {
+      totalRuns: 0,
+      failedRuns: 0,
+      videosCollected: 0,
+      videosUpdated: 0,
+      channelsProcessed: 0
+    };
+  } catch (error) {
+    logger.error({ err: error }, 'Error getting collection run stats');
     throw error;
   }
 }
 
 /**
- * Save a channel to the database
- * @param {Object} channelData Channel data
- * @returns {Promise<string>} ID of the inserted/updated document
+ * Build the filter part of a video search (everything except the text query)
+ * @param {Object} params Search parameters (brawlers, gameModes, contentType,
+ * skillLevel, channelId, minViews, maxDuration, dateFrom, dateTo)
+ * @returns {Object} MongoDB filter
  */
-async function saveChannel(channelData) {
-  try {
-    await ensureConnection();
-    
-    // Check if channel already exists
-    const existingChannel = await db.collection(COLLECTIONS.CHANNELS).findOne({ 
-      channelId: channelData.channelId 
-    });
-    
-    if (existingChannel) {
-      // Update existing channel
-      const result = await db.collection(COLLECTIONS.CHANNELS).findOneAndUpdate(
-        { channelId: channelData.channelId },
-        { 
-          $set: {
-            ...channelData,
-            lastUpdated: new Date().toISOString()
-          }
-        },
-        { returnDocument: 'after' }
-      );
-      
-      logger.debug(`Updated channel ${channelData.channelId}`);
-      return result.value._id.toString();
-    } else {
-      // Insert new channel
-      const result = await db.collection(COLLECTIONS.CHANNELS).insertOne({
-        ...channelData,
-        lastUpdated: new Date().toISOString()
-      });
-      
-      logger.debug(`Inserted new channel ${channelData.channelId}`);
-      return result.insertedId.toString();
+function buildVideoFilter(params) {
+  const {
+    brawlers = [],
+    gameModes = [],
+    contentType = [],
+    skillLevel = '',
+    minViews = 0,
+    maxDuration = 0,
+    dateFrom = '',
+    dateTo = '',
+    channelId = ''
+  } = params;
+  
+  const dbQuery = {};
+  
+  // Filter by brawlers if provided
+  if (Array.isArray(brawlers) && brawlers.length > 0) {
+    dbQuery.brawlers = { $in: brawlers };
+  }
+  
+  // Filter by game modes if provided
+  if (Array.isArray(gameModes) && gameModes.length > 0) {
+    dbQuery.gameModes = { $in: gameModes };
+  }
+  
+  // Filter by content type if provided
+  if (Array.isArray(contentType) && contentType.length > 0) {
+    dbQuery.contentType = { $in: contentType };
+  }
+  
+  // Filter by skill level if provided
+  if (skillLevel) {
+    dbQuery.skillLevel = skillLevel;
+  }
+  
+  // Filter by channel ID if provided
+  if (channelId) {
+    dbQuery['creator.id'] = channelId;
+  }
+  
+  // Filter by view count if provided
+  if (minViews > 0) {
+    dbQuery.viewCount = { $gte: parseInt(minViews) };
+  }
+  
+  // Filter by duration if provided
+  if (maxDuration > 0) {
+    dbQuery.duration = { $lte: parseInt(maxDuration) };
+  }
+  
+  // Filter by date range if provided
+  if (dateFrom || dateTo) {
+    dbQuery.publishedAt = {};
+    if (dateFrom) {
+      dbQuery.publishedAt.$gte = dateFrom;
+    }
+    if (dateTo) {
+      dbQuery.publishedAt.$lte = dateTo;
     }
-  } catch (error) {
-    logger.error({ err: error, channelId: channelData.channelId }, 'Error saving channel');
-    throw error;
   }
+  
+  return dbQuery;
 }
 
 /**
@@ -459,74 +1542,19 @@ async function searchVideos(params) {
     
     const {
       query = '',
-      brawlers = [],
-      gameModes = [],
-      contentType = [],
-      skillLevel = '',
       sortBy = 'relevance',
       limit = 20,
-      page = 1,
-      minViews = 0,
-      maxDuration = 0,
-      dateFrom = '',
-      dateTo = '',
-      channelId = ''
+      page = 1
     } = params;
     
     // Build the query
-    const dbQuery = {};
+    const dbQuery = buildVideoFilter(params);
     
     // Text search if query is provided
     if (query && query.trim() !== '') {
       dbQuery.$text = { $search: query };
     }
     
-    // Filter by brawlers if provided
-    if (Array.isArray(brawlers) && brawlers.length > 0) {
-      dbQuery.brawlers = { $in: brawlers };
-    }
-    
-    // Filter by game modes if provided
-    if (Array.isArray(gameModes) && gameModes.length > 0) {
-      dbQuery.gameModes = { $in: gameModes };
-    }
-    
-    // Filter by content type if provided
-    if (Array.isArray(contentType) && contentType.length > 0) {
-      dbQuery.contentType = { $in: contentType };
-    }
-    
-    // Filter by skill level if provided
-    if (skillLevel) {
-      dbQuery.skillLevel = skillLevel;
-    }
-    
-    // Filter by channel ID if provided
-    if (channelId) {
-      dbQuery['creator.id'] = channelId;
-    }
-    
-    // Filter by view count if provided
-    if (minViews > 0) {
-      dbQuery.viewCount = { $gte: parseInt(minViews) };
-    }
-    
-    // Filter by duration if provided
-    if (maxDuration > 0) {
-      dbQuery.duration = { $lte: parseInt(maxDuration) };
-    }
-    
-    // Filter by date range if provided
-    if (dateFrom || dateTo) {
-      dbQuery.publishedAt = {};
-      if (dateFrom) {
-        dbQuery.publishedAt.$gte = dateFrom;
-      }
-      if (dateTo) {
-        dbQuery.publishedAt.$lte = dateTo;
-      }
-    }
-    
     // Determine sort order
     let sortOptions = {};
     switch (sortBy) {
@@ -557,7 +1585,8 @@ async function searchVideos(params) {
     const skip = (parseInt(page) - 1) * parseInt(limit);
     
     // Execute query
-    let cursor = db.collection(COLLECTIONS.VIDEOS).find(dbQuery);
+    let cursor = db.collection(COLLECTIONS.VIDEOS).find(dbQuery)
+      .project(SEARCH_RESULT_PROJECTION);
     
     // Add sort if needed
     if (Object.keys(sortOptions).length > 0) {
@@ -566,7 +1595,7 @@ async function searchVideos(params) {
     
     // Add projection to include text score if relevant
     if (query && query.trim() !== '' && sortBy === 'relevance') {
-      cursor = cursor.project({ score: { $meta: 'textScore' }, ...cursor.projection });
+      cursor = cursor.project({ score: { $meta: 'textScore' }, ...SEARCH_RESULT_PROJECTION });
     }
     
     // Get the total count for pagination
@@ -593,6 +1622,209 @@ async function searchVideos(params) {
   }
 }
 
+/**
+ * Count the videos matching search filters (without a text query)
+ * @param {Object} params Search filters (see buildVideoFilter)
+ * @returns {Promise<number>} Number of matching videos
+ */
+async function countVideos(params = {}) {
+  try {
+    await ensureConnection();
+    return await db.collection(COLLECTIONS.VIDEOS).countDocuments(buildVideoFilter(params));
+  } catch (error) {
+    logger.error({ err: error, params }, 'Error counting videos');
+    throw error;
+  }
+}
+
+/**
+ * Find text index matches for hybrid ranking: IDs and ranking fields only
+ * @param {string} query Search text
+ * @param {Object} params Search filters (see buildVideoFilter)
+ * @param {number} limit Maximum number of matches
+ * @returns {Promise<Object[]>} Matches as { youtubeId, score, popularity, recency }, best first
+ */
+async function findTextCandidates(query, params = {}, limit = 200) {
+  try {
+    await ensureConnection();
+    
+    return await db.collection(COLLECTIONS.VIDEOS)
+      .find({ ...buildVideoFilter(params), $text: { $search: query } })
+      .project({ _id: 0, youtubeId: 1, popularity: 1, recency: 1, score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(limit)
+      .toArray();
+  } catch (error) {
+    logger.error({ err: error, query }, 'Error finding text candidates');
+    throw error;
+  }
+}
+
+/**
+ * Get the stored vectors of videos matching the search filters. Without a
+ * vector index this scans up to `limit` videos, most popular first.
+ * @param {string} model Embedding model the vectors must come from
+ * @param {Object} params Search filters (see buildVideoFilter)
+ * @param {number} limit Maximum number of videos to scan
+ * @returns {Promise<Object[]>} Videos as { youtubeId, popularity, recency, embedding: { vector } }
+ */
+async function findVectorCandidates(model, params = {}, limit = 5000) {
+  try {
+    await ensureConnection();
+    
+    return await db.collection(COLLECTIONS.VIDEOS)
+      .find({ ...buildVideoFilter(params), 'embedding.model': model })
+      .project({ _id: 0, youtubeId: 1, popularity: 1, recency: 1, 'embedding.vector': 1 })
+      .sort({ popularity: -1 })
+      .limit(limit)
+      .toArray();
+  } catch (error) {
+    logger.error({ err: error, model }, 'Error finding vector candidates');
+    throw error;
+  }
+}
+
+/**
+ * Get videos by YouTube ID, in the order given
+ * @param {string[]} youtubeIds YouTube video IDs
+ * @returns {Promise<Object[]>} Videos (as in search results), skipping IDs that don't exist
+ */
+async function getVideosByYoutubeIds(youtubeIds) {
+  try {
+    await ensureConnection();
+    
+    const videos = await db.collection(COLLECTIONS.VIDEOS)
+      .find({ youtubeId: { $in: youtubeIds } })
+      .project(SEARCH_RESULT_PROJECTION)
+      .toArray();
+    const byId = new Map(videos.map(video => [video.youtubeId, video]));
+    
+    return youtubeIds.map(id => byId.get(id)).filter(Boolean);
+  } catch (error) {
+    logger.error({ err: error, count: youtubeIds.length }, 'Error getting videos by ID');
+    throw error;
+  }
+}
+
+/**
+ * Store a video's embedding
+ * @param {string} youtubeId YouTube video ID
+ * @param {Object} embedding Embedding (model, dimensions, vector, embeddedAt)
+ * @returns {Promise<boolean>} Whether the video exists
+ */
+async function saveVideoEmbedding(youtubeId, embedding) {
+  try {
+    await ensureConnection();
+    
+    const result = await db.collection(COLLECTIONS.VIDEOS).updateOne(
+      { youtubeId },
+      { $set: { embedding } }
+    );
+    
+    return result.matchedCount > 0;
+  } catch (error) {
+    logger.error({ err: error, videoId: youtubeId }, 'Error saving video embedding');
+    throw error;
+  }
+}
+
+/**
+ * Delete every video not in a list, so a database holds exactly a fixture
+ * corpus (used by the search evaluation, never by the app)
+ * @param {string[]} youtubeIds YouTube IDs of the videos to keep
+ * @returns {Promise<number>} Number of videos deleted
+ */
+async function deleteVideosNotIn(youtubeIds) {
+  try {
+    await ensureConnection();
+    
+    const result = await db.collection(COLLECTIONS.VIDEOS).deleteMany({
+      youtubeId: { $nin: youtubeIds }
+    });
+    
+    return result.deletedCount;
+  } catch (error) {
+    logger.error({ err: error }, 'Error deleting videos');
+    throw error;
+  }
+}
+
+/**
+ * Get videos that have no embedding from a model yet
+ * @param {string} model Embedding model
+ * @param {number} limit Maximum number of videos
+ * @returns {Promise<Object[]>} Videos with the fields used to build embedding text
+ */
+async function getVideosWithoutEmbedding(model, limit = 100) {
+  try {
+    await ensureConnection();
+    
+    return await db.collection(COLLECTIONS.VIDEOS)
+      .find({ 'embedding.model': { $ne: model } })
+      .project({
+        _id: 0,
+        youtubeId: 1,
+        title: 1,
+        description: 1,
+        tags: 1,
+        brawlers: 1,
+        gameModes: 1,
+        contentType: 1,
+        transcript: 1
+      })
+      .sort({ popularity: -1 })
+      .limit(limit)
+      .toArray();
+  } catch (error) {
+    logger.error({ err: error, model }, 'Error getting videos without embeddings');
+    throw error;
+  }
+}
+
+/**
+ * Find the videos whose text best matches a question, with the fields needed
+ * to cut them into passages
+ * @param {string} text Question text
+ * @param {Object} options Options
+ * @param {string[]} options.brawlers Only videos featuring one of these brawlers
+ * @param {string[]} options.gameModes Only videos in one of these game modes
+ * @param {number} options.limit Maximum number of videos
+ * @returns {Promise<Object[]>} Videos, best match first
+ */
+async function findPassageSources(text, options = {}) {
+  try {
+    await ensureConnection();
+    
+    const { brawlers = [], gameModes = [], limit = 5 } = options;
+    const dbQuery = { $text: { $search: text } };
+    
+    if (brawlers.length > 0) {
+      dbQuery.brawlers = { $in: brawlers };
+    }
+    if (gameModes.length > 0) {
+      dbQuery.gameModes = { $in: gameModes };
+    }
+    
+    return await db.collection(COLLECTIONS.VIDEOS)
+      .find(dbQuery)
+      .project({
+        score: { $meta: 'textScore' },
+        youtubeId: 1,
+        title: 1,
+        description: 1,
+        creator: 1,
+        duration: 1,
+        transcriptSegments: 1
+      })
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(limit)
+      .toArray();
+  } catch (error) {
+    logger.error({ err: error, text }, 'Error finding passage sources');
+    throw error;
+  }
+}
+
 /**
  * Get videos by brawler with caching
  * @param {string} brawler Brawler name
@@ -1024,6 +2256,141 @@ async function getAllGameModes() {
   }
 }
 
+// Catalog collections by catalog type
+const CATALOG_COLLECTIONS = {
+  brawlers: COLLECTIONS.BRAWLERS,
+  gameModes: COLLECTIONS.GAME_MODES
+};
+
+/**
+ * Get all entries of a catalog
+ * @param {string} type Catalog type ('brawlers' or 'gameModes')
+ * @returns {Promise<Object[]>} Catalog entries, sorted by name
+ */
+async function getCatalogEntries(type) {
+  try {
+    await ensureConnection();
+    
+    return await db.collection(CATALOG_COLLECTIONS[type])
+      .find({}, { projection: { _id: 0 } })
+      .sort({ name: 1 })
+      .toArray();
+  } catch (error) {
+    logger.error({ err: error, type }, 'Error getting catalog entries');
+    throw error;
+  }
+}
+
+/**
+ * Insert or replace a catalog entry
+ * @param {string} type Catalog type ('brawlers' or 'gameModes')
+ * @param {Object} entry Catalog entry, keyed by name
+ * @returns {Promise<Object>} Stored entry
+ */
+async function saveCatalogEntry(type, entry) {
+  try {
+    await ensureConnection();
+    
+    const result = await db.collection(CATALOG_COLLECTIONS[type]).findOneAndReplace(
+      { name: entry.name },
+      { ...entry, lastUpdated: new Date().toISOString() },
+      { upsert: true, returnDocument: 'after', projection: { _id: 0 } }
+    );
+    
+    return result.value;
+  } catch (error) {
+    logger.error({ err: error, type, name: entry.name }, 'Error saving catalog entry');
+    throw error;
+  }
+}
+
+/**
+ * Delete a catalog entry
+ * @param {string} type Catalog type ('brawlers' or 'gameModes')
+ * @param {string} name Entry name
+ * @returns {Promise<boolean>} Whether an entry was deleted
+ */
+async function deleteCatalogEntry(type, name) {
+  try {
+    await ensureConnection();
+    
+    const result = await db.collection(CATALOG_COLLECTIONS[type]).deleteOne({ name });
+    return result.deletedCount > 0;
+  } catch (error) {
+    logger.error({ err: error, type, name }, 'Error deleting catalog entry');
+    throw error;
+  }
+}
+
+/**
+ * Seed a catalog with bundled entries. Existing entries are left alone unless
+ * `overwrite` is set, so admin edits survive restarts.
+ * @param {string} type Catalog type ('brawlers' or 'gameModes')
+ * @param {Object[]} entries Catalog entries
+ * @param {boolean} overwrite Replace entries that already exist
+ * @returns {Promise<number>} Number of entries inserted or replaced
+ */
+async function seedCatalogEntries(type, entries, overwrite = false) {
+  try {
+    await ensureConnection();
+    
+    if (entries.length === 0) {
+      return 0;
+    }
+    
+    const now = new Date().toISOString();
+    const operations = entries.map(entry => overwrite
+      ? { replaceOne: { filter: { name: entry.name }, replacement: { ...entry, lastUpdated: now }, upsert: true } }
+      : { updateOne: { filter: { name: entry.name }, update: { $setOnInsert: { ...entry, lastUpdated: now } }, upsert: true } });
+    
+    const result = await db.collection(CATALOG_COLLECTIONS[type]).bulkWrite(operations, { ordered: false });
+    return result.upsertedCount + (overwrite ? result.modifiedCount : 0);
+  } catch (error) {
+    logger.error({ err: error, type }, 'Error seeding catalog');
+    throw error;
+  }
+}
+
+/**
+ * Get the prompt versions admins switched to
+ * @returns {Promise<Object>} Active version by template name
+ */
+async function getActivePromptVersions() {
+  try {
+    await ensureConnection();
+    
+    const records = await db.collection(COLLECTIONS.PROMPT_VERSIONS)
+      .find({}, { projection: { _id: 0, name: 1, version: 1 } })
+      .toArray();
+    
+    return Object.fromEntries(records.map(record => [record.name, record.version]));
+  } catch (error) {
+    logger.error({ err: error }, 'Error getting active prompt versions');
+    throw error;
+  }
+}
+
+/**
+ * Store the active version of a prompt template
+ * @param {string} name Template name
+ * @param {number} version Active version
+ * @returns {Promise<void>}
+ */
+async function saveActivePromptVersion(name, version) {
+  try {
+    await ensureConnection();
+    
+    await db.collection(COLLECTIONS.PROMPT_VERSIONS).updateOne(
+      { name },
+      { $set: { version, lastUpdated: new Date().toISOString() } },
+      { upsert: true }
+    );
+  } catch (error) {
+    logger.error({ err: error, name, version }, 'Error saving active prompt version');
+    throw error;
+  }
+}
+
 /**
  * Get popular content creators with pagination
  * @param {number} limit Maximum number of results
@@ -1241,9 +2608,52 @@ module.exports = {
   ensureConnection,
   saveVideo,
   getVideoByYoutubeId,
+  getExistingVideoIds,
+  getAllVideoIds,
+  updateVideoStats,
+  setVideoSkillLevelOverride,
+  saveVideoTranscript,
+  updateVideoTags,
   updateVideoTimestamps,
   saveChannel,
+  getTrackedChannelIds,
+  setChannelTracked,
+  getCreatorSkillProfiles,
+  setChannelSkillLevelOverride,
+  getCollectionCheckpoints,
+  saveCollectionCheckpoint,
+  getFeedStates,
+  saveFeedState,
+  addQuotaUsage,
+  getQuotaUsage,
+  getYoutubeEtags,
+  saveYoutubeEtags,
+  acquireCollectionLock,
+  renewCollectionLock,
+  releaseCollectionLock,
+  getCollectionLock,
+  getCollectionSchedule,
+  saveCollectionSchedule,
+  getDueCollectionSchedules,
+  claimCollectionSchedule,
+  getNextScheduledRun,
+  createCollectionRun,
+  updateCollectionRun,
+  getCollectionRun,
+  listCollectionRuns,
+  requestCollectionRunCancel,
+  markInterruptedCollectionRuns,
+  getLatestCollectionRun,
+  getCollectionRunStats,
   searchVideos,
+  countVideos,
+  findTextCandidates,
+  findVectorCandidates,
+  getVideosByYoutubeIds,
+  saveVideoEmbedding,
+  deleteVideosNotIn,
+  getVideosWithoutEmbedding,
+  findPassageSources,
   getVideosByBrawler,
   getVideosByGameMode,
   saveSearchQuery,
@@ -1253,6 +2663,12 @@ module.exports = {
   getVideoRecommendations,
   getAllBrawlers,
   getAllGameModes,
+  getCatalogEntries,
+  saveCatalogEntry,
+  deleteCatalogEntry,
+  seedCatalogEntries,
+  getActivePromptVersions,
+  saveActivePromptVersion,
   getPopularContentCreators,
   saveUserPreferences,
   getUserPreferences,
@@ -94,6 +94,7 @@ app.get('/api/preferences', (req, res) => {
 
 // Feedback endpoint
 app.post('/api/feedback', (req, res) => {
+  // eslint-disable-next-line no-unused-vars -- the demo accepts feedback without storing it
   const { youtubeId, feedbackType, comment } = req.body;
   
   res.status(200).json({
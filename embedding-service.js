@@ -0,0 +1,241 @@
+// embedding-service.js
+// Text embeddings for semantic search (local embedding server or a deterministic hash embedder)
+
+const axios = require('axios');
+const pino = require('pino');
+const { normalizeText } = require('./content-classifier');
+require('dotenv').config();
+
+// Embedding configuration (an empty provider turns semantic search off)
+const EMBEDDING_PROVIDER = process.env.EMBEDDING_PROVIDER || '';
+const EMBEDDING_MODEL = process.env.EMBEDDING_MODEL || 'all-MiniLM-L6-v2';
+const EMBEDDING_BASE_URL = (process.env.EMBEDDING_BASE_URL || 'http://localhost:8080/v1').replace(/\/+$/, '');
+const EMBEDDING_DIMENSIONS = parseInt(process.env.EMBEDDING_DIMENSIONS || '256');
+const EMBEDDING_BATCH_SIZE = parseInt(process.env.EMBEDDING_BATCH_SIZE || '32');
+const EMBEDDING_REQUEST_TIMEOUT_MS = parseInt(process.env.EMBEDDING_REQUEST_TIMEOUT_MS || '30000');
+
+// How much of a video's description and transcript goes into its embedding
+const MAX_DESCRIPTION_LENGTH = 1000;
+const MAX_TRANSCRIPT_LENGTH = 2000;
+
+// Setup logger
+const logger = pino({
+  level: process.env.LOG_LEVEL || 'info',
+  transport: process.env.NODE_ENV === 'development' ? {
+    target: 'pino-pretty',
+    options: {
+      colorize: true
+    }
+  } : undefined
+});
+
+// Embedders by name. An embedder is { model, embed(texts) } where `model`
+// identifies the vectors it produces (vectors from different models can't be
+// compared) and `embed` resolves to one vector per text.
+const embedders = new Map();
+
+/**
+ * Register an embedder
+ * @param {string} name Embedder name, as used in EMBEDDING_PROVIDER
+ * @param {Object} embedder { model, embed(texts) => Promise<number[][]> }
+ */
+function registerEmbedder(name, embedder) {
+  embedders.set(name, embedder);
+}
+
+/**
+ * Get an embedder by name
+ * @param {string} name Embedder name (defaults to EMBEDDING_PROVIDER)
+ * @returns {Object|null} Embedder, or null if semantic search is off
+ */
+function getEmbedder(name = EMBEDDING_PROVIDER) {
+  if (!name) {
+    return null;
+  }
+  
+  const embedder = embedders.get(name);
+  if (!embedder) {
+    throw new Error(`Unknown embedding provider "${name}" (available: ${[...embedders.keys()].join(', ')})`);
+  }
+  
+  return embedder;
+}
+
+/**
+ * Check whether semantic search is configured
+ * @returns {boolean} Whether an embedding provider is set
+ */
+function isEmbeddingEnabled() {
+  return Boolean(EMBEDDING_PROVIDER);
+}
+
+/**
+ * 32-bit FNV-1a hash
+ * @param {string} text Text to hash
+ * @returns {number} Unsigned hash
+ */
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  
+  return hash >>> 0;
+}
+
+/**
+ * Scale a vector to unit length
+ * @param {number[]} vector Vector
+ * @returns {number[]} Unit vector (or the zero vector)
+ */
+function normalizeVector(vector) {
+  const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return length > 0 ? vector.map(value => value / length) : vector;
+}
+
+/**
+ * Deterministic embedding from hashed words and word pairs. It only captures
+ * shared vocabulary, not meaning, but needs no model, so tests and offline
+ * setups can exercise the vector search path.
+ * @param {string} text Text to embed
+ * @param {number} dimensions Vector size
+ * @returns {number[]} Unit vector
+ */
+function hashEmbedding(text, dimensions = EMBEDDING_DIMENSIONS) {
+  const vector = new Array(dimensions).fill(0);
+  const words = normalizeText(text).split(' ').filter(Boolean);
+  const features = [
+    ...words.map(word => [word, 1]),
+    ...words.slice(1).map((word, index) => [`${words[index]} ${word}`, 0.5])
+  ];
+  
+  for (const [feature, weight] of features) {
+    const hash = fnv1a(feature);
+    vector[hash % dimensions] += hash & 0x80000000 ? -weight : weight;
+  }
+  
+  return normalizeVector(vector);
+}
+
+/**
+ * Embed texts with an OpenAI-compatible /embeddings endpoint, such as a
+ * llama.cpp or text-embeddings-inference server running a small model on CPU
+ * @param {string[]} texts Texts to embed
+ * @returns {Promise<number[][]>} Vectors
+ */
+async function embedWithLocalServer(texts) {
+  const response = await axios.post(`${EMBEDDING_BASE_URL}/embeddings`, {
+    model: EMBEDDING_MODEL,
+    input: texts
+  }, {
+    timeout: EMBEDDING_REQUEST_TIMEOUT_MS
+  });
+  
+  const data = response.data?.data;
+  if (!Array.isArray(data) || data.length !== texts.length) {
+    logger.error({ baseUrl: EMBEDDING_BASE_URL, count: data?.length, expected: texts.length }, 'Unexpected embeddings response');
+    throw new Error('Embeddings response does not match the request');
+  }
+  
+  return [...data]
+    .sort((a, b) => a.index - b.index)
+    .map(item => normalizeVector(item.embedding));
+}
+
+registerEmbedder('hash', {
+  model: `hash-${EMBEDDING_DIMENSIONS}`,
+  embed: async texts => texts.map(text => hashEmbedding(text))
+});
+registerEmbedder('local', {
+  model: EMBEDDING_MODEL,
+  embed: embedWithLocalServer
+});
+
+/**
+ * Embed texts with the configured embedder, in batches
+ * @param {string[]} texts Texts to embed
+ * @returns {Promise<number[][]>} Vectors
+ */
+async function embedTexts(texts) {
+  const embedder = getEmbedder();
+  if (!embedder) {
+    throw new Error('Semantic search is not configured (set EMBEDDING_PROVIDER)');
+  }
+  
+  const vectors = [];
+  for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+    vectors.push(...await embedder.embed(texts.slice(i, i + EMBEDDING_BATCH_SIZE)));
+  }
+  
+  return vectors;
+}
+
+/**
+ * Build the text a video is embedded from: title and tags first, then
+ * description and the start of the transcript
+ * @param {Object} video Video document
+ * @returns {string} Text to embed
+ */
+function buildVideoEmbeddingText(video) {
+  return [
+    video.title,
+    [...(video.brawlers || []), ...(video.gameModes || []), ...(video.contentType || [])].join(', '),
+    (video.tags || []).join(', '),
+    String(video.description || '').slice(0, MAX_DESCRIPTION_LENGTH),
+    String(video.transcript || '').slice(0, MAX_TRANSCRIPT_LENGTH)
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Embed videos for storage
+ * @param {Object[]} videos Video documents
+ * @returns {Promise<Object[]>} Embeddings as { model, dimensions, vector, embeddedAt }
+ */
+async function embedVideos(videos) {
+  const { model } = getEmbedder();
+  const vectors = await embedTexts(videos.map(buildVideoEmbeddingText));
+  const embeddedAt = new Date().toISOString();
+  
+  return vectors.map(vector => ({ model, dimensions: vector.length, vector, embeddedAt }));
+}
+
+/**
+ * Embed a search query
+ * @param {string} query Search text
+ * @returns {Promise<Object>} { model, vector }
+ */
+async function embedQuery(query) {
+  const { model } = getEmbedder();
+  const [vector] = await embedTexts([query]);
+  
+  return { model, vector };
+}
+
+/**
+ * Cosine similarity of two unit vectors
+ * @param {number[]} a First vector
+ * @param {number[]} b Second vector
+ * @returns {number} Similarity from -1 to 1
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+  }
+  
+  return dot;
+}
+
+module.exports = {
+  registerEmbedder,
+  getEmbedder,
+  isEmbeddingEnabled,
+  hashEmbedding,
+  buildVideoEmbeddingText,
+  embedVideos,
+  embedQuery,
+  cosineSimilarity
+};
@@ -0,0 +1,46 @@
+// embedding-service.test.js
+// Offline tests for the hash embedder and video embedding text
+
+const { hashEmbedding, buildVideoEmbeddingText, cosineSimilarity } = require('./embedding-service');
+
+describe('hashEmbedding', () => {
+  test('is deterministic and unit length', () => {
+    const vector = hashEmbedding('Spike heist guide', 64);
+    
+    expect(vector).toHaveLength(64);
+    expect(hashEmbedding('Spike heist guide', 64)).toEqual(vector);
+    expect(cosineSimilarity(vector, vector)).toBeCloseTo(1);
+  });
+  
+  test('ranks texts sharing words above unrelated ones', () => {
+    const query = hashEmbedding('spike heist tips');
+    const related = hashEmbedding('Best Spike tips for Heist');
+    const unrelated = hashEmbedding('Colt bounty montage');
+    
+    expect(cosineSimilarity(query, related)).toBeGreaterThan(cosineSimilarity(query, unrelated));
+  });
+  
+  test('returns the zero vector for empty text', () => {
+    expect(hashEmbedding('', 8)).toEqual(new Array(8).fill(0));
+  });
+});
+
+describe('buildVideoEmbeddingText', () => {
+  test('puts the title and tags first and skips missing fields', () => {
+    const text = buildVideoEmbeddingText({
+      title: 'Spike guide',
+      brawlers: ['Spike'],
+      gameModes: ['Heist'],
+      contentType: ['tutorial'],
+      tags: ['brawl stars'],
+      description: 'How to play Spike'
+    });
+    
+    expect(text.split('\n')).toEqual([
+      'Spike guide',
+      'Spike, Heist, tutorial',
+      'brawl stars',
+      'How to play Spike'
+    ]);
+  });
+});
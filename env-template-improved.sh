@@ -17,18 +17,61 @@ SESSION_MAX_AGE=604800000  # 1 week in milliseconds
 
 # YouTube API Configuration
 YOUTUBE_API_KEY=your_youtube_api_key
-YOUTUBE_DAILY_QUOTA=10000
-YOUTUBE_CACHE_TTL=3600  # Cache time in seconds
-MAX_CONCURRENT_REQUESTS=5
+YOUTUBE_DAILY_QUOTA=10000  # Units per Pacific-time day
+YOUTUBE_QUOTA_RESERVE=500  # Headroom the service never spends; requests stop at YOUTUBE_DAILY_QUOTA minus this
+YOUTUBE_CACHE_TTL=3600  # Seconds API responses (and videos and channels by ID) are cached
+MAX_CONCURRENT_REQUESTS=5  # YouTube API requests in flight at once
+YOUTUBE_MAX_RETRIES=3  # Retries of rate-limited (403 rateLimitExceeded, 429) and 5xx responses
+YOUTUBE_RETRY_BASE_DELAY_MS=1000  # Backoff doubles after each retry
+YOUTUBE_FIXTURE_MODE=off  # off, record (save every response) or replay (answer from saved responses, no network)
+YOUTUBE_FIXTURE_DIR=./fixtures/youtube  # Where fixtures are saved; the API key is scrubbed from them
 
 # OpenAI API Configuration
 OPENAI_API_KEY=your_openai_api_key
 OPENAI_MODEL=gpt-3.5-turbo  # or 'gpt-4' if available
 
+# LLM Provider Configuration
+LLM_PROVIDER=openai  # openai, openai-compatible (llama.cpp, vLLM, ...) or stub (offline, no model)
+LLM_MODEL=  # Overrides OPENAI_MODEL, e.g. the model name served by an OpenAI-compatible server
+LLM_BASE_URL=http://localhost:8080/v1  # Used by openai-compatible
+LLM_API_KEY=  # Optional bearer token for openai-compatible
+LLM_REQUEST_TIMEOUT_MS=60000
+
+# Prompt Configuration
+PROMPT_VERSIONS=  # Default prompt versions, e.g. response=2,answer=1 (default: version 1 of each); versions switched to through the admin API take precedence
+PROMPT_VERSIONS_RELOAD_MS=60000  # How often each instance picks up versions switched to on other instances
+
+# Conversation Memory Configuration
+MEMORY_RECENT_MESSAGES=12  # Messages kept word for word; older ones are summarized
+
+# Semantic Search Configuration
+EMBEDDING_PROVIDER=  # Empty for text search only, local (OpenAI-compatible /embeddings server) or hash (deterministic, for tests)
+EMBEDDING_MODEL=all-MiniLM-L6-v2  # Used by local
+EMBEDDING_BASE_URL=http://localhost:8080/v1  # Used by local
+EMBEDDING_DIMENSIONS=256  # Used by hash
+EMBEDDING_BATCH_SIZE=32
+EMBEDDING_REQUEST_TIMEOUT_MS=30000
+SEARCH_WEIGHT_TEXT=0.45
+SEARCH_WEIGHT_VECTOR=0.35
+SEARCH_WEIGHT_POPULARITY=0.12
+SEARCH_WEIGHT_RECENCY=0.08
+SEARCH_TEXT_CANDIDATES=200
+SEARCH_VECTOR_CANDIDATES=200
+SEARCH_VECTOR_SCAN_LIMIT=5000
+SEARCH_MIN_SIMILARITY=0.2
+
 # Content Collection Configuration
 MAX_VIDEOS_PER_RUN=50
 COLLECTION_INTERVAL_HOURS=24
 COLLECTION_SCHEDULE_ENABLED=true
+SCHEDULER_POLL_INTERVAL_MS=60000  # How often each instance checks for due schedules
+COLLECTION_LOCK_TTL_MS=600000  # Lock lifetime; renewed while a run is active
+# Only channels tracked with PUT /api/admin/channels/:id/tracked are polled for uploads
+CHANNEL_FEEDS_ENABLED=true  # Incremental runs find channel uploads via public feeds (no quota), falling back to the API
+YOUTUBE_FEED_URL=https://www.youtube.com/feeds/videos.xml
+FEED_REQUEST_TIMEOUT_MS=10000
+TRANSCRIPT_SOURCES=captionTrack  # Comma-separated; leave empty to only use uploaded transcripts
+TRANSCRIPT_LANGUAGES=en  # Caption languages to try, in order
 
 # API Rate Limiting
 RATE_LIMIT_WINDOW_MS=900000  # 15 minutes
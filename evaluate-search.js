@@ -0,0 +1,195 @@
+// evaluate-search.js
+// Offline search evaluation: runs the golden set through query understanding and
+// search against a fixture corpus, then reports metrics and changes from a baseline.
+//
+//   node evaluate-search.js --provider=stub [--embeddings=hash] [--mode=auto]
+//     [--save-baseline] [--fail-on-regression]
+
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const EVALUATION_DIR = path.join(__dirname, 'evaluation');
+
+/**
+ * Parse evaluation options from command line arguments
+ * @param {string[]} argv Command line arguments
+ * @returns {Object} Evaluation options
+ */
+function parseCommandLineOptions(argv) {
+  const options = {
+    provider: null,
+    embeddings: null,
+    mode: 'auto',
+    goldenSet: path.join(EVALUATION_DIR, 'golden-set.json'),
+    corpus: path.join(EVALUATION_DIR, 'corpus.json'),
+    baseline: path.join(EVALUATION_DIR, 'baseline.json'),
+    k: 10,
+    saveBaseline: false,
+    failOnRegression: false
+  };
+  
+  argv.forEach(arg => {
+    const [name, value] = arg.replace(/^--/, '').split('=');
+    
+    if (name === 'provider') {
+      options.provider = value;
+    } else if (name === 'embeddings') {
+      options.embeddings = value;
+    } else if (name === 'mode') {
+      options.mode = value;
+    } else if (name === 'golden-set') {
+      options.goldenSet = path.resolve(value);
+    } else if (name === 'corpus') {
+      options.corpus = path.resolve(value);
+    } else if (name === 'baseline') {
+      options.baseline = path.resolve(value);
+    } else if (name === 'k') {
+      options.k = parseInt(value);
+    } else if (name === 'save-baseline') {
+      options.saveBaseline = true;
+    } else if (name === 'fail-on-regression') {
+      options.failOnRegression = true;
+    }
+  });
+  
+  return options;
+}
+
+/**
+ * Point the services at the chosen providers. Must run before they are loaded,
+ * as they read their configuration once.
+ * @param {Object} options Evaluation options
+ */
+function configureEnvironment(options) {
+  process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn'; // Keep service logs out of the report
+  if (options.provider) {
+    process.env.LLM_PROVIDER = options.provider;
+  }
+  if (options.embeddings) {
+    process.env.EMBEDDING_PROVIDER = options.embeddings;
+  }
+}
+
+/**
+ * Build an in-memory store over the fixture corpus, with embeddings when
+ * semantic search is configured. Nothing is read from or written to MongoDB.
+ * @param {Object[]} videos Fixture videos
+ * @param {Object} services Loaded services
+ * @returns {Promise<Object>} Corpus store
+ */
+async function loadCorpus(videos, { corpusStore, embeddings }) {
+  const store = corpusStore.createCorpusStore(videos);
+  
+  if (embeddings.isEmbeddingEnabled()) {
+    const vectors = await embeddings.embedVideos(videos);
+    for (let i = 0; i < videos.length; i++) {
+      await store.saveVideoEmbedding(videos[i].youtubeId, vectors[i]);
+    }
+  }
+  
+  return store;
+}
+
+/**
+ * Run every golden set entry through generateSearchParams and searchVideos
+ * @param {Object} goldenSet Golden set ({ version, entries })
+ * @param {Object} options Evaluation options
+ * @param {Object} services Loaded services
+ * @param {Object} store Video store to search (see loadCorpus)
+ * @returns {Promise<Object>} Report as { goldenSetVersion, provider, searchMode, promptVersions, k, metrics, entries }
+ */
+async function runEvaluation(goldenSet, options, services, store) {
+  const { conversationService, videoSearch, evaluation, llmProviders, promptRegistry } = services;
+  const results = [];
+  
+  for (const entry of goldenSet.entries) {
+    const searchParams = await conversationService.generateSearchParams(entry.query);
+    const { videos, mode } = await videoSearch.searchVideos(
+      { ...searchParams, page: 1, limit: options.k },
+      { mode: options.mode },
+      { db: store }
+    );
+    
+    results.push({
+      ...evaluation.evaluateEntry(entry, { searchParams, rankedIds: videos.map(video => video.youtubeId) }, options.k),
+      searchMode: mode
+    });
+  }
+  
+  return {
+    goldenSetVersion: goldenSet.version,
+    provider: llmProviders.getLLMProviderName(),
+    searchMode: options.mode,
+    promptVersions: Object.fromEntries(promptRegistry.listPromptTemplates().map(prompt => [prompt.name, prompt.active])),
+    k: options.k,
+    createdAt: new Date().toISOString(),
+    metrics: evaluation.summarizeResults(results),
+    entries: results
+  };
+}
+
+/**
+ * Read a JSON file
+ * @param {string} file File path
+ * @returns {Object|null} Parsed contents, or null if the file doesn't exist
+ */
+function readJson(file) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+// Run the evaluation from the command line (npm run eval)
+if (require.main === module) {
+  (async () => {
+    try {
+      const options = parseCommandLineOptions(process.argv.slice(2));
+      configureEnvironment(options);
+      
+      const services = {
+        corpusStore: require('./corpus-store'),
+        conversationService: require('./llm-conversation-service-improved'),
+        videoSearch: require('./video-search'),
+        embeddings: require('./embedding-service'),
+        llmProviders: require('./llm-providers'),
+        promptRegistry: require('./prompt-registry'),
+        evaluation: require('./search-evaluation')
+      };
+      
+      if (!services.videoSearch.SEARCH_MODES.includes(options.mode)) {
+        throw new Error(`Unknown search mode "${options.mode}" (expected ${services.videoSearch.SEARCH_MODES.join(', ')})`);
+      }
+      
+      const goldenSet = readJson(options.goldenSet);
+      const corpus = readJson(options.corpus);
+      if (!goldenSet || !corpus) {
+        throw new Error(`Missing golden set (${options.goldenSet}) or corpus (${options.corpus})`);
+      }
+      
+      const store = await loadCorpus(corpus.videos, services);
+      const report = await runEvaluation(goldenSet, options, services, store);
+      const baseline = readJson(options.baseline);
+      const diff = baseline ? services.evaluation.compareToBaseline(report, baseline) : null;
+      
+      console.log(services.evaluation.formatReport(report, diff));
+      if (!baseline) {
+        console.log(`\nNo baseline at ${options.baseline}; run with --save-baseline to record one.`);
+      }
+      
+      if (options.saveBaseline) {
+        fs.writeFileSync(options.baseline, `${JSON.stringify(report, null, 2)}\n`);
+        console.log(`\nSaved baseline to ${options.baseline}`);
+      }
+      
+      process.exit(options.failOnRegression && diff && diff.regressions.length > 0 ? 1 : 0);
+    } catch (error) {
+      console.error(`Evaluation failed: ${error.message}`);
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = {
+  parseCommandLineOptions,
+  loadCorpus,
+  runEvaluation
+};
@@ -0,0 +1,41 @@
+// evaluate-search.test.js
+// Tests for the offline search evaluation: it runs on the fixture corpus in
+// memory and matches the committed baseline
+
+jest.mock('./database-service-improved', () => new Proxy({}, {
+  get: (target, name) => (name === '__esModule' ? false : () => {
+    throw new Error(`The evaluation must not use the database (${String(name)})`);
+  })
+}));
+
+process.env.LLM_PROVIDER = 'stub';
+process.env.LOG_LEVEL = 'silent';
+delete process.env.EMBEDDING_PROVIDER;
+
+const { loadCorpus, runEvaluation, parseCommandLineOptions } = require('./evaluate-search');
+const services = {
+  corpusStore: require('./corpus-store'),
+  conversationService: require('./llm-conversation-service-improved'),
+  videoSearch: require('./video-search'),
+  embeddings: require('./embedding-service'),
+  llmProviders: require('./llm-providers'),
+  promptRegistry: require('./prompt-registry'),
+  evaluation: require('./search-evaluation')
+};
+const goldenSet = require('./evaluation/golden-set.json');
+const corpus = require('./evaluation/corpus.json');
+const baseline = require('./evaluation/baseline.json');
+
+describe('offline search evaluation', () => {
+  test('reproduces the committed baseline without touching the database', async () => {
+    const options = parseCommandLineOptions(['--provider=stub']);
+    const store = await loadCorpus(corpus.videos, services);
+    
+    const report = await runEvaluation(goldenSet, options, services, store);
+    const diff = services.evaluation.compareToBaseline(report, baseline);
+    
+    expect(report.entries).toHaveLength(goldenSet.entries.length);
+    expect(diff.regressions).toEqual([]);
+    expect(report.metrics).toEqual(baseline.metrics);
+  });
+});
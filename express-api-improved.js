@@ -19,6 +19,13 @@ const dbService = require('./database-service-improved');
 const conversationService = require('./llm-conversation-service-improved');
 const contentCollector = require('./data-collector-improved');
 const youtubeService = require('./youtube-service-improved');
+const fixtures = require('./youtube-fixtures');
+const { SKILL_LEVELS } = require('./skill-level-scorer');
+const catalog = require('./brawl-stars-catalog');
+const videoSearch = require('./video-search');
+const { validateSearchParams } = require('./search-params-schema');
+const { MIN_COMPARED_BRAWLERS, MAX_COMPARED_BRAWLERS } = require('./brawler-comparison');
+const promptRegistry = require('./prompt-registry');
 
 require('dotenv').config();
 
@@ -130,7 +137,9 @@ app.use((req, res, next) => {
       preferredBrawlers: [],
       preferredGameModes: [],
       preferredContentTypes: [],
-      conversationHistory: []
+      conversationHistory: [],
+      pendingClarification: null,
+      memory: null
     };
   }
   
@@ -158,6 +167,7 @@ function validateApiKey(apiKey) {
  * @param {Object} payload Payload to include in token
  * @returns {string} JWT token
  */
+// eslint-disable-next-line no-unused-vars -- JWT auth isn't wired to any route yet
 function generateToken(payload) {
   return jwt.sign(
     payload,
@@ -190,6 +200,187 @@ function asyncHandler(fn) {
   };
 }
 
+/**
+ * Send a notification to the admin webhook, if one is configured
+ * @param {string} type Event type
+ * @param {Object} data Event payload
+ */
+function sendAdminWebhook(type, data) {
+  if (!ADMIN_WEBHOOK_URL) {
+    return;
+  }
+  
+  fetch(ADMIN_WEBHOOK_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      type,
+      data,
+      timestamp: new Date().toISOString()
+    })
+  }).catch(err => logger.error(err, 'Failed to send webhook notification'));
+}
+
+/**
+ * Read a skill level override from a request body (null or '' clears it)
+ * @param {Object} body Request body
+ * @returns {string|null|undefined} Skill level, null to clear, undefined if invalid
+ */
+function parseSkillLevelOverride(body) {
+  const { skillLevel } = body || {};
+  
+  if (skillLevel === null || skillLevel === '') {
+    return null;
+  }
+  
+  return SKILL_LEVELS.includes(skillLevel) ? skillLevel : undefined;
+}
+
+/**
+ * Read the page and page size of a conversation request
+ * @param {Object} body Request body
+ * @returns {Object} { page, limit } for conversationService.processMessage
+ */
+function parseConversationPaging(body) {
+  const { page = 1, limit } = body;
+  
+  return {
+    page: Math.max(parseInt(page) || 1, 1),
+    limit: limit ? Math.min(Math.max(parseInt(limit) || 1, 1), 50) : undefined
+  };
+}
+
+/**
+ * Read the page and page size of a list request, falling back to the defaults
+ * for missing or invalid values
+ * @param {Object} query Request query
+ * @param {number} defaultLimit Page size when none is given
+ * @param {number} maxLimit Largest page size
+ * @returns {Object} { page, limit }
+ */
+function parseListPaging(query, defaultLimit, maxLimit) {
+  const page = parseInt(query.page);
+  const limit = parseInt(query.limit);
+  
+  return {
+    page: page >= 1 ? page : 1,
+    limit: limit >= 1 ? Math.min(limit, maxLimit) : defaultLimit
+  };
+}
+
+/**
+ * Get the conversation options for a request: paging, plus the clarifying
+ * question asked last turn (kept in the session) and the quick reply chosen for it
+ * @param {Object} req Express request
+ * @returns {Object} Options for conversationService.processMessage
+ */
+function parseConversationOptions(req) {
+  const { quickReply } = req.body;
+  
+  return {
+    ...parseConversationPaging(req.body),
+    pendingClarification: req.session.userPreferences.pendingClarification || null,
+    quickReply: typeof quickReply === 'string' || typeof quickReply === 'number' ? String(quickReply) : null
+  };
+}
+
+/**
+ * Record a processed conversation turn: preferences learned from the search
+ * and processing metrics (rememberConversationTurn updates the history)
+ * @param {Object} req Express request
+ * @param {string} message User's message
+ * @param {Object} response Response from conversationService.processMessage
+ * @param {number} startTime When processing started
+ * @returns {number} Processing time in milliseconds
+ */
+function recordConversationTurn(req, message, response, startTime) {
+  // A clarifying question waits for its answer on the next turn
+  req.session.userPreferences.pendingClarification = response.clarification || null;
+  
+  // Update user preferences based on search
+  if (response.searchParams.brawlers && response.searchParams.brawlers.length > 0) {
+    // Add to preferred brawlers if not already present
+    response.searchParams.brawlers.forEach(brawler => {
+      if (!req.session.userPreferences.preferredBrawlers.includes(brawler)) {
+        req.session.userPreferences.preferredBrawlers.push(brawler);
+        // Keep only top 10
+        if (req.session.userPreferences.preferredBrawlers.length > 10) {
+          req.session.userPreferences.preferredBrawlers.shift();
+        }
+      }
+    });
+  }
+  
+  if (response.searchParams.gameModes && response.searchParams.gameModes.length > 0) {
+    // Add to preferred game modes if not already present
+    response.searchParams.gameModes.forEach(gameMode => {
+      if (!req.session.userPreferences.preferredGameModes.includes(gameMode)) {
+        req.session.userPreferences.preferredGameModes.push(gameMode);
+        // Keep only top 5
+        if (req.session.userPreferences.preferredGameModes.length > 5) {
+          req.session.userPreferences.preferredGameModes.shift();
+        }
+      }
+    });
+  }
+  
+  if (response.searchParams.contentType && response.searchParams.contentType.length > 0) {
+    // Add to preferred content types if not already present
+    response.searchParams.contentType.forEach(type => {
+      if (!req.session.userPreferences.preferredContentTypes.includes(type)) {
+        req.session.userPreferences.preferredContentTypes.push(type);
+        // Keep only top 5
+        if (req.session.userPreferences.preferredContentTypes.length > 5) {
+          req.session.userPreferences.preferredContentTypes.shift();
+        }
+      }
+    });
+  }
+  
+  // Record performance metrics
+  const processingTime = Date.now() - startTime;
+  dbService.recordMetric('conversation_processing', {
+    userId: req.session.userId,
+    processingTime,
+    messageLength: message.length,
+    responseLength: response.message.length,
+    resultsCount: response.results?.length || 0,
+    promptVersions: response.metrics?.promptVersions || {}
+  }).catch(err => logger.error(err, 'Failed to record metrics'));
+  
+  return processingTime;
+}
+
+/**
+ * Add a conversation turn to the session history. Messages that fall out of
+ * the recent window are summarized into the conversation memory, along with
+ * facts the user stated about themselves.
+ * @param {Object} req Express request
+ * @param {string} message User's message
+ * @param {Object} response Response from conversationService.processMessage
+ * @returns {Promise<void>}
+ */
+async function rememberConversationTurn(req, message, response) {
+  const { history, memory } = await conversationService.rememberExchange(
+    req.session.userPreferences.memory || null,
+    req.session.userPreferences.conversationHistory || [],
+    [
+      { role: 'user', content: message },
+      { role: 'assistant', content: response.message }
+    ]
+  );
+  
+  req.session.userPreferences.conversationHistory = history;
+  req.session.userPreferences.memory = memory;
+  
+  // Save updated preferences to database asynchronously
+  dbService.saveUserPreferences(
+    req.session.userId,
+    req.sessionID,
+    req.session.userPreferences
+  ).catch(err => logger.error(err, 'Failed to save user preferences'));
+}
+
 // ------- Middleware Functions -------
 
 /**
@@ -208,6 +399,7 @@ function requireApiKey(req, res, next) {
 /**
  * Middleware to check JWT authentication
  */
+// eslint-disable-next-line no-unused-vars -- JWT auth isn't wired to any route yet
 function requireAuth(req, res, next) {
   const authHeader = req.headers.authorization;
   
@@ -258,78 +450,87 @@ app.post('/api/conversation', asyncHandler(async (req, res) => {
     req.session.userPreferences.conversationHistory || [],
     {
       ...req.session.userPreferences,
-      userId: req.session.userId
-    }
+      userId: req.session.userId,
+      sessionId: req.sessionID
+    },
+    parseConversationOptions(req)
   );
   
-  // Update conversation history
-  req.session.userPreferences.conversationHistory = [
-    ...(req.session.userPreferences.conversationHistory || []),
-    { role: 'user', content: message },
-    { role: 'assistant', content: response.message }
-  ].slice(-20); // Keep only the last 20 messages
+  const processingTime = recordConversationTurn(req, message, response, startTime);
+  await rememberConversationTurn(req, message, response);
   
-  // Update user preferences based on search
-  if (response.searchParams.brawlers && response.searchParams.brawlers.length > 0) {
-    // Add to preferred brawlers if not already present
-    response.searchParams.brawlers.forEach(brawler => {
-      if (!req.session.userPreferences.preferredBrawlers.includes(brawler)) {
-        req.session.userPreferences.preferredBrawlers.push(brawler);
-        // Keep only top 10
-        if (req.session.userPreferences.preferredBrawlers.length > 10) {
-          req.session.userPreferences.preferredBrawlers.shift();
-        }
-      }
-    });
-  }
+  res.status(200).json({
+    ...response,
+    processingTime
+  });
+}));
+
+// Streaming conversation endpoint - Server-Sent Events for each stage of a turn:
+// intent, results, token (repeated), actions, then done with the full response
+// (a clarifying question sends token and clarification instead of results and actions)
+app.post('/api/conversation/stream', asyncHandler(async (req, res) => {
+  const { message } = req.body;
   
-  if (response.searchParams.gameModes && response.searchParams.gameModes.length > 0) {
-    // Add to preferred game modes if not already present
-    response.searchParams.gameModes.forEach(gameMode => {
-      if (!req.session.userPreferences.preferredGameModes.includes(gameMode)) {
-        req.session.userPreferences.preferredGameModes.push(gameMode);
-        // Keep only top 5
-        if (req.session.userPreferences.preferredGameModes.length > 5) {
-          req.session.userPreferences.preferredGameModes.shift();
-        }
-      }
-    });
+  if (!message || typeof message !== 'string') {
+    return res.status(400).json({ error: 'Message is required' });
   }
   
-  if (response.searchParams.contentType && response.searchParams.contentType.length > 0) {
-    // Add to preferred content types if not already present
-    response.searchParams.contentType.forEach(type => {
-      if (!req.session.userPreferences.preferredContentTypes.includes(type)) {
-        req.session.userPreferences.preferredContentTypes.push(type);
-        // Keep only top 5
-        if (req.session.userPreferences.preferredContentTypes.length > 5) {
-          req.session.userPreferences.preferredContentTypes.shift();
-        }
+  // Start timer for performance monitoring
+  const startTime = Date.now();
+  
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Stop proxies from buffering the stream
+  });
+  res.flushHeaders();
+  
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+  
+  const sendEvent = (event, data) => {
+    if (closed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    // Compression buffers output until it is flushed
+    if (typeof res.flush === 'function') res.flush();
+  };
+  
+  try {
+    const response = await conversationService.processMessage(
+      message,
+      req.session.userPreferences.conversationHistory || [],
+      {
+        ...req.session.userPreferences,
+        userId: req.session.userId,
+        sessionId: req.sessionID
+      },
+      {
+        ...parseConversationOptions(req),
+        onEvent: sendEvent
       }
+    );
+    
+    const processingTime = recordConversationTurn(req, message, response, startTime);
+    
+    sendEvent('done', {
+      ...response,
+      processingTime
     });
+    
+    // The memory update can take a model call, so it runs after the reply is
+    // complete (the session is saved when the response ends)
+    await rememberConversationTurn(req, message, response)
+      .catch(error => logger.error({ err: error }, 'Failed to update conversation memory'));
+  } catch (error) {
+    // Headers are already sent, so errors are reported as an event
+    logger.error({ err: error }, 'Error streaming conversation response');
+    sendEvent('error', { error: 'Failed to process message' });
   }
   
-  // Save updated preferences to database asynchronously
-  dbService.saveUserPreferences(
-    req.session.userId,
-    req.sessionID,
-    req.session.userPreferences
-  ).catch(err => logger.error(err, 'Failed to save user preferences'));
-  
-  // Record performance metrics
-  const processingTime = Date.now() - startTime;
-  dbService.recordMetric('conversation_processing', {
-    userId: req.session.userId,
-    processingTime,
-    messageLength: message.length,
-    responseLength: response.message.length,
-    resultsCount: response.results?.length || 0
-  }).catch(err => logger.error(err, 'Failed to record metrics'));
-  
-  res.status(200).json({
-    ...response,
-    processingTime
-  });
+  res.end();
 }));
 
 // Search endpoint - Direct search for videos
@@ -348,9 +549,14 @@ app.get('/api/search', asyncHandler(async (req, res) => {
     maxDuration,
     dateFrom,
     dateTo,
-    channelId
+    channelId,
+    mode = 'auto'
   } = req.query;
   
+  if (!videoSearch.SEARCH_MODES.includes(mode)) {
+    return res.status(400).json({ error: `mode must be one of ${videoSearch.SEARCH_MODES.join(', ')}` });
+  }
+  
   // Parse array parameters
   const parsedBrawlers = brawlers ? (Array.isArray(brawlers) ? brawlers : [brawlers]) : [];
   const parsedGameModes = gameModes ? (Array.isArray(gameModes) ? gameModes : [gameModes]) : [];
@@ -359,8 +565,8 @@ app.get('/api/search', asyncHandler(async (req, res) => {
   // Start timer for performance monitoring
   const startTime = Date.now();
   
-  // Search the database
-  const searchResults = await dbService.searchVideos({
+  // Search the database (the response's `mode` says whether vectors were used)
+  const searchResults = await videoSearch.searchVideos({
     query,
     brawlers: parsedBrawlers,
     gameModes: parsedGameModes,
@@ -374,7 +580,7 @@ app.get('/api/search', asyncHandler(async (req, res) => {
     dateFrom,
     dateTo,
     channelId
-  });
+  }, { mode });
   
   // Save search for analytics
   if (query) {
@@ -404,6 +610,7 @@ app.get('/api/search', asyncHandler(async (req, res) => {
     processingTime,
     resultsCount: searchResults.videos.length,
     totalResults: searchResults.pagination.total,
+    searchMode: searchResults.mode,
     queryParams: {
       query,
       brawlersCount: parsedBrawlers.length,
@@ -418,6 +625,50 @@ app.get('/api/search', asyncHandler(async (req, res) => {
   });
 }));
 
+// Comparison endpoint - Videos for each brawler side by side by game mode,
+// with a summary whose claims cite those videos
+app.get('/api/compare', asyncHandler(async (req, res) => {
+  const { brawlers, gameModes } = req.query;
+  
+  const requestedBrawlers = brawlers ? (Array.isArray(brawlers) ? brawlers : [brawlers]) : [];
+  const requestedGameModes = gameModes ? (Array.isArray(gameModes) ? gameModes : [gameModes]) : [];
+  
+  // Snap names to the catalog ("primo" -> "El Primo")
+  const { params, dropped } = validateSearchParams({
+    query: requestedBrawlers.join(' vs '),
+    brawlers: requestedBrawlers,
+    gameModes: requestedGameModes
+  });
+  
+  if (params.brawlers.length < MIN_COMPARED_BRAWLERS || params.brawlers.length > MAX_COMPARED_BRAWLERS) {
+    return res.status(400).json({
+      error: `Compare ${MIN_COMPARED_BRAWLERS} to ${MAX_COMPARED_BRAWLERS} brawlers`,
+      unknown: dropped
+    });
+  }
+  
+  const startTime = Date.now();
+  const comparison = await conversationService.compareBrawlers({
+    brawlers: params.brawlers,
+    gameModes: params.gameModes || []
+  });
+  
+  const processingTime = Date.now() - startTime;
+  dbService.recordMetric('compare_processing', {
+    userId: req.session.userId,
+    processingTime,
+    brawlers: comparison.brawlers,
+    videoCount: comparison.videoCount,
+    promptVersions: { comparison: comparison.promptVersion }
+  }).catch(err => logger.error(err, 'Failed to record metrics'));
+  
+  res.status(200).json({
+    comparison,
+    unknown: dropped,
+    processingTime
+  });
+}));
+
 // Video details endpoint
 app.get('/api/videos/:youtubeId', asyncHandler(async (req, res) => {
   const { youtubeId } = req.params;
@@ -550,7 +801,7 @@ app.get('/api/stats', asyncHandler(async (req, res) => {
   );
   
   // Get quota status
-  const quotaStatus = youtubeService.getQuotaStatus();
+  const quotaStatus = await youtubeService.getQuotaStatus();
   
   res.status(200).json({
     stats,
@@ -594,10 +845,36 @@ app.put('/api/preferences', asyncHandler(async (req, res) => {
   res.status(200).json(req.session.userPreferences);
 }));
 
+// Conversation memory endpoint - What is remembered about the user: a summary of
+// earlier turns and a profile of facts such as mains, trophies and favorite modes
+app.get('/api/memory', (req, res) => {
+  const memory = req.session.userPreferences.memory || null;
+  
+  res.status(200).json({
+    summary: memory?.summary || '',
+    profile: memory?.profile || null,
+    updatedAt: memory?.updatedAt || null
+  });
+});
+
+// Forget what was remembered (the recent messages stay)
+app.delete('/api/memory', asyncHandler(async (req, res) => {
+  req.session.userPreferences.memory = null;
+  
+  await dbService.saveUserPreferences(
+    req.session.userId,
+    req.sessionID,
+    req.session.userPreferences
+  );
+  
+  res.status(200).json({ message: 'Conversation memory cleared' });
+}));
+
 // Clear conversation history endpoint
 app.delete('/api/conversation/history', (req, res) => {
   // Clear conversation history in session
   req.session.userPreferences.conversationHistory = [];
+  req.session.userPreferences.pendingClarification = null;
   
   res.status(200).json({ message: 'Conversation history cleared' });
 });
@@ -608,8 +885,8 @@ app.delete('/api/conversation/history', (req, res) => {
 // Admin status endpoint
 app.get('/api/admin/status', requireApiKey, asyncHandler(async (req, res) => {
   const dbStats = await dbService.getDatabaseStats();
-  const collectionStatus = contentCollector.getCollectionStatus();
-  const quotaStatus = youtubeService.getQuotaStatus();
+  const collectionStatus = await contentCollector.getCollectionStatus();
+  const quotaStatus = await youtubeService.getQuotaStatus();
   
   res.status(200).json({
     dbStats,
@@ -625,34 +902,247 @@ app.get('/api/admin/status', requireApiKey, asyncHandler(async (req, res) => {
 app.post('/api/admin/collect', requireApiKey, asyncHandler(async (req, res) => {
   const options = req.body || {};
   
-  // Trigger content collection in the background
-  contentCollector.collectBrawlStarsContent(options)
+  // Start content collection in the background (409 if a job is already in progress)
+  const { jobId, completion } = await contentCollector.startCollectionRun(options, { trigger: 'manual' });
+  
+  completion
     .then((result) => {
-      logger.info({ result }, 'Content collection triggered successfully');
-      
-      // Send webhook notification if configured
-      if (ADMIN_WEBHOOK_URL) {
-        fetch(ADMIN_WEBHOOK_URL, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            type: 'collection_complete',
-            data: result,
-            timestamp: new Date().toISOString()
-          })
-        }).catch(err => logger.error(err, 'Failed to send webhook notification'));
-      }
+      logger.info({ jobId, result }, 'Content collection triggered successfully');
+      sendAdminWebhook('collection_complete', { jobId, ...result });
     })
     .catch(error => {
-      logger.error(error, 'Error during content collection');
+      logger.error({ err: error, jobId }, 'Error during content collection');
+      sendAdminWebhook('collection_failed', { jobId, error: error.message });
     });
   
   res.status(202).json({ 
     message: 'Content collection triggered',
+    jobId,
     options
   });
 }));
 
+// Admin endpoint to list collection jobs
+app.get('/api/admin/jobs', requireApiKey, asyncHandler(async (req, res) => {
+  const { status, trigger } = req.query;
+  const { page, limit } = parseListPaging(req.query, 20, 100);
+  
+  const jobs = await dbService.listCollectionRuns({ status, trigger }, limit, page);
+  
+  res.status(200).json(jobs);
+}));
+
+// Admin endpoint to get a single collection job report
+app.get('/api/admin/jobs/:id', requireApiKey, asyncHandler(async (req, res) => {
+  const job = await dbService.getCollectionRun(req.params.id);
+  
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  
+  res.status(200).json(job);
+}));
+
+// Admin endpoint to cancel a running collection job
+app.post('/api/admin/jobs/:id/cancel', requireApiKey, asyncHandler(async (req, res) => {
+  const job = await contentCollector.cancelCollectionJob(req.params.id);
+  
+  if (!job) {
+    const existing = await dbService.getCollectionRun(req.params.id);
+    
+    if (!existing) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    return res.status(409).json({ error: `Job is not running (status: ${existing.status})` });
+  }
+  
+  res.status(202).json({
+    message: 'Cancellation requested',
+    job
+  });
+}));
+
+// Admin endpoint to override a video's skill level
+app.put('/api/admin/videos/:id/skill-level', requireApiKey, asyncHandler(async (req, res) => {
+  const skillLevel = parseSkillLevelOverride(req.body);
+  
+  if (skillLevel === undefined) {
+    return res.status(400).json({ error: `skillLevel must be one of ${SKILL_LEVELS.join(', ')}, or null to clear` });
+  }
+  
+  const video = await dbService.setVideoSkillLevelOverride(req.params.id, skillLevel);
+  
+  if (!video) {
+    return res.status(404).json({ error: 'Video not found' });
+  }
+  
+  res.status(200).json({
+    youtubeId: video.youtubeId,
+    skillLevel: video.skillLevel,
+    skillLevelSource: video.skillLevelSource,
+    skillLevelOverride: video.skillLevelOverride
+  });
+}));
+
+// Admin endpoint to override the skill level of all of a channel's videos
+app.put('/api/admin/channels/:id/skill-level', requireApiKey, asyncHandler(async (req, res) => {
+  const skillLevel = parseSkillLevelOverride(req.body);
+  
+  if (skillLevel === undefined) {
+    return res.status(400).json({ error: `skillLevel must be one of ${SKILL_LEVELS.join(', ')}, or null to clear` });
+  }
+  
+  const result = await dbService.setChannelSkillLevelOverride(req.params.id, skillLevel);
+  
+  if (!result) {
+    return res.status(404).json({ error: 'Channel not found' });
+  }
+  
+  res.status(200).json({
+    channelId: result.channel.channelId,
+    skillLevelOverride: result.channel.skillLevelOverride,
+    videosUpdated: result.videosUpdated
+  });
+}));
+
+// Admin endpoint to start or stop polling a channel's uploads in collection runs
+app.put('/api/admin/channels/:id/tracked', requireApiKey, asyncHandler(async (req, res) => {
+  const { tracked } = req.body || {};
+  
+  if (typeof tracked !== 'boolean') {
+    return res.status(400).json({ error: 'tracked must be true or false' });
+  }
+  
+  const channel = await dbService.setChannelTracked(req.params.id, tracked);
+  
+  if (!channel) {
+    return res.status(404).json({ error: 'Channel not found' });
+  }
+  
+  res.status(200).json({
+    channelId: channel.channelId,
+    tracked: channel.tracked
+  });
+}));
+
+// Admin endpoint to upload a transcript (.vtt or .srt) for a video
+app.put(
+  '/api/admin/videos/:id/transcript',
+  requireApiKey,
+  express.text({ type: ['text/*', 'application/x-subrip'], limit: '5mb' }),
+  asyncHandler(async (req, res) => {
+    if (typeof req.body !== 'string' || req.body.trim() === '') {
+      return res.status(400).json({ error: 'Send the caption file as the request body (text/vtt or application/x-subrip)' });
+    }
+    
+    const result = await contentCollector.applyTranscript(req.params.id, req.body, {
+      language: req.query.language
+    });
+    
+    res.status(200).json(result);
+  })
+);
+
+// Admin endpoint to get the brawler and game mode catalog
+app.get('/api/admin/catalog', requireApiKey, (req, res) => {
+  res.status(200).json({
+    brawlers: catalog.getBrawlers(),
+    gameModes: catalog.getGameModes()
+  });
+});
+
+// Admin endpoint to add or update a brawler
+app.put('/api/admin/catalog/brawlers/:name', requireApiKey, asyncHandler(async (req, res) => {
+  const brawler = await catalog.saveBrawler({ ...req.body, name: req.params.name });
+  
+  res.status(200).json(brawler);
+}));
+
+// Admin endpoint to remove a brawler
+app.delete('/api/admin/catalog/brawlers/:name', requireApiKey, asyncHandler(async (req, res) => {
+  const removed = await catalog.removeBrawler(req.params.name);
+  
+  if (!removed) {
+    return res.status(404).json({ error: 'Brawler not found' });
+  }
+  
+  res.status(204).end();
+}));
+
+// Admin endpoint to add or update a game mode
+app.put('/api/admin/catalog/game-modes/:name', requireApiKey, asyncHandler(async (req, res) => {
+  const gameMode = await catalog.saveGameMode({ ...req.body, name: req.params.name });
+  
+  res.status(200).json(gameMode);
+}));
+
+// Admin endpoint to remove a game mode
+app.delete('/api/admin/catalog/game-modes/:name', requireApiKey, asyncHandler(async (req, res) => {
+  const removed = await catalog.removeGameMode(req.params.name);
+  
+  if (!removed) {
+    return res.status(404).json({ error: 'Game mode not found' });
+  }
+  
+  res.status(204).end();
+}));
+
+// Admin endpoint to re-seed the catalog from the bundled file
+app.post('/api/admin/catalog/seed', requireApiKey, asyncHandler(async (req, res) => {
+  const written = await catalog.seedCatalog(req.body?.overwrite === true);
+  
+  res.status(200).json({
+    message: 'Catalog seeded',
+    written
+  });
+}));
+
+// Admin endpoint to embed stored videos that have no vector yet
+app.post('/api/admin/embeddings/backfill', requireApiKey, asyncHandler(async (req, res) => {
+  const result = await contentCollector.backfillEmbeddings({ limit: req.body?.limit });
+  
+  res.status(200).json({
+    message: `Embedded ${result.embedded} videos`,
+    ...result
+  });
+}));
+
+// Admin endpoint to list the prompt templates and their active versions
+app.get('/api/admin/prompts', requireApiKey, (req, res) => {
+  res.status(200).json({
+    prompts: promptRegistry.listPromptTemplates()
+  });
+});
+
+// Admin endpoint to show the active version of a prompt template, with its text
+app.get('/api/admin/prompts/:name', requireApiKey, (req, res) => {
+  const prompt = promptRegistry.getActivePrompt(req.params.name);
+  
+  res.status(200).json({
+    id: promptRegistry.getPromptId(prompt),
+    ...prompt
+  });
+});
+
+// Admin endpoint to switch the active version of a prompt template
+app.put('/api/admin/prompts/:name/active', requireApiKey, asyncHandler(async (req, res) => {
+  const version = Number(req.body?.version);
+  
+  if (!Number.isInteger(version)) {
+    return res.status(400).json({ error: 'version must be an integer' });
+  }
+  
+  const prompt = await promptRegistry.setActivePromptVersion(req.params.name, version);
+  
+  res.status(200).json({
+    message: `Prompt ${req.params.name} is now at version ${prompt.version}`,
+    id: promptRegistry.getPromptId(prompt),
+    version: prompt.version,
+    settings: prompt.settings
+  });
+}));
+
 // Admin endpoint to schedule content collection
 app.post('/api/admin/schedule', requireApiKey, asyncHandler(async (req, res) => {
   const { intervalHours, options } = req.body;
@@ -661,9 +1151,9 @@ app.post('/api/admin/schedule', requireApiKey, asyncHandler(async (req, res) =>
     return res.status(400).json({ error: 'Valid intervalHours parameter is required' });
   }
   
-  const schedulerInfo = contentCollector.scheduleCollection(
+  const schedulerInfo = await contentCollector.scheduleCollection(
     parseInt(intervalHours),
-    options || {}
+    options
   );
   
   res.status(200).json({
@@ -671,7 +1161,8 @@ app.post('/api/admin/schedule', requireApiKey, asyncHandler(async (req, res) =>
     schedulerInfo: {
       intervalHours: schedulerInfo.intervalHours,
       intervalMs: schedulerInfo.intervalMs,
-      options: schedulerInfo.options
+      options: schedulerInfo.options,
+      nextRun: schedulerInfo.nextRun
     }
   });
 }));
@@ -686,8 +1177,20 @@ app.post('/api/admin/clear-cache', requireApiKey, (req, res) => {
   });
 });
 
-// YouTube API proxy for debugging
-if (NODE_ENV === 'development') {
+// YouTube API proxy for debugging. With fixtures enabled, requests go through
+// the YouTube client instead, so they are recorded or replayed like any other.
+if (NODE_ENV === 'development' && fixtures.getFixtureMode() !== 'off') {
+  app.get('/api/youtube-proxy/:endpoint', requireApiKey, asyncHandler(async (req, res) => {
+    try {
+      const data = await youtubeService.youtubeRequest(req.params.endpoint, req.query, { cache: false });
+      res.status(200).json(data);
+    } catch (error) {
+      // Pass API errors (live or recorded) through as the proxy would
+      if (!error.response) throw error;
+      res.status(error.response.status).json(error.response.data);
+    }
+  }));
+} else if (NODE_ENV === 'development') {
   app.use('/api/youtube-proxy', requireApiKey, createProxyMiddleware({
     target: 'https://www.googleapis.com',
     changeOrigin: true,
@@ -732,13 +1235,23 @@ async function startServer() {
     // Connect to the database
     await dbService.connectToDatabase();
     
+    // Load the brawler and game mode catalog, seeding it on first run
+    await catalog.loadCatalog();
+    
+    // Restore the prompt versions admins switched to, and follow later switches
+    await promptRegistry.loadPromptVersions();
+    promptRegistry.startPromptVersionReload();
+    
     // Start collection scheduling if enabled
     if (process.env.COLLECTION_SCHEDULE_ENABLED === 'true') {
       const intervalHours = parseInt(process.env.COLLECTION_INTERVAL_HOURS || '24');
-      contentCollector.scheduleCollection(intervalHours);
+      await contentCollector.scheduleCollection(intervalHours);
       logger.info(`Scheduled content collection every ${intervalHours} hours`);
     }
     
+    // Pick up schedules stored by earlier runs or other instances
+    contentCollector.startScheduler();
+    
     // Start listening
     app.listen(PORT, () => {
       logger.info(`Server running on port ${PORT} in ${NODE_ENV} mode`);
@@ -752,6 +1265,8 @@ async function startServer() {
 // Handle graceful shutdown
 function handleShutdown() {
   logger.info('Shutting down gracefully...');
+  contentCollector.stopScheduler();
+  promptRegistry.stopPromptVersionReload();
   dbService.closeDatabaseConnection()
     .then(() => {
       logger.info('Closed database connection');
@@ -0,0 +1,180 @@
+// express-api-improved.test.js
+// Route tests for the admin API, with the database and collector mocked
+
+const request = require('supertest');
+
+jest.mock('connect-mongo', () => ({
+  create: () => new (require('express-session').MemoryStore)()
+}));
+
+jest.mock('./database-service-improved', () => ({
+  listCollectionRuns: jest.fn(),
+  getCollectionRun: jest.fn(),
+  getActivePromptVersions: jest.fn().mockResolvedValue({}),
+  saveActivePromptVersion: jest.fn(),
+  setChannelTracked: jest.fn()
+}));
+
+jest.mock('./data-collector-improved', () => ({
+  startCollectionRun: jest.fn(),
+  cancelCollectionJob: jest.fn(),
+  scheduleCollection: jest.fn()
+}));
+
+process.env.ADMIN_API_KEY = 'test-admin-key';
+
+const dbService = require('./database-service-improved');
+const contentCollector = require('./data-collector-improved');
+const app = require('./express-api-improved');
+
+const JOB = { id: 'job-1', status: 'running', trigger: 'manual' };
+
+/**
+ * Send an admin request with the API key
+ * @param {string} method HTTP method
+ * @param {string} path Request path
+ * @returns {Object} Supertest request
+ */
+function admin(method, path) {
+  return request(app)[method](path).set('X-API-Key', 'test-admin-key');
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('collection job endpoints', () => {
+  test('reject requests without the admin API key', async () => {
+    const response = await request(app).post('/api/admin/collect').send({});
+    
+    expect(response.status).toBe(401);
+    expect(contentCollector.startCollectionRun).not.toHaveBeenCalled();
+  });
+  
+  test('start a manual job and return its ID', async () => {
+    contentCollector.startCollectionRun.mockResolvedValue({ jobId: 'job-1', completion: new Promise(() => {}) });
+    
+    const response = await admin('post', '/api/admin/collect').send({ mode: 'full' });
+    
+    expect(response.status).toBe(202);
+    expect(response.body).toMatchObject({ jobId: 'job-1', options: { mode: 'full' } });
+    expect(contentCollector.startCollectionRun).toHaveBeenCalledWith({ mode: 'full' }, { trigger: 'manual' });
+  });
+  
+  test('answer 409 while another job holds the lock', async () => {
+    contentCollector.startCollectionRun.mockRejectedValue(Object.assign(new Error('A collection run is already in progress'), { statusCode: 409 }));
+    
+    const response = await admin('post', '/api/admin/collect').send({});
+    
+    expect(response.status).toBe(409);
+    expect(response.body.error).toBe('A collection run is already in progress');
+  });
+  
+  test('list jobs with filters and default paging', async () => {
+    dbService.listCollectionRuns.mockResolvedValue({ runs: [JOB], pagination: { total: 1, page: 1, limit: 20, pages: 1 } });
+    
+    const response = await admin('get', '/api/admin/jobs?status=running');
+    
+    expect(response.status).toBe(200);
+    expect(response.body.runs).toEqual([JOB]);
+    expect(dbService.listCollectionRuns).toHaveBeenCalledWith({ status: 'running', trigger: undefined }, 20, 1);
+  });
+  
+  test('fall back to the default paging for invalid values and cap the page size', async () => {
+    dbService.listCollectionRuns.mockResolvedValue({ runs: [], pagination: { total: 0, page: 1, limit: 20, pages: 0 } });
+    
+    await admin('get', '/api/admin/jobs?limit=abc&page=-2');
+    await admin('get', '/api/admin/jobs?limit=0&page=0');
+    await admin('get', '/api/admin/jobs?limit=5000&page=3');
+    
+    expect(dbService.listCollectionRuns.mock.calls).toEqual([
+      [{ status: undefined, trigger: undefined }, 20, 1],
+      [{ status: undefined, trigger: undefined }, 20, 1],
+      [{ status: undefined, trigger: undefined }, 100, 3]
+    ]);
+  });
+  
+  test('return a job report, or 404 for unknown jobs', async () => {
+    dbService.getCollectionRun.mockImplementation(async id => (id === 'job-1' ? JOB : null));
+    
+    const found = await admin('get', '/api/admin/jobs/job-1');
+    const missing = await admin('get', '/api/admin/jobs/job-2');
+    
+    expect(found.body).toEqual(JOB);
+    expect(missing.status).toBe(404);
+  });
+  
+  test('cancel running jobs and answer 409 for finished ones', async () => {
+    contentCollector.cancelCollectionJob.mockImplementation(async id => (id === 'job-1' ? { ...JOB, cancelRequested: true } : null));
+    dbService.getCollectionRun.mockResolvedValue({ id: 'job-2', status: 'success' });
+    
+    const running = await admin('post', '/api/admin/jobs/job-1/cancel');
+    const finished = await admin('post', '/api/admin/jobs/job-2/cancel');
+    
+    expect(running.status).toBe(202);
+    expect(running.body.job.cancelRequested).toBe(true);
+    expect(finished.status).toBe(409);
+    expect(finished.body.error).toBe('Job is not running (status: success)');
+  });
+});
+
+describe('schedule endpoint', () => {
+  test('leaves the options out when only the interval is given, so the stored ones are kept', async () => {
+    contentCollector.scheduleCollection.mockResolvedValue({ intervalHours: 12, intervalMs: 43200000, options: { mode: 'full' }, nextRun: null });
+    
+    const response = await admin('post', '/api/admin/schedule').send({ intervalHours: 12 });
+    
+    expect(response.status).toBe(200);
+    expect(response.body.schedulerInfo.options).toEqual({ mode: 'full' });
+    expect(contentCollector.scheduleCollection).toHaveBeenCalledWith(12, undefined);
+  });
+});
+
+describe('prompt version endpoint', () => {
+  afterEach(async () => {
+    await admin('put', '/api/admin/prompts/response/active').send({ version: 1 });
+  });
+  
+  test('switches and stores the active version', async () => {
+    const response = await admin('put', '/api/admin/prompts/response/active').send({ version: 2 });
+    
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ id: 'response@v2', version: 2 });
+    expect(dbService.saveActivePromptVersion).toHaveBeenCalledWith('response', 2);
+  });
+  
+  test('answers 400 for versions that aren\'t integers and 404 for unknown ones', async () => {
+    const invalid = await admin('put', '/api/admin/prompts/response/active').send({ version: 'latest' });
+    const unknownVersion = await admin('put', '/api/admin/prompts/response/active').send({ version: 99 });
+    const unknownPrompt = await admin('put', '/api/admin/prompts/nothing/active').send({ version: 1 });
+    
+    expect(invalid.status).toBe(400);
+    expect(unknownVersion.status).toBe(404);
+    expect(unknownPrompt.status).toBe(404);
+    expect(dbService.saveActivePromptVersion).not.toHaveBeenCalled();
+  });
+});
+
+describe('channel tracking endpoint', () => {
+  test('starts and stops polling a channel', async () => {
+    dbService.setChannelTracked.mockImplementation(async (channelId, tracked) => ({ channelId, name: 'Coach', tracked }));
+    
+    const tracked = await admin('put', '/api/admin/channels/UC1/tracked').send({ tracked: true });
+    const untracked = await admin('put', '/api/admin/channels/UC1/tracked').send({ tracked: false });
+    
+    expect(tracked.body).toEqual({ channelId: 'UC1', tracked: true });
+    expect(untracked.body).toEqual({ channelId: 'UC1', tracked: false });
+    expect(dbService.setChannelTracked.mock.calls).toEqual([['UC1', true], ['UC1', false]]);
+  });
+  
+  test('answers 400 for values that aren\'t booleans and 404 for unknown channels', async () => {
+    dbService.setChannelTracked.mockResolvedValue(null);
+    
+    const invalid = await admin('put', '/api/admin/channels/UC1/tracked').send({ tracked: 'yes' });
+    const unknown = await admin('put', '/api/admin/channels/UC2/tracked').send({ tracked: true });
+    
+    expect(invalid.status).toBe(400);
+    expect(unknown.status).toBe(404);
+    expect(dbService.setChannelTracked).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,154 @@
+// feed-service.js
+// Polls channels' public uploads feeds (Atom), which list the latest uploads
+// without spending YouTube Data API quota
+
+const axios = require('axios');
+const pino = require('pino');
+require('dotenv').config();
+
+// Feed configuration (the URL can be overridden per fetch)
+const YOUTUBE_FEED_URL = process.env.YOUTUBE_FEED_URL || 'https://www.youtube.com/feeds/videos.xml';
+const FEED_REQUEST_TIMEOUT_MS = parseInt(process.env.FEED_REQUEST_TIMEOUT_MS || '10000');
+
+// Uploads feeds list a channel's most recent uploads only
+const FEED_ENTRY_LIMIT = 15;
+
+// Entities that may appear in feed text, besides numeric references
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+// Setup logger
+const logger = pino({
+  level: process.env.LOG_LEVEL || 'info',
+  transport: process.env.NODE_ENV === 'development' ? {
+    target: 'pino-pretty',
+    options: {
+      colorize: true
+    }
+  } : undefined
+});
+
+/**
+ * Decode the text content of an XML element (entities and CDATA sections)
+ * @param {string} text Raw element content
+ * @returns {string} Decoded text
+ */
+function decodeXmlText(text) {
+  return text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>|&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, cdata, entity) => {
+      if (cdata !== undefined) return cdata;
+      if (entity[0] !== '#') return XML_ENTITIES[entity] ?? match;
+      
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1));
+      return String.fromCodePoint(code);
+    })
+    .trim();
+}
+
+/**
+ * Read the text of the first element with a tag name
+ * @param {string} xml XML to search
+ * @param {string} tag Tag name, with its namespace prefix (e.g. 'yt:videoId')
+ * @returns {string|null} Decoded text, or null if there is no such element
+ */
+function readElement(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`));
+  return match ? decodeXmlText(match[1]) : null;
+}
+
+/**
+ * Convert a feed timestamp ("2024-05-01T17:00:07+00:00") to the format the
+ * Data API uses ("2024-05-01T17:00:07Z"), so the two compare as strings
+ * @param {string|null} timestamp Feed timestamp
+ * @returns {string|null} ISO timestamp in UTC, or null if it can't be parsed
+ */
+function normalizeTimestamp(timestamp) {
+  const date = new Date(timestamp || '');
+  return isNaN(date.getTime()) ? null : date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+/**
+ * Parse a channel's uploads feed
+ * @param {string} xml Atom feed
+ * @returns {Object} Feed as { channelId, title, entries: [{ videoId, title, publishedAt, updatedAt }] },
+ * newest first
+ */
+function parseUploadsFeed(xml) {
+  if (typeof xml !== 'string' || !/<feed[\s>]/.test(xml)) {
+    const error = new Error('Uploads feed is not an Atom feed');
+    error.statusCode = 502;
+    throw error;
+  }
+  
+  const entryBlocks = xml.match(/<entry[\s>][\s\S]*?<\/entry>/g) || [];
+  const header = xml.split(/<entry[\s>]/)[0];
+  
+  const entries = entryBlocks
+    .map(entry => ({
+      videoId: readElement(entry, 'yt:videoId'),
+      title: readElement(entry, 'title') || '',
+      publishedAt: normalizeTimestamp(readElement(entry, 'published')),
+      updatedAt: normalizeTimestamp(readElement(entry, 'updated'))
+    }))
+    .filter(entry => entry.videoId && entry.publishedAt)
+    .sort((a, b) => b.publishedAt.localeCompare(a.publishedAt));
+  
+  return {
+    channelId: readElement(header, 'yt:channelId'),
+    title: readElement(header, 'title') || '',
+    entries
+  };
+}
+
+/**
+ * Fetch a channel's uploads feed. Validators from the previous fetch make it a
+ * conditional GET, answered with 304 when the feed hasn't changed.
+ * @param {string} channelId YouTube channel ID
+ * @param {Object} validators Validators of the previous fetch
+ * @param {string} validators.etag ETag header, sent as If-None-Match
+ * @param {string} validators.lastModified Last-Modified header, sent as If-Modified-Since
+ * @param {Object} options Fetch options
+ * @param {string} options.feedUrl Feed endpoint (defaults to YOUTUBE_FEED_URL)
+ * @returns {Promise<Object>} { modified, feed, etag, lastModified } where feed is
+ * null when the feed is unchanged
+ */
+async function fetchUploadsFeed(channelId, validators = {}, options = {}) {
+  const { feedUrl = YOUTUBE_FEED_URL } = options;
+  
+  const headers = {};
+  if (validators.etag) headers['If-None-Match'] = validators.etag;
+  if (validators.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+  
+  const response = await axios.get(feedUrl, {
+    params: { channel_id: channelId },
+    headers,
+    timeout: FEED_REQUEST_TIMEOUT_MS,
+    responseType: 'text',
+    validateStatus: status => (status >= 200 && status < 300) || status === 304
+  });
+  
+  if (response.status === 304) {
+    logger.debug({ channelId }, 'Uploads feed unchanged');
+    return {
+      modified: false,
+      feed: null,
+      etag: validators.etag || null,
+      lastModified: validators.lastModified || null
+    };
+  }
+  
+  const feed = parseUploadsFeed(response.data);
+  logger.debug({ channelId, entryCount: feed.entries.length }, 'Fetched uploads feed');
+  
+  return {
+    modified: true,
+    feed,
+    etag: response.headers.etag || null,
+    lastModified: response.headers['last-modified'] || null
+  };
+}
+
+module.exports = {
+  FEED_ENTRY_LIMIT,
+  parseUploadsFeed,
+  fetchUploadsFeed
+};
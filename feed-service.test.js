@@ -0,0 +1,110 @@
+// feed-service.test.js
+// Tests for uploads feed parsing and conditional fetching, against a local feed server
+
+const feedService = require('./feed-service');
+const { startFeedServer } = require('./local-feed-server');
+
+const CHANNEL_ID = 'UCfeedtest00000000000000';
+
+let server;
+
+/**
+ * Fetch an uploads feed from the local feed server
+ * @param {string} channelId YouTube channel ID
+ * @param {Object} validators Validators of the previous fetch
+ * @returns {Promise<Object>} Fetch result
+ */
+function fetchFeed(channelId, validators) {
+  return feedService.fetchUploadsFeed(channelId, validators, { feedUrl: server.feedUrl });
+}
+
+beforeAll(async () => {
+  server = await startFeedServer();
+});
+
+afterAll(async () => {
+  await server.close();
+});
+
+beforeEach(() => {
+  server.requests.length = 0;
+});
+
+describe('parseUploadsFeed', () => {
+  test('reads the channel and its uploads, newest first, with API-style timestamps', () => {
+    const feed = feedService.parseUploadsFeed(`<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns:yt="http://www.youtube.com/xml/schemas/2015" xmlns="http://www.w3.org/2005/Atom">
+ <yt:channelId>${CHANNEL_ID}</yt:channelId>
+ <title>Tips &amp; Tricks</title>
+ <entry>
+  <yt:videoId>older</yt:videoId>
+  <title><![CDATA[Colt <3 guide]]></title>
+  <published>2024-05-01T09:00:00+02:00</published>
+  <updated>2024-05-02T00:00:00+00:00</updated>
+ </entry>
+ <entry>
+  <yt:videoId>newer</yt:videoId>
+  <title>Mortis &#8220;dash&#8221; tricks &#x1F525;</title>
+  <published>2024-05-03T17:00:07+00:00</published>
+  <updated>2024-05-03T18:00:00+00:00</updated>
+ </entry>
+ <entry>
+  <title>Entry without a video</title>
+  <published>2024-05-04T00:00:00+00:00</published>
+ </entry>
+</feed>`);
+
+    expect(feed.channelId).toBe(CHANNEL_ID);
+    expect(feed.title).toBe('Tips & Tricks');
+    expect(feed.entries).toEqual([
+      { videoId: 'newer', title: 'Mortis “dash” tricks \u{1F525}', publishedAt: '2024-05-03T17:00:07Z', updatedAt: '2024-05-03T18:00:00Z' },
+      { videoId: 'older', title: 'Colt <3 guide', publishedAt: '2024-05-01T07:00:00Z', updatedAt: '2024-05-02T00:00:00Z' }
+    ]);
+  });
+  
+  test('rejects documents that are not feeds', () => {
+    expect(() => feedService.parseUploadsFeed('<html><body>Not Found</body></html>')).toThrow('not an Atom feed');
+  });
+});
+
+describe('fetchUploadsFeed', () => {
+  test('fetches the feed, then gets a 304 while it is unchanged', async () => {
+    server.setFeed(CHANNEL_ID, [{ videoId: 'abc', title: 'Shelly tips', publishedAt: '2024-05-01T10:00:00Z' }]);
+    
+    const first = await fetchFeed(CHANNEL_ID);
+    expect(first.modified).toBe(true);
+    expect(first.feed.entries.map(entry => entry.videoId)).toEqual(['abc']);
+    expect(first.etag).toBeTruthy();
+    
+    const second = await fetchFeed(CHANNEL_ID, { etag: first.etag, lastModified: first.lastModified });
+    expect(second).toEqual({ modified: false, feed: null, etag: first.etag, lastModified: first.lastModified });
+    expect(server.requests.map(request => request.status)).toEqual([200, 304]);
+  });
+  
+  test('falls back to If-Modified-Since without an ETag', async () => {
+    server.setFeed(CHANNEL_ID, [{ videoId: 'abc', publishedAt: '2024-05-01T10:00:00Z' }]);
+    const first = await fetchFeed(CHANNEL_ID);
+    
+    const second = await fetchFeed(CHANNEL_ID, { lastModified: first.lastModified });
+    expect(second.modified).toBe(false);
+  });
+  
+  test('returns the new feed once it changes', async () => {
+    server.setFeed(CHANNEL_ID, [{ videoId: 'abc', publishedAt: '2024-05-01T10:00:00Z' }]);
+    const first = await fetchFeed(CHANNEL_ID);
+    
+    server.setFeed(CHANNEL_ID, [
+      { videoId: 'def', publishedAt: '2024-05-02T10:00:00Z' },
+      { videoId: 'abc', publishedAt: '2024-05-01T10:00:00Z' }
+    ]);
+    const second = await fetchFeed(CHANNEL_ID, { etag: first.etag });
+    
+    expect(second.modified).toBe(true);
+    expect(second.etag).not.toBe(first.etag);
+    expect(second.feed.entries.map(entry => entry.videoId)).toEqual(['def', 'abc']);
+  });
+  
+  test('throws for channels without a feed', async () => {
+    await expect(fetchFeed('UCmissing')).rejects.toMatchObject({ response: { status: 404 } });
+  });
+});
@@ -0,0 +1,61 @@
+// hybrid-ranker.js
+// Blends text score, vector similarity, popularity and recency into one ranking
+
+require('dotenv').config();
+
+// Weight of each signal in the blended score
+const DEFAULT_WEIGHTS = {
+  text: parseFloat(process.env.SEARCH_WEIGHT_TEXT || '0.45'),
+  vector: parseFloat(process.env.SEARCH_WEIGHT_VECTOR || '0.35'),
+  popularity: parseFloat(process.env.SEARCH_WEIGHT_POPULARITY || '0.12'),
+  recency: parseFloat(process.env.SEARCH_WEIGHT_RECENCY || '0.08')
+};
+
+/**
+ * Rank candidates from the text index and the vector search together. Text
+ * scores are unbounded, so they are divided by the best one; similarities
+ * below zero count as zero. Popularity and recency are already 0-1.
+ * @param {Object[]} textHits Text matches as { youtubeId, score, popularity, recency }
+ * @param {Object[]} vectorHits Vector matches as { youtubeId, similarity, popularity, recency }
+ * @param {Object} weights Signal weights (defaults to DEFAULT_WEIGHTS)
+ * @returns {Object[]} Candidates, best first, as { youtubeId, score, signals }
+ */
+function rankHybrid(textHits, vectorHits, weights = DEFAULT_WEIGHTS) {
+  const maxTextScore = Math.max(0, ...textHits.map(hit => hit.score || 0));
+  const candidates = new Map();
+  
+  const candidate = hit => {
+    if (!candidates.has(hit.youtubeId)) {
+      candidates.set(hit.youtubeId, {
+        youtubeId: hit.youtubeId,
+        signals: {
+          text: 0,
+          vector: 0,
+          popularity: hit.popularity || 0,
+          recency: hit.recency || 0
+        }
+      });
+    }
+    return candidates.get(hit.youtubeId);
+  };
+  
+  for (const hit of textHits) {
+    candidate(hit).signals.text = maxTextScore > 0 ? (hit.score || 0) / maxTextScore : 0;
+  }
+  for (const hit of vectorHits) {
+    candidate(hit).signals.vector = Math.max(0, hit.similarity || 0);
+  }
+  
+  return [...candidates.values()]
+    .map(({ youtubeId, signals }) => ({
+      youtubeId,
+      score: Object.entries(weights).reduce((sum, [signal, weight]) => sum + weight * (signals[signal] || 0), 0),
+      signals
+    }))
+    .sort((a, b) => b.score - a.score || a.youtubeId.localeCompare(b.youtubeId));
+}
+
+module.exports = {
+  DEFAULT_WEIGHTS,
+  rankHybrid
+};
@@ -0,0 +1,40 @@
+// hybrid-ranker.test.js
+// Tests for blending text and vector matches into one ranking
+
+const { rankHybrid } = require('./hybrid-ranker');
+
+const weights = { text: 0.5, vector: 0.5, popularity: 0, recency: 0 };
+
+describe('rankHybrid', () => {
+  test('normalizes text scores and merges videos found both ways', () => {
+    const ranked = rankHybrid(
+      [{ youtubeId: 'a', score: 4 }, { youtubeId: 'b', score: 2 }],
+      [{ youtubeId: 'b', similarity: 0.9 }, { youtubeId: 'c', similarity: 0.6 }],
+      weights
+    );
+    
+    expect(ranked.map(hit => hit.youtubeId)).toEqual(['b', 'a', 'c']);
+    expect(ranked[0].signals).toMatchObject({ text: 0.5, vector: 0.9 });
+    expect(ranked[0].score).toBeCloseTo(0.7);
+  });
+  
+  test('uses popularity and recency to order otherwise equal matches', () => {
+    const ranked = rankHybrid(
+      [],
+      [
+        { youtubeId: 'old', similarity: 0.5, popularity: 0.2, recency: 0.1 },
+        { youtubeId: 'new', similarity: 0.5, popularity: 0.2, recency: 0.9 }
+      ],
+      { text: 0, vector: 1, popularity: 0.1, recency: 0.1 }
+    );
+    
+    expect(ranked.map(hit => hit.youtubeId)).toEqual(['new', 'old']);
+  });
+  
+  test('treats negative similarity as no match', () => {
+    const [hit] = rankHybrid([], [{ youtubeId: 'a', similarity: -0.4 }], weights);
+    
+    expect(hit.signals.vector).toBe(0);
+    expect(hit.score).toBe(0);
+  });
+});
@@ -1,10 +1,11 @@
 // llm-conversation-service.js
 // Enhanced LLM-based conversation service for Brawl Stars content search
 
-const { Configuration, OpenAIApi } = require('openai');
+const llmProviders = require('./llm-providers');
 const dbService = require('./database-service-improved');
+const passageRetriever = require('./passage-retriever');
+const videoSearch = require('./video-search');
 const pino = require('pino');
-const { v4: uuidv4 } = require('uuid');
 const NodeCache = require('node-cache');
 require('dotenv').config();
 
@@ -19,23 +20,30 @@ const logger = pino({
   } : undefined
 });
 
-// OpenAI Configuration
-const configuration = new Configuration({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-const openai = new OpenAIApi(configuration);
-
-// LLM model selection
-const LLM_MODEL = process.env.OPENAI_MODEL || 'gpt-3.5-turbo';
+// LLM model selection (the provider is chosen with LLM_PROVIDER, see llm-providers.js)
+const LLM_MODEL = process.env.LLM_MODEL || process.env.OPENAI_MODEL || 'gpt-3.5-turbo';
 
-// Brawl Stars game information
-const BRAWLERS = require('./youtube-service-improved').BRAWLERS;
-const GAME_MODES = require('./youtube-service-improved').GAME_MODES;
+// Brawl Stars game information (read at call time, as admins can edit the catalog)
+const catalog = require('./brawl-stars-catalog');
+const {
+  parseModelOutput,
+  validateSearchParams,
+  mergeSearchParams,
+  describeErrors,
+  buildFallbackParams
+} = require('./search-params-schema');
+const promptRegistry = require('./prompt-registry');
+require('./prompt-templates');
+const clarifier = require('./clarifier');
+const brawlerComparison = require('./brawler-comparison');
+const conversationMemory = require('./conversation-memory');
 
 // Constants for the conversation
 const CONVERSATION_CONTEXT_LENGTH = 12; // Increased from 10 to provide more context
 const DEFAULT_SEARCH_LIMIT = 12; // Increased from 10 to show more results
 const CACHE_TTL = 3600; // Cache TTL in seconds (1 hour)
+const ACTIONS_MARKER = 'SUGGESTED_ACTIONS:'; // Starts the suggested actions block in responses
+const CLARIFICATION_OPTION_COUNT = 4; // Quick replies offered when asking for a brawler or game mode
 
 // Setup cache
 const promptCache = new NodeCache({
@@ -44,27 +52,35 @@ const promptCache = new NodeCache({
 });
 
 /**
- * Generate search parameters from a natural language query with caching
+ * Generate search parameters from a natural language query with caching. The
+ * model's output is validated against the search parameter schema; if it is
+ * invalid the model is asked once to repair it, and fields that are still
+ * invalid come from keyword matching. `fieldSources` records where each field
+ * came from ('model', 'repair' or 'fallback').
  * @param {string} query User's natural language query
  * @param {Object} conversationHistory Previous messages in the conversation
  * @param {Object} userPreferences User preferences and context
  * @returns {Promise<Object>} Structured search parameters
  */
 async function generateSearchParams(query, conversationHistory = [], userPreferences = {}) {
+  logger.debug({ query }, 'Generating search parameters');
+  
+  // Create a cache key based on the query, recent conversation context and what is remembered
+  const recentHistory = conversationHistory.slice(-3).map(m => m.content).join('');
+  const remembered = conversationMemory.formatMemory(userPreferences.memory);
+  const promptId = promptRegistry.getPromptId(promptRegistry.getActivePrompt('searchParams'));
+  const cacheKey = `search_params_${promptId}_${Buffer.from(query + recentHistory + remembered).toString('base64')}`;
+  
+  // Check cache first
+  const cachedParams = promptCache.get(cacheKey);
+  if (cachedParams) {
+    logger.debug({ query, cacheKey }, 'Using cached search parameters');
+    return cachedParams;
+  }
+  
+  const attempts = [];
+  
   try {
-    logger.debug({ query }, 'Generating search parameters');
-    
-    // Create a cache key based on the query and recent conversation context
-    const recentHistory = conversationHistory.slice(-3).map(m => m.content).join('');
-    const cacheKey = `search_params_${Buffer.from(query + recentHistory).toString('base64')}`;
-    
-    // Check cache first
-    const cachedParams = promptCache.get(cacheKey);
-    if (cachedParams) {
-      logger.debug({ query, cacheKey }, 'Using cached search parameters');
-      return cachedParams;
-    }
-    
     // Format conversation history for the prompt
     const formattedHistory = conversationHistory
       .slice(-CONVERSATION_CONTEXT_LENGTH)
@@ -72,133 +88,65 @@ async function generateSearchParams(query, conversationHistory = [], userPrefere
       .join('\n');
     
     // Build the prompt for the LLM
-    const prompt = buildSearchParamsPrompt(query, formattedHistory, userPreferences);
+    const prompt = buildSearchParamsPrompt(formattedHistory, userPreferences);
+    const messages = [
+      {
+        role: 'system',
+        content: prompt.text
+      },
+      {
+        role: 'user',
+        content: query
+      }
+    ];
     
     // Attempt to call the LLM with retries
-    const response = await callLLMWithRetry(async () => {
-      return await openai.createChatCompletion({
-        model: LLM_MODEL,
-        messages: [
-          {
-            role: 'system',
-            content: prompt
-          },
-          {
-            role: 'user',
-            content: query
-          }
-        ],
-        temperature: 0.1, // Low temperature for more consistent outputs
-        max_tokens: 1000
-      });
+    const responseText = await completeChat({
+      messages,
+      ...prompt.settings,
+      task: 'searchParams',
+      context: { query }
     }, 3);
     
-    // Extract and parse the JSON response
-    const responseText = response.data.choices[0].message.content;
-    const jsonMatch = responseText.match(/```json\n([\s\S]*?)\n```/);
-    
-    if (jsonMatch && jsonMatch[1]) {
-      try {
-        // Parse the JSON
-        const searchParams = JSON.parse(jsonMatch[1]);
-        logger.debug({ query, searchParams }, 'Generated search parameters');
-        
-        // Cache the result
-        promptCache.set(cacheKey, searchParams);
-        
-        return searchParams;
-      } catch (error) {
-        logger.error({ error, responseText }, 'Failed to parse JSON from LLM response');
-      }
-    } else {
-      logger.error({ responseText }, 'Failed to extract JSON from LLM response');
-    }
-    
-    // Fallback to a simple search
-    const fallbackParams = {
-      query: query,
-      brawlers: [],
-      gameModes: [],
-      contentType: [],
-      skillLevel: '',
-      sortBy: 'relevance',
-      intent: 'general',
-      rephrased: query
-    };
-    
-    // Attempt basic entity extraction for the fallback
-    extractBasicEntities(query, fallbackParams);
+    const result = validateSearchParams(parseModelOutput(responseText));
+    attempts.push({ source: 'model', result });
     
-    return fallbackParams;
+    // One repair round-trip for invalid output
+    if (Object.keys(result.errors).length > 0) {
+      logger.warn({ query, errors: result.errors, responseText }, 'Invalid search parameters from LLM, asking for a repair');
+      
+      const repairPrompt = promptRegistry.renderPrompt('repair', { errors: describeErrors(result.errors) });
+      const repairText = await completeChat({
+        messages: [
+          ...messages,
+          { role: 'assistant', content: responseText },
+          { role: 'user', content: repairPrompt.text }
+        ],
+        ...repairPrompt.settings,
+        task: 'repair',
+        context: { query }
+      }, 1);
+      
+      attempts.push({ source: 'repair', result: validateSearchParams(parseModelOutput(repairText)) });
+    }
   } catch (error) {
     logger.error({ error, query }, 'Error generating search parameters');
-    // Fallback to a simple search
-    return {
-      query: query,
-      brawlers: [],
-      gameModes: [],
-      contentType: [],
-      skillLevel: '',
-      sortBy: 'relevance'
-    };
   }
-}
-
-/**
- * Extract basic entities from a query for fallback search parameters
- * @param {string} query User's query
- * @param {Object} params Search parameters object to modify
- */
-function extractBasicEntities(query, params) {
-  const lowerQuery = query.toLowerCase();
   
-  // Extract brawlers
-  BRAWLERS.forEach(brawler => {
-    if (lowerQuery.includes(brawler.toLowerCase())) {
-      params.brawlers.push(brawler);
-    }
-  });
-  
-  // Extract game modes
-  GAME_MODES.forEach(mode => {
-    if (lowerQuery.includes(mode.toLowerCase())) {
-      params.gameModes.push(mode);
-    }
-  });
-  
-  // Extract content types
-  const contentTypeKeywords = {
-    tutorial: ['tutorial', 'how to', 'guide', 'learn'],
-    tips: ['tips', 'tricks', 'advice'],
-    gameplay: ['gameplay', 'playing', 'matches'],
-    pro: ['pro', 'professional', 'competitive'],
-    entertainment: ['funny', 'fun', 'entertaining', 'entertainment'],
-    highlights: ['highlights', 'moments', 'best']
-  };
-  
-  Object.entries(contentTypeKeywords).forEach(([type, keywords]) => {
-    if (keywords.some(keyword => lowerQuery.includes(keyword))) {
-      params.contentType.push(type);
-    }
-  });
+  const searchParams = { ...mergeSearchParams(attempts, buildFallbackParams(query)), promptVersion: promptId };
+  const dropped = Object.assign({}, ...attempts.map(({ result }) => result.dropped));
   
-  // Extract skill level
-  if (lowerQuery.includes('beginner') || lowerQuery.includes('new') || lowerQuery.includes('start')) {
-    params.skillLevel = 'beginner';
-  } else if (lowerQuery.includes('advanced') || lowerQuery.includes('pro') || lowerQuery.includes('expert')) {
-    params.skillLevel = 'advanced';
-  } else if (lowerQuery.includes('intermediate')) {
-    params.skillLevel = 'intermediate';
+  if (Object.keys(dropped).length > 0) {
+    logger.info({ query, dropped }, 'Dropped unknown values from search parameters');
   }
+  logger.debug({ query, searchParams }, 'Generated search parameters');
   
-  // Determine intent
-  if (params.contentType.includes('tutorial') || params.contentType.includes('tips')) {
-    params.intent = 'educational';
-  } else if (params.contentType.includes('entertainment') || params.contentType.includes('highlights')) {
-    params.intent = 'entertainment';
-  } else if (params.brawlers.length > 0 || params.gameModes.length > 0) {
-    params.intent = 'specific';
+  // Cache the result unless nothing came from the model
+  if (Object.values(searchParams.fieldSources).some(source => source !== 'fallback')) {
+    promptCache.set(cacheKey, searchParams);
   }
+  
+  return searchParams;
 }
 
 /**
@@ -218,6 +166,10 @@ async function callLLMWithRetry(apiCall, maxRetries = 3) {
       lastError = error;
       retries++;
       
+      if (error.retryable === false) {
+        break;
+      }
+      
       logger.warn({ error, retries, maxRetries }, 'LLM API call failed, retrying');
       
       if (retries <= maxRetries) {
@@ -232,53 +184,98 @@ async function callLLMWithRetry(apiCall, maxRetries = 3) {
 }
 
 /**
- * Build the prompt for generating search parameters
- * @param {string} query User's query
- * @param {string} conversationHistory Formatted conversation history
- * @param {Object} userPreferences User preferences
- * @returns {string} Prompt for the LLM
+ * Send a chat to the configured LLM provider, with retries
+ * @param {Object} request Chat request (messages, temperature, maxTokens, task, context, onToken)
+ * @param {number} maxRetries Maximum number of retry attempts
+ * @returns {Promise<string>} Reply text
  */
-function buildSearchParamsPrompt(query, conversationHistory, userPreferences) {
-  return `You are an AI assistant that helps users find Brawl Stars gaming content. 
-Your task is to convert natural language queries into structured search parameters.
-
-BRAWL STARS INFORMATION:
-- Brawlers: ${BRAWLERS.join(', ')}
-- Game Modes: ${GAME_MODES.join(', ')}
-- Content Types: gameplay, tutorial, entertainment, pro, esports, funny, highlights, tips, strategy
-- Skill Levels: beginner, intermediate, advanced
-
-USER PREFERENCES:
-${JSON.stringify(userPreferences, null, 2)}
-
-PREVIOUS CONVERSATION:
-${conversationHistory}
-
-INSTRUCTIONS:
-1. Convert the user's query into search parameters for finding Brawl Stars videos.
-2. Extract mentions of specific brawlers, game modes, content types, and skill levels.
-3. Determine if the user is looking for educational content (tutorials, tips) or entertainment (funny moments, highlights).
-4. Take into account the conversation history to maintain context.
-5. Consider the user's preferences to personalize the search parameters.
-6. Respond with a JSON object containing the extracted parameters.
+async function completeChat(request, maxRetries = 3) {
+  const provider = llmProviders.getLLMProvider();
+  let streamed = false;
+  const onToken = request.onToken && (token => {
+    streamed = true;
+    request.onToken(token);
+  });
+  
+  return await callLLMWithRetry(async () => {
+    try {
+      const text = await provider({ model: LLM_MODEL, ...request, onToken });
+      
+      // Providers that can't stream send the whole reply at once
+      if (onToken && !streamed) {
+        onToken(text);
+      }
+      
+      return text;
+    } catch (error) {
+      // Tokens already sent can't be taken back, so a partly streamed reply isn't retried
+      if (streamed) {
+        error.retryable = false;
+      }
+      throw error;
+    }
+  }, maxRetries);
+}
 
-Your response should be a JSON object in the following format:
-\`\`\`json
-{
-  "query": "The search text to use",
-  "brawlers": ["Brawler1", "Brawler2"],
-  "gameModes": ["GameMode1", "GameMode2"],
-  "contentType": ["tutorial", "gameplay", "entertainment", "pro"],
-  "skillLevel": "beginner/intermediate/advanced",
-  "sortBy": "relevance/recent/popular/trending",
-  "intent": "educational/entertainment/specific/general",
-  "rephrased": "A rephrased version of the query for better search results"
+/**
+ * Wrap a token callback so the SUGGESTED_ACTIONS block at the end of a reply
+ * isn't streamed. Text that could be the start of the marker is held back
+ * until the next token shows whether it is.
+ * @param {Function} onToken Called with each piece of the message
+ * @returns {Object} { push(token), flush() }
+ */
+function createMessageStream(onToken) {
+  let buffer = '';
+  let ended = false;
+  
+  return {
+    push(token) {
+      if (ended) return;
+      
+      buffer += token;
+      const markerIndex = buffer.indexOf(ACTIONS_MARKER);
+      
+      if (markerIndex !== -1) {
+        if (markerIndex > 0) onToken(buffer.slice(0, markerIndex));
+        ended = true;
+        return;
+      }
+      
+      let held = Math.min(ACTIONS_MARKER.length - 1, buffer.length);
+      while (held > 0 && !ACTIONS_MARKER.startsWith(buffer.slice(-held))) {
+        held--;
+      }
+      
+      if (buffer.length > held) {
+        onToken(buffer.slice(0, buffer.length - held));
+        buffer = buffer.slice(buffer.length - held);
+      }
+    },
+    flush() {
+      if (!ended && buffer) onToken(buffer);
+      ended = true;
+    }
+  };
 }
-\`\`\`
 
-Only include parameters that are relevant to the query. If a parameter isn't mentioned, leave its array empty or field blank.
-If the user is looking for specific brawlers but doesn't mention any by name, consider suggesting popular or trending brawlers.
-If the query is ambiguous or open-ended, prioritize the most relevant content based on user preferences.`;
+/**
+ * Render the prompt for generating search parameters
+ * @param {string} conversationHistory Formatted conversation history
+ * @param {Object} userPreferences User preferences
+ * @returns {Object} Rendered prompt (see promptRegistry.renderPrompt)
+ */
+function buildSearchParamsPrompt(conversationHistory, userPreferences) {
+  // The conversation and memory have their own sections
+  const preferences = Object.fromEntries(Object.entries(userPreferences)
+    .filter(([key]) => !['conversationHistory', 'memory', 'pendingClarification'].includes(key)));
+  
+  return promptRegistry.renderPrompt('searchParams', {
+    brawlers: catalog.getBrawlerNames().join(', '),
+    gameModes: catalog.getGameModeNames().join(', '),
+    preferences: JSON.stringify(preferences, null, 2),
+    memory: conversationMemory.formatMemory(userPreferences.memory) || 'Nothing yet.',
+    conversationHistory
+  });
 }
 
 /**
@@ -286,9 +283,13 @@ If the query is ambiguous or open-ended, prioritize the most relevant content ba
  * @param {Object} searchParams Structured search parameters
  * @param {Object[]} searchResults Search results from the database
  * @param {Object} conversationHistory Previous messages in the conversation
+ * @param {Object} options Options
+ * @param {Function} options.onToken Called with each piece of the message as it is generated
  * @returns {Promise<Object>} Response object with message and suggested actions
  */
-async function generateResponse(searchParams, searchResults, conversationHistory = []) {
+async function generateResponse(searchParams, searchResults, conversationHistory = [], options = {}) {
+  const messageStream = options.onToken ? createMessageStream(options.onToken) : null;
+  
   try {
     logger.debug('Generating response for search results');
     
@@ -315,191 +316,567 @@ async function generateResponse(searchParams, searchResults, conversationHistory
     }).join('\n\n');
     
     // Build the prompt for the LLM
-    const prompt = buildResponsePrompt(searchParams, formattedResults, formattedHistory);
+    const prompt = promptRegistry.renderPrompt('response', {
+      searchParams: JSON.stringify(searchParams, null, 2),
+      results: formattedResults || 'No results found for this query.',
+      conversationHistory: formattedHistory
+    });
     
     // Call the LLM with retry
-    const response = await callLLMWithRetry(async () => {
-      return await openai.createChatCompletion({
-        model: LLM_MODEL,
-        messages: [
-          {
-            role: 'system',
-            content: prompt
-          },
-          {
-            role: 'user',
-            content: `Query: "${searchParams.query}"\nPlease provide a helpful response based on the search results.`
-          }
-        ],
-        temperature: 0.7,
-        max_tokens: 1000
-      });
+    const responseText = await completeChat({
+      messages: [
+        {
+          role: 'system',
+          content: prompt.text
+        },
+        {
+          role: 'user',
+          content: `Query: "${searchParams.query}"\nPlease provide a helpful response based on the search results.`
+        }
+      ],
+      ...prompt.settings,
+      task: 'response',
+      context: { searchParams, results: searchResults },
+      onToken: messageStream ? token => messageStream.push(token) : undefined
     });
+    messageStream?.flush();
     
-    // Extract the response text
-    const responseText = response.data.choices[0].message.content;
-    
-    // Extract suggested actions if they exist
-    const actionsMatch = responseText.match(/SUGGESTED_ACTIONS:\s*```json\n([\s\S]*?)\n```/);
-    let suggestedActions = [];
-    
-    if (actionsMatch && actionsMatch[1]) {
-      try {
-        suggestedActions = JSON.parse(actionsMatch[1]);
-      } catch (error) {
-        logger.error({ error, actionsText: actionsMatch[1] }, 'Error parsing suggested actions');
-      }
-    }
-    
-    // Extract the main message (excluding the suggested actions part)
-    let message = responseText;
-    if (actionsMatch) {
-      message = responseText.replace(/SUGGESTED_ACTIONS:\s*```json\n[\s\S]*?```/, '').trim();
-    }
-    
-    return {
-      message,
-      suggestedActions
-    };
+    return { ...parseResponseText(responseText), promptVersion: prompt.id };
   } catch (error) {
     logger.error({ error }, 'Error generating response');
     return {
       message: "I found some Brawl Stars videos that might interest you. Let me know if you'd like me to refine the search or if you want more specific content.",
-      suggestedActions: []
+      suggestedActions: [],
+      promptVersion: null
     };
   }
 }
 
 /**
- * Build the prompt for generating conversational responses
- * @param {Object} searchParams Structured search parameters
- * @param {string} formattedResults Formatted search results
- * @param {string} conversationHistory Formatted conversation history
- * @returns {string} Prompt for the LLM
+ * Split a reply into the message and its suggested actions block
+ * @param {string} responseText Reply text
+ * @returns {Object} { message, suggestedActions }
  */
-function buildResponsePrompt(searchParams, formattedResults, conversationHistory) {
-  return `You are an AI assistant that helps users find Brawl Stars gaming content.
-Your task is to provide helpful and conversational responses based on search results.
-
-SEARCH PARAMETERS:
-${JSON.stringify(searchParams, null, 2)}
-
-SEARCH RESULTS:
-${formattedResults || "No results found for this query."}
-
-PREVIOUS CONVERSATION:
-${conversationHistory}
-
-INSTRUCTIONS:
-1. Provide a conversational response that highlights the most relevant videos from the search results.
-2. Mention specific brawlers, game modes, or content types that were found.
-3. If the results seem to match what the user was looking for, highlight the best matches.
-4. If the results don't seem relevant, suggest ways to refine the search.
-5. Maintain a friendly, helpful tone appropriate for Brawl Stars players.
-6. Include 3-5 suggested follow-up actions the user might want to take.
-7. If there are timestamps or key moments mentioned, highlight those as they might be particularly useful.
-8. Be specific about what makes videos interesting (views, content type, creator reputation, etc.)
-
-The generated response should be engaging, informative, and personalized. Focus on providing value by:
-- Pointing out patterns or trends in the search results
-- Mentioning popular creators or high-view videos
-- Highlighting the most recent content if relevant
-- Suggesting related brawlers or game modes the user might be interested in
-- Offering refinement options if results are too broad or narrow
-
-Your response should be structured as follows:
-1. A conversational message addressing the user's query and highlighting key results
-2. (Optional) A section for suggested actions, formatted as JSON
-
-Example response format:
-I found some great Mortis gameplay videos! The most popular one is "Pro Mortis Tips" by BrawlStarsGuide with over 500K views. There's also a recent tutorial from KairosTime that shows how to use Mortis effectively in Brawl Ball.
+function parseResponseText(responseText) {
+  // Extract suggested actions if they exist
+  const actionsMatch = responseText.match(/SUGGESTED_ACTIONS:\s*```json\n([\s\S]*?)\n```/);
+  let suggestedActions = [];
+  
+  if (actionsMatch && actionsMatch[1]) {
+    try {
+      suggestedActions = JSON.parse(actionsMatch[1]);
+    } catch (error) {
+      logger.error({ error, actionsText: actionsMatch[1] }, 'Error parsing suggested actions');
+    }
+  }
+  
+  // Extract the main message (excluding the suggested actions part)
+  let message = responseText;
+  if (actionsMatch) {
+    message = responseText.replace(/SUGGESTED_ACTIONS:\s*```json\n[\s\S]*?```/, '').trim();
+  }
+  
+  return {
+    message,
+    suggestedActions
+  };
+}
 
-Would you like me to show you more tutorials, or are you interested in seeing funny Mortis moments instead?
+/**
+ * Answer a question from transcript and description passages, citing them
+ * @param {string} question User's question
+ * @param {Object[]} passages Passages from passageRetriever.retrievePassages, numbered by `id`
+ * @param {Object} conversationHistory Previous messages in the conversation
+ * @param {Object} options Options
+ * @param {Function} options.onToken Called with each piece of the message as it is generated
+ * @returns {Promise<Object>} Response object with message (citing passages as [n]),
+ * citations and suggested actions
+ */
+async function generateAnswer(question, passages, conversationHistory = [], options = {}) {
+  const messageStream = options.onToken ? createMessageStream(options.onToken) : null;
+  
+  try {
+    logger.debug({ question, passages: passages.length }, 'Generating answer from passages');
+    
+    // Format conversation history for the prompt
+    const formattedHistory = conversationHistory
+      .slice(-CONVERSATION_CONTEXT_LENGTH)
+      .map(message => `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}`)
+      .join('\n');
+    
+    const formattedPassages = passages.map(passage => {
+      const where = passage.start === null ? 'description' : `at ${formatTimestamp(passage.start)}`;
+      return `[${passage.id}] "${passage.title}" by ${passage.creator || 'unknown'} (${where}):\n${passage.text}`;
+    }).join('\n\n');
+    
+    // Call the LLM with retry
+    const prompt = promptRegistry.renderPrompt('answer', {
+      passages: formattedPassages,
+      conversationHistory: formattedHistory
+    });
+    const responseText = await completeChat({
+      messages: [
+        {
+          role: 'system',
+          content: prompt.text
+        },
+        {
+          role: 'user',
+          content: question
+        }
+      ],
+      ...prompt.settings,
+      task: 'answer',
+      context: { question, passages },
+      onToken: messageStream ? token => messageStream.push(token) : undefined
+    });
+    messageStream?.flush();
+    
+    const { message, suggestedActions } = parseResponseText(responseText);
+    return { ...extractCitations(message, passages), suggestedActions, promptVersion: prompt.id };
+  } catch (error) {
+    logger.error({ error }, 'Error generating answer');
+    
+    // Point at the best passages instead
+    const top = passages.slice(0, 3);
+    return {
+      message: `I couldn't put together an answer right now, but these moments look relevant: ${top.map(passage => `"${passage.title}" [${passage.id}]`).join(', ')}.`,
+      citations: top.map(toCitation),
+      suggestedActions: [],
+      promptVersion: null
+    };
+  }
+}
 
-SUGGESTED_ACTIONS: \`\`\`json
-[
-  {"type": "refine_search", "label": "Show me more Mortis tutorials", "parameters": {"brawlers": ["Mortis"], "contentType": ["tutorial"]}},
-  {"type": "refine_search", "label": "Funny Mortis moments", "parameters": {"brawlers": ["Mortis"], "contentType": ["entertainment"]}},
-  {"type": "filter_by_mode", "label": "Mortis in Brawl Ball", "parameters": {"brawlers": ["Mortis"], "gameModes": ["Brawl Ball"]}}
-]
-\`\`\`
+/**
+ * Build a citation for a passage
+ * @param {Object} passage Passage
+ * @returns {Object} Citation with a link that starts the video at the passage
+ */
+function toCitation(passage) {
+  return {
+    id: passage.id,
+    youtubeId: passage.youtubeId,
+    title: passage.title,
+    creator: passage.creator,
+    start: passage.start,
+    url: `https://www.youtube.com/watch?v=${passage.youtubeId}${passage.start ? `&t=${passage.start}s` : ''}`
+  };
+}
 
-Remember to make your response natural and conversational, focusing on being helpful to the user.`;
+/**
+ * Find the passages an answer cites ([n] markers); markers for passages that
+ * don't exist are removed
+ * @param {string} message Answer text
+ * @param {Object[]} passages Passages offered to the model
+ * @returns {Object} { message, citations } with citations in order of first use
+ */
+function extractCitations(message, passages) {
+  const byId = new Map(passages.map(passage => [passage.id, passage]));
+  const cited = [];
+  
+  const cleaned = message.replace(/\s*\[(\d+)\]/g, (marker, id) => {
+    const passage = byId.get(parseInt(id));
+    if (!passage) return '';
+    if (!cited.includes(passage)) cited.push(passage);
+    return marker;
+  });
+  
+  return {
+    message: cleaned,
+    citations: cited.map(toCitation)
+  };
 }
 
 /**
- * Process a message in a conversation
- * @param {string} message User's message
+ * Compare brawlers: gather videos for each one by game mode, then summarize
+ * them side by side with claims backed by those videos
+ * @param {Object} params Comparison parameters
+ * @param {string[]} params.brawlers Brawlers to compare
+ * @param {string[]} params.gameModes Game modes to focus on (may be empty)
  * @param {Object[]} conversationHistory Previous messages in the conversation
- * @param {Object} userPreferences User preferences
- * @returns {Promise<Object>} Response with message, results, and suggested actions
+ * @returns {Promise<Object>} Comparison with modes, summary and claims
  */
-async function processMessage(message, conversationHistory = [], userPreferences = {}) {
-  // Build a prompt that instructs the AI to return ONLY a JSON object with specific keys.
-  const prompt = `
-You are an AI assistant that helps users find Brawl Stars content.
-Convert the following natural language query into a JSON object with exactly these keys:
-- "query": the search text to use
-- "brawlers": an array of brawler names (if mentioned, otherwise an empty array)
-- "gameModes": an array of game mode names (if mentioned, otherwise an empty array)
-- "contentType": an array of content types (e.g., "tutorial", "gameplay", "entertainment"; if none, return an empty array)
-- "skillLevel": one of "beginner", "intermediate", "advanced" or an empty string if not specified
-- "sortBy": one of "relevance", "recent", "popular", "trending"
-- "intent": a brief description of the user's intent
-- "rephrased": a rephrased version of the query
-
-Return only the JSON object with no extra explanation or text.
-For example:
-{"query": "show me gameplay of Mortis", "brawlers": ["Mortis"], "gameModes": [], "contentType": ["gameplay"], "skillLevel": "", "sortBy": "relevance", "intent": "gameplay", "rephrased": "gameplay of Mortis"}
-
-Here is the conversation history:
-${conversationHistory.map(m => m.role + ": " + m.content).join("\n")}
-
-User query: "${message}"
-  `.trim();
-
+async function compareBrawlers(params, conversationHistory = []) {
+  const comparison = await brawlerComparison.gatherComparison(params.brawlers, params.gameModes || []);
+  
+  if (comparison.videoCount === 0) {
+    return { ...comparison, ...brawlerComparison.buildFallbackSummary(comparison), promptVersion: null };
+  }
+  
   try {
-    const response = await openai.createChatCompletion({
-      model: process.env.OPENAI_MODEL || 'gpt-3.5-turbo',
+    const formattedHistory = conversationHistory
+      .slice(-CONVERSATION_CONTEXT_LENGTH)
+      .map(message => `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}`)
+      .join('\n');
+    
+    const formattedModes = comparison.modes.map(mode => {
+      const sides = mode.sides.map(side => {
+        const videos = side.videos.map(video => (
+          `  - [${video.youtubeId}] "${video.title}" by ${video.creator?.name || 'unknown'} ` +
+          `(${formatNumber(video.viewCount || 0)} views, ${(video.contentType || []).join(', ') || 'general'})`
+        ));
+        return `${side.brawler}:\n${videos.join('\n') || '  (no videos)'}`;
+      });
+      return `${mode.gameMode || 'Any mode'}\n${sides.join('\n')}`;
+    }).join('\n\n');
+    
+    const prompt = promptRegistry.renderPrompt('comparison', {
+      brawlers: comparison.brawlers.join(', '),
+      modes: formattedModes,
+      conversationHistory: formattedHistory
+    });
+    const responseText = await completeChat({
       messages: [
-        { role: "system", content: prompt }
+        {
+          role: 'system',
+          content: prompt.text
+        },
+        {
+          role: 'user',
+          content: `Compare ${comparison.brawlers.join(' and ')}${comparison.gameModes.length > 0 ? ` in ${comparison.gameModes.join(' and ')}` : ''}.`
+        }
       ],
-      temperature: 0.2,
-      max_tokens: 150
+      ...prompt.settings,
+      task: 'comparison',
+      context: { comparison }
     });
     
-    const responseText = response.data.choices[0].message.content.trim();
-    console.log("OpenAI raw response:", responseText);
+    const summary = brawlerComparison.validateComparisonSummary(parseModelOutput(responseText), comparison);
+    if (summary) {
+      return { ...comparison, ...summary, promptVersion: prompt.id };
+    }
     
-    let parsedJSON;
-    try {
-      // Attempt to parse the response directly as JSON
-      parsedJSON = JSON.parse(responseText);
-    } catch (e) {
-      // If that fails, try to extract JSON between markdown triple backticks
-      const match = responseText.match(/```json\s*([\s\S]*?)\s*```/);
-      if (match && match[1]) {
-        parsedJSON = JSON.parse(match[1].trim());
-      } else {
-        throw new Error("Failed to parse JSON from OpenAI response: " + responseText);
+    logger.warn('Comparison summary had no usable JSON, using the fallback summary');
+  } catch (error) {
+    logger.error({ error }, 'Error generating comparison summary');
+  }
+  
+  return { ...comparison, ...brawlerComparison.buildFallbackSummary(comparison), promptVersion: null };
+}
+
+/**
+ * Process a message in a conversation: turn it into search parameters, search
+ * the videos and write a conversational reply about the results, or for
+ * questions, an answer from transcript passages that cites the videos
+ * @param {string} message User's message
+ * @param {Object[]} conversationHistory Previous messages in the conversation
+ * @param {Object} userPreferences User preferences (userId and sessionId are used for search history)
+ * @param {Object} options Options
+ * @param {number} options.page Results page
+ * @param {number} options.limit Results per page
+ * @param {Object} options.pendingClarification Clarification from the previous turn, if
+ * it asked one; the message is taken as its answer when it names what was asked
+ * @param {string} options.quickReply ID of the quick reply the user chose, if any
+ * @param {Function} options.onEvent Called as each stage completes, with (event, data):
+ * 'intent' { searchParams }, 'results' { results, pagination, searchMode }, 'token' { text }
+ * for each piece of the message, 'citations' { citations } for answers, then
+ * 'actions' { suggestedActions }; or for a clarifying question, 'token' events
+ * and 'clarification' { clarification }; comparisons send 'comparison' { comparison }
+ * after the message
+ * @returns {Promise<Object>} Response with message, results, citations (for
+ * questions answered from the videos), suggested actions, search parameters,
+ * search mode, pagination, metrics (timings and the prompt versions used), the
+ * clarification asked (or null) and the brawler comparison (or null)
+ */
+async function processMessage(message, conversationHistory = [], userPreferences = {}, options = {}) {
+  const {
+    page = 1,
+    limit = DEFAULT_SEARCH_LIMIT,
+    pendingClarification = null,
+    quickReply = null,
+    onEvent = () => {}
+  } = options;
+  const startTime = Date.now();
+  
+  try {
+    logger.info({ userId: userPreferences.userId, page }, 'Processing conversation message');
+    
+    // Extract search parameters (cached, validated, falls back to keyword matching).
+    // An answer to a clarifying question completes the pending search instead.
+    const answerParams = pendingClarification && quickReply
+      ? null
+      : await generateSearchParams(message, conversationHistory, userPreferences);
+    const clarifiedParams = pendingClarification
+      ? clarifier.applyClarificationAnswer(pendingClarification, answerParams, quickReply)
+      : null;
+    const searchParams = clarifiedParams ||
+      answerParams ||
+      await generateSearchParams(message, conversationHistory, userPreferences);
+    const request = clarifiedParams ? pendingClarification.message : message;
+    const asked = clarifiedParams ? clarifier.getAskedFields(pendingClarification, quickReply) : [];
+    const paramsTime = Date.now() - startTime;
+    onEvent('intent', { searchParams });
+    
+    // Ask instead of guessing when the request needs a brawler or mode it doesn't name
+    const clarifyTurn = (clarification, extra = {}) => {
+      const pending = { ...clarification, message: request };
+      onEvent('token', { text: pending.question });
+      onEvent('clarification', { clarification: pending });
+      logger.info({ reason: pending.reason }, 'Asking a clarifying question');
+      
+      return {
+        message: pending.question,
+        results: [],
+        citations: [],
+        suggestedActions: [],
+        searchParams,
+        searchMode: null,
+        pagination: null,
+        clarification: pending,
+        comparison: null,
+        metrics: {
+          paramsTime,
+          totalTime: Date.now() - startTime,
+          promptVersions: { searchParams: searchParams.promptVersion }
+        },
+        ...extra
+      };
+    };
+    
+    const missingField = clarifier.findMissingEntity(request, searchParams, asked);
+    if (missingField) {
+      const names = await getClarificationOptions(missingField, userPreferences);
+      if (names.length > 0) {
+        return clarifyTurn(clarifier.buildEntityClarification(missingField, names, searchParams, asked));
+      }
+    }
+    
+    // Comparisons gather videos for each brawler instead of running one search
+    if (brawlerComparison.isComparisonRequest(searchParams)) {
+      const comparison = await compareBrawlers(searchParams, conversationHistory);
+      const videos = brawlerComparison.getComparisonVideos(comparison);
+      const pagination = { total: videos.length, page: 1, limit: videos.length, pages: 1 };
+      onEvent('results', { results: videos, pagination, searchMode: 'comparison' });
+      
+      await dbService.saveSearchQuery(
+        searchParams.query,
+        { brawlers: searchParams.brawlers, gameModes: searchParams.gameModes, source: 'comparison' },
+        userPreferences.userId,
+        userPreferences.sessionId
+      );
+      
+      const suggestedActions = comparison.brawlers.map(brawler => ({
+        type: 'refine_search',
+        label: `More ${brawler} videos`,
+        parameters: { brawlers: [brawler], gameModes: comparison.gameModes }
+      }));
+      onEvent('token', { text: comparison.summary });
+      onEvent('comparison', { comparison });
+      onEvent('actions', { suggestedActions });
+      
+      const totalTime = Date.now() - startTime;
+      return {
+        message: comparison.summary,
+        results: videos,
+        citations: [],
+        suggestedActions,
+        searchParams,
+        searchMode: 'comparison',
+        pagination,
+        clarification: null,
+        comparison,
+        metrics: {
+          paramsTime,
+          comparisonTime: totalTime - paramsTime,
+          totalTime,
+          promptVersions: { searchParams: searchParams.promptVersion, comparison: comparison.promptVersion }
+        }
+      };
+    }
+    
+    // Search the videos (semantic ranking when embeddings are configured)
+    const { videos, pagination, mode: searchMode } = await videoSearch.searchVideos({ ...searchParams, page, limit });
+    const searchTime = Date.now() - startTime - paramsTime;
+    onEvent('results', { results: videos, pagination, searchMode });
+    
+    // Nothing matched: ask which filter to give up (questions go on to passages)
+    if (pagination.total === 0 && searchParams.intent !== 'question' && !asked.includes('results')) {
+      const clarification = await findNoResultsClarification(searchParams, asked);
+      if (clarification) {
+        return clarifyTurn(clarification, { searchMode, pagination });
       }
     }
     
-    // Return a response object that matches your app's expected format.
+    await dbService.saveSearchQuery(
+      searchParams.query,
+      {
+        brawlers: searchParams.brawlers,
+        gameModes: searchParams.gameModes,
+        contentType: searchParams.contentType,
+        skillLevel: searchParams.skillLevel,
+        sortBy: searchParams.sortBy,
+        source: 'conversation'
+      },
+      userPreferences.userId,
+      userPreferences.sessionId
+    );
+    
+    // Questions are answered from transcript passages when any match
+    const onToken = options.onEvent && (text => onEvent('token', { text }));
+    const passages = searchParams.intent === 'question'
+      ? await passageRetriever.retrievePassages(message, searchParams)
+      : [];
+    const retrievalTime = Date.now() - startTime - paramsTime - searchTime;
+    
+    // Write the reply (falls back to a generic message)
+    const { message: reply, citations = [], suggestedActions, promptVersion } = passages.length > 0
+      ? await generateAnswer(message, passages, conversationHistory, { onToken })
+      : await generateResponse(searchParams, videos, conversationHistory, { onToken });
+    const totalTime = Date.now() - startTime;
+    
+    if (citations.length > 0) {
+      onEvent('citations', { citations });
+    }
+    onEvent('actions', { suggestedActions });
+    
+    logger.info({ resultsCount: videos.length, total: pagination.total, totalTime }, 'Processed conversation message');
+    
     return {
-      message: "Chat processed successfully.",
-      results: [], // Video results will be fetched by your backend search after parameters are generated.
-      suggestedActions: [],
-      searchParams: parsedJSON,
-      pagination: { total: 0, page: 1, limit: 12, pages: 0 },
-      metrics: { totalTime: 0 }
+      message: reply,
+      results: videos,
+      citations,
+      suggestedActions,
+      searchParams,
+      searchMode,
+      pagination,
+      clarification: null,
+      comparison: null,
+      metrics: {
+        paramsTime,
+        searchTime,
+        retrievalTime,
+        responseTime: totalTime - paramsTime - searchTime - retrievalTime,
+        totalTime,
+        promptVersions: {
+          searchParams: searchParams.promptVersion,
+          [passages.length > 0 ? 'answer' : 'response']: promptVersion
+        }
+      }
     };
   } catch (error) {
-    console.error("Error in processMessage:", error);
+    logger.error({ error }, 'Error processing conversation message');
     throw error;
   }
 }
 
+/**
+ * Get the names to offer as quick replies when asking for a brawler or game
+ * mode: the user's own favourites first, then trending brawlers or catalog modes
+ * @param {string} field Missing field (brawlers or gameModes)
+ * @param {Object} userPreferences User preferences
+ * @returns {Promise<string[]>} Names, most likely first
+ */
+async function getClarificationOptions(field, userPreferences) {
+  if (field === 'gameModes') {
+    return [...(userPreferences.preferredGameModes || []), ...catalog.getGameModeNames()];
+  }
+  
+  let trending = [];
+  try {
+    trending = (await dbService.getTrendingBrawlers(CLARIFICATION_OPTION_COUNT)).map(item => item.brawler);
+  } catch (error) {
+    logger.warn({ err: error }, 'Could not get trending brawlers for a clarifying question');
+  }
+  
+  return [...(userPreferences.preferredBrawlers || []), ...trending];
+}
+
+/**
+ * Build a clarifying question for a search with no results, checking whether
+ * its brawler and game mode each have videos on their own
+ * @param {Object} searchParams Search parameters
+ * @param {string[]} asked Fields already asked about for this search
+ * @returns {Promise<Object|null>} Clarification, or null if there is nothing to drop
+ */
+async function findNoResultsClarification(searchParams, asked) {
+  const counts = {};
+  
+  if (searchParams.brawlers.length > 0 && searchParams.gameModes.length > 0) {
+    [counts.brawlers, counts.gameModes] = await Promise.all([
+      dbService.countVideos({ brawlers: searchParams.brawlers }),
+      dbService.countVideos({ gameModes: searchParams.gameModes })
+    ]);
+  }
+  
+  return clarifier.buildNoResultsClarification(searchParams, counts, asked);
+}
+
+/**
+ * Remember a finished exchange: facts the user stated go into their profile
+ * right away, and messages that no longer fit the recent window are folded
+ * into the rolling summary. Never throws; the summary falls back to a plain
+ * list of earlier requests.
+ * @param {Object|null} memory Current memory (see conversation-memory)
+ * @param {Object[]} conversationHistory Messages before the exchange
+ * @param {Object[]} exchange The user's message and the reply
+ * @returns {Promise<Object>} { history, memory } with the recent messages to keep
+ */
+async function rememberExchange(memory, conversationHistory, exchange) {
+  const history = [...conversationHistory, ...exchange];
+  const recent = history.slice(-conversationMemory.RECENT_MESSAGE_LIMIT);
+  const overflow = history.slice(0, history.length - recent.length);
+  
+  const current = memory || conversationMemory.createMemory();
+  const userText = exchange.filter(message => message.role === 'user').map(message => message.content).join('\n');
+  let updated = {
+    ...current,
+    profile: conversationMemory.mergeProfile(current.profile, conversationMemory.extractProfileFacts(userText))
+  };
+  
+  if (overflow.length > 0) {
+    updated = { ...updated, ...await summarizeMemory(updated, overflow) };
+  }
+  
+  return {
+    history: recent,
+    memory: { ...updated, updatedAt: new Date().toISOString() }
+  };
+}
+
+/**
+ * Fold messages into the memory's summary and profile with the LLM
+ * @param {Object} memory Current memory
+ * @param {Object[]} messages Messages leaving the recent window
+ * @returns {Promise<Object>} { summary, profile }
+ */
+async function summarizeMemory(memory, messages) {
+  try {
+    const formattedMessages = messages
+      .map(message => `${message.role === 'user' ? 'User' : 'Assistant'}: ${message.content}`)
+      .join('\n');
+    
+    const prompt = promptRegistry.renderPrompt('memory', {
+      memory: JSON.stringify({ summary: memory.summary, profile: memory.profile }, null, 2)
+    });
+    const responseText = await completeChat({
+      messages: [
+        {
+          role: 'system',
+          content: prompt.text
+        },
+        {
+          role: 'user',
+          content: formattedMessages
+        }
+      ],
+      ...prompt.settings,
+      task: 'memory',
+      context: { memory, messages }
+    }, 1);
+    
+    const result = conversationMemory.validateMemoryOutput(parseModelOutput(responseText));
+    if (result) {
+      return result;
+    }
+    
+    logger.warn('Memory update had no usable JSON, using the fallback summary');
+  } catch (error) {
+    logger.error({ error }, 'Error summarizing conversation memory');
+  }
+  
+  return conversationMemory.buildFallbackMemory(memory, messages);
+}
 
 /**
  * Handle user feedback on a video
@@ -743,5 +1120,8 @@ module.exports = {
   getPersonalizedRecommendations,
   generateSearchParams,
   generateResponse,
+  generateAnswer,
+  compareBrawlers,
+  rememberExchange,
   clearPromptCache
 };
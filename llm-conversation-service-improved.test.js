@@ -0,0 +1,330 @@
+// llm-conversation-service-improved.test.js
+// Offline tests for the conversation loop, with the LLM and database mocked
+
+const mockCreateChatCompletion = jest.fn();
+
+jest.mock('openai', () => ({
+  Configuration: jest.fn(),
+  OpenAIApi: jest.fn(() => ({ createChatCompletion: mockCreateChatCompletion }))
+}));
+
+jest.mock('./database-service-improved', () => ({
+  searchVideos: jest.fn(),
+  saveSearchQuery: jest.fn(),
+  findPassageSources: jest.fn(),
+  countVideos: jest.fn(),
+  getTrendingBrawlers: jest.fn(),
+  getActivePromptVersions: jest.fn().mockResolvedValue({}),
+  saveActivePromptVersion: jest.fn()
+}));
+
+const dbService = require('./database-service-improved');
+const { processMessage, rememberExchange, clearPromptCache } = require('./llm-conversation-service-improved');
+const promptRegistry = require('./prompt-registry');
+
+const VIDEO = {
+  youtubeId: 'abc123',
+  title: 'Mortis Brawl Ball guide',
+  creator: { id: 'UC1', name: 'Coach' },
+  brawlers: ['Mortis'],
+  gameModes: ['Brawl Ball'],
+  contentType: ['tutorial'],
+  viewCount: 120000,
+  duration: 600,
+  publishedAt: '2024-05-01T00:00:00Z',
+  timestamps: []
+};
+
+/**
+ * Build an LLM chat completion response
+ * @param {string} content Message content
+ * @returns {Object} Response as returned by the OpenAI client
+ */
+function completion(content) {
+  return { data: { choices: [{ message: { content } }] } };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  clearPromptCache();
+  dbService.searchVideos.mockResolvedValue({
+    videos: [VIDEO],
+    pagination: { total: 13, page: 2, limit: 12, pages: 2 }
+  });
+});
+
+describe('processMessage', () => {
+  test('searches with the extracted parameters and replies about the results', async () => {
+    mockCreateChatCompletion
+      .mockResolvedValueOnce(completion('```json\n{"query": "mortis guide", "brawlers": ["mortis", "Nobody"], "gameModes": ["Brawl Ball"], "contentType": ["Tutorial"], "sortBy": "popular"}\n```'))
+      .mockResolvedValueOnce(completion('Here is a great Mortis guide!\n\nSUGGESTED_ACTIONS: ```json\n[{"type": "refine_search", "label": "More Mortis", "parameters": {"brawlers": ["Mortis"]}}]\n```'));
+    
+    const response = await processMessage('how do I play mortis', [], { userId: 'u1', sessionId: 's1' }, { page: 2 });
+    
+    expect(dbService.searchVideos).toHaveBeenCalledWith(expect.objectContaining({
+      query: 'mortis guide',
+      brawlers: ['Mortis'],
+      gameModes: ['Brawl Ball'],
+      contentType: ['tutorial'],
+      skillLevel: '',
+      sortBy: 'popular',
+      page: 2,
+      limit: 12
+    }));
+    expect(dbService.saveSearchQuery).toHaveBeenCalledWith('mortis guide', expect.any(Object), 'u1', 's1');
+    expect(response).toMatchObject({
+      message: 'Here is a great Mortis guide!',
+      results: [VIDEO],
+      suggestedActions: [{ type: 'refine_search', label: 'More Mortis' }],
+      pagination: { total: 13, page: 2, pages: 2 }
+    });
+    expect(response.metrics.totalTime).toBeGreaterThanOrEqual(0);
+    expect(response.metrics.promptVersions).toEqual({ searchParams: 'searchParams@v1', response: 'response@v1' });
+  });
+  
+  test('uses the settings of the active prompt version and records it', async () => {
+    await promptRegistry.setActivePromptVersion('response', 2);
+    mockCreateChatCompletion
+      .mockResolvedValueOnce(completion('{"query": "mortis guide", "brawlers": ["Mortis"]}'))
+      .mockResolvedValueOnce(completion('Watch the Mortis guide by Coach.'));
+    
+    try {
+      const response = await processMessage('how do I play mortis', [], {});
+      
+      expect(mockCreateChatCompletion.mock.calls[1][0]).toMatchObject({ temperature: 0.5, max_tokens: 500 });
+      expect(mockCreateChatCompletion.mock.calls[1][0].messages[0].content).toContain('Reply in two or three sentences');
+      expect(response.metrics.promptVersions.response).toBe('response@v2');
+    } finally {
+      await promptRegistry.setActivePromptVersion('response', 1);
+    }
+  });
+  
+  test('asks the model once to repair invalid output', async () => {
+    mockCreateChatCompletion
+      .mockResolvedValueOnce(completion('{"query": "pro gem grab", "gameModes": "Gem Grab", "skillLevel": "beginner/intermediate/advanced", "sortBy": "best"}'))
+      .mockResolvedValueOnce(completion('{"query": "pro gem grab", "skillLevel": "advanced", "sortBy": 5}'))
+      .mockResolvedValueOnce(completion('Gem Grab videos.'));
+    
+    const response = await processMessage('pro gem grab plays');
+    
+    expect(mockCreateChatCompletion.mock.calls[1][0].messages[3].content).toContain('"sortBy" must be one of');
+    expect(response.searchParams).toMatchObject({
+      gameModes: ['Gem Grab'],
+      skillLevel: 'advanced',
+      sortBy: 'relevance',
+      fieldSources: { query: 'model', gameModes: 'model', skillLevel: 'repair', sortBy: 'fallback' }
+    });
+  });
+  
+  test('falls back to keyword extraction when the LLM answer has no JSON', async () => {
+    mockCreateChatCompletion
+      .mockResolvedValueOnce(completion('Sorry, I am not sure.'))
+      .mockResolvedValueOnce(completion('Still not sure.'))
+      .mockResolvedValueOnce(completion('Some Heist videos for you.'));
+    
+    const response = await processMessage('funny heist videos');
+    
+    expect(response.searchParams.fieldSources.gameModes).toBe('fallback');
+    expect(dbService.searchVideos).toHaveBeenCalledWith(expect.objectContaining({
+      query: 'funny heist videos',
+      gameModes: ['Heist'],
+      contentType: ['entertainment']
+    }));
+    expect(response.message).toBe('Some Heist videos for you.');
+    expect(response.suggestedActions).toEqual([]);
+  });
+  
+  test('reuses cached search parameters for a repeated message', async () => {
+    mockCreateChatCompletion.mockResolvedValue(completion('```json\n{"query": "colt"}\n```'));
+    
+    await processMessage('colt');
+    await processMessage('colt');
+    
+    // One parameter extraction and two replies
+    expect(mockCreateChatCompletion).toHaveBeenCalledTimes(3);
+  });
+});
+
+describe('processMessage questions', () => {
+  test('answers from transcript passages with citations', async () => {
+    dbService.findPassageSources.mockResolvedValue([{
+      youtubeId: 'spike1',
+      title: 'Spike Heist guide',
+      creator: { name: 'Coach' },
+      description: 'My Spike build',
+      transcriptSegments: [
+        { start: 0, end: 5, text: 'welcome back' },
+        { start: 95, end: 100, text: 'in heist run fertilize on spike for sustain' }
+      ]
+    }]);
+    mockCreateChatCompletion
+      .mockResolvedValueOnce(completion('{"query": "spike star power heist", "brawlers": ["Spike"], "gameModes": ["Heist"], "intent": "question"}'))
+      .mockResolvedValueOnce(completion('Run Fertilize for sustain [1], not the other one [7].'));
+    
+    const response = await processMessage('What star power should I run on Spike in Heist?');
+    
+    expect(dbService.findPassageSources).toHaveBeenCalledWith(
+      'What star power should I run on Spike in Heist?',
+      expect.objectContaining({ brawlers: ['Spike'], gameModes: ['Heist'] })
+    );
+    expect(response.message).toBe('Run Fertilize for sustain [1], not the other one.');
+    expect(response.citations).toEqual([{
+      id: 1,
+      youtubeId: 'spike1',
+      title: 'Spike Heist guide',
+      creator: 'Coach',
+      start: 95,
+      url: 'https://www.youtube.com/watch?v=spike1&t=95s'
+    }]);
+  });
+  
+  test('lists videos as usual when no passage matches', async () => {
+    dbService.findPassageSources.mockResolvedValue([]);
+    mockCreateChatCompletion
+      .mockResolvedValueOnce(completion('{"query": "is colt good", "brawlers": ["Colt"], "intent": "question"}'))
+      .mockResolvedValueOnce(completion('Here are some Colt videos.'));
+    
+    const response = await processMessage('is colt good?');
+    
+    expect(dbService.findPassageSources).toHaveBeenCalledTimes(2);
+    expect(response).toMatchObject({ message: 'Here are some Colt videos.', citations: [] });
+  });
+});
+
+describe('processMessage clarifications', () => {
+  test('asks which brawler a build is for instead of searching', async () => {
+    dbService.getTrendingBrawlers.mockResolvedValue([{ brawler: 'Mortis' }, { brawler: 'Spike' }]);
+    mockCreateChatCompletion.mockResolvedValueOnce(completion('{"query": "best build"}'));
+    
+    const response = await processMessage('best build', [], { preferredBrawlers: ['Spike'] });
+    
+    expect(dbService.searchVideos).not.toHaveBeenCalled();
+    expect(response.message).toBe('Which brawler is this for?');
+    expect(response.clarification).toMatchObject({
+      reason: 'missing_brawler',
+      message: 'best build',
+      options: [
+        { id: '1', label: 'Spike', patch: { brawlers: ['Spike'] } },
+        { id: '2', label: 'Mortis', patch: { brawlers: ['Mortis'] } }
+      ]
+    });
+  });
+  
+  test('merges a quick reply into the pending search', async () => {
+    dbService.getTrendingBrawlers.mockResolvedValue([{ brawler: 'Mortis' }]);
+    mockCreateChatCompletion
+      .mockResolvedValueOnce(completion('{"query": "best build"}'))
+      .mockResolvedValueOnce(completion('Here are some Mortis builds.'));
+    
+    const { clarification } = await processMessage('best build');
+    const response = await processMessage('Mortis', [], {}, { pendingClarification: clarification, quickReply: '1' });
+    
+    expect(dbService.searchVideos).toHaveBeenCalledWith(expect.objectContaining({ query: 'best build Mortis', brawlers: ['Mortis'] }));
+    expect(response).toMatchObject({ message: 'Here are some Mortis builds.', clarification: null });
+    expect(response.searchParams.fieldSources.brawlers).toBe('clarification');
+    // No parameter extraction for the quick reply
+    expect(mockCreateChatCompletion).toHaveBeenCalledTimes(2);
+  });
+  
+  test('offers to drop the brawler or the mode when they never appear together', async () => {
+    dbService.searchVideos.mockResolvedValue({ videos: [], pagination: { total: 0, page: 1, limit: 12, pages: 0 } });
+    dbService.countVideos.mockResolvedValue(8);
+    mockCreateChatCompletion.mockResolvedValueOnce(completion('{"query": "frank duels", "brawlers": ["Frank"], "gameModes": ["Duels"]}'));
+    
+    const response = await processMessage('frank duels');
+    
+    expect(response.clarification).toMatchObject({
+      reason: 'conflict',
+      options: [
+        { label: 'Frank in any mode', patch: { gameModes: [] } },
+        { label: 'Other brawlers in Duels', patch: { brawlers: [] } }
+      ]
+    });
+  });
+});
+
+describe('processMessage comparisons', () => {
+  test('compares brawlers side by side with claims citing their videos', async () => {
+    const bullVideo = { ...VIDEO, youtubeId: 'bull1', title: 'Bull Showdown guide', brawlers: ['Bull'], gameModes: ['Showdown'] };
+    const shellyVideo = { ...VIDEO, youtubeId: 'shelly1', title: 'Shelly Showdown guide', brawlers: ['Shelly'], gameModes: ['Showdown'] };
+    dbService.searchVideos.mockImplementation(async ({ brawlers }) => ({
+      videos: brawlers[0] === 'Bull' ? [bullVideo] : [shellyVideo],
+      pagination: { total: 1, page: 1, limit: 12, pages: 1 }
+    }));
+    mockCreateChatCompletion
+      .mockResolvedValueOnce(completion('{"query": "shelly or bull showdown", "brawlers": ["Shelly", "Bull"], "gameModes": ["Showdown"], "intent": "comparison"}'))
+      .mockResolvedValueOnce(completion('{"summary": "Both are strong.", "claims": [{"brawler": "Bull", "gameMode": "Showdown", "text": "Bull wins in bushes.", "videos": ["bull1", "shelly1"]}]}'));
+    
+    const events = [];
+    const response = await processMessage('Shelly or Bull for Showdown?', [], {}, { onEvent: event => events.push(event) });
+    
+    expect(dbService.searchVideos).toHaveBeenCalledWith(expect.objectContaining({ brawlers: ['Shelly'], gameModes: ['Showdown'] }));
+    expect(dbService.searchVideos).toHaveBeenCalledWith(expect.objectContaining({ brawlers: ['Bull'], gameModes: ['Showdown'] }));
+    expect(events).toEqual(['intent', 'results', 'token', 'comparison', 'actions']);
+    expect(response.message).toBe('Both are strong.');
+    expect(response.results.map(video => video.youtubeId)).toEqual(['shelly1', 'bull1']);
+    expect(response.comparison.claims).toEqual([
+      { brawler: 'Bull', gameMode: 'Showdown', text: 'Bull wins in bushes.', videos: ['bull1'] }
+    ]);
+  });
+});
+
+describe('rememberExchange', () => {
+  const exchange = (content, reply = 'OK') => [{ role: 'user', content }, { role: 'assistant', content: reply }];
+  
+  test('remembers stated facts without calling the model while the history fits', async () => {
+    const { history, memory } = await rememberExchange(null, [], exchange("I main Piper and I'm at 600 trophies"));
+    
+    expect(history).toHaveLength(2);
+    expect(memory.profile).toMatchObject({ mains: ['Piper'], trophies: 600 });
+    expect(mockCreateChatCompletion).not.toHaveBeenCalled();
+  });
+  
+  test('summarizes messages that leave the recent window', async () => {
+    mockCreateChatCompletion.mockResolvedValueOnce(completion('{"summary": "The user mains Piper and looked for Heist guides.", "profile": {"mains": ["Piper"], "trophies": 600, "favoriteModes": ["Heist"], "notes": []}}'));
+    const history = Array.from({ length: 6 }, (_, index) => exchange(`message ${index}`)).flat();
+    
+    const result = await rememberExchange(null, history, exchange('show me more'));
+    
+    expect(result.history).toHaveLength(12);
+    expect(result.history[0].content).toBe('message 1');
+    expect(mockCreateChatCompletion.mock.calls[0][0].messages[1].content).toBe('User: message 0\nAssistant: OK');
+    expect(result.memory).toMatchObject({
+      summary: 'The user mains Piper and looked for Heist guides.',
+      profile: { mains: ['Piper'], trophies: 600, favoriteModes: ['Heist'] }
+    });
+  });
+});
+
+describe('processMessage streaming', () => {
+  const { Readable } = require('stream');
+  
+  /**
+   * Build a streamed chat completion body, split into awkward chunks
+   * @param {string[]} tokens Reply pieces
+   * @returns {Readable} Response stream
+   */
+  function completionStream(tokens) {
+    const body = tokens
+      .map(token => `data: ${JSON.stringify({ choices: [{ delta: { content: token } }] })}\n\n`)
+      .join('') + 'data: [DONE]\n\n';
+    return Readable.from([body.slice(0, 40), body.slice(40, 95), body.slice(95)]);
+  }
+  
+  test('emits intent, results, message tokens and actions in order', async () => {
+    mockCreateChatCompletion
+      .mockResolvedValueOnce(completion('{"query": "mortis"}'))
+      .mockResolvedValueOnce({
+        data: completionStream(['Here is ', 'a Mortis guide.', '\n\nSUGGES', 'TED_ACTIONS: ```json\n[{"type": "refine_search", "label": "More"}]\n```'])
+      });
+    
+    const events = [];
+    const response = await processMessage('mortis', [], {}, { onEvent: (event, data) => events.push([event, data]) });
+    
+    expect(events.map(([event]) => event)).toEqual(['intent', 'results', 'token', 'token', 'token', 'actions']);
+    expect(events.filter(([event]) => event === 'token').map(([, data]) => data.text).join('').trim())
+      .toBe('Here is a Mortis guide.');
+    expect(mockCreateChatCompletion.mock.calls[1][1]).toEqual({ responseType: 'stream' });
+    expect(response).toMatchObject({ message: 'Here is a Mortis guide.', suggestedActions: [{ label: 'More' }] });
+  });
+});
@@ -0,0 +1,169 @@
+// llm-providers.js
+// Chat completion providers (OpenAI, OpenAI-compatible HTTP servers, the offline
+// stub) behind one interface
+
+const axios = require('axios');
+const pino = require('pino');
+const { completeWithStub } = require('./stub-llm-provider');
+require('dotenv').config();
+
+// Provider configuration
+const LLM_PROVIDER = process.env.LLM_PROVIDER || 'openai';
+const LLM_BASE_URL = (process.env.LLM_BASE_URL || 'http://localhost:8080/v1').replace(/\/+$/, '');
+const LLM_API_KEY = process.env.LLM_API_KEY || '';
+const LLM_REQUEST_TIMEOUT_MS = parseInt(process.env.LLM_REQUEST_TIMEOUT_MS || '60000');
+
+// Setup logger
+const logger = pino({
+  level: process.env.LOG_LEVEL || 'info',
+  transport: process.env.NODE_ENV === 'development' ? {
+    target: 'pino-pretty',
+    options: {
+      colorize: true
+    }
+  } : undefined
+});
+
+// Providers by name. A provider is an async function (request) that resolves to
+// the reply text. The request has { model, messages, temperature, maxTokens }
+// plus { task, context } describing what the prompt is for, which the offline
+// stub uses instead of reading the prompt. If the request has an `onToken`
+// callback, providers that can stream call it with each piece of the reply.
+const providers = new Map();
+
+/**
+ * Register a chat completion provider
+ * @param {string} name Provider name, as used in LLM_PROVIDER
+ * @param {Function} complete Async function (request) => reply text
+ */
+function registerLLMProvider(name, complete) {
+  providers.set(name, complete);
+}
+
+/**
+ * Get a provider by name
+ * @param {string} name Provider name (defaults to LLM_PROVIDER)
+ * @returns {Function} Provider
+ */
+function getLLMProvider(name = LLM_PROVIDER) {
+  const provider = providers.get(name);
+  
+  if (!provider) {
+    throw new Error(`Unknown LLM provider "${name}" (available: ${[...providers.keys()].join(', ')})`);
+  }
+  
+  return provider;
+}
+
+/**
+ * Get the name of the configured provider
+ * @returns {string} Provider name
+ */
+function getLLMProviderName() {
+  return LLM_PROVIDER;
+}
+
+/**
+ * Read a streamed chat completion (server-sent "data:" lines of JSON chunks)
+ * @param {Stream} stream Response body stream
+ * @param {Function} onToken Called with each piece of the reply
+ * @returns {Promise<string>} Full reply text
+ */
+async function readCompletionStream(stream, onToken) {
+  let buffer = '';
+  let text = '';
+  
+  stream.setEncoding('utf8');
+  
+  for await (const chunk of stream) {
+    buffer += chunk;
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    
+    for (const line of lines) {
+      const data = line.startsWith('data:') ? line.slice(5).trim() : '';
+      if (!data || data === '[DONE]') continue;
+      
+      const token = JSON.parse(data).choices?.[0]?.delta?.content;
+      if (token) {
+        text += token;
+        onToken(token);
+      }
+    }
+  }
+  
+  return text;
+}
+
+// The OpenAI client is created on first use so other providers don't need a key
+let openaiClient = null;
+
+/**
+ * Complete a chat with the OpenAI API
+ * @param {Object} request Chat request
+ * @returns {Promise<string>} Reply text
+ */
+async function completeWithOpenAI(request) {
+  if (!openaiClient) {
+    const { Configuration, OpenAIApi } = require('openai');
+    openaiClient = new OpenAIApi(new Configuration({
+      apiKey: process.env.OPENAI_API_KEY
+    }));
+  }
+  
+  const response = await openaiClient.createChatCompletion({
+    model: request.model,
+    messages: request.messages,
+    temperature: request.temperature,
+    max_tokens: request.maxTokens,
+    stream: Boolean(request.onToken)
+  }, request.onToken ? { responseType: 'stream' } : undefined);
+  
+  if (request.onToken) {
+    return await readCompletionStream(response.data, request.onToken);
+  }
+  
+  return response.data.choices[0].message.content;
+}
+
+/**
+ * Complete a chat with an OpenAI-compatible HTTP server (llama.cpp, vLLM, ...)
+ * @param {Object} request Chat request
+ * @returns {Promise<string>} Reply text
+ */
+async function completeWithCompatibleServer(request) {
+  const response = await axios.post(`${LLM_BASE_URL}/chat/completions`, {
+    model: request.model,
+    messages: request.messages,
+    temperature: request.temperature,
+    max_tokens: request.maxTokens,
+    stream: Boolean(request.onToken)
+  }, {
+    headers: LLM_API_KEY ? { Authorization: `Bearer ${LLM_API_KEY}` } : {},
+    timeout: LLM_REQUEST_TIMEOUT_MS,
+    responseType: request.onToken ? 'stream' : 'json'
+  });
+  
+  if (request.onToken) {
+    return await readCompletionStream(response.data, request.onToken);
+  }
+  
+  const content = response.data?.choices?.[0]?.message?.content;
+  
+  if (typeof content !== 'string') {
+    logger.error({ baseUrl: LLM_BASE_URL, data: response.data }, 'Unexpected chat completion response');
+    throw new Error('Chat completion response has no message content');
+  }
+  
+  return content;
+}
+
+registerLLMProvider('openai', completeWithOpenAI);
+registerLLMProvider('openai-compatible', completeWithCompatibleServer);
+registerLLMProvider('stub', completeWithStub);
+
+module.exports = {
+  registerLLMProvider,
+  getLLMProvider,
+  getLLMProviderName
+};
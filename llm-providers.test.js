@@ -0,0 +1,121 @@
+// llm-providers.test.js
+// Tests for the chat completion providers, with the HTTP clients mocked
+
+const { PassThrough } = require('stream');
+
+const mockCreateChatCompletion = jest.fn();
+
+jest.mock('axios', () => ({ post: jest.fn() }));
+
+jest.mock('openai', () => ({
+  Configuration: jest.fn(),
+  OpenAIApi: jest.fn(() => ({ createChatCompletion: mockCreateChatCompletion }))
+}));
+
+process.env.LLM_BASE_URL = 'http://llm.test/v1/';
+process.env.LLM_API_KEY = 'test-llm-key';
+process.env.LLM_REQUEST_TIMEOUT_MS = '5000';
+
+const axios = require('axios');
+const { getLLMProvider, registerLLMProvider } = require('./llm-providers');
+
+const REQUEST = {
+  model: 'local-model',
+  messages: [{ role: 'user', content: 'Best Mortis tips?' }],
+  temperature: 0.3,
+  maxTokens: 200,
+  task: 'response',
+  context: {}
+};
+
+/**
+ * Build a server-sent event stream of chat completion chunks
+ * @param {string[]} tokens Reply pieces
+ * @returns {PassThrough} Stream
+ */
+function completionStream(tokens) {
+  const stream = new PassThrough();
+  stream.end(tokens.map(token => `data: ${JSON.stringify({ choices: [{ delta: { content: token } }] })}\n\n`).join('') + 'data: [DONE]\n\n');
+  return stream;
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('openai-compatible provider', () => {
+  const complete = getLLMProvider('openai-compatible');
+  
+  test('posts the chat request to the server and returns the message content', async () => {
+    axios.post.mockResolvedValue({ data: { choices: [{ message: { content: 'Use the walls.' } }] } });
+    
+    await expect(complete(REQUEST)).resolves.toBe('Use the walls.');
+    expect(axios.post).toHaveBeenCalledWith('http://llm.test/v1/chat/completions', {
+      model: 'local-model',
+      messages: REQUEST.messages,
+      temperature: 0.3,
+      max_tokens: 200,
+      stream: false
+    }, {
+      headers: { Authorization: 'Bearer test-llm-key' },
+      timeout: 5000,
+      responseType: 'json'
+    });
+  });
+  
+  test('throws when the response has no message content', async () => {
+    axios.post.mockResolvedValue({ data: { error: 'model not loaded' } });
+    
+    await expect(complete(REQUEST)).rejects.toThrow('Chat completion response has no message content');
+  });
+  
+  test('streams the reply to onToken', async () => {
+    const tokens = [];
+    axios.post.mockResolvedValue({ data: completionStream(['Use', ' the', ' walls.']) });
+    
+    await expect(complete({ ...REQUEST, onToken: token => tokens.push(token) })).resolves.toBe('Use the walls.');
+    expect(tokens).toEqual(['Use', ' the', ' walls.']);
+    expect(axios.post.mock.calls[0][1].stream).toBe(true);
+    expect(axios.post.mock.calls[0][2].responseType).toBe('stream');
+  });
+});
+
+describe('openai provider', () => {
+  const complete = getLLMProvider('openai');
+  
+  test('maps the request to a chat completion and returns the message content', async () => {
+    mockCreateChatCompletion.mockResolvedValue({ data: { choices: [{ message: { content: 'Use the walls.' } }] } });
+    
+    await expect(complete(REQUEST)).resolves.toBe('Use the walls.');
+    expect(mockCreateChatCompletion).toHaveBeenCalledWith({
+      model: 'local-model',
+      messages: REQUEST.messages,
+      temperature: 0.3,
+      max_tokens: 200,
+      stream: false
+    }, undefined);
+  });
+  
+  test('streams the reply to onToken', async () => {
+    const tokens = [];
+    mockCreateChatCompletion.mockResolvedValue({ data: completionStream(['Use', ' the walls.']) });
+    
+    await expect(complete({ ...REQUEST, onToken: token => tokens.push(token) })).resolves.toBe('Use the walls.');
+    expect(tokens).toEqual(['Use', ' the walls.']);
+    expect(mockCreateChatCompletion.mock.calls[0][1]).toEqual({ responseType: 'stream' });
+  });
+});
+
+describe('provider registry', () => {
+  test('registers the built-in providers', () => {
+    expect(getLLMProvider('stub')).toBe(require('./stub-llm-provider').completeWithStub);
+  });
+  
+  test('returns registered providers and rejects unknown names', () => {
+    const custom = jest.fn();
+    registerLLMProvider('custom', custom);
+    
+    expect(getLLMProvider('custom')).toBe(custom);
+    expect(() => getLLMProvider('missing')).toThrow('Unknown LLM provider "missing"');
+  });
+});
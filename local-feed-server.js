@@ -0,0 +1,121 @@
+// local-feed-server.js
+// Local stand-in for YouTube's uploads feeds, used by tests. Serves feeds from
+// memory at /feeds/videos.xml?channel_id=... and answers conditional GETs with
+// ETag and Last-Modified like the real feeds.
+
+const http = require('http');
+const crypto = require('crypto');
+
+/**
+ * Escape text for an XML element
+ * @param {string} text Text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Build an uploads feed in the format YouTube serves
+ * @param {string} channelId YouTube channel ID
+ * @param {Object[]} entries Uploads as { videoId, title, publishedAt }, newest first
+ * @param {string} title Channel name
+ * @returns {string} Atom feed
+ */
+function buildUploadsFeed(channelId, entries, title = 'Test Channel') {
+  const entryXml = entries.map(entry => `
+ <entry>
+  <id>yt:video:${entry.videoId}</id>
+  <yt:videoId>${entry.videoId}</yt:videoId>
+  <yt:channelId>${channelId}</yt:channelId>
+  <title>${escapeXml(entry.title || entry.videoId)}</title>
+  <link rel="alternate" href="https://www.youtube.com/watch?v=${entry.videoId}"/>
+  <author>
+   <name>${escapeXml(title)}</name>
+   <uri>https://www.youtube.com/channel/${channelId}</uri>
+  </author>
+  <published>${entry.publishedAt.replace('Z', '+00:00')}</published>
+  <updated>${(entry.updatedAt || entry.publishedAt).replace('Z', '+00:00')}</updated>
+ </entry>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns:yt="http://www.youtube.com/xml/schemas/2015" xmlns:media="http://search.yahoo.com/mrss/" xmlns="http://www.w3.org/2005/Atom">
+ <link rel="self" href="http://www.youtube.com/feeds/videos.xml?channel_id=${channelId}"/>
+ <id>yt:channel:${channelId}</id>
+ <yt:channelId>${channelId}</yt:channelId>
+ <title>${escapeXml(title)}</title>
+ <published>2017-01-01T00:00:00+00:00</published>${entryXml}
+</feed>
+`;
+}
+
+/**
+ * Start a feed server on a free local port
+ * @returns {Promise<Object>} Server as { feedUrl, requests, setFeed(channelId, entries, title),
+ * removeFeed(channelId), close() } where requests lists { channelId, status } per request
+ */
+async function startFeedServer() {
+  const feeds = new Map();
+  const requests = [];
+  
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const channelId = url.searchParams.get('channel_id');
+    const feed = url.pathname === '/feeds/videos.xml' ? feeds.get(channelId) : undefined;
+    
+    let status = 200;
+    if (!feed) {
+      status = 404;
+    } else if (req.headers['if-none-match']) {
+      // If-None-Match takes precedence over If-Modified-Since
+      status = req.headers['if-none-match'] === feed.etag ? 304 : 200;
+    } else if (req.headers['if-modified-since']) {
+      status = Date.parse(req.headers['if-modified-since']) >= Date.parse(feed.lastModified) ? 304 : 200;
+    }
+    
+    requests.push({ channelId, status });
+    
+    if (status === 404) {
+      res.writeHead(404, { 'Content-Type': 'text/html' });
+      res.end('<html><body>Not Found</body></html>');
+      return;
+    }
+    
+    res.writeHead(status, {
+      'Content-Type': 'text/xml; charset=UTF-8',
+      ETag: feed.etag,
+      'Last-Modified': feed.lastModified
+    });
+    res.end(status === 304 ? undefined : feed.xml);
+  });
+  
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  
+  return {
+    feedUrl: `http://127.0.0.1:${server.address().port}/feeds/videos.xml`,
+    requests,
+    setFeed(channelId, entries, title) {
+      const xml = buildUploadsFeed(channelId, entries, title);
+      feeds.set(channelId, {
+        xml,
+        etag: `"${crypto.createHash('sha1').update(xml).digest('hex').slice(0, 16)}"`,
+        lastModified: new Date().toUTCString()
+      });
+    },
+    removeFeed(channelId) {
+      feeds.delete(channelId);
+    },
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = {
+  buildUploadsFeed,
+  startFeedServer
+};
@@ -0,0 +1,159 @@
+// passage-retriever.js
+// Finds transcript and description passages that answer a question, for cited answers
+
+const pino = require('pino');
+const dbService = require('./database-service-improved');
+const { normalizeText } = require('./content-classifier');
+require('dotenv').config();
+
+// Transcript segments are grouped into passages of about this length
+const PASSAGE_WINDOW_SECONDS = 45;
+
+// How many videos to read passages from, and how many passages to keep
+const SOURCE_VIDEO_LIMIT = 6;
+const PASSAGE_LIMIT = 6;
+const PASSAGES_PER_VIDEO = 2;
+
+// Longest passage text passed to the model
+const MAX_PASSAGE_LENGTH = 600;
+
+// Words that don't help tell passages apart
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'at', 'be', 'best', 'can', 'do', 'does', 'for', 'how', 'i', 'in',
+  'is', 'it', 'me', 'my', 'of', 'on', 'or', 'run', 'should', 'the', 'to', 'use', 'what',
+  'when', 'which', 'who', 'why', 'with', 'you'
+]);
+
+// Setup logger
+const logger = pino({
+  level: process.env.LOG_LEVEL || 'info',
+  transport: process.env.NODE_ENV === 'development' ? {
+    target: 'pino-pretty',
+    options: {
+      colorize: true
+    }
+  } : undefined
+});
+
+/**
+ * Split text into search terms
+ * @param {string} text Question or passage text
+ * @returns {string[]} Terms, without stopwords
+ */
+function toTerms(text) {
+  return normalizeText(text).split(' ').filter(term => term && !STOPWORDS.has(term));
+}
+
+/**
+ * Split a video into passages: windows of transcript segments, and description paragraphs
+ * @param {Object} video Video document (youtubeId, title, creator, description, transcriptSegments)
+ * @returns {Object[]} Passages as { youtubeId, title, creator, source, start, text }
+ */
+function buildPassages(video) {
+  const base = {
+    youtubeId: video.youtubeId,
+    title: video.title,
+    creator: video.creator?.name || null
+  };
+  const passages = [];
+  let window = null;
+  
+  for (const segment of video.transcriptSegments || []) {
+    if (window && segment.start - window.start >= PASSAGE_WINDOW_SECONDS) {
+      passages.push(window);
+      window = null;
+    }
+    if (!window) {
+      window = { ...base, source: 'transcript', start: Math.floor(segment.start), text: '' };
+    }
+    window.text = `${window.text} ${segment.text}`.trim();
+  }
+  if (window) {
+    passages.push(window);
+  }
+  
+  for (const paragraph of String(video.description || '').split(/\n\s*\n/)) {
+    if (paragraph.trim()) {
+      passages.push({ ...base, source: 'description', start: null, text: paragraph.trim() });
+    }
+  }
+  
+  return passages.map(passage => ({ ...passage, text: passage.text.slice(0, MAX_PASSAGE_LENGTH) }));
+}
+
+/**
+ * Score a passage by how many of the question's terms it contains; repeated
+ * terms add a little, so one term said ten times doesn't beat three different ones
+ * @param {Object} passage Passage
+ * @param {string[]} terms Question terms
+ * @returns {number} Score (0 if no terms match)
+ */
+function scorePassage(passage, terms) {
+  const passageTerms = toTerms(passage.text);
+  let score = 0;
+  
+  for (const term of new Set(terms)) {
+    const count = passageTerms.filter(passageTerm => passageTerm === term).length;
+    if (count > 0) {
+      score += 1 + Math.min(count - 1, 3) * 0.1;
+    }
+  }
+  
+  return score;
+}
+
+/**
+ * Pick the passages that best match a question
+ * @param {Object[]} videos Video documents
+ * @param {string} question User's question
+ * @param {Object} options Options
+ * @param {number} options.limit Maximum passages
+ * @param {number} options.perVideo Maximum passages from one video
+ * @returns {Object[]} Passages, best first, numbered from 1 as `id`
+ */
+function selectPassages(videos, question, options = {}) {
+  const { limit = PASSAGE_LIMIT, perVideo = PASSAGES_PER_VIDEO } = options;
+  const terms = toTerms(question);
+  const perVideoCount = new Map();
+  
+  return videos
+    .flatMap(buildPassages)
+    .map(passage => ({ ...passage, score: scorePassage(passage, terms) }))
+    .filter(passage => passage.score > 0)
+    // Ties go to transcript passages, which can be linked to a moment
+    .sort((a, b) => b.score - a.score || (a.source === b.source ? 0 : a.source === 'transcript' ? -1 : 1))
+    .filter(passage => {
+      const count = perVideoCount.get(passage.youtubeId) || 0;
+      perVideoCount.set(passage.youtubeId, count + 1);
+      return count < perVideo;
+    })
+    .slice(0, limit)
+    .map((passage, index) => ({ id: index + 1, ...passage }));
+}
+
+/**
+ * Retrieve passages that answer a question, using the video text index. The
+ * brawler and game mode filters are dropped if nothing matches with them.
+ * @param {string} question User's question
+ * @param {Object} searchParams Search parameters (brawlers, gameModes)
+ * @returns {Promise<Object[]>} Passages, best first
+ */
+async function retrievePassages(question, searchParams = {}) {
+  const filters = { brawlers: searchParams.brawlers || [], gameModes: searchParams.gameModes || [] };
+  let videos = await dbService.findPassageSources(question, { ...filters, limit: SOURCE_VIDEO_LIMIT });
+  
+  if (videos.length === 0 && (filters.brawlers.length > 0 || filters.gameModes.length > 0)) {
+    videos = await dbService.findPassageSources(question, { limit: SOURCE_VIDEO_LIMIT });
+  }
+  
+  const passages = selectPassages(videos, question);
+  logger.debug({ question, videos: videos.length, passages: passages.length }, 'Retrieved passages');
+  
+  return passages;
+}
+
+module.exports = {
+  buildPassages,
+  selectPassages,
+  retrievePassages
+};
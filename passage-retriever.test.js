@@ -0,0 +1,59 @@
+// passage-retriever.test.js
+// Offline tests for cutting videos into passages and ranking them against a question
+
+const { buildPassages, selectPassages } = require('./passage-retriever');
+
+const segments = (...pairs) => pairs.map(([start, text]) => ({ start, end: start + 5, text }));
+
+describe('buildPassages', () => {
+  test('groups transcript segments into windows and splits description paragraphs', () => {
+    const passages = buildPassages({
+      youtubeId: 'v1',
+      title: 'Guide',
+      creator: { name: 'Coach' },
+      description: 'First paragraph\n\nSecond paragraph',
+      transcriptSegments: segments([0, 'one'], [20, 'two'], [50, 'three'], [130, 'four'])
+    });
+    
+    expect(passages.map(passage => [passage.source, passage.start, passage.text])).toEqual([
+      ['transcript', 0, 'one two'],
+      ['transcript', 50, 'three'],
+      ['transcript', 130, 'four'],
+      ['description', null, 'First paragraph'],
+      ['description', null, 'Second paragraph']
+    ]);
+    expect(passages[0]).toMatchObject({ youtubeId: 'v1', title: 'Guide', creator: 'Coach' });
+  });
+});
+
+describe('selectPassages', () => {
+  const videos = [
+    {
+      youtubeId: 'a',
+      title: 'Spike tips',
+      transcriptSegments: segments([0, 'spike is great in heist'], [60, 'take fertilize on spike in heist'], [120, 'spike spike spike'])
+    },
+    {
+      youtubeId: 'b',
+      title: 'Colt guide',
+      description: 'Fertilize is a Spike star power',
+      transcriptSegments: segments([0, 'colt is fun'])
+    }
+  ];
+  
+  test('ranks passages by distinct question terms and numbers them', () => {
+    const passages = selectPassages(videos, 'What star power should I run on Spike in Heist?');
+    
+    expect(passages.map(passage => [passage.id, passage.youtubeId, passage.start])).toEqual([
+      [1, 'b', null],
+      [2, 'a', 0],
+      [3, 'a', 60]
+    ]);
+  });
+  
+  test('caps passages per video and drops passages without matches', () => {
+    const passages = selectPassages(videos, 'spike heist', { perVideo: 1 });
+    
+    expect(passages.map(passage => passage.youtubeId)).toEqual(['a', 'b']);
+  });
+});
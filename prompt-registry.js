@@ -0,0 +1,258 @@
+// prompt-registry.js
+// Named, versioned prompt templates with their variables and model settings
+
+const pino = require('pino');
+const dbService = require('./database-service-improved');
+require('dotenv').config();
+
+// Versions to activate at startup, as "name=version" pairs ("response=2,answer=1").
+// Templates not listed use the first version registered. Versions admins switch
+// to are stored in the database and take precedence once loaded.
+const PROMPT_VERSIONS = Object.fromEntries((process.env.PROMPT_VERSIONS || '')
+  .split(',')
+  .map(pair => pair.split('=').map(part => part.trim()))
+  .filter(([name, version]) => name && version)
+  .map(([name, version]) => [name, parseInt(version)]));
+
+// How often running instances reload the versions switched to through the admin
+// API, so a switch on one instance reaches the others
+const PROMPT_VERSIONS_RELOAD_MS = parseInt(process.env.PROMPT_VERSIONS_RELOAD_MS || '60000');
+
+// Placeholders in templates look like {{variableName}}
+const VARIABLE_PATTERN = /\{\{(\w+)\}\}/g;
+
+// Setup logger
+const logger = pino({
+  level: process.env.LOG_LEVEL || 'info',
+  transport: process.env.NODE_ENV === 'development' ? {
+    target: 'pino-pretty',
+    options: {
+      colorize: true
+    }
+  } : undefined
+});
+
+// Templates by name, as { versions: Map(version => definition), active }
+const templates = new Map();
+
+// Interval timer of the periodic reload
+let reloadTimer = null;
+
+/**
+ * Create a prompt registry error
+ * @param {string} message Error message
+ * @param {number} statusCode HTTP status code
+ * @returns {Error} Error with the status code
+ */
+function createPromptError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * List the placeholders in a template
+ * @param {string} template Template text
+ * @returns {string[]} Variable names, once each
+ */
+function findVariables(template) {
+  return [...new Set([...template.matchAll(VARIABLE_PATTERN)].map(match => match[1]))];
+}
+
+/**
+ * Register a version of a prompt template. The declared variables must match
+ * the template's placeholders. The first version registered is active unless
+ * PROMPT_VERSIONS pins another one; later versions wait to be switched to.
+ * @param {string} name Template name
+ * @param {Object} definition Template version
+ * @param {number} definition.version Version number
+ * @param {string} definition.description What changed in this version
+ * @param {string} definition.template Template text with {{variable}} placeholders
+ * @param {string[]} definition.variables Variables the template needs
+ * @param {Object} definition.settings Model settings (temperature, maxTokens)
+ */
+function registerPromptTemplate(name, definition) {
+  const { version, description = '', template, variables = [], settings = {} } = definition;
+  
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Prompt "${name}" needs a positive integer version`);
+  }
+  
+  const placeholders = findVariables(template);
+  const undeclared = placeholders.filter(variable => !variables.includes(variable));
+  const unused = variables.filter(variable => !placeholders.includes(variable));
+  if (undeclared.length > 0 || unused.length > 0) {
+    throw new Error(`Prompt "${name}" v${version} variables don't match its placeholders (undeclared: ${undeclared.join(', ') || 'none'}, unused: ${unused.join(', ') || 'none'})`);
+  }
+  
+  if (!templates.has(name)) {
+    templates.set(name, { versions: new Map(), active: null });
+  }
+  
+  const entry = templates.get(name);
+  entry.versions.set(version, { name, version, description, template, variables, settings });
+  
+  const pinned = PROMPT_VERSIONS[name];
+  if (pinned ? pinned === version : !entry.active) {
+    entry.active = version;
+  }
+}
+
+/**
+ * Get a template, throwing a 404 error if it doesn't exist
+ * @param {string} name Template name
+ * @returns {Object} Registry entry
+ */
+function getEntry(name) {
+  const entry = templates.get(name);
+  
+  if (!entry) {
+    throw createPromptError(`Unknown prompt "${name}"`, 404);
+  }
+  
+  return entry;
+}
+
+/**
+ * Get the active version of a template
+ * @param {string} name Template name
+ * @returns {Object} Template version (name, version, description, template, variables, settings)
+ */
+function getActivePrompt(name) {
+  const entry = getEntry(name);
+  
+  // A pinned version that was never registered falls back to the first one
+  return entry.versions.get(entry.active) || entry.versions.values().next().value;
+}
+
+/**
+ * Get the ID of a template version, as recorded in metrics
+ * @param {Object} prompt Template version
+ * @returns {string} ID such as "response@v2"
+ */
+function getPromptId(prompt) {
+  return `${prompt.name}@v${prompt.version}`;
+}
+
+/**
+ * Render the active version of a template
+ * @param {string} name Template name
+ * @param {Object} variables Values for the template's variables
+ * @returns {Object} { text, id, version, settings }
+ */
+function renderPrompt(name, variables = {}) {
+  const prompt = getActivePrompt(name);
+  const missing = prompt.variables.filter(variable => variables[variable] === undefined || variables[variable] === null);
+  
+  if (missing.length > 0) {
+    throw new Error(`Prompt "${getPromptId(prompt)}" is missing variables: ${missing.join(', ')}`);
+  }
+  
+  return {
+    text: prompt.template.replace(VARIABLE_PATTERN, (placeholder, variable) => String(variables[variable])),
+    id: getPromptId(prompt),
+    version: prompt.version,
+    settings: prompt.settings
+  };
+}
+
+/**
+ * Load the versions admins switched to from the database. Stored versions that
+ * are no longer registered are ignored. If the database is unavailable the
+ * current versions stay active.
+ * @returns {Promise<Object>} Active version by template name
+ */
+async function loadPromptVersions() {
+  try {
+    const stored = await dbService.getActivePromptVersions();
+    
+    for (const [name, version] of Object.entries(stored)) {
+      const entry = templates.get(name);
+      
+      if (entry && entry.versions.has(version)) {
+        entry.active = version;
+      } else {
+        logger.warn({ name, version }, 'Ignoring stored version of an unregistered prompt');
+      }
+    }
+  } catch (error) {
+    logger.error({ err: error }, 'Failed to load active prompt versions, keeping the current ones');
+  }
+  
+  return Object.fromEntries(listPromptTemplates().map(prompt => [prompt.name, prompt.active]));
+}
+
+/**
+ * Reload the stored versions every PROMPT_VERSIONS_RELOAD_MS (see loadPromptVersions)
+ */
+function startPromptVersionReload() {
+  if (reloadTimer) {
+    return;
+  }
+  
+  reloadTimer = setInterval(loadPromptVersions, PROMPT_VERSIONS_RELOAD_MS);
+  reloadTimer.unref();
+}
+
+/**
+ * Stop reloading the stored versions
+ */
+function stopPromptVersionReload() {
+  if (reloadTimer) {
+    clearInterval(reloadTimer);
+    reloadTimer = null;
+  }
+}
+
+/**
+ * Switch the active version of a template and store it, so it survives restarts.
+ * Other instances pick it up on their next periodic reload (see
+ * startPromptVersionReload), within PROMPT_VERSIONS_RELOAD_MS.
+ * @param {string} name Template name
+ * @param {number} version Version to activate
+ * @returns {Promise<Object>} Activated template version
+ */
+async function setActivePromptVersion(name, version) {
+  const entry = getEntry(name);
+  const number = Number(version);
+  
+  if (!entry.versions.has(number)) {
+    throw createPromptError(`Prompt "${name}" has no version ${version} (available: ${[...entry.versions.keys()].join(', ')})`, 404);
+  }
+  
+  const previous = entry.active;
+  await dbService.saveActivePromptVersion(name, number);
+  entry.active = number;
+  logger.info({ name, previous, version: number }, 'Switched active prompt version');
+  
+  // Pick up switches other instances stored since this one last loaded
+  await loadPromptVersions();
+  
+  return entry.versions.get(entry.active);
+}
+
+/**
+ * List the registered templates
+ * @returns {Object[]} Templates as { name, active, versions: [{ version, description, variables, settings }] }
+ */
+function listPromptTemplates() {
+  return [...templates.keys()].map(name => ({
+    name,
+    active: getActivePrompt(name).version,
+    versions: [...templates.get(name).versions.values()]
+      .sort((a, b) => a.version - b.version)
+      .map(({ version, description, variables, settings }) => ({ version, description, variables, settings }))
+  }));
+}
+
+module.exports = {
+  registerPromptTemplate,
+  getActivePrompt,
+  getPromptId,
+  renderPrompt,
+  loadPromptVersions,
+  startPromptVersionReload,
+  stopPromptVersionReload,
+  setActivePromptVersion,
+  listPromptTemplates
+};
@@ -0,0 +1,157 @@
+// prompt-registry.test.js
+// Tests for registering, rendering and switching prompt template versions,
+// with active versions stored in an in-memory stand-in for the database
+
+const mockStoredVersions = {};
+
+jest.mock('./database-service-improved', () => ({
+  getActivePromptVersions: jest.fn(async () => ({ ...mockStoredVersions })),
+  saveActivePromptVersion: jest.fn(async (name, version) => {
+    mockStoredVersions[name] = version;
+  })
+}));
+
+const dbService = require('./database-service-improved');
+const {
+  registerPromptTemplate,
+  getActivePrompt,
+  renderPrompt,
+  loadPromptVersions,
+  startPromptVersionReload,
+  stopPromptVersionReload,
+  setActivePromptVersion,
+  listPromptTemplates
+} = require('./prompt-registry');
+
+registerPromptTemplate('greeting', {
+  version: 1,
+  description: 'Plain greeting',
+  variables: ['name'],
+  settings: { temperature: 0.2, maxTokens: 50 },
+  template: 'Hello {{name}}!'
+});
+registerPromptTemplate('greeting', {
+  version: 2,
+  description: 'Greeting with the mode',
+  variables: ['name', 'gameMode'],
+  settings: { temperature: 0.8, maxTokens: 80 },
+  template: 'Hi {{name}}, ready for {{gameMode}}? Good luck, {{name}}.'
+});
+
+afterEach(async () => {
+  await setActivePromptVersion('greeting', 1);
+  jest.clearAllMocks();
+});
+
+describe('registerPromptTemplate', () => {
+  test('keeps the first version active until another is switched to', () => {
+    expect(getActivePrompt('greeting').version).toBe(1);
+  });
+  
+  test('rejects variables that do not match the placeholders', () => {
+    expect(() => registerPromptTemplate('broken', {
+      version: 1,
+      variables: ['name'],
+      template: 'Hello {{player}}'
+    })).toThrow('undeclared: player, unused: name');
+  });
+});
+
+describe('renderPrompt', () => {
+  test('fills every placeholder and returns the version and settings', async () => {
+    await setActivePromptVersion('greeting', 2);
+    
+    expect(renderPrompt('greeting', { name: 'Sam', gameMode: 'Heist' })).toEqual({
+      text: 'Hi Sam, ready for Heist? Good luck, Sam.',
+      id: 'greeting@v2',
+      version: 2,
+      settings: { temperature: 0.8, maxTokens: 80 }
+    });
+  });
+  
+  test('throws when a variable is missing', async () => {
+    await setActivePromptVersion('greeting', 2);
+    
+    expect(() => renderPrompt('greeting', { name: 'Sam' })).toThrow('missing variables: gameMode');
+  });
+});
+
+describe('setActivePromptVersion', () => {
+  test('throws 404 errors for unknown prompts and versions without storing anything', async () => {
+    await expect(setActivePromptVersion('nothing', 1)).rejects.toMatchObject({ statusCode: 404 });
+    await expect(setActivePromptVersion('greeting', 7)).rejects.toMatchObject({ statusCode: 404 });
+    expect(dbService.saveActivePromptVersion).not.toHaveBeenCalled();
+  });
+  
+  test('stores the version it switches to', async () => {
+    await setActivePromptVersion('greeting', 2);
+    
+    expect(dbService.saveActivePromptVersion).toHaveBeenCalledWith('greeting', 2);
+    expect(mockStoredVersions.greeting).toBe(2);
+  });
+});
+
+describe('loadPromptVersions', () => {
+  test('restores stored versions, as after a restart', async () => {
+    await setActivePromptVersion('greeting', 2);
+    // Another instance switched back since
+    mockStoredVersions.greeting = 1;
+    
+    expect(await loadPromptVersions()).toMatchObject({ greeting: 1 });
+    expect(getActivePrompt('greeting').version).toBe(1);
+    
+    mockStoredVersions.greeting = 2;
+    await loadPromptVersions();
+    expect(getActivePrompt('greeting').version).toBe(2);
+  });
+  
+  test('ignores stored versions that are no longer registered', async () => {
+    mockStoredVersions.greeting = 9;
+    mockStoredVersions.removed = 1;
+    
+    await loadPromptVersions();
+    
+    expect(getActivePrompt('greeting').version).toBe(1);
+    delete mockStoredVersions.removed;
+  });
+  
+  test('picks up switches made on other instances on the periodic reload', async () => {
+    jest.useFakeTimers();
+    startPromptVersionReload();
+    
+    try {
+      // Another instance switched since this one loaded
+      mockStoredVersions.greeting = 2;
+      expect(getActivePrompt('greeting').version).toBe(1);
+      
+      await jest.advanceTimersByTimeAsync(60000);
+      
+      expect(getActivePrompt('greeting').version).toBe(2);
+    } finally {
+      stopPromptVersionReload();
+      jest.useRealTimers();
+    }
+  });
+  
+  test('keeps the current versions when the database is unavailable', async () => {
+    await setActivePromptVersion('greeting', 2);
+    dbService.getActivePromptVersions.mockRejectedValueOnce(new Error('database down'));
+    
+    await loadPromptVersions();
+    
+    expect(getActivePrompt('greeting').version).toBe(2);
+  });
+});
+
+describe('listPromptTemplates', () => {
+  test('lists versions without their text', () => {
+    expect(listPromptTemplates().find(prompt => prompt.name === 'greeting')).toEqual({
+      name: 'greeting',
+      active: 1,
+      versions: [
+        { version: 1, description: 'Plain greeting', variables: ['name'], settings: { temperature: 0.2, maxTokens: 50 } },
+        { version: 2, description: 'Greeting with the mode', variables: ['name', 'gameMode'], settings: { temperature: 0.8, maxTokens: 80 } }
+      ]
+    });
+  });
+});
@@ -0,0 +1,236 @@
+// search-evaluation.js
+// Metrics for the offline search evaluation: extraction precision and recall,
+// ranking quality (nDCG, MRR) and differences from a saved baseline
+
+// Search parameter fields compared with the golden set
+const EXTRACTION_FIELDS = ['brawlers', 'gameModes', 'contentType'];
+
+// Results considered by the ranking metrics
+const DEFAULT_RANK_CUTOFF = 10;
+
+// Metric changes smaller than this are treated as noise when diffing
+const DEFAULT_TOLERANCE = 0.005;
+
+/**
+ * Count matches between expected and extracted values (case-insensitive)
+ * @param {string[]} expected Values the golden set expects
+ * @param {string[]} actual Values extracted
+ * @returns {Object} Counts as { tp, fp, fn }
+ */
+function countMatches(expected = [], actual = []) {
+  const wanted = new Set(expected.map(value => value.toLowerCase()));
+  const found = new Set(actual.map(value => value.toLowerCase()));
+  const tp = [...found].filter(value => wanted.has(value)).length;
+  
+  return { tp, fp: found.size - tp, fn: wanted.size - tp };
+}
+
+/**
+ * Turn match counts into precision and recall. With nothing extracted and
+ * nothing expected, both are perfect.
+ * @param {Object} counts Counts as { tp, fp, fn }
+ * @returns {Object} { precision, recall }
+ */
+function precisionRecall({ tp, fp, fn }) {
+  return {
+    precision: tp + fp === 0 ? 1 : tp / (tp + fp),
+    recall: tp + fn === 0 ? 1 : tp / (tp + fn)
+  };
+}
+
+/**
+ * Normalized discounted cumulative gain with binary relevance
+ * @param {string[]} rankedIds Video IDs in ranked order
+ * @param {string[]} relevantIds Video IDs the golden set marks relevant
+ * @param {number} k Rank cutoff
+ * @returns {number} nDCG@k between 0 and 1
+ */
+function ndcgAtK(rankedIds, relevantIds, k = DEFAULT_RANK_CUTOFF) {
+  const relevant = new Set(relevantIds);
+  const gain = (sum, rank) => sum + 1 / Math.log2(rank + 2);
+  
+  const dcg = rankedIds.slice(0, k)
+    .map((id, rank) => (relevant.has(id) ? rank : null))
+    .filter(rank => rank !== null)
+    .reduce(gain, 0);
+  const idcg = [...Array(Math.min(relevant.size, k)).keys()].reduce(gain, 0);
+  
+  return idcg === 0 ? 0 : dcg / idcg;
+}
+
+/**
+ * Reciprocal rank of the first relevant result
+ * @param {string[]} rankedIds Video IDs in ranked order
+ * @param {string[]} relevantIds Video IDs the golden set marks relevant
+ * @param {number} k Rank cutoff
+ * @returns {number} 1 / rank, or 0 if no relevant video is in the top k
+ */
+function reciprocalRank(rankedIds, relevantIds, k = DEFAULT_RANK_CUTOFF) {
+  const index = rankedIds.slice(0, k).findIndex(id => relevantIds.includes(id));
+  
+  return index === -1 ? 0 : 1 / (index + 1);
+}
+
+/**
+ * Score one golden set entry
+ * @param {Object} entry Golden set entry ({ id, query, expected, relevant })
+ * @param {Object} outcome What the system did ({ searchParams, rankedIds })
+ * @param {number} k Rank cutoff
+ * @returns {Object} Entry result with extraction counts and ranking metrics
+ */
+function evaluateEntry(entry, outcome, k = DEFAULT_RANK_CUTOFF) {
+  const extraction = Object.fromEntries(EXTRACTION_FIELDS.map(field => [
+    field,
+    countMatches(entry.expected[field], outcome.searchParams[field])
+  ]));
+  const ranked = Array.isArray(entry.relevant) && entry.relevant.length > 0;
+  
+  return {
+    id: entry.id,
+    query: entry.query,
+    extraction,
+    ndcg: ranked ? ndcgAtK(outcome.rankedIds, entry.relevant, k) : null,
+    mrr: ranked ? reciprocalRank(outcome.rankedIds, entry.relevant, k) : null,
+    extracted: Object.fromEntries(EXTRACTION_FIELDS.map(field => [field, outcome.searchParams[field] || []])),
+    rankedIds: outcome.rankedIds.slice(0, k)
+  };
+}
+
+/**
+ * Average the entry results. Extraction is micro-averaged (counts are summed
+ * before dividing); ranking metrics are averaged over entries with relevant videos.
+ * @param {Object[]} results Entry results from evaluateEntry
+ * @returns {Object} Metrics as { extraction: { field: { precision, recall } }, ranking: { ndcg, mrr } }
+ */
+function summarizeResults(results) {
+  const sumCounts = counts => counts.reduce(
+    (total, count) => ({ tp: total.tp + count.tp, fp: total.fp + count.fp, fn: total.fn + count.fn }),
+    { tp: 0, fp: 0, fn: 0 }
+  );
+  const average = values => (values.length === 0 ? 0 : values.reduce((sum, value) => sum + value, 0) / values.length);
+  const ranked = results.filter(result => result.ndcg !== null);
+  
+  const extraction = Object.fromEntries(EXTRACTION_FIELDS.map(field => [
+    field,
+    precisionRecall(sumCounts(results.map(result => result.extraction[field])))
+  ]));
+  extraction.overall = precisionRecall(sumCounts(results.flatMap(result => EXTRACTION_FIELDS.map(field => result.extraction[field]))));
+  
+  return {
+    extraction,
+    ranking: {
+      ndcg: average(ranked.map(result => result.ndcg)),
+      mrr: average(ranked.map(result => result.mrr))
+    }
+  };
+}
+
+/**
+ * Flatten metrics into named values ("extraction.brawlers.recall", "ranking.ndcg")
+ * @param {Object} metrics Metrics from summarizeResults
+ * @returns {Object} Values by metric name
+ */
+function flattenMetrics(metrics) {
+  return Object.fromEntries([
+    ...Object.entries(metrics.extraction).flatMap(([field, values]) => [
+      [`extraction.${field}.precision`, values.precision],
+      [`extraction.${field}.recall`, values.recall]
+    ]),
+    ...Object.entries(metrics.ranking).map(([name, value]) => [`ranking.${name}`, value])
+  ]);
+}
+
+/**
+ * Compare a report with a saved baseline. Every metric is higher-is-better,
+ * so a drop beyond the tolerance is a regression.
+ * @param {Object} report Current report ({ goldenSetVersion, metrics, entries })
+ * @param {Object} baseline Saved report
+ * @param {number} tolerance Smallest change that counts
+ * @returns {Object} { comparable, metrics: [{ name, baseline, current, delta }], regressions, entries }
+ * where entries lists queries whose nDCG or MRR moved
+ */
+function compareToBaseline(report, baseline, tolerance = DEFAULT_TOLERANCE) {
+  const current = flattenMetrics(report.metrics);
+  const previous = flattenMetrics(baseline.metrics);
+  
+  const metrics = Object.keys(current).map(name => ({
+    name,
+    baseline: previous[name] ?? null,
+    current: current[name],
+    delta: previous[name] === undefined ? null : current[name] - previous[name]
+  }));
+  
+  const baselineEntries = new Map(baseline.entries.map(entry => [entry.id, entry]));
+  const entries = report.entries.flatMap(entry => {
+    const before = baselineEntries.get(entry.id);
+    if (!before) return [];
+    
+    return ['ndcg', 'mrr']
+      .filter(metric => entry[metric] !== null && before[metric] !== null)
+      .filter(metric => Math.abs(entry[metric] - before[metric]) > tolerance)
+      .map(metric => ({ id: entry.id, query: entry.query, metric, baseline: before[metric], current: entry[metric] }));
+  });
+  
+  return {
+    // Scores from different golden set versions aren't comparable
+    comparable: report.goldenSetVersion === baseline.goldenSetVersion,
+    metrics,
+    regressions: metrics.filter(metric => metric.delta !== null && metric.delta < -tolerance),
+    entries
+  };
+}
+
+/**
+ * Describe a report, and its differences from the baseline, for the terminal
+ * @param {Object} report Current report
+ * @param {Object|null} diff Result of compareToBaseline, if there is a baseline
+ * @returns {string} Report text
+ */
+function formatReport(report, diff = null) {
+  const format = value => (value === null ? '   -  ' : value.toFixed(3).padStart(6));
+  const formatDelta = delta => {
+    if (delta === null) return '';
+    return delta === 0 ? '  =' : `  ${delta > 0 ? '+' : ''}${delta.toFixed(3)}`;
+  };
+  const byName = new Map((diff?.metrics || []).map(metric => [metric.name, metric]));
+  
+  const lines = [
+    `Golden set v${report.goldenSetVersion}: ${report.entries.length} queries, provider ${report.provider}, search mode ${report.searchMode}`,
+    `Prompts: ${Object.entries(report.promptVersions).map(([name, version]) => `${name}@v${version}`).join(', ')}`,
+    ''
+  ];
+  
+  for (const [name, value] of Object.entries(flattenMetrics(report.metrics))) {
+    const metric = byName.get(name);
+    lines.push(`${name.padEnd(34)}${format(value)}${metric ? `  (baseline ${format(metric.baseline)}${formatDelta(metric.delta)})` : ''}`);
+  }
+  
+  if (diff) {
+    lines.push('');
+    if (!diff.comparable) {
+      lines.push('Warning: the baseline was recorded with a different golden set version.');
+    }
+    for (const entry of diff.entries) {
+      lines.push(`${entry.current < entry.baseline ? 'worse' : 'better'}: [${entry.id}] "${entry.query}" ${entry.metric} ${format(entry.baseline).trim()} -> ${format(entry.current).trim()}`);
+    }
+    lines.push(diff.regressions.length > 0
+      ? `${diff.regressions.length} metric(s) regressed: ${diff.regressions.map(metric => metric.name).join(', ')}`
+      : 'No regressions against the baseline.');
+  }
+  
+  return lines.join('\n');
+}
+
+module.exports = {
+  EXTRACTION_FIELDS,
+  DEFAULT_RANK_CUTOFF,
+  countMatches,
+  precisionRecall,
+  ndcgAtK,
+  reciprocalRank,
+  evaluateEntry,
+  summarizeResults,
+  flattenMetrics,
+  compareToBaseline,
+  formatReport
+};
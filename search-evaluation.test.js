@@ -0,0 +1,116 @@
+// search-evaluation.test.js
+// Tests for the offline search evaluation metrics and baseline diffs
+
+const {
+  countMatches,
+  precisionRecall,
+  ndcgAtK,
+  reciprocalRank,
+  evaluateEntry,
+  summarizeResults,
+  compareToBaseline,
+  formatReport
+} = require('./search-evaluation');
+
+const ENTRY = {
+  id: 'colt-heist',
+  query: 'colt heist tutorial',
+  expected: { brawlers: ['Colt'], gameModes: ['Heist'], contentType: ['tutorial'] },
+  relevant: ['a', 'b']
+};
+
+/**
+ * Build a report from entry results
+ * @param {Object[]} entries Entry results
+ * @returns {Object} Report
+ */
+function buildReport(entries) {
+  return {
+    goldenSetVersion: 1,
+    provider: 'stub',
+    searchMode: 'auto',
+    promptVersions: { searchParams: 1 },
+    metrics: summarizeResults(entries),
+    entries
+  };
+}
+
+describe('extraction metrics', () => {
+  test('count matches case-insensitively', () => {
+    expect(countMatches(['Colt', 'Brock'], ['colt', 'Spike'])).toEqual({ tp: 1, fp: 1, fn: 1 });
+  });
+  
+  test('treat nothing expected and nothing extracted as perfect', () => {
+    expect(precisionRecall({ tp: 0, fp: 0, fn: 0 })).toEqual({ precision: 1, recall: 1 });
+    expect(precisionRecall({ tp: 1, fp: 3, fn: 1 })).toEqual({ precision: 0.25, recall: 0.5 });
+  });
+});
+
+describe('ranking metrics', () => {
+  test('nDCG is 1 for an ideal ranking and lower when relevant videos come later', () => {
+    expect(ndcgAtK(['a', 'b', 'c'], ['a', 'b'])).toBe(1);
+    expect(ndcgAtK(['c', 'a'], ['a'])).toBeCloseTo(1 / Math.log2(3));
+    expect(ndcgAtK(['c', 'd'], ['a'])).toBe(0);
+  });
+  
+  test('MRR uses the first relevant result within the cutoff', () => {
+    expect(reciprocalRank(['c', 'b', 'a'], ['a', 'b'])).toBe(0.5);
+    expect(reciprocalRank(['c', 'b'], ['b'], 1)).toBe(0);
+  });
+});
+
+describe('evaluateEntry and summarizeResults', () => {
+  test('score extraction per field and ranking per query', () => {
+    const result = evaluateEntry(ENTRY, {
+      searchParams: { brawlers: ['Colt'], gameModes: [], contentType: ['tutorial', 'tips'] },
+      rankedIds: ['b', 'x', 'a']
+    });
+    
+    expect(result.extraction).toEqual({
+      brawlers: { tp: 1, fp: 0, fn: 0 },
+      gameModes: { tp: 0, fp: 0, fn: 1 },
+      contentType: { tp: 1, fp: 1, fn: 0 }
+    });
+    expect(result.mrr).toBe(1);
+    
+    const metrics = summarizeResults([result]);
+    expect(metrics.extraction.overall).toEqual({ precision: 2 / 3, recall: 2 / 3 });
+    expect(metrics.ranking.mrr).toBe(1);
+  });
+  
+  test('leave entries without relevant videos out of the ranking metrics', () => {
+    const result = evaluateEntry({ ...ENTRY, relevant: [] }, { searchParams: ENTRY.expected, rankedIds: [] });
+    
+    expect(result.ndcg).toBeNull();
+    expect(summarizeResults([result]).ranking).toEqual({ ndcg: 0, mrr: 0 });
+  });
+});
+
+describe('compareToBaseline', () => {
+  const outcome = rankedIds => evaluateEntry(ENTRY, { searchParams: ENTRY.expected, rankedIds });
+  
+  test('reports metrics that dropped and the queries that moved', () => {
+    const baseline = buildReport([outcome(['a', 'b'])]);
+    const report = buildReport([outcome(['x', 'a', 'b'])]);
+    
+    const diff = compareToBaseline(report, baseline);
+    
+    expect(diff.comparable).toBe(true);
+    expect(diff.regressions.map(metric => metric.name)).toEqual(['ranking.ndcg', 'ranking.mrr']);
+    expect(diff.entries).toEqual([
+      expect.objectContaining({ id: 'colt-heist', metric: 'ndcg', baseline: 1 }),
+      expect.objectContaining({ id: 'colt-heist', metric: 'mrr', baseline: 1, current: 0.5 })
+    ]);
+    expect(formatReport(report, diff)).toContain('2 metric(s) regressed: ranking.ndcg, ranking.mrr');
+  });
+  
+  test('flags baselines from another golden set version', () => {
+    const report = buildReport([outcome(['a'])]);
+    
+    const diff = compareToBaseline(report, { ...report, goldenSetVersion: 0 });
+    
+    expect(diff.comparable).toBe(false);
+    expect(diff.regressions).toEqual([]);
+    expect(formatReport(report, diff)).toContain('different golden set version');
+  });
+});
@@ -0,0 +1,344 @@
+// search-params-schema.js
+// Schema, validation and coercion for the search parameters extracted from chat
+// messages, and keyword extraction for when the model gets them wrong
+
+const { classifyVideo, findCatalogMentions, normalizeText, CONTENT_TYPES } = require('./content-classifier');
+const { SKILL_LEVELS } = require('./skill-level-scorer');
+const catalog = require('./brawl-stars-catalog');
+
+const SORT_OPTIONS = ['relevance', 'recent', 'popular', 'trending'];
+const INTENTS = ['educational', 'entertainment', 'specific', 'question', 'comparison', 'general'];
+
+/**
+ * Search parameter schema. Allowed values are functions so catalog edits apply
+ * without a restart; `classify` names the classifier field used to snap aliases
+ * and misspellings ("primo", "shelley") to catalog names.
+ */
+const SEARCH_PARAMS_SCHEMA = {
+  query: { type: 'string', required: true },
+  brawlers: { type: 'list', values: () => catalog.getBrawlerNames(), classify: 'brawlers' },
+  gameModes: { type: 'list', values: () => catalog.getGameModeNames(), classify: 'gameModes' },
+  contentType: { type: 'list', values: () => CONTENT_TYPES, classify: 'contentType' },
+  skillLevel: { type: 'enum', values: () => SKILL_LEVELS, default: '' },
+  sortBy: { type: 'enum', values: () => SORT_OPTIONS, default: 'relevance' },
+  intent: { type: 'enum', values: () => INTENTS, default: 'general' },
+  rephrased: { type: 'string', default: '' }
+};
+
+/**
+ * Extract a JSON object from model output: the whole reply, a ```json block,
+ * or the outermost braces
+ * @param {string} text Model output
+ * @returns {Object|null} Parsed object, or null if there is none
+ */
+function parseModelOutput(text) {
+  if (typeof text !== 'string') {
+    return null;
+  }
+  
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+  const braces = text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1);
+  
+  for (const candidate of [text, fenced && fenced[1], braces]) {
+    if (!candidate) continue;
+    
+    try {
+      const parsed = JSON.parse(candidate);
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+        return parsed;
+      }
+    } catch (error) {
+      // Try the next candidate
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Levenshtein distance between two strings
+ * @param {string} a First string
+ * @param {string} b Second string
+ * @returns {number} Edit distance
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  
+  return previous[b.length];
+}
+
+/**
+ * Snap a value to one of a field's allowed values: exact name, then catalog
+ * aliases and misspellings, then the single closest name within a small edit distance
+ * @param {string} value Value from the model
+ * @param {Object} spec Field schema
+ * @returns {string|null} Allowed value, or null if nothing is close enough
+ */
+function snapValue(value, spec) {
+  const names = spec.values();
+  const normalized = normalizeText(value);
+  
+  if (!normalized) {
+    return null;
+  }
+  
+  const exact = names.find(name => normalizeText(name) === normalized);
+  if (exact) {
+    return exact;
+  }
+  
+  if (spec.classify) {
+    const matches = classifyVideo({ title: value })[spec.classify];
+    if (matches.length === 1) {
+      return matches[0];
+    }
+  }
+  
+  const maxDistance = normalized.length <= 5 ? 1 : 2;
+  let closest = null;
+  let closestDistance = Infinity;
+  let tied = false;
+  
+  for (const name of names) {
+    const distance = editDistance(normalized, normalizeText(name));
+    if (distance < closestDistance) {
+      closest = name;
+      closestDistance = distance;
+      tied = false;
+    } else if (distance === closestDistance) {
+      tied = true;
+    }
+  }
+  
+  return closestDistance <= maxDistance && !tied ? closest : null;
+}
+
+/**
+ * Validate and coerce one field
+ * @param {*} value Value from the model
+ * @param {Object} spec Field schema
+ * @returns {Object} { value, dropped } or { error }
+ */
+function validateField(value, spec) {
+  if (value === undefined || value === null || value === '') {
+    return spec.required ? { error: 'is required' } : { value: spec.type === 'list' ? [] : spec.default, dropped: [] };
+  }
+  
+  if (spec.type === 'string') {
+    return typeof value === 'string' ? { value: value.trim(), dropped: [] } : { error: 'must be a string' };
+  }
+  
+  if (spec.type === 'enum') {
+    const match = typeof value === 'string' && spec.values().find(allowed => allowed === value.trim().toLowerCase());
+    return match ? { value: match, dropped: [] } : { error: `must be one of ${spec.values().join(', ')} or empty` };
+  }
+  
+  // Lists: a single string counts as a one-item list; unknown names are dropped
+  const items = typeof value === 'string' ? [value] : value;
+  if (!Array.isArray(items) || !items.every(item => typeof item === 'string')) {
+    return { error: 'must be a list of strings' };
+  }
+  
+  const snapped = [];
+  const dropped = [];
+  for (const item of items) {
+    const name = snapValue(item, spec);
+    if (!name) {
+      dropped.push(item);
+    } else if (!snapped.includes(name)) {
+      snapped.push(name);
+    }
+  }
+  
+  return { value: snapped, dropped };
+}
+
+/**
+ * Snap names to the catalog values of a list field, dropping unknown ones
+ * @param {string} field List field (brawlers, gameModes or contentType)
+ * @param {string[]} values Names to snap
+ * @returns {string[]} Catalog names, without duplicates
+ */
+function snapNames(field, values) {
+  const result = validateField(values, SEARCH_PARAMS_SCHEMA[field]);
+  return result.error ? [] : result.value;
+}
+
+/**
+ * Validate model output against the schema. Fuzzy names are snapped to the
+ * catalog and unknown ones dropped; wrong types, values outside an enum and a
+ * missing query are errors.
+ * @param {Object|null} raw Parsed model output
+ * @returns {Object} { params, errors, dropped } with errors and dropped values by field
+ */
+function validateSearchParams(raw) {
+  const params = {};
+  const errors = {};
+  const dropped = {};
+  
+  for (const [field, spec] of Object.entries(SEARCH_PARAMS_SCHEMA)) {
+    if (!raw) {
+      errors[field] = 'missing: the reply has no JSON object';
+      continue;
+    }
+    
+    const result = validateField(raw[field], spec);
+    if (result.error) {
+      errors[field] = result.error;
+      continue;
+    }
+    
+    params[field] = result.value;
+    if (result.dropped.length > 0) {
+      dropped[field] = result.dropped;
+    }
+  }
+  
+  return { params, errors, dropped };
+}
+
+/**
+ * Combine validated attempts into search parameters. Each field comes from the
+ * first attempt where it was valid, otherwise from the fallback.
+ * @param {Object[]} attempts Attempts in order, as { source, result } with result from validateSearchParams
+ * @param {Object} fallback Fallback parameters (every field valid)
+ * @returns {Object} Search parameters with `fieldSources` recording where each field came from
+ */
+function mergeSearchParams(attempts, fallback) {
+  const params = {};
+  const fieldSources = {};
+  
+  for (const field of Object.keys(SEARCH_PARAMS_SCHEMA)) {
+    const attempt = attempts.find(({ result }) => result && field in result.params);
+    
+    if (attempt) {
+      params[field] = attempt.result.params[field];
+      fieldSources[field] = attempt.source;
+    } else {
+      params[field] = fallback[field];
+      fieldSources[field] = 'fallback';
+    }
+  }
+  
+  return { ...params, fieldSources };
+}
+
+/**
+ * Describe validation errors for a repair prompt
+ * @param {Object} errors Errors by field
+ * @returns {string} One line per error
+ */
+function describeErrors(errors) {
+  return Object.entries(errors)
+    .map(([field, error]) => `- "${field}" ${error}`)
+    .join('\n');
+}
+
+/**
+ * Build search parameters from keyword matching, for fields the model got wrong
+ * @param {string} query User's query
+ * @returns {Object} Search parameters
+ */
+function buildFallbackParams(query) {
+  const params = {
+    query,
+    brawlers: [],
+    gameModes: [],
+    contentType: [],
+    skillLevel: '',
+    sortBy: 'relevance',
+    intent: 'general',
+    rephrased: query
+  };
+  
+  extractBasicEntities(query, params);
+  
+  return params;
+}
+
+/**
+ * Extract basic entities from a query for fallback search parameters
+ * @param {string} query User's query
+ * @param {Object} params Search parameters object to modify
+ */
+function extractBasicEntities(query, params) {
+  const lowerQuery = query.toLowerCase();
+  
+  // Match whole words, so "restart" isn't "start" and "problem" isn't "pro"
+  // (inflections that used to match as substrings are listed explicitly)
+  const words = ` ${normalizeText(query)} `;
+  const mentions = keywords => keywords.some(keyword => words.includes(` ${keyword} `));
+  
+  // Extract brawlers and game modes, in catalog order
+  const named = findCatalogMentions(query);
+  params.brawlers.push(...catalog.getBrawlerNames().filter(brawler => named.brawlers.includes(brawler)));
+  params.gameModes.push(...catalog.getGameModeNames().filter(mode => named.gameModes.includes(mode)));
+  
+  // Extract content types
+  const contentTypeKeywords = {
+    tutorial: ['tutorial', 'tutorials', 'how to', 'guide', 'guides', 'learn', 'learning'],
+    tips: ['tips', 'tricks', 'advice'],
+    gameplay: ['gameplay', 'playing', 'matches'],
+    pro: ['pro', 'pros', 'professional', 'professionals', 'competitive'],
+    entertainment: ['funny', 'fun', 'entertaining', 'entertainment'],
+    highlights: ['highlights', 'moments', 'best']
+  };
+  
+  Object.entries(contentTypeKeywords).forEach(([type, keywords]) => {
+    if (mentions(keywords)) {
+      params.contentType.push(type);
+    }
+  });
+  
+  // Extract skill level
+  if (mentions(['beginner', 'beginners', 'new', 'newbie', 'start', 'starting', 'starter'])) {
+    params.skillLevel = 'beginner';
+  } else if (mentions(['advanced', 'pro', 'pros', 'expert', 'experts'])) {
+    params.skillLevel = 'advanced';
+  } else if (mentions(['intermediate'])) {
+    params.skillLevel = 'intermediate';
+  }
+  
+  // Determine intent
+  if (params.contentType.includes('tutorial') || params.contentType.includes('tips')) {
+    params.intent = 'educational';
+  } else if (params.contentType.includes('entertainment') || params.contentType.includes('highlights')) {
+    params.intent = 'entertainment';
+  } else if (params.brawlers.length > 0 || params.gameModes.length > 0) {
+    params.intent = 'specific';
+  }
+  
+  // Questions get an answer from the videos rather than a list of them
+  if (/\?\s*$/.test(query) || /^(what|which|who|why|when|should|is|are|does|how (do|does|should|can|much|many))\b/i.test(query.trim())) {
+    params.intent = 'question';
+  }
+  
+  // "Shelly or Bull", "Colt vs Brock": brawlers weighed against each other
+  if (params.brawlers.length >= 2 && /\b(vs|versus|or|compared? (to|with)|better than|difference between)\b/.test(lowerQuery)) {
+    params.intent = 'comparison';
+  }
+}
+
+module.exports = {
+  SEARCH_PARAMS_SCHEMA,
+  SORT_OPTIONS,
+  INTENTS,
+  parseModelOutput,
+  validateSearchParams,
+  snapNames,
+  mergeSearchParams,
+  describeErrors,
+  buildFallbackParams
+};
@@ -0,0 +1,61 @@
+// search-params-schema.test.js
+// Offline tests for search parameter validation
+
+const { parseModelOutput, validateSearchParams, mergeSearchParams } = require('./search-params-schema');
+
+describe('parseModelOutput', () => {
+  test('accepts bare JSON, fenced JSON and JSON inside prose', () => {
+    expect(parseModelOutput('{"query": "a"}')).toEqual({ query: 'a' });
+    expect(parseModelOutput('```json\n{"query": "b"}\n```')).toEqual({ query: 'b' });
+    expect(parseModelOutput('Sure! Here you go: {"query": "c"} Hope that helps.')).toEqual({ query: 'c' });
+  });
+  
+  test('returns null when there is no JSON object', () => {
+    expect(parseModelOutput('no idea')).toBeNull();
+    expect(parseModelOutput('["a"]')).toBeNull();
+    expect(parseModelOutput(undefined)).toBeNull();
+  });
+});
+
+describe('validateSearchParams', () => {
+  test('snaps names to the catalog and drops unknown ones', () => {
+    const { params, errors, dropped } = validateSearchParams({
+      query: ' spike tips ',
+      brawlers: ['spike', 'Shelley', 'El Prim0', 'Pikachu'],
+      gameModes: 'gemgrab',
+      contentType: ['Funny', 'vlog'],
+      sortBy: 'Recent'
+    });
+    
+    expect(errors).toEqual({});
+    expect(params).toMatchObject({
+      query: 'spike tips',
+      brawlers: ['Spike', 'Shelly', 'El Primo'],
+      gameModes: ['Gem Grab'],
+      contentType: ['entertainment'],
+      skillLevel: '',
+      sortBy: 'recent',
+      intent: 'general'
+    });
+    expect(dropped).toEqual({ brawlers: ['Pikachu'], contentType: ['vlog'] });
+  });
+  
+  test('reports wrong types, unknown enum values and a missing query', () => {
+    const { errors } = validateSearchParams({ brawlers: 3, skillLevel: 'pro', intent: 'general' });
+    
+    expect(Object.keys(errors).sort()).toEqual(['brawlers', 'query', 'skillLevel']);
+  });
+});
+
+describe('mergeSearchParams', () => {
+  test('takes each field from the first valid attempt, then the fallback', () => {
+    const model = validateSearchParams({ query: 'colt', sortBy: 'newest' });
+    const repair = validateSearchParams({ query: 'colt', sortBy: 7, skillLevel: 'expert' });
+    const fallback = validateSearchParams({ query: 'colt' }).params;
+    
+    const params = mergeSearchParams([{ source: 'model', result: model }, { source: 'repair', result: repair }], fallback);
+    
+    expect(params.sortBy).toBe('relevance');
+    expect(params.fieldSources).toMatchObject({ query: 'model', brawlers: 'model', sortBy: 'fallback' });
+  });
+});
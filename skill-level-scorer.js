@@ -0,0 +1,272 @@
+// skill-level-scorer.js
+// Infers the skill level a video is aimed at and applies admin overrides
+
+const { normalizeText } = require('./content-classifier');
+
+const SKILL_LEVELS = ['beginner', 'intermediate', 'advanced'];
+
+// A level needs at least this many points before it is assigned
+const MIN_SCORE = 1;
+
+// Points per keyword match in each part of the video
+const KEYWORD_WEIGHTS = {
+  title: 2,
+  tags: 1.5,
+  description: 1
+};
+
+// Keywords per level. Longer phrases are matched first and consume their words,
+// so "pro tips" doesn't also count as "tips".
+const SKILL_KEYWORDS = {
+  beginner: [
+    'for beginners', 'beginner', 'beginners', 'beginner guide', 'noob', 'noobs', 'newbie',
+    'new players', 'new player', 'getting started', 'how to play', 'basics', 'starter', 'f2p'
+  ],
+  intermediate: [
+    'intermediate', 'ranked push', 'trophy push', 'improve', 'mid level', 'climb', 'tier list'
+  ],
+  advanced: [
+    'pro tips', 'advanced', 'expert', 'high level', 'pro player', 'pro players', 'esports',
+    'competitive', 'world finals', 'championship', 'pro level', 'mechanics'
+  ]
+};
+
+// Keyword phrases, longest first
+const KEYWORD_PHRASES = Object.entries(SKILL_KEYWORDS)
+  .flatMap(([level, keywords]) => keywords.map(keyword => ({ level, phrase: normalizeText(keyword) })))
+  .sort((a, b) => b.phrase.length - a.phrase.length);
+
+// Ranked tiers mentioned in a title or description
+const RANK_TIERS = {
+  bronze: 'beginner',
+  silver: 'beginner',
+  gold: 'beginner',
+  diamond: 'intermediate',
+  mythic: 'intermediate',
+  legendary: 'advanced',
+  masters: 'advanced',
+  pro: 'advanced'
+};
+
+// Content types that lean towards a level
+const CONTENT_TYPE_LEVELS = {
+  tutorial: { level: 'beginner', points: 1 },
+  tips: { level: 'intermediate', points: 0.5 },
+  pro: { level: 'advanced', points: 1.5 }
+};
+
+// Points from trophy or rank mentions, and the most the creator's history can add
+const TROPHY_POINTS = 1.5;
+const RANK_POINTS = 1.5;
+const CREATOR_POINTS = 1;
+
+// Below this a trophy count is taken to be a single brawler's, above it the account's
+const MAX_BRAWLER_TROPHIES = 2000;
+
+/**
+ * Map a trophy count to a skill level. Brawler trophies top out around 1250
+ * (rank 35), account totals run into the tens of thousands.
+ * @param {number} trophies Trophy count
+ * @returns {string} Skill level
+ */
+function levelForTrophies(trophies) {
+  if (trophies <= MAX_BRAWLER_TROPHIES) {
+    if (trophies >= 1000) return 'advanced';
+    if (trophies >= 500) return 'intermediate';
+    return 'beginner';
+  }
+  
+  if (trophies >= 40000) return 'advanced';
+  if (trophies >= 10000) return 'intermediate';
+  return 'beginner';
+}
+
+/**
+ * Map a brawler rank (1-35 in-game, 1-50 with prestige) to a skill level
+ * @param {number} rank Brawler rank
+ * @returns {string} Skill level
+ */
+function levelForRank(rank) {
+  if (rank >= 30) return 'advanced';
+  if (rank >= 20) return 'intermediate';
+  return 'beginner';
+}
+
+/**
+ * Find the highest trophy count mentioned in a text ("35k trophies", "1,250 trophies")
+ * @param {string} text Raw text
+ * @returns {number|null} Trophy count
+ */
+function findTrophyCount(text) {
+  const pattern = /(\d{1,3}(?:[.,]\d{3})+|\d+(?:\.\d+)?)\s*(k)?\s*(?:trophies|trophy|🏆)/gi;
+  let highest = null;
+  let match;
+  
+  while ((match = pattern.exec(text)) !== null) {
+    const [, digits, thousands] = match;
+    let count = thousands
+      ? parseFloat(digits.replace(',', '.')) * 1000
+      : parseInt(digits.replace(/[.,]/g, ''));
+    count = Math.round(count);
+    
+    if (!isNaN(count) && (highest === null || count > highest)) {
+      highest = count;
+    }
+  }
+  
+  return highest;
+}
+
+/**
+ * Find the highest brawler rank mentioned in a normalized text ("rank 35")
+ * @param {string} text Normalized text
+ * @returns {number|null} Rank
+ */
+function findRank(text) {
+  const ranks = [...text.matchAll(/\brank (\d{1,2})\b/g)].map(match => parseInt(match[1]));
+  return ranks.length > 0 ? Math.max(...ranks) : null;
+}
+
+/**
+ * Count keyword matches per level in a normalized text, longest phrases first
+ * @param {string} text Normalized text
+ * @returns {Object} Matched keywords per level
+ */
+function findKeywords(text) {
+  const found = {};
+  let remaining = ` ${text} `;
+  
+  for (const { level, phrase } of KEYWORD_PHRASES) {
+    const pattern = new RegExp(`(?<= )${phrase}(?= )`, 'g');
+    
+    if (!pattern.test(remaining)) continue;
+    
+    found[level] = [...(found[level] || []), phrase];
+    remaining = remaining.replace(pattern, '_'.repeat(phrase.length));
+  }
+  
+  return found;
+}
+
+/**
+ * Infer the skill level of a video
+ * @param {Object} video Video document (title, description, tags, contentType)
+ * @param {Object} creator Creator profile
+ * @param {Object} creator.skillLevels Number of the creator's stored videos at each level
+ * @returns {Object} Inferred level ('' when unsure), confidence, per-level scores and
+ * the signals that contributed
+ */
+function inferSkillLevel(video, creator = null) {
+  const scores = { beginner: 0, intermediate: 0, advanced: 0 };
+  const signals = [];
+  
+  const addPoints = (level, points, signal) => {
+    scores[level] += points;
+    signals.push({ ...signal, level, points });
+  };
+  
+  // Title, tag and description keywords
+  const fields = {
+    title: normalizeText(video.title),
+    tags: (video.tags || []).map(normalizeText).join(' | '),
+    description: normalizeText(video.description)
+  };
+  
+  for (const [field, text] of Object.entries(fields)) {
+    for (const [level, keywords] of Object.entries(findKeywords(text))) {
+      addPoints(level, KEYWORD_WEIGHTS[field] * keywords.length, { type: 'keyword', field, keywords });
+    }
+  }
+  
+  // Trophy and rank mentions
+  const rawText = `${video.title || ''}\n${video.description || ''}`;
+  const trophies = findTrophyCount(rawText);
+  if (trophies !== null) {
+    addPoints(levelForTrophies(trophies), TROPHY_POINTS, { type: 'trophies', value: trophies });
+  }
+  
+  const rank = findRank(`${fields.title} ${fields.description}`);
+  if (rank !== null) {
+    addPoints(levelForRank(rank), RANK_POINTS, { type: 'rank', value: rank });
+  }
+  
+  // "diamond rank", "masters league", "push to legendary"
+  const tier = Object.keys(RANK_TIERS).find(name =>
+    new RegExp(`\\b(${name} (rank|league|tier)|(to|in|reach|reached) ${name})\\b`).test(fields.title));
+  if (tier) {
+    addPoints(RANK_TIERS[tier], RANK_POINTS, { type: 'rankTier', value: tier });
+  }
+  
+  // Content type
+  for (const type of video.contentType || []) {
+    if (CONTENT_TYPE_LEVELS[type]) {
+      const { level, points } = CONTENT_TYPE_LEVELS[type];
+      addPoints(level, points, { type: 'contentType', value: type });
+    }
+  }
+  
+  // The creator's typical level, in proportion to how consistent they are
+  const creatorLevels = creator?.skillLevels || {};
+  const creatorTotal = SKILL_LEVELS.reduce((sum, level) => sum + (creatorLevels[level] || 0), 0);
+  if (creatorTotal > 0) {
+    const typical = SKILL_LEVELS.reduce((best, level) =>
+      (creatorLevels[level] || 0) > (creatorLevels[best] || 0) ? level : best);
+    const share = creatorLevels[typical] / creatorTotal;
+    addPoints(typical, Math.round(CREATOR_POINTS * share * 100) / 100, { type: 'creator', value: typical });
+  }
+  
+  const total = scores.beginner + scores.intermediate + scores.advanced;
+  const best = SKILL_LEVELS.reduce((top, level) => scores[level] > scores[top] ? level : top);
+  const level = scores[best] >= MIN_SCORE ? best : '';
+  
+  return {
+    level,
+    confidence: level ? Math.round((scores[best] / total) * 100) / 100 : 0,
+    scores,
+    signals
+  };
+}
+
+/**
+ * Decide a video's skill level: a video override wins over a channel override,
+ * which wins over the inferred level
+ * @param {Object} video Video document (skillLevelOverride, skillLevelInferred)
+ * @param {Object} channel Channel document (skillLevelOverride)
+ * @returns {Object} Skill level and where it came from
+ */
+function resolveSkillLevel(video, channel = null) {
+  if (video.skillLevelOverride) {
+    return { skillLevel: video.skillLevelOverride, skillLevelSource: 'video_override' };
+  }
+  
+  if (channel && channel.skillLevelOverride) {
+    return { skillLevel: channel.skillLevelOverride, skillLevelSource: 'channel_override' };
+  }
+  
+  return {
+    skillLevel: video.skillLevelInferred?.level || '',
+    skillLevelSource: 'inferred'
+  };
+}
+
+/**
+ * Infer a video's skill level and resolve it against the creator's override
+ * @param {Object} video Video document
+ * @param {Object} creator Creator profile (skillLevels, skillLevelOverride)
+ * @returns {Object} skillLevel, skillLevelSource and skillLevelInferred fields
+ */
+function scoreVideo(video, creator = null) {
+  const skillLevelInferred = inferSkillLevel(video, creator);
+  
+  return {
+    ...resolveSkillLevel({ skillLevelInferred }, creator),
+    skillLevelInferred
+  };
+}
+
+module.exports = {
+  SKILL_LEVELS,
+  inferSkillLevel,
+  resolveSkillLevel,
+  scoreVideo
+};
@@ -0,0 +1,59 @@
+// skill-level-scorer.test.js
+// Offline tests for skill level inference
+
+const { inferSkillLevel, resolveSkillLevel, scoreVideo } = require('./skill-level-scorer');
+
+describe('inferSkillLevel', () => {
+  test('reads level keywords from the title and description', () => {
+    expect(inferSkillLevel({ title: 'Mortis guide for beginners' }).level).toBe('beginner');
+    expect(inferSkillLevel({ title: 'Ranked push with Edgar' }).level).toBe('intermediate');
+    expect(inferSkillLevel({ title: 'PRO TIPS for Piper' }).level).toBe('advanced');
+  });
+  
+  test('reads trophy and rank mentions', () => {
+    expect(inferSkillLevel({ title: 'Shelly to 1,250 trophies' }).level).toBe('advanced');
+    expect(inferSkillLevel({ title: 'My account at 3k trophies' }).level).toBe('beginner');
+    expect(inferSkillLevel({ title: 'Rank 35 Colt gameplay' }).level).toBe('advanced');
+    expect(inferSkillLevel({ title: 'Road to Legendary rank' }).level).toBe('advanced');
+  });
+  
+  test('uses the content type', () => {
+    expect(inferSkillLevel({ title: 'Bibi', contentType: ['tutorial'] }).level).toBe('beginner');
+    expect(inferSkillLevel({ title: 'Bibi', contentType: ['pro'] }).level).toBe('advanced');
+  });
+  
+  test("leans towards the creator's typical level", () => {
+    const creator = { skillLevels: { advanced: 10 } };
+    const result = inferSkillLevel({ title: 'Gene supers', contentType: ['tips'] }, creator);
+    
+    expect(result.level).toBe('advanced');
+    expect(result.signals.map(signal => signal.type)).toEqual(['contentType', 'creator']);
+  });
+  
+  test('stays empty without enough signal', () => {
+    const result = inferSkillLevel({ title: 'Funny moments #12' });
+    
+    expect(result.level).toBe('');
+    expect(result.confidence).toBe(0);
+  });
+});
+
+describe('resolveSkillLevel', () => {
+  const video = { skillLevelInferred: { level: 'beginner' } };
+  
+  test('prefers a video override, then a channel override, then the inferred level', () => {
+    expect(resolveSkillLevel({ ...video, skillLevelOverride: 'advanced' }, { skillLevelOverride: 'intermediate' }))
+      .toEqual({ skillLevel: 'advanced', skillLevelSource: 'video_override' });
+    expect(resolveSkillLevel(video, { skillLevelOverride: 'intermediate' }))
+      .toEqual({ skillLevel: 'intermediate', skillLevelSource: 'channel_override' });
+    expect(resolveSkillLevel(video, null))
+      .toEqual({ skillLevel: 'beginner', skillLevelSource: 'inferred' });
+  });
+  
+  test('scoreVideo keeps the inferred level next to a channel override', () => {
+    const result = scoreVideo({ title: 'Guide for beginners' }, { skillLevelOverride: 'advanced', skillLevels: {} });
+    
+    expect(result.skillLevel).toBe('advanced');
+    expect(result.skillLevelInferred.level).toBe('beginner');
+  });
+});
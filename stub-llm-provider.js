@@ -0,0 +1,145 @@
+// stub-llm-provider.js
+// Offline chat completion provider: answers each prompt task with keyword matching
+// and templates, so conversations and the search evaluation work without a model
+
+const { buildFallbackParams } = require('./search-params-schema');
+const conversationMemory = require('./conversation-memory');
+const brawlerComparison = require('./brawler-comparison');
+
+/**
+ * Format a view count like the conversation service does ("120.0K", "1.5M")
+ * @param {number} num View count
+ * @returns {string} Formatted count
+ */
+function formatViews(num) {
+  if (num >= 1000000) {
+    return `${(num / 1000000).toFixed(1)}M`;
+  } else if (num >= 1000) {
+    return `${(num / 1000).toFixed(1)}K`;
+  } else {
+    return num.toString();
+  }
+}
+
+/**
+ * Reply with search parameters found by keyword matching
+ * @param {Object} context Prompt context ({ query })
+ * @returns {string} JSON block, as the search parameter prompt asks for
+ */
+function replyWithSearchParams(context) {
+  return `\`\`\`json\n${JSON.stringify(buildFallbackParams(context.query), null, 2)}\n\`\`\``;
+}
+
+/**
+ * Describe the top search result and suggest the other brawlers in the results
+ * @param {Object} context Prompt context ({ searchParams, results })
+ * @returns {string} Message followed by SUGGESTED_ACTIONS, as the response prompt asks for
+ */
+function replyWithResults(context) {
+  const { searchParams = {}, results = [] } = context;
+  
+  if (results.length === 0) {
+    return `I couldn't find any videos for "${searchParams.query}". Try fewer filters or a different brawler or game mode.`;
+  }
+  
+  const [top] = results;
+  const suggestedActions = [...new Set(results.flatMap(result => result.brawlers || []))]
+    .filter(brawler => !(searchParams.brawlers || []).includes(brawler))
+    .slice(0, 3)
+    .map(brawler => ({
+      type: 'refine_search',
+      label: `Show me ${brawler} videos`,
+      parameters: { brawlers: [brawler] }
+    }));
+  
+  return `I found ${results.length} video${results.length === 1 ? '' : 's'} for "${searchParams.query}". ` +
+    `The top result is "${top.title}" by ${top.creator?.name || 'an unknown creator'} with ${formatViews(top.viewCount || 0)} views.` +
+    `\n\nSUGGESTED_ACTIONS: \`\`\`json\n${JSON.stringify(suggestedActions)}\n\`\`\``;
+}
+
+/**
+ * Answer a question by quoting the first passages, with their citation IDs
+ * @param {Object} context Prompt context ({ passages })
+ * @returns {string} Answer
+ */
+function replyWithAnswer(context) {
+  const { passages = [] } = context;
+  
+  if (passages.length === 0) {
+    return "I couldn't find an answer to that in the videos.";
+  }
+  
+  const quotes = passages.slice(0, 2).map(passage => {
+    const text = passage.text.length > 160 ? `${passage.text.slice(0, 157)}...` : passage.text;
+    return `${passage.creator || 'One creator'} says: "${text}" [${passage.id}]`;
+  });
+  
+  return `Here's what I found in the videos. ${quotes.join(' ')}`;
+}
+
+/**
+ * Summarize the conversation with the rule-based memory
+ * @param {Object} context Prompt context ({ memory, messages })
+ * @returns {string} Memory as JSON
+ */
+function replyWithMemory(context) {
+  return JSON.stringify(conversationMemory.buildFallbackMemory(context.memory, context.messages));
+}
+
+/**
+ * Summarize a brawler comparison from its statistics
+ * @param {Object} context Prompt context ({ comparison })
+ * @returns {string} JSON block, as the comparison prompt asks for
+ */
+function replyWithComparison(context) {
+  return `\`\`\`json\n${JSON.stringify(brawlerComparison.buildFallbackSummary(context.comparison), null, 2)}\n\`\`\``;
+}
+
+// Reply builders by prompt task (the `task` of a chat request)
+const TASK_HANDLERS = {
+  searchParams: replyWithSearchParams,
+  repair: replyWithSearchParams,
+  response: replyWithResults,
+  answer: replyWithAnswer,
+  memory: replyWithMemory,
+  comparison: replyWithComparison
+};
+
+/**
+ * Build the reply to a chat request from its task and context. Replies use the
+ * same format as the prompts ask of a real model.
+ * @param {Object} request Chat request
+ * @returns {string} Reply text
+ */
+function buildStubReply(request) {
+  const { task, context = {} } = request;
+  const handler = TASK_HANDLERS[task];
+  
+  if (!handler) {
+    throw new Error(`The stub LLM provider can't answer "${task}" prompts`);
+  }
+  
+  return handler(context);
+}
+
+/**
+ * Complete a chat offline (see buildStubReply); streams the reply word by word
+ * @param {Object} request Chat request
+ * @returns {Promise<string>} Reply text
+ */
+async function completeWithStub(request) {
+  const reply = buildStubReply(request);
+  
+  if (request.onToken) {
+    for (const token of reply.match(/\s*\S+/g) || []) {
+      request.onToken(token);
+    }
+  }
+  
+  return reply;
+}
+
+module.exports = {
+  buildStubReply,
+  completeWithStub
+};
@@ -0,0 +1,120 @@
+// stub-llm-provider.test.js
+// Tests for the offline LLM provider's replies to each prompt task
+
+const { buildStubReply, completeWithStub } = require('./stub-llm-provider');
+
+const VIDEO = {
+  youtubeId: 'abc123',
+  title: 'Mortis Brawl Ball guide',
+  creator: { id: 'UC1', name: 'Coach' },
+  brawlers: ['Mortis'],
+  viewCount: 120000
+};
+
+/**
+ * Parse the JSON block of a reply
+ * @param {string} reply Reply text
+ * @returns {Object} Parsed JSON
+ */
+function parseJsonBlock(reply) {
+  return JSON.parse(reply.match(/```json\n([\s\S]*?)\n```/)[1]);
+}
+
+describe('search parameters', () => {
+  test('extracts search parameters with keyword matching', () => {
+    const reply = buildStubReply({ task: 'searchParams', context: { query: 'beginner Shelly tutorial' } });
+    
+    expect(parseJsonBlock(reply)).toMatchObject({
+      query: 'beginner Shelly tutorial',
+      brawlers: ['Shelly'],
+      contentType: ['tutorial'],
+      skillLevel: 'beginner',
+      intent: 'educational'
+    });
+  });
+  
+  test('matches brawler names as whole words only', () => {
+    const params = parseJsonBlock(buildStubReply({ task: 'searchParams', context: { query: 'Colt vs Brock in Bounty' } }));
+    
+    expect([...params.brawlers].sort()).toEqual(['Brock', 'Colt']);
+    expect(params).toMatchObject({ gameModes: ['Bounty'], intent: 'comparison' });
+  });
+  
+  test('finds no brawler, content type or skill level inside other words', () => {
+    const reply = buildStubReply({
+      task: 'searchParams',
+      context: { query: 'every crash in general after the restart, maximum problem' }
+    });
+    
+    expect(parseJsonBlock(reply)).toMatchObject({
+      brawlers: [],
+      gameModes: [],
+      contentType: [],
+      skillLevel: ''
+    });
+  });
+  
+  test('answers repair prompts like search parameter prompts', () => {
+    const request = { context: { query: 'Mortis in Brawl Ball' } };
+    
+    expect(buildStubReply({ ...request, task: 'repair' })).toBe(buildStubReply({ ...request, task: 'searchParams' }));
+  });
+});
+
+describe('other tasks', () => {
+  test('describes the results and suggests related brawlers', () => {
+    const reply = buildStubReply({
+      task: 'response',
+      context: { searchParams: { query: 'mortis', brawlers: ['Mortis'] }, results: [{ ...VIDEO, brawlers: ['Mortis', 'Crow'] }] }
+    });
+    
+    expect(reply).toContain('"Mortis Brawl Ball guide" by Coach with 120.0K views');
+    expect(reply).toContain('"label":"Show me Crow videos"');
+  });
+  
+  test('suggests other filters when nothing was found', () => {
+    const reply = buildStubReply({ task: 'response', context: { searchParams: { query: 'mortis' }, results: [] } });
+    
+    expect(reply).toBe('I couldn\'t find any videos for "mortis". Try fewer filters or a different brawler or game mode.');
+  });
+  
+  test('answers questions by quoting passages with their citation IDs', () => {
+    const reply = buildStubReply({
+      task: 'answer',
+      context: { passages: [{ id: 'S1', creator: 'Coach', text: 'Dash through walls to finish low enemies.' }] }
+    });
+    
+    expect(reply).toBe('Here\'s what I found in the videos. Coach says: "Dash through walls to finish low enemies." [S1]');
+  });
+  
+  test('summarizes earlier messages into the memory', () => {
+    const reply = buildStubReply({
+      task: 'memory',
+      context: {
+        memory: { summary: '', profile: {} },
+        messages: [{ role: 'user', content: 'Show me Mortis guides' }, { role: 'assistant', content: 'Here you go.' }]
+      }
+    });
+    
+    expect(JSON.parse(reply).summary).toBe('Earlier the user asked: "Show me Mortis guides".');
+  });
+  
+  test('rejects tasks it has no handler for', () => {
+    expect(() => buildStubReply({ task: 'translate', context: {} }))
+      .toThrow('The stub LLM provider can\'t answer "translate" prompts');
+  });
+});
+
+describe('completeWithStub', () => {
+  test('streams the reply word by word', async () => {
+    const tokens = [];
+    const reply = await completeWithStub({
+      task: 'answer',
+      context: { passages: [] },
+      onToken: token => tokens.push(token)
+    });
+    
+    expect(tokens).toEqual(['I', ' couldn\'t', ' find', ' an', ' answer', ' to', ' that', ' in', ' the', ' videos.']);
+    expect(tokens.join('')).toBe(reply);
+  });
+});
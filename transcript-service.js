@@ -0,0 +1,244 @@
+// transcript-service.js
+// Fetches and parses video transcripts (caption tracks and uploaded .vtt/.srt files)
+
+const axios = require('axios');
+const pino = require('pino');
+require('dotenv').config();
+
+// Transcript configuration
+const TRANSCRIPT_SOURCES = (process.env.TRANSCRIPT_SOURCES ?? 'captionTrack')
+  .split(',')
+  .map(source => source.trim())
+  .filter(Boolean);
+const TRANSCRIPT_LANGUAGES = (process.env.TRANSCRIPT_LANGUAGES || 'en')
+  .split(',')
+  .map(language => language.trim())
+  .filter(Boolean);
+const CAPTION_TRACK_URL = process.env.CAPTION_TRACK_URL || 'https://www.youtube.com/api/timedtext';
+const CAPTION_REQUEST_TIMEOUT_MS = parseInt(process.env.CAPTION_REQUEST_TIMEOUT_MS || '10000');
+
+// Setup logger
+const logger = pino({
+  level: process.env.LOG_LEVEL || 'info',
+  transport: process.env.NODE_ENV === 'development' ? {
+    target: 'pino-pretty',
+    options: {
+      colorize: true
+    }
+  } : undefined
+});
+
+// Transcript sources by name. A source is an async function (videoId, options)
+// that resolves to { content, format, language } or null if it has nothing.
+const sources = new Map();
+
+/**
+ * Register a transcript source
+ * @param {string} name Source name, as used in TRANSCRIPT_SOURCES
+ * @param {Function} fetcher Async function (videoId, options) => { content, format, language } | null
+ */
+function registerTranscriptSource(name, fetcher) {
+  sources.set(name, fetcher);
+}
+
+/**
+ * Convert a caption timestamp ("00:01:02.500", "01:02,500", "1:02.5") to seconds
+ * @param {string} timestamp Caption timestamp
+ * @returns {number} Seconds
+ */
+function parseCaptionTime(timestamp) {
+  const [clock, fraction = '0'] = timestamp.trim().replace(',', '.').split('.');
+  const seconds = clock.split(':').reduce((total, part) => total * 60 + parseInt(part), 0);
+  return seconds + parseFloat(`0.${fraction}`);
+}
+
+/**
+ * Clean a caption cue: drop markup, positioning tags and sound cues like [Music]
+ * @param {string} text Cue text
+ * @returns {string} Plain text
+ */
+function cleanCueText(text) {
+  return text
+    .replace(/<[^>]*>/g, '') // <c>, <i>, <00:00:01.000> karaoke timings
+    .replace(/\{\\[^}]*\}/g, '') // {\an8} SubStation positioning
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&#39;/g, "'")
+    .replace(/&quot;/g, '"')
+    .replace(/^\s*[[(](music|applause|laughter)[\])]\s*$/i, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Parse WebVTT or SRT captions into cues. Both formats are blocks separated by
+ * blank lines with a "start --> end" line, so one parser handles both.
+ * @param {string} content Caption file content
+ * @returns {Object[]} Cues as { start, end, text }
+ */
+function parseCaptions(content) {
+  const cues = [];
+  
+  for (const block of String(content || '').replace(/\r/g, '').split(/\n{2,}/)) {
+    const lines = block.split('\n');
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    
+    // Headers, NOTE and STYLE blocks have no timing line
+    if (timingIndex === -1) continue;
+    
+    const [start, end] = lines[timingIndex].split('-->').map(part => part.trim().split(/\s+/)[0]);
+    const text = cleanCueText(lines.slice(timingIndex + 1).join(' '));
+    
+    if (!text) continue;
+    
+    cues.push({ start: parseCaptionTime(start), end: parseCaptionTime(end), text });
+  }
+  
+  return cues;
+}
+
+/**
+ * Normalize cues into transcript segments. Auto-generated captions repeat each
+ * line as it scrolls, so text already shown by the previous cue is dropped.
+ * @param {Object[]} cues Cues as { start, end, text }
+ * @returns {Object[]} Segments as { start, end, text }, times rounded to 0.1s
+ */
+function normalizeSegments(cues) {
+  const segments = [];
+  
+  for (const cue of [...cues].sort((a, b) => a.start - b.start)) {
+    const previous = segments[segments.length - 1];
+    let text = cue.text;
+    
+    if (previous) {
+      if (previous.text === text || previous.text.endsWith(text)) {
+        previous.end = Math.max(previous.end, cue.end);
+        continue;
+      }
+      
+      // Rolling captions: the new cue starts with the end of the previous one
+      const overlap = findOverlap(previous.text, text);
+      text = text.slice(overlap).trim();
+      if (!text) continue;
+    }
+    
+    segments.push({ start: cue.start, end: cue.end, text });
+  }
+  
+  return segments.map(segment => ({
+    start: Math.round(segment.start * 10) / 10,
+    end: Math.round(segment.end * 10) / 10,
+    text: segment.text
+  }));
+}
+
+/**
+ * Length of the longest suffix of `previous` that `next` starts with, on word boundaries
+ * @param {string} previous Previous text
+ * @param {string} next Next text
+ * @returns {number} Number of characters of `next` already shown
+ */
+function findOverlap(previous, next) {
+  const words = next.split(' ');
+  
+  for (let count = words.length; count > 0; count--) {
+    const prefix = words.slice(0, count).join(' ');
+    if (previous === prefix || previous.endsWith(` ${prefix}`)) {
+      return prefix.length;
+    }
+  }
+  
+  return 0;
+}
+
+/**
+ * Parse a caption file into a transcript
+ * @param {string} content Caption file content (.vtt or .srt)
+ * @returns {Object} Plain text and timed segments
+ */
+function buildTranscript(content) {
+  const segments = normalizeSegments(parseCaptions(content));
+  
+  return {
+    transcript: segments.map(segment => segment.text).join(' '),
+    transcriptSegments: segments
+  };
+}
+
+/**
+ * Fetch a video's public caption track
+ * @param {string} videoId YouTube video ID
+ * @param {Object} options Options
+ * @param {string[]} options.languages Preferred languages, in order
+ * @returns {Promise<Object|null>} Caption file, or null if the video has none
+ */
+async function fetchCaptionTrack(videoId, options = {}) {
+  const languages = options.languages || TRANSCRIPT_LANGUAGES;
+  
+  for (const language of languages) {
+    // Creator-uploaded captions first, then auto-generated ones
+    for (const kind of [undefined, 'asr']) {
+      const response = await axios.get(CAPTION_TRACK_URL, {
+        params: { v: videoId, lang: language, fmt: 'vtt', kind },
+        timeout: CAPTION_REQUEST_TIMEOUT_MS,
+        responseType: 'text'
+      });
+      
+      if (typeof response.data === 'string' && response.data.includes('-->')) {
+        return { content: response.data, format: 'vtt', language };
+      }
+    }
+  }
+  
+  return null;
+}
+
+registerTranscriptSource('captionTrack', fetchCaptionTrack);
+
+/**
+ * Get a video's transcript from the first configured source that has one
+ * @param {string} videoId YouTube video ID
+ * @param {Object} options Options
+ * @param {string[]} options.sources Sources to try, in order (defaults to TRANSCRIPT_SOURCES)
+ * @returns {Promise<Object|null>} Transcript (transcript, transcriptSegments,
+ * transcriptSource, transcriptLanguage), or null if no source has one
+ */
+async function fetchTranscript(videoId, options = {}) {
+  for (const name of options.sources || TRANSCRIPT_SOURCES) {
+    const fetcher = sources.get(name);
+    
+    if (!fetcher) {
+      logger.warn({ source: name }, 'Unknown transcript source');
+      continue;
+    }
+    
+    try {
+      const captions = await fetcher(videoId, options);
+      
+      if (captions) {
+        const transcript = buildTranscript(captions.content);
+        
+        if (transcript.transcriptSegments.length > 0) {
+          return {
+            ...transcript,
+            transcriptSource: name,
+            transcriptLanguage: captions.language || null
+          };
+        }
+      }
+    } catch (error) {
+      logger.warn({ err: error, videoId, source: name }, 'Transcript source failed');
+    }
+  }
+  
+  return null;
+}
+
+module.exports = {
+  registerTranscriptSource,
+  parseCaptions,
+  buildTranscript,
+  fetchTranscript
+};
@@ -0,0 +1,84 @@
+// transcript-service.test.js
+// Offline tests for caption parsing and transcript sources
+
+const { buildTranscript, fetchTranscript, registerTranscriptSource } = require('./transcript-service');
+
+describe('buildTranscript', () => {
+  test('parses WebVTT, dropping headers, markup and sound cues', () => {
+    const vtt = [
+      'WEBVTT',
+      'Kind: captions',
+      'Language: en',
+      '',
+      '00:00:00.000 --> 00:00:02.500 align:start position:0%',
+      'hey guys<00:00:00.500><c> today</c>',
+      '',
+      '00:00:02.500 --> 00:00:04.000',
+      '[Music]',
+      '',
+      '00:00:04.000 --> 00:00:06.250',
+      'we play <i>El Primo</i>'
+    ].join('\n');
+    
+    expect(buildTranscript(vtt)).toEqual({
+      transcript: 'hey guys today we play El Primo',
+      transcriptSegments: [
+        { start: 0, end: 2.5, text: 'hey guys today' },
+        { start: 4, end: 6.3, text: 'we play El Primo' }
+      ]
+    });
+  });
+  
+  test('parses SRT', () => {
+    const srt = '1\r\n00:00:01,000 --> 00:00:03,200\r\nHello &amp; welcome\r\n\r\n2\r\n00:01:03,500 --> 00:01:05,000\r\nBrawl Ball time\r\n';
+    
+    expect(buildTranscript(srt).transcriptSegments).toEqual([
+      { start: 1, end: 3.2, text: 'Hello & welcome' },
+      { start: 63.5, end: 65, text: 'Brawl Ball time' }
+    ]);
+  });
+  
+  test('removes the repeated text of rolling auto-captions', () => {
+    const vtt = [
+      'WEBVTT',
+      '',
+      '00:00:00.000 --> 00:00:02.000',
+      'so the trick with',
+      '',
+      '00:00:02.000 --> 00:00:04.000',
+      'so the trick with Mortis is',
+      '',
+      '00:00:04.000 --> 00:00:04.010',
+      'Mortis is'
+    ].join('\n');
+    
+    expect(buildTranscript(vtt).transcript).toBe('so the trick with Mortis is');
+  });
+  
+  test('returns nothing for files without cues', () => {
+    expect(buildTranscript('just some text')).toEqual({ transcript: '', transcriptSegments: [] });
+  });
+});
+
+describe('fetchTranscript', () => {
+  test('uses the first source that has captions', async () => {
+    registerTranscriptSource('empty', async () => null);
+    registerTranscriptSource('fixture', async () => ({
+      content: 'WEBVTT\n\n00:00:00.000 --> 00:00:01.000\nhello',
+      format: 'vtt',
+      language: 'en'
+    }));
+    
+    const transcript = await fetchTranscript('abc123', { sources: ['missing', 'empty', 'fixture'] });
+    
+    expect(transcript).toMatchObject({ transcript: 'hello', transcriptSource: 'fixture', transcriptLanguage: 'en' });
+  });
+  
+  test('returns null when every source fails', async () => {
+    registerTranscriptSource('broken', async () => {
+      throw new Error('offline');
+    });
+    
+    expect(await fetchTranscript('abc123', { sources: ['broken'] })).toBeNull();
+  });
+});
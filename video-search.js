@@ -0,0 +1,140 @@
+// video-search.js
+// Video search: the Mongo text index alone, or blended with vector similarity
+
+const pino = require('pino');
+const dbService = require('./database-service-improved');
+const embeddings = require('./embedding-service');
+const { rankHybrid } = require('./hybrid-ranker');
+require('dotenv').config();
+
+const SEARCH_MODES = ['auto', 'text', 'hybrid', 'vector'];
+
+// How many candidates each side contributes to a hybrid ranking
+const TEXT_CANDIDATE_LIMIT = parseInt(process.env.SEARCH_TEXT_CANDIDATES || '200');
+const VECTOR_CANDIDATE_LIMIT = parseInt(process.env.SEARCH_VECTOR_CANDIDATES || '200');
+
+// Most stored vectors compared per query (there is no vector index)
+const VECTOR_SCAN_LIMIT = parseInt(process.env.SEARCH_VECTOR_SCAN_LIMIT || '5000');
+
+// Vector matches less similar than this are left out
+const MIN_SIMILARITY = parseFloat(process.env.SEARCH_MIN_SIMILARITY || '0.2');
+
+// Setup logger
+const logger = pino({
+  level: process.env.LOG_LEVEL || 'info',
+  transport: process.env.NODE_ENV === 'development' ? {
+    target: 'pino-pretty',
+    options: {
+      colorize: true
+    }
+  } : undefined
+});
+
+/**
+ * Decide how to run a search. Semantic ranking needs query text, a configured
+ * embedder and relevance order; anything else runs on the text index.
+ * @param {Object} params Search parameters (query, sortBy)
+ * @param {string} requested Requested mode (auto, text, hybrid or vector)
+ * @returns {string} Mode to use: text, hybrid or vector
+ */
+function resolveSearchMode(params, requested = 'auto') {
+  const hasQuery = Boolean(params.query && params.query.trim());
+  const relevance = !params.sortBy || params.sortBy === 'relevance';
+  
+  if (requested === 'text' || !hasQuery || !relevance || !embeddings.isEmbeddingEnabled()) {
+    return 'text';
+  }
+  
+  return requested === 'vector' ? 'vector' : 'hybrid';
+}
+
+/**
+ * Find the stored vectors most similar to a query
+ * @param {string} query Search text
+ * @param {Object} params Search filters
+ * @param {Object} db Video store
+ * @returns {Promise<Object[]>} Matches as { youtubeId, similarity, popularity, recency }, best first
+ */
+async function findSimilarVideos(query, params, db) {
+  const { model, vector } = await embeddings.embedQuery(query);
+  const candidates = await db.findVectorCandidates(model, params, VECTOR_SCAN_LIMIT);
+  
+  return candidates
+    .map(candidate => ({
+      youtubeId: candidate.youtubeId,
+      similarity: embeddings.cosineSimilarity(vector, candidate.embedding.vector),
+      popularity: candidate.popularity,
+      recency: candidate.recency
+    }))
+    .filter(match => match.similarity >= MIN_SIMILARITY)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, VECTOR_CANDIDATE_LIMIT);
+}
+
+/**
+ * Rank videos by text score and vector similarity together, then load one page
+ * @param {Object} params Search parameters
+ * @param {string} mode hybrid, or vector to ignore the text index
+ * @param {Object} db Video store
+ * @returns {Promise<Object>} { videos, pagination }
+ */
+async function searchSemantic(params, mode, db) {
+  const page = parseInt(params.page || 1);
+  const limit = parseInt(params.limit || 20);
+  
+  const [textHits, vectorHits] = await Promise.all([
+    mode === 'hybrid' ? db.findTextCandidates(params.query, params, TEXT_CANDIDATE_LIMIT) : [],
+    findSimilarVideos(params.query, params, db)
+  ]);
+  
+  const ranked = rankHybrid(textHits, vectorHits);
+  const pageIds = ranked.slice((page - 1) * limit, page * limit).map(hit => hit.youtubeId);
+  const scores = new Map(ranked.map(hit => [hit.youtubeId, hit]));
+  const videos = await db.getVideosByYoutubeIds(pageIds);
+  
+  return {
+    videos: videos.map(video => ({
+      ...video,
+      score: scores.get(video.youtubeId).score,
+      signals: scores.get(video.youtubeId).signals
+    })),
+    pagination: {
+      total: ranked.length,
+      page,
+      limit,
+      pages: Math.ceil(ranked.length / limit)
+    }
+  };
+}
+
+/**
+ * Search videos, using semantic ranking when it is configured and applies.
+ * If the embedder fails, the search falls back to the text index.
+ * @param {Object} params Search parameters (as for dbService.searchVideos)
+ * @param {Object} options Options
+ * @param {string} options.mode Requested mode (auto, text, hybrid or vector)
+ * @param {Object} deps Service overrides
+ * @param {Object} deps.db Video store (defaults to database-service-improved; the
+ * offline evaluation passes an in-memory corpus-store)
+ * @returns {Promise<Object>} { videos, pagination, mode } with the mode actually used
+ */
+async function searchVideos(params, options = {}, deps = {}) {
+  const db = deps.db || dbService;
+  const mode = resolveSearchMode(params, options.mode);
+  
+  if (mode !== 'text') {
+    try {
+      return { ...await searchSemantic(params, mode, db), mode };
+    } catch (error) {
+      logger.warn({ err: error, mode }, 'Semantic search failed, using text search');
+    }
+  }
+  
+  return { ...await db.searchVideos(params), mode: 'text' };
+}
+
+module.exports = {
+  SEARCH_MODES,
+  resolveSearchMode,
+  searchVideos
+};
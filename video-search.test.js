@@ -0,0 +1,62 @@
+// video-search.test.js
+// Tests for choosing a search mode and ranking hybrid results, with the database mocked
+
+process.env.EMBEDDING_PROVIDER = 'hash';
+
+jest.mock('./database-service-improved', () => ({
+  searchVideos: jest.fn(),
+  findTextCandidates: jest.fn(),
+  findVectorCandidates: jest.fn(),
+  getVideosByYoutubeIds: jest.fn()
+}));
+
+const dbService = require('./database-service-improved');
+const { hashEmbedding, getEmbedder } = require('./embedding-service');
+const { resolveSearchMode, searchVideos } = require('./video-search');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  dbService.getVideosByYoutubeIds.mockImplementation(async ids => ids.map(youtubeId => ({ youtubeId })));
+});
+
+describe('resolveSearchMode', () => {
+  test('uses hybrid ranking for relevance-sorted text queries', () => {
+    expect(resolveSearchMode({ query: 'spike tips' })).toBe('hybrid');
+    expect(resolveSearchMode({ query: 'spike tips', sortBy: 'relevance' }, 'vector')).toBe('vector');
+  });
+  
+  test('falls back to text search without a query or with another sort order', () => {
+    expect(resolveSearchMode({ query: '' })).toBe('text');
+    expect(resolveSearchMode({ query: 'spike', sortBy: 'recent' })).toBe('text');
+    expect(resolveSearchMode({ query: 'spike' }, 'text')).toBe('text');
+  });
+});
+
+describe('searchVideos', () => {
+  test('blends text and vector candidates and reports the mode', async () => {
+    dbService.findTextCandidates.mockResolvedValue([{ youtubeId: 'text-only', score: 3 }, { youtubeId: 'similar', score: 2 }]);
+    dbService.findVectorCandidates.mockResolvedValue([
+      { youtubeId: 'similar', embedding: { vector: hashEmbedding('spike heist tips') } },
+      { youtubeId: 'unrelated', embedding: { vector: hashEmbedding('colt bounty montage') } }
+    ]);
+    
+    const result = await searchVideos({ query: 'spike heist tips', page: 1, limit: 10 });
+    
+    expect(result.mode).toBe('hybrid');
+    expect(dbService.findVectorCandidates).toHaveBeenCalledWith(getEmbedder().model, expect.any(Object), expect.any(Number));
+    expect(result.videos.map(video => video.youtubeId)).toEqual(['similar', 'text-only']);
+    expect(result.pagination).toEqual({ total: 2, page: 1, limit: 10, pages: 1 });
+    expect(dbService.searchVideos).not.toHaveBeenCalled();
+  });
+  
+  test('falls back to text search when semantic ranking fails', async () => {
+    dbService.findTextCandidates.mockResolvedValue([]);
+    dbService.findVectorCandidates.mockRejectedValue(new Error('database unavailable'));
+    dbService.searchVideos.mockResolvedValue({ videos: [], pagination: { total: 0 } });
+    
+    const result = await searchVideos({ query: 'spike' });
+    
+    expect(result.mode).toBe('text');
+    expect(dbService.searchVideos).toHaveBeenCalledWith({ query: 'spike' });
+  });
+});
@@ -0,0 +1,150 @@
+// youtube-fixtures.js
+// Recorded YouTube Data API responses, so the collector and the services that
+// use its data can run without network access or quota.
+//
+//   YOUTUBE_FIXTURE_MODE=record  Send requests as usual and save each response
+//   YOUTUBE_FIXTURE_MODE=replay  Answer requests from saved responses only
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+require('dotenv').config();
+
+const FIXTURE_MODES = ['off', 'record', 'replay'];
+const FIXTURE_MODE = process.env.YOUTUBE_FIXTURE_MODE || 'off';
+const FIXTURE_DIR = path.resolve(process.env.YOUTUBE_FIXTURE_DIR || path.join(__dirname, 'fixtures', 'youtube'));
+
+// Written in place of the API key wherever it appears in a recording
+const REDACTED = '[REDACTED]';
+
+if (!FIXTURE_MODES.includes(FIXTURE_MODE)) {
+  throw new Error(`YOUTUBE_FIXTURE_MODE must be one of ${FIXTURE_MODES.join(', ')} (got "${FIXTURE_MODE}")`);
+}
+
+/**
+ * Get the fixture mode
+ * @returns {string} 'off', 'record' or 'replay'
+ */
+function getFixtureMode() {
+  return FIXTURE_MODE;
+}
+
+/**
+ * Get the directory fixtures are read from and written to
+ * @returns {string} Absolute path
+ */
+function getFixtureDir() {
+  return FIXTURE_DIR;
+}
+
+/**
+ * Drop the API key from request params and sort them, so the same request
+ * always maps to the same fixture
+ * @param {Object} params Query parameters
+ * @returns {Object} Params without the key, in a stable order
+ */
+function normalizeParams(params = {}) {
+  return Object.fromEntries(Object.keys(params)
+    .filter(name => name !== 'key' && params[name] !== undefined)
+    .sort()
+    .map(name => [name, String(params[name])]));
+}
+
+/**
+ * Get the file a request's fixture is stored in
+ * @param {string} endpoint API endpoint (e.g. 'search', 'videos')
+ * @param {Object} params Query parameters
+ * @returns {string} Path as <dir>/<endpoint>/<hash of the params>.json
+ */
+function getFixturePath(endpoint, params) {
+  const hash = crypto.createHash('sha1')
+    .update(JSON.stringify(normalizeParams(params)))
+    .digest('hex')
+    .slice(0, 16);
+  
+  return path.join(FIXTURE_DIR, endpoint, `${hash}.json`);
+}
+
+/**
+ * Remove every occurrence of the API key from recorded text
+ * @param {string} text Serialized fixture
+ * @returns {string} Text with the key replaced
+ */
+function scrubApiKey(text) {
+  const apiKey = process.env.YOUTUBE_API_KEY;
+  return apiKey ? text.split(apiKey).join(REDACTED) : text;
+}
+
+/**
+ * Save a response (or an API error response) as a fixture
+ * @param {string} endpoint API endpoint
+ * @param {Object} params Query parameters
+ * @param {Object} response Response as { status, data }
+ * @returns {string} Fixture path
+ */
+function recordFixture(endpoint, params, response) {
+  const file = getFixturePath(endpoint, params);
+  const fixture = {
+    endpoint,
+    params: normalizeParams(params),
+    status: response.status,
+    data: response.data,
+    recordedAt: new Date().toISOString()
+  };
+  
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${scrubApiKey(JSON.stringify(fixture, null, 2))}\n`);
+  
+  return file;
+}
+
+/**
+ * Create the error for a request that has no fixture
+ * @param {string} endpoint API endpoint
+ * @param {Object} params Query parameters
+ * @param {string} file Path the fixture was expected at
+ * @returns {Error} Error with the FIXTURE_NOT_RECORDED code
+ */
+function createFixtureMissingError(endpoint, params, file) {
+  const error = new Error(
+    `No recorded YouTube response for ${endpoint} ${JSON.stringify(normalizeParams(params))} ` +
+    `(expected ${path.relative(process.cwd(), file)}); record it with YOUTUBE_FIXTURE_MODE=record`
+  );
+  error.statusCode = 500;
+  error.code = 'FIXTURE_NOT_RECORDED';
+  return error;
+}
+
+/**
+ * Replay a recorded response. Recorded API errors are thrown again, shaped
+ * like the axios errors they were recorded from.
+ * @param {string} endpoint API endpoint
+ * @param {Object} params Query parameters
+ * @returns {Object} Response as { status, data }
+ */
+function replayFixture(endpoint, params) {
+  const file = getFixturePath(endpoint, params);
+  
+  if (!fs.existsSync(file)) {
+    throw createFixtureMissingError(endpoint, params, file);
+  }
+  
+  const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+  
+  if (fixture.status >= 400) {
+    const error = new Error(`Request failed with status code ${fixture.status}`);
+    error.response = { status: fixture.status, data: fixture.data };
+    throw error;
+  }
+  
+  return { status: fixture.status, data: fixture.data };
+}
+
+module.exports = {
+  FIXTURE_MODES,
+  getFixtureMode,
+  getFixtureDir,
+  getFixturePath,
+  recordFixture,
+  replayFixture
+};
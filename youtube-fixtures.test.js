@@ -0,0 +1,162 @@
+// youtube-fixtures.test.js
+// Tests for recording and replaying YouTube API responses, with the API and
+// database mocked
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The services are reloaded for each mode, so the mocks are shared explicitly
+const axios = { get: jest.fn() };
+const dbService = {
+  addQuotaUsage: jest.fn(),
+  getQuotaUsage: jest.fn(),
+  getYoutubeEtags: jest.fn(),
+  saveYoutubeEtags: jest.fn()
+};
+const mockModules = { axios, dbService };
+
+jest.mock('axios', () => mockModules.axios);
+jest.mock('./database-service-improved', () => mockModules.dbService);
+
+let fixtureDir;
+
+/**
+ * Load the fixture store and the YouTube client in a fixture mode
+ * @param {string} mode Fixture mode
+ * @returns {Object} { fixtures, youtubeService }
+ */
+function loadInMode(mode) {
+  process.env.YOUTUBE_FIXTURE_MODE = mode;
+  let modules;
+  
+  jest.isolateModules(() => {
+    modules = {
+      fixtures: require('./youtube-fixtures'),
+      youtubeService: require('./youtube-service-improved')
+    };
+  });
+  
+  return modules;
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'youtube-fixtures-'));
+  process.env.YOUTUBE_FIXTURE_DIR = fixtureDir;
+  process.env.YOUTUBE_API_KEY = 'secret-key';
+  dbService.addQuotaUsage.mockResolvedValue({ unitsUsed: 1, byMethod: {} });
+  dbService.getYoutubeEtags.mockResolvedValue(new Map());
+});
+
+afterEach(() => {
+  fs.rmSync(fixtureDir, { recursive: true, force: true });
+  delete process.env.YOUTUBE_FIXTURE_MODE;
+  delete process.env.YOUTUBE_FIXTURE_DIR;
+});
+
+test('rejects an unknown fixture mode', () => {
+  expect(() => loadInMode('rewind')).toThrow('YOUTUBE_FIXTURE_MODE');
+});
+
+test('maps a request to the same file whatever the param order or key', () => {
+  const { fixtures } = loadInMode('off');
+  
+  expect(fixtures.getFixturePath('search', { q: 'colt', part: 'snippet', key: 'a' }))
+    .toBe(fixtures.getFixturePath('search', { part: 'snippet', q: 'colt' }));
+  expect(fixtures.getFixturePath('search', { q: 'colt' }))
+    .not.toBe(fixtures.getFixturePath('search', { q: 'brock' }));
+  expect(path.dirname(fixtures.getFixturePath('videos', { id: 'abc' }))).toBe(path.join(fixtureDir, 'videos'));
+});
+
+test('records responses with the API key scrubbed, then replays them offline', async () => {
+  axios.get.mockResolvedValue({
+    status: 200,
+    data: { items: [{ id: { videoId: 'abc' } }], echo: 'https://example.com/?key=secret-key' }
+  });
+  
+  const recorder = loadInMode('record');
+  const recorded = await recorder.youtubeService.searchVideos('colt tips');
+  const file = recorder.fixtures.getFixturePath('search', axios.get.mock.calls[0][1].params);
+  const saved = fs.readFileSync(file, 'utf8');
+  
+  expect(saved).not.toContain('secret-key');
+  expect(JSON.parse(saved).params).not.toHaveProperty('key');
+  
+  axios.get.mockClear();
+  dbService.addQuotaUsage.mockClear();
+  
+  const player = loadInMode('replay');
+  const replayed = await player.youtubeService.searchVideos('colt tips');
+  
+  expect(replayed.videoIds).toEqual(recorded.videoIds);
+  expect(axios.get).not.toHaveBeenCalled();
+  expect(dbService.addQuotaUsage).not.toHaveBeenCalled();
+});
+
+test('replays recorded API errors as errors', async () => {
+  const error = new Error('Request failed with status code 404');
+  error.response = { status: 404, data: { error: { message: 'Not found', errors: [{ reason: 'notFound' }] } } };
+  axios.get.mockRejectedValue(error);
+  
+  await expect(loadInMode('record').youtubeService.getCreatorComments('gone', 'UCx')).rejects.toThrow('404');
+  
+  const replayed = loadInMode('replay').youtubeService.getCreatorComments('gone', 'UCx');
+  await expect(replayed).rejects.toMatchObject({ response: { status: 404 } });
+});
+
+test('fails loudly on a request that was never recorded', async () => {
+  const { youtubeService } = loadInMode('replay');
+  
+  await expect(youtubeService.searchVideos('never recorded'))
+    .rejects.toMatchObject({ code: 'FIXTURE_NOT_RECORDED', message: expect.stringContaining('never recorded') });
+  expect(axios.get).not.toHaveBeenCalled();
+});
+
+test('records conditional requests apart from unconditional ones', async () => {
+  dbService.getYoutubeEtags.mockImplementation(async keys => new Map(keys.filter(key => key.startsWith('videos@')).map(key => [key, 'batch-1'])));
+  axios.get.mockResolvedValue({ status: 304, data: '' });
+  
+  expect(await loadInMode('record').youtubeService.refreshVideoDetails(['a'])).toMatchObject({ unchanged: ['a'] });
+  
+  const { youtubeService } = loadInMode('replay');
+  expect(await youtubeService.refreshVideoDetails(['a'])).toMatchObject({ unchanged: ['a'] });
+  await expect(youtubeService.getVideoDetails(['a'])).rejects.toMatchObject({ code: 'FIXTURE_NOT_RECORDED' });
+});
+
+describe('committed fixture set', () => {
+  const CHANNEL_ID = 'UCq7Xr3pGjVbQ2mKf9sLwT1A';
+  const CHANNEL_PARAMS = { part: 'snippet,statistics', id: CHANNEL_ID, maxResults: 1 };
+  
+  beforeEach(() => {
+    process.env.YOUTUBE_FIXTURE_DIR = path.join(__dirname, 'fixtures', 'youtube-replay');
+  });
+  
+  test('replays recorded responses through youtubeRequest without spending quota', async () => {
+    const { youtubeService } = loadInMode('replay');
+    
+    const search = await youtubeService.youtubeRequest('search', {
+      part: 'snippet',
+      type: 'video',
+      maxResults: 50,
+      order: 'relevance',
+      q: 'colt guide'
+    });
+    const channels = await youtubeService.youtubeRequest('channels', CHANNEL_PARAMS, { cache: false });
+    
+    expect(search.items.map(item => item.id.videoId)).toEqual(['Xk2v9QmR4tA', 'bR7nLw3YcQe', 'pT4hZs8KdNu']);
+    expect(channels.items[0]).toMatchObject({ id: CHANNEL_ID, snippet: { title: 'Brawl Academy' } });
+    expect(axios.get).not.toHaveBeenCalled();
+    expect(dbService.addQuotaUsage).not.toHaveBeenCalled();
+    expect(youtubeService.getUnitsUsed()).toBe(0);
+  });
+  
+  test('replays a recorded 304 for a conditional request with a matching ETag', async () => {
+    const { youtubeService } = loadInMode('replay');
+    const { etag } = await youtubeService.youtubeRequest('channels', CHANNEL_PARAMS, { cache: false });
+    
+    await expect(youtubeService.youtubeRequest('channels', CHANNEL_PARAMS, { etag })).resolves.toBeNull();
+    await expect(youtubeService.youtubeRequest('channels', CHANNEL_PARAMS, { etag: 'stale' }))
+      .rejects.toMatchObject({ code: 'FIXTURE_NOT_RECORDED' });
+  });
+});
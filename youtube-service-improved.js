@@ -2,43 +2,744 @@
 // This file now uses axios to call the real YouTube Data API
 
 const axios = require('axios');
+const pino = require('pino');
+const NodeCache = require('node-cache');
+const crypto = require('crypto');
+const dbService = require('./database-service-improved');
+const fixtures = require('./youtube-fixtures');
+require('dotenv').config();
 
-async function getQuotaStatus() {
+// YouTube API configuration
+const YOUTUBE_API_BASE_URL = process.env.YOUTUBE_API_BASE_URL || 'https://www.googleapis.com/youtube/v3';
+const YOUTUBE_REQUEST_TIMEOUT_MS = parseInt(process.env.YOUTUBE_REQUEST_TIMEOUT_MS || '15000');
+const YOUTUBE_CACHE_TTL = parseInt(process.env.YOUTUBE_CACHE_TTL || '3600'); // Seconds
+const MAX_CONCURRENT_REQUESTS = parseInt(process.env.MAX_CONCURRENT_REQUESTS || '5');
+
+// Retries of rate-limited and failed (5xx) requests, with exponential backoff
+const YOUTUBE_MAX_RETRIES = parseInt(process.env.YOUTUBE_MAX_RETRIES || '3');
+const YOUTUBE_RETRY_BASE_DELAY_MS = parseInt(process.env.YOUTUBE_RETRY_BASE_DELAY_MS || '1000');
+
+// 403 reasons that mean "slow down" rather than "not allowed"
+const RATE_LIMIT_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded'];
+
+// videos.list and channels.list accept at most 50 ids per call
+const MAX_IDS_PER_REQUEST = 50;
+
+// Quota cost of each API method in units
+// (https://developers.google.com/youtube/v3/determine_quota_cost)
+const QUOTA_COSTS = {
+  'search.list': 100,
+  'videos.list': 1,
+  'channels.list': 1,
+  'playlists.list': 1,
+  'playlistItems.list': 1,
+  'commentThreads.list': 1,
+  'comments.list': 1,
+  'captions.list': 50,
+  'videoCategories.list': 1
+};
+
+// Daily quota of the API key, and units kept in reserve (never spent by the
+// service, so a runaway job can't leave the key with nothing)
+const YOUTUBE_DAILY_QUOTA = parseInt(process.env.YOUTUBE_DAILY_QUOTA || '10000');
+const YOUTUBE_QUOTA_RESERVE = parseInt(process.env.YOUTUBE_QUOTA_RESERVE || '500');
+
+// The quota resets at midnight Pacific time
+const QUOTA_TIME_ZONE = 'America/Los_Angeles';
+
+// Quota units spent by this process
+let unitsUsed = 0;
+
+// Responses by endpoint and params, and videos and channels by ID
+const apiCache = new NodeCache({
+  stdTTL: YOUTUBE_CACHE_TTL,
+  checkperiod: 120, // Check for expired entries every 2 minutes
+  useClones: false
+});
+
+// Requests in flight, and callers waiting for a free slot
+let activeRequests = 0;
+const requestQueue = [];
+
+// Today's ledger as last seen, as { day, unitsUsed, byMethod }. Used on its own
+// when the database is unavailable, so it then only counts this process.
+let ledger = { day: null, unitsUsed: 0, byMethod: {} };
+
+// Setup logger
+const logger = pino({
+  level: process.env.LOG_LEVEL || 'info',
+  transport: process.env.NODE_ENV === 'development' ? {
+    target: 'pino-pretty',
+    options: {
+      colorize: true
+    }
+  } : undefined
+});
+
+if (fixtures.getFixtureMode() !== 'off') {
+  logger.info({ mode: fixtures.getFixtureMode(), dir: fixtures.getFixtureDir() }, 'YouTube fixtures enabled');
+}
+
+/**
+ * Get the quota day (the date in Pacific time) of a moment
+ * @param {Date} date Moment (defaults to now)
+ * @returns {string} Day as YYYY-MM-DD
+ */
+function getQuotaDay(date = new Date()) {
+  // en-CA formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', { timeZone: QUOTA_TIME_ZONE }).format(date);
+}
+
+/**
+ * Get when the quota next resets (the next midnight in Pacific time)
+ * @param {Date} date Moment (defaults to now)
+ * @returns {Date} Reset time
+ */
+function getQuotaResetTime(date = new Date()) {
+  const [year, month, day] = getQuotaDay(date).split('-').map(Number);
+  
+  // Midnight PST is 08:00 UTC; during daylight saving time it is an hour earlier
+  const candidate = new Date(Date.UTC(year, month - 1, day + 1, 8));
+  const pacificHour = parseInt(new Intl.DateTimeFormat('en-US', {
+    timeZone: QUOTA_TIME_ZONE,
+    hour: 'numeric',
+    hourCycle: 'h23'
+  }).format(candidate));
+  
+  return new Date(candidate.getTime() - pacificHour * 3600000);
+}
+
+/**
+ * Create an error for a request the remaining quota can't cover
+ * @param {string} method API method
+ * @param {number} cost Quota cost of the request
+ * @param {number} used Units already spent today
+ * @returns {Error} Error with a 429 status code and the QUOTA_EXCEEDED code
+ */
+function createQuotaExceededError(method, cost, used) {
+  const error = new Error(
+    `YouTube quota exhausted: ${method} costs ${cost} units and ${used} of ` +
+    `${YOUTUBE_DAILY_QUOTA - YOUTUBE_QUOTA_RESERVE} usable units are spent today ` +
+    `(${YOUTUBE_QUOTA_RESERVE} held in reserve; resets ${getQuotaResetTime().toISOString()})`
+  );
+  error.statusCode = 429;
+  error.code = 'QUOTA_EXCEEDED';
+  return error;
+}
+
+/**
+ * Record units in the ledger of this process only
+ * @param {string} day Quota day
+ * @param {string} method API method
+ * @param {number} units Quota units (negative to give them back)
+ * @returns {Object} Updated ledger
+ */
+function addLocalQuotaUsage(day, method, units) {
+  const [resource, verb] = method.split('.');
+  const current = ledger.day === day ? ledger : { day, unitsUsed: 0, byMethod: {} };
+  const resourceUsage = current.byMethod[resource] || {};
+  
+  return {
+    day,
+    unitsUsed: current.unitsUsed + units,
+    byMethod: {
+      ...current.byMethod,
+      [resource]: { ...resourceUsage, [verb]: (resourceUsage[verb] || 0) + units }
+    }
+  };
+}
+
+/**
+ * Charge a request to today's quota ledger before it is sent (failed requests
+ * are charged too). The ledger is shared by every instance through the database;
+ * a charge that would dip into the reserve is given back and refused.
+ * @param {string} method API method (e.g. 'search.list')
+ * @returns {Promise<void>}
+ */
+async function chargeQuota(method) {
+  const cost = QUOTA_COSTS[method] ?? 1;
+  const day = getQuotaDay();
+  let shared = true;
+  let record;
+  
+  try {
+    record = await dbService.addQuotaUsage(day, method, cost);
+  } catch (error) {
+    logger.warn({ err: error, method }, 'Quota ledger unavailable, counting this process only');
+    shared = false;
+    record = addLocalQuotaUsage(day, method, cost);
+  }
+  
+  if (record.unitsUsed > YOUTUBE_DAILY_QUOTA - YOUTUBE_QUOTA_RESERVE) {
+    if (shared) {
+      await dbService.addQuotaUsage(day, method, -cost)
+        .catch(error => logger.error({ err: error, method }, 'Failed to give back refused quota units'));
+    }
+    throw createQuotaExceededError(method, cost, record.unitsUsed - cost);
+  }
+  
+  ledger = record;
+  unitsUsed += cost;
+}
+
+/**
+ * Run a task once fewer than MAX_CONCURRENT_REQUESTS are in flight
+ * @param {Function} task Async function
+ * @returns {Promise<*>} Task result
+ */
+async function withRequestSlot(task) {
+  // A finishing request hands its slot straight to the next caller in line
+  if (activeRequests >= MAX_CONCURRENT_REQUESTS) {
+    await new Promise(resolve => requestQueue.push(resolve));
+  } else {
+    activeRequests++;
+  }
+  
+  try {
+    return await task();
+  } finally {
+    const next = requestQueue.shift();
+    if (next) {
+      next();
+    } else {
+      activeRequests--;
+    }
+  }
+}
+
+/**
+ * Check whether a failed request is worth retrying: rate limiting and server
+ * errors are; quota exhaustion and bad requests are not
+ * @param {Error} error Request error
+ * @returns {boolean} Whether to retry
+ */
+function isRetryable(error) {
+  const status = error.response?.status;
+  const reason = error.response?.data?.error?.errors?.[0]?.reason;
+  
+  return status >= 500 || status === 429 || (status === 403 && RATE_LIMIT_REASONS.includes(reason));
+}
+
+/**
+ * Build the cache key of a request
+ * @param {string} endpoint API endpoint
+ * @param {Object} params Query parameters
+ * @returns {string} Key with the params in a stable order
+ */
+function buildCacheKey(endpoint, params) {
+  const sorted = Object.keys(params).sort().map(name => [name, params[name]]);
+  return `${endpoint}:${JSON.stringify(sorted)}`;
+}
+
+/**
+ * Send one GET request to the YouTube Data API, charged to the quota ledger.
+ * In fixture replay mode the recorded response is used instead (and nothing
+ * is charged); in record mode every response is saved as a fixture.
+ * @param {string} endpoint API endpoint
+ * @param {Object} params Query parameters
+ * @param {string} etag ETag of the copy the caller has, sent as If-None-Match
+ * @returns {Promise<Object|null>} Response body, or null if unchanged since etag (304)
+ */
+async function sendRequest(endpoint, params, etag) {
+  const fixtureMode = fixtures.getFixtureMode();
+  
+  // Conditional requests are recorded apart from unconditional ones
+  const fixtureParams = etag ? { ...params, ifNoneMatch: etag } : params;
+  
   try {
-    const channelId = 'UC-lHJZR3Gqxm24_Vd_AJ5Yw'; // Example channel (PewDiePie)
-    const apiKey = process.env.YOUTUBE_API_KEY;   // Your real API key from your environment
-    
-    const response = await axios.get('https://www.googleapis.com/youtube/v3/channels', {
-      params: {
-        part: 'snippet,statistics',
-        id: channelId,
-        key: apiKey
+    let response;
+    
+    if (fixtureMode === 'replay') {
+      response = fixtures.replayFixture(endpoint, fixtureParams);
+    } else {
+      await chargeQuota(`${endpoint}.list`);
+      
+      response = await axios.get(`${YOUTUBE_API_BASE_URL}/${endpoint}`, {
+        params: {
+          ...params,
+          key: process.env.YOUTUBE_API_KEY
+        },
+        headers: etag ? { 'If-None-Match': etag } : {},
+        validateStatus: status => (status >= 200 && status < 300) || status === 304,
+        timeout: YOUTUBE_REQUEST_TIMEOUT_MS
+      });
+      
+      if (fixtureMode === 'record') {
+        fixtures.recordFixture(endpoint, fixtureParams, response);
       }
-    });
+    }
     
-    return {
-      used: 1,                
-      remaining: 9999,        
-      resetTime: new Date().toISOString(),
-      data: response.data    
+    return response.status === 304 ? null : response.data;
+  } catch (error) {
+    if (fixtureMode === 'record' && error.response) {
+      fixtures.recordFixture(endpoint, fixtureParams, error.response);
+    }
+    
+    const apiError = error.response?.data?.error;
+    logger.error({
+      endpoint,
+      status: error.response?.status,
+      reason: apiError?.errors?.[0]?.reason,
+      message: apiError?.message || error.message
+    }, 'YouTube API request failed');
+    throw error;
+  }
+}
+
+/**
+ * Perform a GET request against the YouTube Data API. Responses are cached;
+ * requests share MAX_CONCURRENT_REQUESTS slots and are retried with backoff
+ * when rate limited or on server errors (each attempt is charged).
+ * @param {string} endpoint API endpoint (e.g. 'search', 'videos')
+ * @param {Object} params Query parameters (the API key is added automatically)
+ * @param {Object} options Options
+ * @param {boolean} options.cache Whether to use and fill the response cache
+ * (conditional requests never use it)
+ * @param {string} options.etag ETag of the caller's copy, to send a conditional request
+ * @returns {Promise<Object|null>} Response body, or null if unchanged since etag
+ */
+async function youtubeRequest(endpoint, params = {}, options = {}) {
+  const { etag = null } = options;
+  const cache = options.cache !== false && !etag;
+  const cacheKey = buildCacheKey(endpoint, params);
+  
+  if (cache) {
+    const cached = apiCache.get(cacheKey);
+    if (cached !== undefined) {
+      logger.debug({ endpoint }, 'Using cached YouTube API response');
+      return cached;
+    }
+  }
+  
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const data = await withRequestSlot(() => sendRequest(endpoint, params, etag));
+      
+      if (cache) {
+        apiCache.set(cacheKey, data);
+      }
+      return data;
+    } catch (error) {
+      if (attempt >= YOUTUBE_MAX_RETRIES || !isRetryable(error)) {
+        throw error;
+      }
+      
+      // Exponential backoff with jitter
+      const delay = YOUTUBE_RETRY_BASE_DELAY_MS * Math.pow(2, attempt) + Math.random() * YOUTUBE_RETRY_BASE_DELAY_MS;
+      logger.warn({ endpoint, attempt: attempt + 1, delay: Math.round(delay) }, 'Retrying YouTube API request');
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Get the quota units spent by this process since it started
+ * @returns {number} Quota units
+ */
+function getUnitsUsed() {
+  return unitsUsed;
+}
+
+/**
+ * Split an array into chunks of a given size
+ * @param {Array} items Items to split
+ * @param {number} size Maximum chunk size
+ * @returns {Array[]} Chunks
+ */
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Search YouTube for videos
+ * @param {string} query Search query
+ * @param {Object} options Search options
+ * @param {number} options.maxResults Results per page (max 50)
+ * @param {string} options.pageToken Page token from a previous call
+ * @param {string} options.publishedAfter Only return videos published after this ISO date
+ * @param {string} options.channelId Restrict the search to a channel
+ * @param {string} options.order Sort order (relevance, date, viewCount, rating)
+ * @returns {Promise<Object>} Video IDs and the next page token
+ */
+async function searchVideos(query, options = {}) {
+  const {
+    maxResults = 50,
+    pageToken,
+    publishedAfter,
+    channelId,
+    order = 'relevance'
+  } = options;
+  
+  const params = {
+    part: 'snippet',
+    type: 'video',
+    maxResults: Math.min(parseInt(maxResults) || 50, 50),
+    order
+  };
+  
+  if (query) params.q = query;
+  if (pageToken) params.pageToken = pageToken;
+  if (publishedAfter) params.publishedAfter = publishedAfter;
+  if (channelId) params.channelId = channelId;
+  
+  const data = await youtubeRequest('search', params);
+  
+  return {
+    items: (data.items || []).filter(item => item.id && item.id.videoId),
+    videoIds: (data.items || [])
+      .filter(item => item.id && item.id.videoId)
+      .map(item => item.id.videoId),
+    nextPageToken: data.nextPageToken || null,
+    totalResults: data.pageInfo?.totalResults || 0
+  };
+}
+
+/**
+ * List a channel's uploads, newest first, via its uploads playlist
+ * (playlistItems.list costs 1 unit per page versus 100 for a channel search)
+ * @param {string} channelId YouTube channel ID
+ * @param {Object} options Listing options
+ * @param {string} options.publishedAfter Stop at uploads published on or before this ISO date
+ * @param {number} options.maxResults Maximum number of uploads to return
+ * @returns {Promise<Object[]>} Uploads as { videoId, publishedAt }
+ */
+async function getChannelUploads(channelId, options = {}) {
+  const { publishedAfter, maxResults = 50 } = options;
+  const uploadsPlaylistId = `UU${channelId.slice(2)}`;
+  const uploads = [];
+  let pageToken = null;
+  
+  do {
+    const params = {
+      part: 'contentDetails',
+      playlistId: uploadsPlaylistId,
+      maxResults: 50
     };
+    if (pageToken) params.pageToken = pageToken;
+    
+    const data = await youtubeRequest('playlistItems', params);
+    
+    for (const item of data.items || []) {
+      const publishedAt = item.contentDetails?.videoPublishedAt;
+      
+      // Private and deleted uploads have no publish date
+      if (!publishedAt) continue;
+      
+      if (publishedAfter && publishedAt <= publishedAfter) {
+        return uploads;
+      }
+      
+      uploads.push({ videoId: item.contentDetails.videoId, publishedAt });
+      
+      if (uploads.length >= maxResults) {
+        return uploads;
+      }
+    }
+    
+    pageToken = data.nextPageToken || null;
+  } while (pageToken);
+  
+  return uploads;
+}
+
+/**
+ * Get resources by ID, from the cache where possible. The rest are fetched in
+ * batches of 50 IDs, sent in parallel (within the concurrency limit).
+ * @param {string} endpoint API endpoint (videos or channels)
+ * @param {string} part Resource parts to fetch
+ * @param {string[]} ids Resource IDs
+ * @param {boolean} useCache Whether to read cached resources
+ * @returns {Promise<Object[]>} Resources that exist, in the order of their IDs. Their
+ * ETags aren't stored: see getResourceEtags and saveEtags.
+ */
+async function getResourcesById(endpoint, part, ids, useCache) {
+  const uniqueIds = [...new Set(ids)];
+  const found = new Map();
+  
+  for (const id of uniqueIds) {
+    const cached = useCache ? apiCache.get(`${endpoint}#${id}`) : undefined;
+    if (cached !== undefined) found.set(id, cached);
+  }
+  
+  const missing = uniqueIds.filter(id => !found.has(id));
+  const pages = await Promise.all(chunk(missing, MAX_IDS_PER_REQUEST).map(batch => youtubeRequest(endpoint, {
+    part,
+    id: batch.join(','),
+    maxResults: batch.length
+  }, { cache: false })));
+  
+  const items = pages.flatMap(data => data.items || []);
+  for (const item of items) {
+    apiCache.set(`${endpoint}#${item.id}`, item);
+    found.set(item.id, item);
+  }
+  
+  return uniqueIds.filter(id => found.has(id)).map(id => found.get(id));
+}
+
+/**
+ * Get the ETag key of a batch response, which covers exactly the IDs requested
+ * @param {string} endpoint API endpoint
+ * @param {string} part Resource parts requested
+ * @param {string[]} batch Resource IDs requested
+ * @returns {string} Key such as 'videos@3f2a...'
+ */
+function getBatchEtagKey(endpoint, part, batch) {
+  const hash = crypto.createHash('sha1').update(`${part}|${batch.join(',')}`).digest('hex');
+  return `${endpoint}@${hash.slice(0, 16)}`;
+}
+
+/**
+ * List the ETags of fetched resources, to store once the resources are
+ * @param {string} endpoint API endpoint (videos or channels)
+ * @param {Object[]} resources Resources
+ * @returns {Object[]} ETags as { key, etag, ids } where ids are the resources they cover
+ */
+function getResourceEtags(endpoint, resources) {
+  return resources.map(resource => ({ key: `${endpoint}#${resource.id}`, etag: resource.etag, ids: [resource.id] }));
+}
+
+/**
+ * Store the ETags whose resources have all been stored. An ETag stored for a
+ * resource that wasn't would make the next refresh report it as unchanged, so
+ * it would never be stored. ETags only save bandwidth, so failures are logged
+ * rather than thrown.
+ * @param {Object[]} etags ETags as { key, etag, ids } (missing ETags are ignored)
+ * @param {string[]} storedIds IDs of the resources the caller stored
+ * @returns {Promise<void>}
+ */
+async function saveEtags(etags, storedIds) {
+  const stored = new Set(storedIds);
+  const known = Object.fromEntries(etags
+    .filter(({ etag, ids }) => etag && ids.every(id => stored.has(id)))
+    .map(({ key, etag }) => [key, etag]));
+  
+  if (Object.keys(known).length === 0) {
+    return;
+  }
+  
+  try {
+    await dbService.saveYoutubeEtags(known);
   } catch (error) {
-    console.error('Error fetching data from YouTube:', error.message);
+    logger.warn({ err: error }, 'Failed to store YouTube ETags');
+  }
+}
+
+/**
+ * Re-fetch resources with conditional requests. Each batch of 50 IDs is sent
+ * with the ETag of its last response as If-None-Match; a 304 means none of its
+ * resources changed. Otherwise resources whose own ETag is unchanged are
+ * reported as unchanged too. The new ETags are returned rather than stored:
+ * the caller stores them with saveEtags once it has stored the changed resources.
+ * @param {string} endpoint API endpoint (videos or channels)
+ * @param {string} part Resource parts to fetch
+ * @param {string[]} ids Resource IDs
+ * @returns {Promise<Object>} { changed: resources, unchanged: IDs, missing: IDs, etags }
+ * where missing resources no longer exist (or are private) and etags are as
+ * listed by getResourceEtags (the batch ETag covers the changed resources)
+ */
+async function refreshResources(endpoint, part, ids) {
+  const batches = chunk([...new Set(ids)], MAX_IDS_PER_REQUEST);
+  const batchKeys = batches.map(batch => getBatchEtagKey(endpoint, part, batch));
+  
+  let known = new Map();
+  try {
+    known = await dbService.getYoutubeEtags([...batchKeys, ...batches.flat().map(id => `${endpoint}#${id}`)]);
+  } catch (error) {
+    logger.warn({ err: error }, 'Stored YouTube ETags unavailable, refreshing unconditionally');
+  }
+  
+  const results = await Promise.all(batches.map(async (batch, index) => {
+    const data = await youtubeRequest(endpoint, {
+      part,
+      id: batch.join(','),
+      maxResults: batch.length
+    }, { cache: false, etag: known.get(batchKeys[index]) });
+    
+    if (data === null) {
+      return { changed: [], unchanged: batch, missing: [], etags: [] };
+    }
+    
+    const items = data.items || [];
+    const returnedIds = new Set(items.map(item => item.id));
+    items.forEach(item => apiCache.set(`${endpoint}#${item.id}`, item));
+    
+    const isUnchanged = item => Boolean(item.etag) && item.etag === known.get(`${endpoint}#${item.id}`);
+    const changed = items.filter(item => !isUnchanged(item));
     
     return {
-      used: 0,
-      remaining: 0,
-      resetTime: new Date().toISOString(),
-      error: error.message
+      changed,
+      unchanged: items.filter(isUnchanged).map(item => item.id),
+      missing: batch.filter(id => !returnedIds.has(id)),
+      etags: [
+        { key: batchKeys[index], etag: data.etag, ids: changed.map(item => item.id) },
+        ...getResourceEtags(endpoint, changed)
+      ]
     };
+  }));
+  
+  return {
+    changed: results.flatMap(result => result.changed),
+    unchanged: results.flatMap(result => result.unchanged),
+    missing: results.flatMap(result => result.missing),
+    etags: results.flatMap(result => result.etags)
+  };
+}
+
+/**
+ * Get full details (snippet, statistics, duration) for a list of videos
+ * @param {string[]} videoIds YouTube video IDs
+ * @param {Object} options Options
+ * @param {boolean} options.useCache Whether cached details will do (false for fresh statistics)
+ * @returns {Promise<Object[]>} Video resources
+ */
+async function getVideoDetails(videoIds, options = {}) {
+  const { useCache = true } = options;
+  
+  return getResourcesById('videos', 'snippet,contentDetails,statistics', videoIds, useCache);
+}
+
+/**
+ * Re-fetch videos for fresh statistics, skipping those unchanged since they
+ * were last fetched (see refreshResources)
+ * @param {string[]} videoIds YouTube video IDs
+ * @returns {Promise<Object>} { changed: video resources, unchanged: IDs, missing: IDs }
+ */
+async function refreshVideoDetails(videoIds) {
+  return refreshResources('videos', 'snippet,contentDetails,statistics', videoIds);
+}
+
+/**
+ * Get details for a list of channels
+ * @param {string[]} channelIds YouTube channel IDs
+ * @returns {Promise<Object[]>} Channel resources
+ */
+async function getChannelDetails(channelIds) {
+  return getResourcesById('channels', 'snippet,statistics', channelIds, true);
+}
+
+/**
+ * Re-fetch channels, skipping those unchanged since they were last fetched
+ * (see refreshResources)
+ * @param {string[]} channelIds YouTube channel IDs
+ * @returns {Promise<Object>} { changed: channel resources, unchanged: IDs, missing: IDs }
+ */
+async function refreshChannelDetails(channelIds) {
+  return refreshResources('channels', 'snippet,statistics', channelIds);
+}
+
+/**
+ * Get the channel owner's comments among a video's top comment threads. The API
+ * doesn't flag pinned comments, but a pinned comment is always among the top
+ * threads by relevance.
+ * @param {string} videoId YouTube video ID
+ * @param {string} channelId ID of the channel that uploaded the video
+ * @param {Object} options Options
+ * @param {number} options.maxResults Number of top threads to look at
+ * @returns {Promise<string[]>} Comment texts
+ */
+async function getCreatorComments(videoId, channelId, options = {}) {
+  const { maxResults = 5 } = options;
+  
+  const data = await youtubeRequest('commentThreads', {
+    part: 'snippet',
+    videoId,
+    order: 'relevance',
+    textFormat: 'plainText',
+    maxResults
+  });
+  
+  return (data.items || [])
+    .map(item => item.snippet?.topLevelComment?.snippet)
+    .filter(comment => comment && comment.authorChannelId?.value === channelId)
+    .map(comment => comment.textOriginal || comment.textDisplay || '');
+}
+
+/**
+ * Parse an ISO 8601 duration (e.g. PT1H2M33S) into seconds
+ * @param {string} isoDuration ISO 8601 duration string
+ * @returns {number} Duration in seconds
+ */
+function parseDuration(isoDuration) {
+  const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(isoDuration || '');
+  
+  if (!match) {
+    return 0;
+  }
+  
+  const [, days, hours, minutes, seconds] = match.map(value => parseInt(value) || 0);
+  return days * 86400 + hours * 3600 + minutes * 60 + seconds;
+}
+
+/**
+ * Get today's quota usage from the ledger. Reads the database only; no quota
+ * is spent to report quota.
+ * @returns {Promise<Object>} Quota status as { day, dailyQuota, reserved, used,
+ * remaining, available, byMethod, costs, resetTime, source } where available is
+ * what the service may still spend, byMethod is keyed like 'search.list' and
+ * source is 'ledger', or 'process' if the database couldn't be read
+ */
+async function getQuotaStatus() {
+  const day = getQuotaDay();
+  let record = ledger.day === day ? ledger : { day, unitsUsed: 0, byMethod: {} };
+  let source = 'ledger';
+  
+  try {
+    record = (await dbService.getQuotaUsage(day)) || { day, unitsUsed: 0, byMethod: {} };
+  } catch (error) {
+    logger.warn({ err: error }, 'Quota ledger unavailable, reporting this process only');
+    source = 'process';
   }
+  
+  const byMethod = Object.fromEntries(Object.entries(record.byMethod || {})
+    .flatMap(([resource, verbs]) => Object.entries(verbs).map(([verb, units]) => [`${resource}.${verb}`, units]))
+    .filter(([, units]) => units > 0));
+  
+  return {
+    day,
+    dailyQuota: YOUTUBE_DAILY_QUOTA,
+    reserved: YOUTUBE_QUOTA_RESERVE,
+    used: record.unitsUsed,
+    remaining: Math.max(0, YOUTUBE_DAILY_QUOTA - record.unitsUsed),
+    available: Math.max(0, YOUTUBE_DAILY_QUOTA - YOUTUBE_QUOTA_RESERVE - record.unitsUsed),
+    byMethod,
+    costs: QUOTA_COSTS,
+    resetTime: getQuotaResetTime().toISOString(),
+    source
+  };
 }
 
+/**
+ * Flush the API response cache
+ * @returns {number} Number of cache entries cleared
+ */
 function clearApiCache() {
-  return 0;
+  const count = apiCache.keys().length;
+  apiCache.flushAll();
+  
+  logger.info({ count }, 'Cleared YouTube API cache');
+  return count;
 }
 
 module.exports = {
+  searchVideos,
+  getChannelUploads,
+  getVideoDetails,
+  refreshVideoDetails,
+  getChannelDetails,
+  refreshChannelDetails,
+  getResourceEtags,
+  saveEtags,
+  getCreatorComments,
+  youtubeRequest,
+  parseDuration,
+  getUnitsUsed,
+  getQuotaDay,
+  getQuotaResetTime,
   getQuotaStatus,
   clearApiCache
 };
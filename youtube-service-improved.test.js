@@ -0,0 +1,272 @@
+// youtube-service-improved.test.js
+// Tests for the YouTube API client (quota ledger, cache, retries, batching and ETags),
+// with the API and database mocked
+
+process.env.YOUTUBE_RETRY_BASE_DELAY_MS = '1';
+
+jest.mock('axios', () => ({ get: jest.fn() }));
+
+jest.mock('./database-service-improved', () => ({
+  addQuotaUsage: jest.fn(),
+  getQuotaUsage: jest.fn(),
+  getYoutubeEtags: jest.fn(),
+  saveYoutubeEtags: jest.fn()
+}));
+
+const axios = require('axios');
+const dbService = require('./database-service-improved');
+const youtubeService = require('./youtube-service-improved');
+
+/**
+ * Build a ledger as stored in the database
+ * @param {number} unitsUsed Units spent today
+ * @param {Object} byMethod Units by resource and verb
+ * @returns {Object} Ledger
+ */
+function ledger(unitsUsed, byMethod = {}) {
+  return { day: youtubeService.getQuotaDay(), unitsUsed, byMethod };
+}
+
+/**
+ * Build an API error response
+ * @param {number} status HTTP status
+ * @param {string} reason Error reason
+ * @returns {Error} Error as thrown by axios
+ */
+function apiError(status, reason) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, data: { error: { message: reason, errors: [{ reason }] } } };
+  return error;
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  youtubeService.clearApiCache();
+  axios.get.mockResolvedValue({ data: { items: [] } });
+  dbService.addQuotaUsage.mockResolvedValue(ledger(1));
+  dbService.getYoutubeEtags.mockResolvedValue(new Map());
+  dbService.saveYoutubeEtags.mockResolvedValue(0);
+});
+
+describe('quota days', () => {
+  test('follow Pacific time, including daylight saving time', () => {
+    expect(youtubeService.getQuotaDay(new Date('2024-01-15T07:59:00Z'))).toBe('2024-01-14');
+    expect(youtubeService.getQuotaResetTime(new Date('2024-01-15T07:59:00Z')).toISOString()).toBe('2024-01-15T08:00:00.000Z');
+    expect(youtubeService.getQuotaResetTime(new Date('2024-07-15T12:00:00Z')).toISOString()).toBe('2024-07-16T07:00:00.000Z');
+  });
+});
+
+describe('quota charging', () => {
+  test('charges each request its method cost before sending it', async () => {
+    dbService.addQuotaUsage.mockResolvedValue(ledger(100));
+    
+    await youtubeService.searchVideos('brawl stars');
+    
+    expect(dbService.addQuotaUsage).toHaveBeenCalledWith(youtubeService.getQuotaDay(), 'search.list', 100);
+    expect(axios.get).toHaveBeenCalledTimes(1);
+  });
+  
+  test('refuses and gives back a charge that would dip into the reserve', async () => {
+    dbService.addQuotaUsage.mockResolvedValueOnce(ledger(9550));
+    
+    await expect(youtubeService.searchVideos('brawl stars'))
+      .rejects.toMatchObject({ statusCode: 429, code: 'QUOTA_EXCEEDED' });
+    
+    expect(dbService.addQuotaUsage).toHaveBeenLastCalledWith(youtubeService.getQuotaDay(), 'search.list', -100);
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+});
+
+describe('getQuotaStatus', () => {
+  test('reports the ledger without calling the API', async () => {
+    dbService.getQuotaUsage.mockResolvedValue(ledger(302, { search: { list: 300 }, videos: { list: 2 }, channels: { list: 0 } }));
+    
+    const status = await youtubeService.getQuotaStatus();
+    
+    expect(status).toMatchObject({
+      dailyQuota: 10000,
+      reserved: 500,
+      used: 302,
+      remaining: 9698,
+      available: 9198,
+      byMethod: { 'search.list': 300, 'videos.list': 2 },
+      source: 'ledger'
+    });
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+  
+  test('falls back to what this process spent when the database is down', async () => {
+    dbService.addQuotaUsage.mockRejectedValue(new Error('no database'));
+    dbService.getQuotaUsage.mockRejectedValue(new Error('no database'));
+    
+    await youtubeService.getVideoDetails(['abc']);
+    const status = await youtubeService.getQuotaStatus();
+    
+    expect(status.source).toBe('process');
+    expect(status.byMethod['videos.list']).toBe(1);
+  });
+});
+
+describe('response cache', () => {
+  test('answers repeated requests from the cache without spending quota', async () => {
+    axios.get.mockResolvedValue({ data: { items: [{ id: { videoId: 'abc' } }] } });
+    
+    await youtubeService.searchVideos('brawl stars', { order: 'date' });
+    const page = await youtubeService.searchVideos('brawl stars', { order: 'date' });
+    
+    expect(page.videoIds).toEqual(['abc']);
+    expect(axios.get).toHaveBeenCalledTimes(1);
+    expect(dbService.addQuotaUsage).toHaveBeenCalledTimes(1);
+  });
+  
+  test('clearApiCache flushes entries and reports how many', async () => {
+    await youtubeService.searchVideos('colt');
+    await youtubeService.searchVideos('brock');
+    
+    expect(youtubeService.clearApiCache()).toBe(2);
+    expect(youtubeService.clearApiCache()).toBe(0);
+  });
+});
+
+describe('retries', () => {
+  test('retries rate limiting and server errors with backoff', async () => {
+    axios.get
+      .mockRejectedValueOnce(apiError(403, 'rateLimitExceeded'))
+      .mockRejectedValueOnce(apiError(503, 'backendError'))
+      .mockResolvedValueOnce({ data: { items: [] } });
+    
+    await youtubeService.searchVideos('brawl stars');
+    
+    expect(axios.get).toHaveBeenCalledTimes(3);
+  });
+  
+  test('does not retry an exhausted quota', async () => {
+    axios.get.mockRejectedValueOnce(apiError(403, 'quotaExceeded'));
+    
+    await expect(youtubeService.searchVideos('brawl stars')).rejects.toThrow('403');
+    expect(axios.get).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('getVideoDetails', () => {
+  test('fetches uncached videos in 50-id batches, within the concurrency limit', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    axios.get.mockImplementation(async (url, { params }) => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      inFlight--;
+      return { data: { items: params.id.split(',').map(id => ({ id })) } };
+    });
+    const ids = Array.from({ length: 320 }, (_, index) => `v${index}`);
+    
+    const videos = await youtubeService.getVideoDetails(ids);
+    
+    expect(videos.map(video => video.id)).toEqual(ids);
+    expect(axios.get).toHaveBeenCalledTimes(7);
+    expect(axios.get.mock.calls.every(([, { params }]) => params.id.split(',').length <= 50)).toBe(true);
+    expect(maxInFlight).toBe(5);
+    
+    axios.get.mockClear();
+    await youtubeService.getVideoDetails(['v1', 'v2', 'new']);
+    expect(axios.get).toHaveBeenCalledTimes(1);
+    expect(axios.get.mock.calls[0][1].params.id).toBe('new');
+  });
+  
+  test('skips the cache for fresh statistics', async () => {
+    axios.get.mockResolvedValue({ data: { items: [{ id: 'abc' }] } });
+    
+    await youtubeService.getVideoDetails(['abc']);
+    await youtubeService.getVideoDetails(['abc'], { useCache: false });
+    
+    expect(axios.get).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('refreshVideoDetails', () => {
+  test('returns the ETags of changed videos and of the batch response without storing them', async () => {
+    axios.get.mockResolvedValue({ status: 200, data: { etag: 'batch-1', items: [{ id: 'a', etag: 'a-1' }] } });
+    
+    const result = await youtubeService.refreshVideoDetails(['a', 'gone']);
+    
+    expect(result.changed.map(item => item.id)).toEqual(['a']);
+    expect(result.missing).toEqual(['gone']);
+    expect(axios.get.mock.calls[0][1].headers).toEqual({});
+    expect(result.etags).toEqual([
+      { key: expect.stringMatching(/^videos@/), etag: 'batch-1', ids: ['a'] },
+      { key: 'videos#a', etag: 'a-1', ids: ['a'] }
+    ]);
+    expect(dbService.saveYoutubeEtags).not.toHaveBeenCalled();
+  });
+  
+  test('treats a 304 as every video in the batch unchanged', async () => {
+    axios.get.mockResolvedValueOnce({ status: 200, data: { etag: 'batch-1', items: [{ id: 'a', etag: 'a-1' }, { id: 'b', etag: 'b-1' }] } });
+    const { etags } = await youtubeService.refreshVideoDetails(['a', 'b']);
+    
+    dbService.getYoutubeEtags.mockResolvedValue(new Map([[etags[0].key, 'batch-1']]));
+    axios.get.mockResolvedValueOnce({ status: 304, data: '' });
+    const result = await youtubeService.refreshVideoDetails(['a', 'b']);
+    
+    expect(axios.get.mock.calls[1][1].headers).toEqual({ 'If-None-Match': 'batch-1' });
+    expect(result).toEqual({ changed: [], unchanged: ['a', 'b'], missing: [], etags: [] });
+  });
+  
+  test('reports videos whose own ETag is unchanged when the batch changed', async () => {
+    dbService.getYoutubeEtags.mockResolvedValue(new Map([['videos#a', 'a-1'], ['videos#b', 'b-1']]));
+    axios.get.mockResolvedValue({ status: 200, data: { etag: 'batch-2', items: [{ id: 'a', etag: 'a-1' }, { id: 'b', etag: 'b-2' }] } });
+    
+    const result = await youtubeService.refreshVideoDetails(['a', 'b']);
+    
+    expect(result.unchanged).toEqual(['a']);
+    expect(result.changed.map(item => item.id)).toEqual(['b']);
+  });
+  
+  test('refreshes unconditionally when stored ETags are unavailable', async () => {
+    dbService.getYoutubeEtags.mockRejectedValue(new Error('database down'));
+    dbService.saveYoutubeEtags.mockRejectedValue(new Error('database down'));
+    axios.get.mockResolvedValue({ status: 200, data: { etag: 'batch-1', items: [{ id: 'a', etag: 'a-1' }] } });
+    
+    const result = await youtubeService.refreshVideoDetails(['a']);
+    
+    expect(result.changed.map(item => item.id)).toEqual(['a']);
+  });
+});
+
+describe('refreshChannelDetails', () => {
+  test('treats a 304 as every channel in the batch unchanged', async () => {
+    axios.get.mockResolvedValueOnce({ status: 200, data: { etag: 'batch-1', items: [{ id: 'UC1', etag: 'c-1' }] } });
+    const { etags } = await youtubeService.refreshChannelDetails(['UC1']);
+    const batchKey = etags.find(entry => entry.key.startsWith('channels@')).key;
+    
+    dbService.getYoutubeEtags.mockResolvedValue(new Map([[batchKey, 'batch-1'], ['channels#UC1', 'c-1']]));
+    axios.get.mockResolvedValueOnce({ status: 304, data: '' });
+    const result = await youtubeService.refreshChannelDetails(['UC1']);
+    
+    expect(axios.get.mock.calls[0][0]).toMatch(/\/channels$/);
+    expect(axios.get.mock.calls[1][1]).toMatchObject({
+      params: expect.objectContaining({ part: 'snippet,statistics', id: 'UC1' }),
+      headers: { 'If-None-Match': 'batch-1' }
+    });
+    expect(result).toEqual({ changed: [], unchanged: ['UC1'], missing: [], etags: [] });
+  });
+});
+
+describe('saveEtags', () => {
+  test('stores only the ETags whose resources were all stored', async () => {
+    await youtubeService.saveEtags([
+      { key: 'channels@batch', etag: 'batch-1', ids: ['UC1', 'UC2'] },
+      { key: 'channels#UC1', etag: 'c-1', ids: ['UC1'] },
+      { key: 'channels#UC2', etag: 'c-2', ids: ['UC2'] },
+      { key: 'channels#UC3', etag: null, ids: ['UC3'] }
+    ], ['UC1', 'UC3']);
+    
+    expect(dbService.saveYoutubeEtags).toHaveBeenCalledWith({ 'channels#UC1': 'c-1' });
+  });
+  
+  test('logs rather than throws when the ETags can\'t be stored', async () => {
+    dbService.saveYoutubeEtags.mockRejectedValue(new Error('database down'));
+    
+    await expect(youtubeService.saveEtags([{ key: 'videos#a', etag: 'a-1', ids: ['a'] }], ['a'])).resolves.toBeUndefined();
+  });
+});